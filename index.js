@@ -5,10 +5,12 @@ const NucleusDatastore = require('./library/Datastore.nucleus');
 const NucleusEngine = require('./library/Engine.nucleus');
 const NucleusError = require('./library/Error.nucleus');
 const NucleusEvent = require('./library/Event.nucleus');
+const NucleusMemoryDatastore = require('./library/MemoryDatastore.nucleus');
 const NucleusPublisherEngine = require('./library/PublisherEngine.nucleus');
 const NucleusResource = require('./library/Resource.nucleus');
 const NucleusResourceAPI = require('./library/ResourceAPI.nucleus');
 const NucleusResourceRelationshipDatastore = require('./library/ResourceRelationshipDatastore.nucleus');
+const NucleusWorkflow = require('./library/Workflow.nucleus');
 const nucleusValidator = require('./library/validator.nucleus');
 
 module.exports = {
@@ -17,9 +19,11 @@ module.exports = {
   NucleusEngine,
   NucleusError,
   NucleusEvent,
+  NucleusMemoryDatastore,
   NucleusPublisherEngine,
   NucleusResource,
   NucleusResourceAPI,
   NucleusResourceRelationshipDatastore,
+  NucleusWorkflow,
   nucleusValidator
 };
\ No newline at end of file
@@ -11,11 +11,16 @@ const NucleusResource = require('./Resource.nucleus');
 
 const nucleusValidator = require('./validator.nucleus');
 
+const CancelledActionStatus = 'Cancelled';
 const CompletedActionStatus = 'Completed';
 const FailedActionStatus = 'Failed';
 const PendingActionStatus = 'Pending';
 const ProcessingActionStatus = 'Processing';
 
+const HighActionPriority = 'High';
+const LowActionPriority = 'Low';
+const NormalActionPriority = 'Normal';
+
 /**
  * The list of available action status.
  * @enum {Object}
@@ -23,10 +28,21 @@ const ProcessingActionStatus = 'Processing';
 const NucleusActionStatusWeightList = [
   PendingActionStatus,
   ProcessingActionStatus,
+  CancelledActionStatus,
   FailedActionStatus,
   CompletedActionStatus
 ];
 
+/**
+ * The list of available action priorities, the highest first.
+ * @enum {Object}
+ */
+const NucleusActionPriorityList = [
+  HighActionPriority,
+  NormalActionPriority,
+  LowActionPriority
+];
+
 const actionResourceStructure = {
   finalMessage: 'object?',
   name: 'string',
@@ -46,6 +62,8 @@ const actionResourceStructure = {
  * @property {String} meta.originEngineName
  * @property {String} meta.originProcessID
  * @property {String} meta.originUserID
+ * @property {String} [meta.priority]
+ * @property {String} [meta.tenantID]
  * @property {String} name
  * @property {Object} originalMessage
  * @property {String} originUserID
@@ -67,6 +85,8 @@ class NucleusAction extends NucleusResource {
    * @argument {String} [options.originEngineName]
    * @argument {String} [options.originProcessID]
    * @argument {String} [options.originUserID]
+   * @argument {String} [options.priority] - One of "High", "Normal" or "Low".
+   * @argument {String} [options.tenantID] - The tenant whose resources the action is scoped to.
    *
    * @returns {NucleusAction}
    *
@@ -92,10 +112,14 @@ class NucleusAction extends NucleusResource {
     else {
       if (!nucleusValidator.isString(actionName) || nucleusValidator.isEmpty(actionName)) throw new NucleusError.UndefinedValueNucleusError("The action name is mandatory.");
 
-      const { correlationID, originEngineID = 'Unknown', originEngineName = 'Unknown', originProcessID = process.pid, originUserID = 'Unknown' } = options;
+      const { correlationID, originEngineID = 'Unknown', originEngineName = 'Unknown', originProcessID = process.pid, originUserID = 'Unknown', priority, tenantID } = options;
       const actionAttributes = { meta: { originEngineID, originEngineName, originProcessID }, name: actionName, originalMessage: actionMessage };
 
+      if (!!priority && !~NucleusActionPriorityList.indexOf(priority)) throw new NucleusError.UnexpectedValueNucleusError(`The action priority '${priority}' is not a valid priority.`);
+
       if (!!correlationID) actionAttributes.meta.correlationID = correlationID;
+      if (!!priority) actionAttributes.meta.priority = priority;
+      if (!!tenantID) actionAttributes.meta.tenantID = tenantID;
 
       super('NucleusAction', actionResourceStructure, actionAttributes, originUserID);
 
@@ -173,6 +197,8 @@ class NucleusAction extends NucleusResource {
 
 }
 
+/** @memberOf NucleusAction */
+NucleusAction.CancelledActionStatus = CancelledActionStatus;
 /** @memberOf NucleusAction */
 NucleusAction.CompletedActionStatus = CompletedActionStatus;
 /** @memberOf NucleusAction */
@@ -182,6 +208,14 @@ NucleusAction.PendingActionStatus = PendingActionStatus;
 /** @memberOf NucleusAction */
 NucleusAction.ProcessingActionStatus = ProcessingActionStatus;
 /** @memberOf NucleusAction */
+NucleusAction.HighActionPriority = HighActionPriority;
+/** @memberOf NucleusAction */
+NucleusAction.LowActionPriority = LowActionPriority;
+/** @memberOf NucleusAction */
+NucleusAction.NormalActionPriority = NormalActionPriority;
+/** @memberOf NucleusAction */
+NucleusAction.NucleusActionPriorityList = NucleusActionPriorityList;
+/** @memberOf NucleusAction */
 NucleusAction.NucleusActionStatusWeightList = NucleusActionStatusWeightList;
 
 module.exports = NucleusAction;
\ No newline at end of file
@@ -20,22 +20,65 @@ const NucleusError = require('./Error.nucleus');
 const NucleusEvent = require('./Event.nucleus');
 const NucleusResource = require('./Resource.nucleus');
 const NucleusResourceRelationshipDatastore = require('./ResourceRelationshipDatastore.nucleus');
+const NucleusWorkflow = require('./Workflow.nucleus');
 
+const nucleusCron = require('./cron.nucleus');
 const nucleusValidator = require('./validator.nucleus');
 
 const fsReadFilePromisified = Promise.promisify(fs.readFile);
 
 const ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME = 'ActionConfigurationByActionName';
+// On a Redis cluster, every item of the action datastore shares this hash tag so that the scripts and the transactions
+// of the engine are executed on a single node.
+const ACTION_HASH_TAG = 'Action';
+const ACTION_IDEMPOTENCY_KEY_TABLE_NAME = 'ActionIdempotencyKey';
+const ACTION_PRIORITY_BY_ACTION_NAME_TABLE_NAME = 'ActionPriorityByActionName';
+const ACTION_PROCESSING_LIST_TABLE_NAME = 'ActionProcessingList';
+const ACTION_PROGRESS_CHANNEL_TABLE_NAME = 'ActionProgress';
 const ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME = 'ActionQueueNameByActionName';
 const ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME = 'ActionQueueNameSet';
+const ACTION_QUEUE_UPDATE_CHANNEL_TABLE_NAME = 'ActionQueueUpdate';
+const ACTION_REPLY_CHANNEL_TABLE_NAME = 'ActionReply';
+const DEAD_LETTER_ACTION_QUEUE_ITEM_NAME_TABLE_NAME = 'DeadLetterActionQueue';
+const ENGINE_HEARTBEAT_TABLE_NAME = 'EngineHeartbeat';
+const ENGINE_ID_SET_TABLE_NAME = 'EngineIDSet';
+const EVENT_SCHEMA_BY_EVENT_NAME_TABLE_NAME = 'EventSchemaByEventName';
+const EVENT_STREAM_TABLE_NAME = 'EventStream';
 const EXTENDABLE_ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME = 'ExtendableActionConfigurationByActionName';
+const ORPHANED_ACTION_RECOVERY_LOCK_TABLE_NAME = 'OrphanedActionRecoveryLock';
+const RECURRING_ACTION_LOCK_TABLE_NAME = 'RecurringActionLock';
 const RESOURCE_STRUCTURE_BY_RESOURCE_TYPE_TABLE_NAME = 'ResourceStructureByResourceType';
+const RUNNING_WORKFLOW_ITEM_KEY_LIST_TABLE_NAME = 'RunningWorkflowItemKeyList';
+const SCHEDULED_ACTION_ITEM_KEY_LIST_TABLE_NAME = 'ScheduledActionItemKeyList';
+const SCHEDULED_ACTION_QUEUE_NAME_BY_ACTION_ITEM_KEY_TABLE_NAME = 'ScheduledActionQueueNameByActionItemKey';
+
+const EVENT_REPLAY_BATCH_SIZE = 100;
+const EVENT_STREAM_BATCH_SIZE = 10;
+const EVENT_STREAM_BLOCK_TIMEOUT = 500;
+const SCHEDULED_ACTION_BATCH_SIZE = 100;
+const SYSTEM_USER_ID = 'SYSTEM';
+const WORKFLOW_RESUMPTION_BATCH_SIZE = 100;
+const TERMINATION_SIGNAL_NAME_LIST = [ 'SIGINT', 'SIGTERM' ];
+// The in-memory datastore implements the same commands as Redis.
+const SUPPORTED_DATASTORE_TYPE_LIST = [ 'Memory', 'Redis' ];
 
 const NODE_ENVIRONMENT = process.env.NODE_ENV || 'development';
 const DEVELOPMENT_ENVIRONMENT_NAME = 'development';
 const TESTING_ENVIRONMENT_NAME = 'testing';
 const PRODUCTION_ENVIRONMENT_NAME = 'production';
 
+const KeyspaceNotificationActionTransport = 'KeyspaceNotification';
+const ReplyChannelActionTransport = 'ReplyChannel';
+
+/**
+ * The list of available action transports.
+ * @enum {Object}
+ */
+const NucleusActionTransportList = [
+  KeyspaceNotificationActionTransport,
+  ReplyChannelActionTransport
+];
+
 const $$complexDataTypeRegularExpression = new RegExp(/([a-z]+)\.<[A-Za-z]+>/);
 const $$engineFileNameRegularExpression = new RegExp(/.*engine\.js$/);
 const $$javascriptReservedWordRegularExpressionList = [
@@ -46,9 +89,9 @@ const $$javascriptReservedWordRegularExpressionList = [
 ];
 
 
-// NOTE: It seems like the system slows downs processing requests when there's a very high load (100+ requests under 25ms)
-// The issue is caused mostly by how the requests get parallelized,
-// One way to resolve this might be to create more redis connection on the fly.
+// NOTE: Under a very high load (100+ requests under 25ms), a single connection per datastore slows down the processing
+// of the requests; the action and engine datastores can send their commands through a pool of connections instead
+// (see `datastoreConnectionPoolMaximumSize`).
 
 class NucleusEngine {
 
@@ -63,28 +106,72 @@ class NucleusEngine {
    * @argument {NucleusDatastore} [options.$eventDatastore]
    * @argument {NucleusResourceRelationshipDatastore} [options.$resourceRelationshipDatastore]
    * @argument {NucleusDatastore} [options.$logger]
+   * @argument {String} [options.actionTransport="KeyspaceNotification"] - How the engine is notified of the updates of the action queues and of the actions it published; `ReplyChannel` doesn't require Redis' keyspace notifications.
    * @argument {Boolean} [options.automaticallyAutodiscover=false]
+   * @argument {Boolean} [options.automaticallyDrainOnTerminationSignal=false] - Drains and destroys the engine on `SIGINT` or `SIGTERM`.
    * @argument {Boolean} [options.automaticallyManageResourceRelationship=false]
    * @argument {Boolean} [options.automaticallyRetrievePendingActions=false]
+   * @argument {Number} [options.datastoreConnectionPoolMaximumSize=1] - The maximum number of connections of the default action and engine datastores; the blocking commands and the subscriptions always use dedicated connections.
+   * @argument {Number} [options.datastoreConnectionPoolMinimumSize=1]
+   * @argument {String} [options.datastoreNamespace] - Prefixes the keys and the channels of the default datastores so that several applications can share a Redis server.
+   * @argument {Number} [options.defaultActionHangupTimeout=0] - The time in milliseconds a publisher waits for an action's response; `0` waits indefinitely.
+   * @argument {Number} [options.defaultActionIdempotencyWindow=300000] - The time in milliseconds during which an action published with the same idempotency key is not executed again.
+   * @argument {Number} [options.defaultActionMaximumRetryCount=0]
+   * @argument {Number} [options.defaultActionRetryBackoffDelay=1000]
    * @argument {String} [options.defaultActionQueueName=<Engine's name>]
+   * @argument {Number} [options.drainTimeout=10000] - The time in milliseconds the engine waits for the in-flight actions when destroyed.
+   * @argument {Number} [options.engineHeartbeatInterval=5000] - The interval in milliseconds at which the engine signals that it is alive and recovers the actions of the engines that are not; `0` disables it.
+   * @argument {Number} [options.engineHeartbeatTTL=<Three times the heartbeat interval>] - The time in milliseconds after which an engine that stopped signaling is considered dead.
+   * @argument {Number} [options.eventRetentionWindow=300000] - The time in milliseconds during which a published event can be replayed and an event that was handled is not handled again.
+   * @argument {Number} [options.eventStreamMaximumLength=10000] - The approximate number of events kept in an event stream.
+   * @argument {Number} [options.eventStreamPendingTimeout=60000] - The time in milliseconds after which an event that was not acknowledged is reclaimed by another consumer.
+   * @argument {Number} [options.maxConcurrentActions=0] - The maximum number of actions executed at once by the engine; `0` is unlimited.
+   * @argument {Number} [options.priorityStarvationProtectionInterval=10] - Every nth action is retrieved lowest priority first; `0` disables it.
+   * @argument {Boolean} [options.publishDurableEvents=false] - Every event is also written to an event stream that can be consumed by consumer groups.
+   * @argument {Number} [options.scheduledActionPollingInterval=1000] - The interval in milliseconds at which the due scheduled and recurring actions are published; `0` disables the polling.
    *
    * @returns {Proxy}
    */
   constructor (engineName, options = {}) {
+    // The default action and engine datastores, which is also the default resource datastore, send their commands
+    // through a pool of connections; every default datastore shares the namespace.
+    const { datastoreConnectionPoolMaximumSize = 1, datastoreConnectionPoolMinimumSize = 1, datastoreNamespace } = options;
+    const defaultDatastoreOptions = {
+      connectionPoolMaximumSize: datastoreConnectionPoolMaximumSize,
+      connectionPoolMinimumSize: datastoreConnectionPoolMinimumSize,
+      namespace: datastoreNamespace
+    };
     const {
-      $actionDatastore = new NucleusDatastore(),
-      $engineDatastore = new NucleusDatastore(),
-      $eventDatastore = new NucleusDatastore(),
+      $actionDatastore = new NucleusDatastore('Action', defaultDatastoreOptions),
+      $engineDatastore = new NucleusDatastore('Engine', defaultDatastoreOptions),
+      $eventDatastore = new NucleusDatastore('Untitled', { namespace: datastoreNamespace }),
       $resourceDatastore,
       $resourceCacheDatastore,
       $resourceRelationshipDatastore = new NucleusResourceRelationshipDatastore($engineDatastore),
       $logger = console,
+      actionTransport = KeyspaceNotificationActionTransport,
       automaticallyAutodiscover = false,
+      automaticallyDrainOnTerminationSignal = false,
       automaticallyManageResourceRelationship = false,
       automaticallyRetrievePendingActions = false,
       debounceActionExecution = true,
-      defautlActionHangupTimeout = 1000 * 5,
-      defaultActionQueueName = engineName
+      // Kept for backward compatibility with the misspelled option.
+      defautlActionHangupTimeout = 0,
+      defaultActionHangupTimeout = defautlActionHangupTimeout,
+      defaultActionIdempotencyWindow = 1000 * 60 * 5,
+      defaultActionMaximumRetryCount = 0,
+      defaultActionRetryBackoffDelay = 1000,
+      defaultActionQueueName = engineName,
+      drainTimeout = 1000 * 10,
+      engineHeartbeatInterval = 1000 * 5,
+      engineHeartbeatTTL = engineHeartbeatInterval * 3,
+      eventRetentionWindow = 1000 * 60 * 5,
+      eventStreamMaximumLength = 10000,
+      eventStreamPendingTimeout = 1000 * 60,
+      maxConcurrentActions = 0,
+      priorityStarvationProtectionInterval = 10,
+      publishDurableEvents = false,
+      scheduledActionPollingInterval = 1000
     } = options;
 
     /** @member {String} ID */
@@ -92,16 +179,44 @@ class NucleusEngine {
     /** @member {String} name */
     Reflect.defineProperty(this, 'name', { value: engineName, writable: false });
 
+    if (!NucleusActionTransportList.includes(actionTransport)) throw new NucleusError.UnexpectedValueNucleusError(`The action transport must be one of ${NucleusActionTransportList.join(', ')}.`);
+
+    // With the reply channel transport, the engine is notified through channels that every engine publishes to
+    // instead of Redis' keyspace notifications, which are not available on every Redis server.
+    this.actionTransport = actionTransport;
     // Debouncing the action execution allows a performance gain of 20% on heavy request load.
     this.debounceActionExecution = debounceActionExecution;
-    this.defautlActionHangupTimeout = defautlActionHangupTimeout;
+    this.defaultActionHangupTimeout = defaultActionHangupTimeout;
+    this.defaultActionIdempotencyWindow = defaultActionIdempotencyWindow;
+    // An action that fails because of an external error will be retried with an exponential backoff.
+    this.defaultActionMaximumRetryCount = defaultActionMaximumRetryCount;
+    this.defaultActionRetryBackoffDelay = defaultActionRetryBackoffDelay;
     this.defaultActionQueueName = defaultActionQueueName;
+    // A draining engine stops retrieving pending actions; the actions still in-flight after the timeout are left to the
+    // orphaned action recovery.
+    this.drainTimeout = drainTimeout;
+    // A retrieved action is kept in the engine's processing list until it is done; if the engine stops sending
+    // heartbeats, another engine recovers the actions of its processing list.
+    this.engineHeartbeatInterval = engineHeartbeatInterval;
+    this.engineHeartbeatTTL = engineHeartbeatTTL;
+    // A durable event is kept in a Redis stream; every consumer group receives it once and it is redelivered until it
+    // is acknowledged.
+    this.eventStreamMaximumLength = eventStreamMaximumLength;
+    this.eventStreamPendingTimeout = eventStreamPendingTimeout;
+    this.publishDurableEvents = publishDurableEvents;
+    // The engine stops retrieving pending actions once it is saturated and resumes as soon as an action is done.
+    this.maxConcurrentActions = maxConcurrentActions;
+    // Scheduled actions are stored in Redis and published to their action queue once due by any of the engines.
+    this.scheduledActionPollingInterval = scheduledActionPollingInterval;
+    // Higher priority actions are always retrieved first, except for every nth action which is retrieved lowest
+    // priority first so that a steady flow of higher priority actions doesn't starve the lower priorities.
+    this.priorityStarvationProtectionInterval = priorityStarvationProtectionInterval;
 
     if (
-      $actionDatastore.type !== 'Redis' ||
-      $engineDatastore !== 'Redis' ||
-      $eventDatastore !== 'Redis'
-    ) throw new NucleusError(`The action datastore, the engine datastore or the event datastore must be a Redis datastore adapter.`);
+      !SUPPORTED_DATASTORE_TYPE_LIST.includes($actionDatastore.type) ||
+      !SUPPORTED_DATASTORE_TYPE_LIST.includes($engineDatastore.type) ||
+      !SUPPORTED_DATASTORE_TYPE_LIST.includes($eventDatastore.type)
+    ) throw new NucleusError(`The action datastore, the engine datastore or the event datastore must be a Redis or an in-memory datastore adapter.`);
 
     this.$actionDatastore = $actionDatastore;
     this.$engineDatastore = this.$datastore = $engineDatastore;
@@ -113,24 +228,65 @@ class NucleusEngine {
 
     if (automaticallyManageResourceRelationship) this.$resourceRelationshipDatastore = $resourceRelationshipDatastore;
 
+    this.actionProcessingListItemKey = this.generateActionItemKey(`${ACTION_PROCESSING_LIST_TABLE_NAME}:${this.ID}`);
     this.$handlerDatastoreByName = {};
     this.eventHandlerByChannelName = {};
+    this.eventStreamConsumerByName = {};
+    this.recurringActionScheduleByActionName = {};
+    // The resource datastores scoped to a tenant are created once per tenant.
+    this.resourceDatastoresPromiseByTenantID = {};
+    this.retrievedActionCountByActionQueueName = {};
+    // A running workflow holds a lease renewed with the engine's heartbeat; once the lease expires, the workflow is
+    // resumed by another engine that registered it.
+    this.runningWorkflowNameByItemKey = {};
+    this.workflowByName = {};
+
+    this.deferredActionListByActionName = {};
+    this.inFlightActionByActionID = {};
+    this.inFlightActionCount = 0;
+    this.inFlightActionCountByActionName = {};
+    this.isDraining = false;
+    this.maxConcurrentActionsByActionName = {};
 
     this.$logger = $logger;
 
+    // The datastores reconnect on their own once their connection is lost; the engine logs it and reports it as part
+    // of its health status.
+    this.monitorDatastoreConnection('Action', this.$actionDatastore);
+    this.monitorDatastoreConnection('Engine', this.$engineDatastore);
+    this.monitorDatastoreConnection('Event', this.$eventDatastore);
+    this.monitorDatastoreConnection('EventSubscriber', this.$eventSubscriberDatastore);
+
     this.actionTTL = 1000 * 60 * 60; // One hour
-    this.eventTTL = 1000 * 60 * 5; // 5 minutes
+    // The events are kept for the retention window so that they can be replayed.
+    this.eventTTL = eventRetentionWindow;
 
     this.$logger.info(`Initializing the ${this.name} engine...`);
 
+    if (automaticallyDrainOnTerminationSignal) {
+      this.handleTerminationSignal = (signalName) => {
+        this.$logger.info(`The ${this.name} engine received "${signalName}".`);
+
+        this.destroy()
+          .finally(() => {
+            // Without any other listener, the signal is raised again so that the process terminates as it would have.
+            if (process.listenerCount(signalName) === 0) process.kill(process.pid, signalName);
+          });
+      };
+
+      TERMINATION_SIGNAL_NAME_LIST
+        .forEach((signalName) => {
+          process.on(signalName, this.handleTerminationSignal);
+        });
+    }
+
     // Execute everything needed during the initialization phase of the engine.
     this.$$promise = Promise.all([ this.$actionDatastore, this.$engineDatastore, this.$eventDatastore, this.$eventSubscriberDatastore ])
       .then(this.verifyRedisConfiguration.bind(this))
       .then(this.$datastore.createItem.bind(this.$datastore, 'EngineName', this.name, undefined))
-      .then(() => { return this.$actionDatastore.addItemToSetByName(ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME, this.defaultActionQueueName); })
+      .then(() => { return this.$actionDatastore.addItemToSetByName(this.generateActionItemKey(ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME), this.defaultActionQueueName); })
       // If the `automaticallyAutodiscover` flag is true, pass the engine directory path that should be set from the parent class.
       .then(() => { if (automaticallyAutodiscover) return this.autodiscover(this.engineDirectoryPath); })
-      .then(() => { if (automaticallyRetrievePendingActions) return this.subscribeToActionQueueUpdate(this.defaultActionQueueName); })
       .then(this.fixDatastoreIssues.bind(this))
       .then(() => {
 
@@ -140,6 +296,57 @@ class NucleusEngine {
 
         return this.$datastore.registerScriptByName('HandleEventQueuing', handleEventQueuingScript);
       })
+      .then(() => {
+
+        return fsReadFilePromisified(path.join(__dirname, '/lua/handleActionIdempotency.lua'), 'UTF8');
+      })
+      .then((handleActionIdempotencyScript) => {
+
+        return this.$actionDatastore.registerScriptByName('HandleActionIdempotency', handleActionIdempotencyScript);
+      })
+      .then(() => {
+
+        return fsReadFilePromisified(path.join(__dirname, '/lua/cancelAction.lua'), 'UTF8');
+      })
+      .then((cancelActionScript) => {
+
+        return this.$actionDatastore.registerScriptByName('CancelAction', cancelActionScript);
+      })
+      .then(() => {
+
+        return fsReadFilePromisified(path.join(__dirname, '/lua/publishActionToQueue.lua'), 'UTF8');
+      })
+      .then((publishActionToQueueScript) => {
+
+        return this.$actionDatastore.registerScriptByName('PublishActionToQueue', publishActionToQueueScript);
+      })
+      .then(() => {
+
+        return fsReadFilePromisified(path.join(__dirname, '/lua/publishAllDueScheduledActions.lua'), 'UTF8');
+      })
+      .then((publishAllDueScheduledActionsScript) => {
+
+        return this.$actionDatastore.registerScriptByName('PublishAllDueScheduledActions', publishAllDueScheduledActionsScript);
+      })
+      .then(() => {
+
+        return fsReadFilePromisified(path.join(__dirname, '/lua/retrievePendingActionItemKey.lua'), 'UTF8');
+      })
+      .then((retrievePendingActionItemKeyScript) => {
+
+        return this.$actionDatastore.registerScriptByName('RetrievePendingActionItemKey', retrievePendingActionItemKeyScript);
+      })
+      .then(() => {
+
+        return fsReadFilePromisified(path.join(__dirname, '/lua/claimAllOrphanedWorkflowItemKeys.lua'), 'UTF8');
+      })
+      .then((claimAllOrphanedWorkflowItemKeysScript) => {
+
+        return this.$actionDatastore.registerScriptByName('ClaimAllOrphanedWorkflowItemKeys', claimAllOrphanedWorkflowItemKeysScript);
+      })
+      .then(() => { if (automaticallyRetrievePendingActions) return this.subscribeToActionQueueUpdate(this.defaultActionQueueName); })
+      .then(() => { if (this.scheduledActionPollingInterval > 0) this.startScheduledActionPolling(); })
+      .then(() => { if (this.engineHeartbeatInterval > 0) return this.startEngineHeartbeat(); })
       .then(() => {
         this.$logger.info(`The ${this.name} engine has successfully initialized.`);
       });
@@ -160,7 +367,7 @@ class NucleusEngine {
   /**
    * Autodiscovers the module's actions.
    *
-   * @returns {Promise<{ actionConfigurationList: actionConfiguration[], extendableActionConfigurationList: extendableActionConfiguration[], resourceStructureList: resourceStructure[] }>}
+   * @returns {Promise<{ actionConfigurationList: actionConfiguration[], eventSchemaList: eventSchema[], extendableActionConfigurationList: extendableActionConfiguration[], resourceStructureList: resourceStructure[] }>}
    */
   async autodiscover (engineDirectoryPath = NucleusEngine.retrieveModuleDirectoryPath(this.name)) {
     // Retrieve all of the modules doclets using the JSDoc parser.
@@ -247,7 +454,7 @@ class NucleusEngine {
         actionConfigurationList[index].actionName = actionName;
       });
 
-    const resourceStructureList = filteredDocletList
+    const structureLikeConfigurationList = filteredDocletList
       .filter(({ kind }) => {
 
         return kind === 'typedef';
@@ -263,6 +470,32 @@ class NucleusEngine {
             return accumulator;
           }, {});
 
+        return { doclet, nucleusTagsByName, propertiesByArgumentName };
+      });
+
+    // A typedef tagged `@Nucleus EventSchema` describes the message of an event, named after the tag or the typedef.
+    const eventSchemaList = structureLikeConfigurationList
+      .filter(({ nucleusTagsByName: { eventSchema } }) => {
+
+        return !!eventSchema;
+      })
+      .map(({ doclet, nucleusTagsByName: { eventSchema }, propertiesByArgumentName }) => {
+
+        return {
+          eventName: (nucleusValidator.isString(eventSchema)) ? eventSchema : doclet.name,
+          propertiesByArgumentName,
+          fileName: doclet.meta.filename,
+          filePath: path.join(doclet.meta.path, doclet.meta.filename)
+        };
+      });
+
+    const resourceStructureList = structureLikeConfigurationList
+      .filter(({ nucleusTagsByName: { eventSchema } }) => {
+
+        return !eventSchema;
+      })
+      .map(({ doclet, nucleusTagsByName, propertiesByArgumentName }) => {
+
         return Object.assign({
           resourceType: doclet.name,
           propertiesByArgumentName,
@@ -278,15 +511,115 @@ class NucleusEngine {
 
     await this.storeResourceStructure(resourceStructureList);
 
-    return { actionConfigurationList, extendableActionConfigurationList, resourceStructureList };
+    await this.storeEventSchema(eventSchemaList);
+
+    return { actionConfigurationList, eventSchemaList, extendableActionConfigurationList, resourceStructureList };
+  }
+
+  /**
+   * Cancels an action. The action is removed from its action queue, or unscheduled, if it wasn't picked up yet and its status is
+   * updated to "Cancelled"; an action that is being executed, completed or failed is left untouched.
+   * @example
+   * const { actionRemovedFromQueue } = await $engine.cancelAction($action);
+   *
+   * @argument {NucleusAction} $action
+   *
+   * @returns {Promise<{ $action: NucleusAction, actionQueueName: String, actionRemovedFromQueue: Boolean }>}
+   */
+  async cancelAction ($action) {
+    if (!($action instanceof NucleusAction)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action is not a valid Nucleus action.");
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+
+    if ($action.status === NucleusAction.CompletedActionStatus || $action.status === NucleusAction.FailedActionStatus) return { $action, actionRemovedFromQueue: false };
+
+    // The status is updated right away so that an action that is about to be published is not.
+    const actionStatus = $action.status;
+    $action.updateStatus(NucleusAction.CancelledActionStatus);
+
+    const actionItemKey = this.generateActionItemKey($action.generateOwnItemKey());
+    const actionQueueName = await this.retrieveActionQueueNameByActionName(actionName);
+
+    this.$logger.debug(`Cancelling action "${actionName} (${actionID})"...`, { actionID, actionName, actionQueueName, correlationID });
+
+    // The status is checked and the action is cancelled by the script so that the status of an action that is being
+    // executed, or that completed in the meantime, is never overwritten.
+    const [ actionIsCancelled, removedActionCount, updatedActionStatus ] = await this.$actionDatastore.evaluateLUAScriptByName('CancelAction', actionItemKey,
+      this.generateActionItemKey(SCHEDULED_ACTION_ITEM_KEY_LIST_TABLE_NAME), this.generateActionItemKey(SCHEDULED_ACTION_QUEUE_NAME_BY_ACTION_ITEM_KEY_TABLE_NAME),
+      this.actionTTL, $action.meta.toString(), generateActionReplyChannelName(actionName, actionID),
+      generateNotificationEventPayload('ActionStatusUpdated', { actionID, actionName, actionStatus: NucleusAction.CancelledActionStatus }),
+      ...generateAllActionQueueItemKeys(this.$actionDatastore, actionQueueName));
+
+    if (!actionIsCancelled) {
+      $action.status = updatedActionStatus || actionStatus;
+
+      return { $action, actionQueueName, actionRemovedFromQueue: false };
+    }
+
+    return { $action, actionQueueName, actionRemovedFromQueue: removedActionCount > 0 };
+  }
+
+  /**
+   * Consumes an event stream as part of a consumer group until the engine is destroyed.
+   * The events that were not acknowledged by a consumer for too long are periodically reclaimed.
+   *
+   * @argument {Object} eventStreamConsumer
+   *
+   * @returns {Promise<void>}
+   */
+  async consumeEventStream (eventStreamConsumer) {
+    const { channelName, consumerGroupName, eventStreamItemKey, $eventStreamConsumerDatastore } = eventStreamConsumer;
+
+    let lastReclaimTimestamp = Date.now();
+
+    while (!eventStreamConsumer.isStopped) {
+      try {
+        if (Date.now() - lastReclaimTimestamp >= this.eventStreamPendingTimeout) {
+          lastReclaimTimestamp = Date.now();
+
+          await this.reclaimPendingEventStreamEntries(eventStreamConsumer);
+        }
+
+        const eventStreamList = await $eventStreamConsumerDatastore.$$server.xreadgroupAsync('GROUP', consumerGroupName, this.ID, 'COUNT', EVENT_STREAM_BATCH_SIZE, 'BLOCK', EVENT_STREAM_BLOCK_TIMEOUT, 'STREAMS', eventStreamItemKey, '>');
+
+        if (!eventStreamList) continue;
+
+        const [ [ , eventStreamEntryList ] ] = eventStreamList;
+
+        await Promise.each(eventStreamEntryList, this.handleEventStreamEntry.bind(this, eventStreamConsumer));
+      } catch (error) {
+        if (eventStreamConsumer.isStopped) break;
+
+        this.$logger.error(`Could not consume the event stream of channel "${channelName}" because of an external error: ${error}`, { channelName, consumerGroupName });
+
+        await Promise.delay(EVENT_STREAM_BLOCK_TIMEOUT);
+      }
+    }
   }
 
   /**
    * Destroys the engine and the related datastores.
+   * The engine is drained first so that the in-flight actions can complete.
    *
    * @returns {Promise}
    */
   async destroy () {
+    if (!!this.handleTerminationSignal) {
+      // A second signal received while draining terminates the process right away.
+      TERMINATION_SIGNAL_NAME_LIST
+        .forEach((signalName) => {
+          process.removeListener(signalName, this.handleTerminationSignal);
+        });
+    }
+
+    await this.drain();
+
+    await this.stopEngineHeartbeat();
+
+    Object.keys(this.eventStreamConsumerByName)
+      .forEach((eventStreamConsumerName) => {
+        this.eventStreamConsumerByName[eventStreamConsumerName].isStopped = true;
+      });
+
     const $datastoreList = [this.$actionDatastore, this.$engineDatastore, this.$eventDatastore, this.$eventSubscriberDatastore];
 
     Object.keys(this.$handlerDatastoreByName)
@@ -308,6 +641,73 @@ class NucleusEngine {
       });
   }
 
+  /**
+   * Drains the engine: stops retrieving pending actions and waits for the in-flight actions to be done.
+   * The deferred actions are requeued right away. The engine stops waiting on the actions that are still in-flight after
+   * the timeout; they are left in the engine's processing list, so they are recovered as orphaned actions by another
+   * engine once this one stops sending heartbeats, unless they complete in the meantime.
+   * @example
+   * const { requeuedActionCount, unfinishedActionCount } = await $engine.drain({ timeout: 1000 * 30 });
+   *
+   * @argument {Object} [options]
+   * @argument {Number} [options.timeout=<Engine's drain timeout>]
+   *
+   * @returns {Promise<{ requeuedActionCount: Number, unfinishedActionCount: Number }>}
+   */
+  drain (options = {}) {
+    const { timeout = this.drainTimeout } = options;
+
+    if (this.isDraining) return this.$$drainPromise;
+
+    this.isDraining = true;
+
+    this.stopScheduledActionPolling();
+
+    this.$logger.info(`Draining the ${this.name} engine, ${this.inFlightActionCount} action${(this.inFlightActionCount !== 1) ? 's are' : ' is'} in-flight...`, { inFlightActionCount: this.inFlightActionCount });
+
+    // The deferred actions were never started, they don't need to be waited on.
+    const deferredActionList = Object.keys(this.deferredActionListByActionName)
+      .reduce((accumulator, actionName) => {
+        const deferredActionList = this.deferredActionListByActionName[actionName];
+
+        delete this.deferredActionListByActionName[actionName];
+
+        return accumulator.concat(deferredActionList);
+      }, []);
+
+    this.$$drainPromise = Promise.all(deferredActionList.map(async ($action) => {
+
+      return this.requeueAction(await this.retrieveActionQueueNameByActionName($action.name), $action);
+    }))
+      .then(() => {
+
+        return new Promise((resolve) => {
+          if (this.inFlightActionCount === 0) return resolve();
+
+          this.resolveDrain = resolve;
+        })
+          .timeout(timeout);
+      })
+      .then(() => {
+        this.$logger.info(`The ${this.name} engine has been drained.`);
+
+        return { requeuedActionCount: deferredActionList.length, unfinishedActionCount: 0 };
+      })
+      .catch(Promise.TimeoutError, () => {
+        // Requeuing an action that is still executing would have it executed twice; it is recovered if it never completes.
+        const unfinishedActionCount = Object.keys(this.inFlightActionByActionID).length;
+
+        this.$logger.warn(`The ${this.name} engine could not be drained in time, ${unfinishedActionCount} in-flight action${(unfinishedActionCount !== 1) ? 's are' : ' is'} left to the orphaned action recovery.`, { inFlightActionCount: unfinishedActionCount });
+
+        return { requeuedActionCount: deferredActionList.length, unfinishedActionCount };
+      })
+      .finally(() => {
+        delete this.resolveDrain;
+      });
+
+    return this.$$drainPromise;
+  }
+
   /**
    * Executes a pending action.
    *
@@ -316,19 +716,21 @@ class NucleusEngine {
    * @returns {Promise<NucleusAction>}
    */
   async executeAction ($action) {
-    const { ID: actionID, meta: { correlationID = uuid.v4(), originUserID = $action.meta.authorUserID }, name: actionName, originalMessage: actionMessage, } = $action;
-    const actionItemKey = $action.generateOwnItemKey();
+    const { ID: actionID, meta: { correlationID = uuid.v4(), originUserID = $action.meta.authorUserID, tenantID }, name: actionName, originalMessage: actionMessage, } = $action;
+    const actionItemKey = this.generateActionItemKey($action.generateOwnItemKey());
+
+    let actionConfiguration;
 
     try {
       // Retrieve the action configuration.
-      const actionConfiguration = await this.retrieveActionConfigurationByActionName(actionName);
+      actionConfiguration = await this.retrieveActionConfigurationByActionName(actionName);
 
       if (nucleusValidator.isEmpty(actionConfiguration)) throw new NucleusError.UndefinedContextNucleusError(`Could not retrieve the configuration for action "${actionName}".`, { actionID, actionName });
 
-      this.$logger.info(`Executing action "${actionName} (${actionID})"...`, { actionID, actionName, correlationID, originUserID });
+      this.$logger.info(`Executing action "${actionName} (${actionID})"...`, { actionID, actionName, correlationID, originUserID, tenantID });
 
       $action.updateStatus(NucleusAction.ProcessingActionStatus);
-      await this.$actionDatastore.addItemToHashFieldByName(actionItemKey, 'meta', $action.meta.toString(), 'status', $action.status);
+      await this.$actionDatastore.addItemToHashFieldByName(actionItemKey, 'meta', $action.meta, 'status', $action.status);
 
       // The action be executed from an action configuration or an extendable action configuration;
       const actionResponse = await (async function parseActionResponse () {
@@ -376,7 +778,10 @@ class NucleusEngine {
               const eventName = NucleusEngine.parseTemplateString.call(this, actionToExtendContext, extendableEventName);
               const $event = new NucleusEvent(eventName, actionResponse, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID });
 
-              this.publishEventToChannelByName(eventName, $event);
+              this.publishEventToChannelByName(eventName, $event)
+                .catch((error) => {
+                  this.$logger.error(`The event "${eventName} (${$event.ID})" could not be published: ${error}`, { actionID, actionName, correlationID, eventID: $event.ID, eventName });
+                });
 
               return actionResponse;
             });
@@ -392,7 +797,10 @@ class NucleusEngine {
 
               const $event = new NucleusEvent(eventName, actionResponse, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID });
 
-              this.publishEventToChannelByName(eventName, $event);
+              this.publishEventToChannelByName(eventName, $event)
+                .catch((error) => {
+                  this.$logger.error(`The event "${eventName} (${$event.ID})" could not be published: ${error}`, { actionID, actionName, correlationID, eventID: $event.ID, eventName });
+                });
 
               return actionResponse;
             });
@@ -401,35 +809,75 @@ class NucleusEngine {
 
       $action.updateStatus(NucleusAction.CompletedActionStatus);
       $action.updateMessage(actionResponse);
-      await this.$actionDatastore.addItemToHashFieldByName(actionItemKey, 'meta', $action.meta.toString(), 'status', $action.status, 'finalMessage', $action.finalMessage);
-
-      // Temporarily removed because the events keys are kept but never handled and becomes stale.
-      // Send event to action channel.
-      // const $event = new NucleusEvent('ActionStatusUpdated', {
-      //   actionFinalMessage: actionResponse,
-      //   actionID,
-      //   actionName,
-      //   actionStatus: 'Completed'
-      // });
-
-      // await this.publishEventToChannelByName(`Action:${actionID}`, $event);
+      await this.$actionDatastore.addItemToHashFieldByName(actionItemKey, 'meta', $action.meta, 'status', $action.status, 'finalMessage', $action.finalMessage);
+      await this.publishActionReply($action);
 
       this.$logger.debug(`The action "${actionName} (${actionID})" has been successfully executed.`, { actionID, actionName, correlationID, originUserID });
 
       return Promise.resolve($action);
     } catch (error) {
+      const errorIsRetriable = verifyThatErrorIsRetriable(error);
+
       if (!(error instanceof NucleusError)) error = new NucleusError(`The execution of the action "${actionName}" failed because of an external error: ${error}.`, { actionID, actionName, correlationID, error, originUserID });
 
-      $action.updateStatus(NucleusAction.FailedActionStatus);
-      $action.updateMessage({ error });
-      await this.$actionDatastore.addItemToHashFieldByName(actionItemKey, 'meta', $action.meta.toString(), 'status', $action.status, 'finalMessage', $action.finalMessage);
+      await this.handleActionFailure($action, error, errorIsRetriable, actionConfiguration);
 
       return Promise.reject(error);
     }
   }
 
+  /**
+   * Executes an action retrieved from an action queue while holding one of the engine's execution slots, which must be
+   * reserved beforehand.
+   * Once the action is done, the next deferred action of the same kind is executed and the engine resumes retrieving
+   * pending actions.
+   *
+   * @argument {String} actionQueueName
+   * @argument {NucleusAction} $action
+   *
+   * @returns {Promise<void>}
+   */
+  executeActionInSlot (actionQueueName, $action) {
+    const { name: actionName } = $action;
+
+    this.inFlightActionByActionID[$action.ID] = { $action, actionQueueName };
+    this.inFlightActionCountByActionName[actionName] = (this.inFlightActionCountByActionName[actionName] || 0) + 1;
+
+    return Promise.resolve(this.executeAction($action))
+      .catch((error) => {
+        this.$logger.error(error.message, Object.assign({
+          actionID: $action.ID,
+          actionName: $action.name,
+          correlationID: $action.meta.correlationID,
+          originUserID: $action.meta.originUserID
+        }, error));
+      })
+      .finally(() => {
+        delete this.inFlightActionByActionID[$action.ID];
+        this.inFlightActionCountByActionName[actionName]--;
+
+        this.removeActionFromProcessingList($action);
+
+        const deferredActionList = this.deferredActionListByActionName[actionName] || [];
+
+        // The slot of the action is handed over to the next deferred action of the same kind.
+        if (!this.isDraining && deferredActionList.length > 0) this.executeActionInSlot(actionQueueName, deferredActionList.shift());
+        else this.releaseActionSlot();
+
+        if (this.isDraining) return;
+
+        process.nextTick(this.retrievePendingAction.bind(this, actionQueueName));
+      });
+  }
+
   /**
    * Executes the action given its context.
+   * A method of an external context can report the progress of a long-running action with `this.reportProgress`; the
+   * resource datastores of the context are scoped to the tenant of the action, if any.
+   * @example
+   * async function ExportAllDummies (originUserID) {
+   *   await this.reportProgress({ exportedDummyCount: 100, dummyCount: 1000 });
+   * }
    *
    * @argument {NucleusAction} $action
    * @argument {String[]} actionSignature
@@ -457,6 +905,10 @@ class NucleusEngine {
     if (nucleusValidator.isEmpty($executionContext[methodName])) throw new NucleusError.UndefinedContextNucleusError(`Could not execute the action ${$action.name} because the handler method could not be retrieved.`);
 
     const $augmentedLogger = NucleusEngine.augmentLogger(this.$logger, $action);
+    const reportProgress = this.publishActionProgress.bind(this, $action);
+    const { $resourceDatastore, $resourceCacheDatastore, $resourceRelationshipDatastore } = (contextName !== 'Self' && !!$action.meta.tenantID) ?
+      await this.retrieveResourceDatastoresForTenant($action.meta.tenantID) :
+      this;
 
     const actionResponse = await $executionContext[methodName].apply((
       // If the action is part of the current engine, the context of the method to execute will be `this`...
@@ -465,14 +917,222 @@ class NucleusEngine {
       // If the action is part of an external API file, the context will be either:
       // The local resource datastore, the local cache datastore and the local logger or...
       // The local resource datastore, the local cache datastore, the local logger and a relationship datastore, if available.
-      (this.$resourceRelationshipDatastore) ?
-        {$datastore: this.$resourceDatastore, $logger: $augmentedLogger, $resourceDatastore: this.$resourceDatastore, $resourceCacheDatastore: this.$resourceCacheDatastore, $resourceRelationshipDatastore: this.$resourceRelationshipDatastore} :
-        {$datastore: this.$resourceDatastore, $logger: $augmentedLogger, $resourceDatastore: this.$resourceDatastore, $resourceCacheDatastore: this.$resourceCacheDatastore }
+      // Every external context can report the progress of the action to its publisher.
+      ($resourceRelationshipDatastore) ?
+        {$datastore: $resourceDatastore, $logger: $augmentedLogger, $resourceDatastore, $resourceCacheDatastore, $resourceRelationshipDatastore, reportProgress} :
+        {$datastore: $resourceDatastore, $logger: $augmentedLogger, $resourceDatastore, $resourceCacheDatastore, reportProgress }
         , argumentList);
 
     return actionResponse;
   }
 
+  /**
+   * Executes, or resumes, the steps of a workflow given its item key.
+   * Every step is published with an idempotency key so that a step that was published before the workflow was
+   * interrupted is not executed twice. When a step fails, the steps that were completed are compensated in reverse order.
+   *
+   * @argument {String} workflowItemKey
+   *
+   * @returns {Promise<{ stepResponseList: Object[], workflowID: String, workflowStatus: String }>}
+   *
+   * @throws Will throw an error if the workflow is not registered by the engine.
+   * @throws Will throw the error of the step that failed once the workflow is compensated.
+   */
+  async executeWorkflowByItemKey (workflowItemKey) {
+    const workflowAttributes = await this.$actionDatastore.retrieveAllItemsFromHashByName(workflowItemKey);
+
+    if (nucleusValidator.isEmpty(workflowAttributes)) throw new NucleusError.UndefinedContextNucleusError(`The workflow "${workflowItemKey}" does not exist.`);
+
+    const { ID: workflowID, meta: workflowMeta, message: workflowMessage, name: workflowName, stepResponseList = [] } = workflowAttributes;
+    const { correlationID, originUserID, tenantID } = workflowMeta;
+    let { compensationStepIndex, error: workflowError, nextStepIndex, status: workflowStatus } = workflowAttributes;
+
+    if (!this.workflowByName.hasOwnProperty(workflowName)) throw new NucleusError.UndefinedContextNucleusError(`The workflow "${workflowName}" is not registered by the ${this.name} engine.`);
+
+    const $workflow = this.workflowByName[workflowName];
+    const workflowContext = { stepResponseList, workflowMessage };
+    const runningWorkflowItemKeyListItemKey = this.generateActionItemKey(`${RUNNING_WORKFLOW_ITEM_KEY_LIST_TABLE_NAME}:${workflowName}`);
+
+    const updateWorkflow = () => {
+      workflowMeta.modifiedISOTime = new Date().toISOString();
+
+      return this.$actionDatastore.addItemToHashFieldByName(workflowItemKey, Object.assign({ compensationStepIndex, meta: workflowMeta, nextStepIndex, status: workflowStatus, stepResponseList }, (!!workflowError) ? { error: workflowError } : {}));
+    };
+
+    this.runningWorkflowNameByItemKey[workflowItemKey] = workflowName;
+
+    try {
+      if (workflowStatus === NucleusWorkflow.ProcessingWorkflowStatus) {
+        try {
+          while (nextStepIndex < $workflow.stepList.length) {
+            const { actionName } = $workflow.stepList[nextStepIndex];
+
+            this.$logger.debug(`Executing the step ${nextStepIndex} "${actionName}" of the workflow "${workflowName} (${workflowID})"...`, { actionName, correlationID, workflowID, workflowName });
+
+            const actionResponse = await this.publishActionByNameAndHandleResponse(actionName, $workflow.generateActionMessageByStepIndex(nextStepIndex, workflowContext), {
+              correlationID,
+              idempotencyKey: `${workflowID}:${nextStepIndex}`,
+              idempotencyWindow: this.actionTTL,
+              originUserID,
+              tenantID
+            });
+
+            stepResponseList.push(actionResponse);
+            nextStepIndex++;
+
+            await updateWorkflow();
+          }
+
+          workflowStatus = NucleusWorkflow.CompletedWorkflowStatus;
+
+          await updateWorkflow();
+
+          this.$logger.debug(`The workflow "${workflowName} (${workflowID})" has been successfully executed.`, { correlationID, workflowID, workflowName });
+
+          return { stepResponseList, workflowID, workflowStatus };
+        } catch (error) {
+          this.$logger.warn(`The step ${nextStepIndex} of the workflow "${workflowName} (${workflowID})" failed, compensating the completed steps: ${error}`, { correlationID, workflowID, workflowName });
+
+          workflowError = { message: error.message, name: error.name };
+          compensationStepIndex = nextStepIndex - 1;
+          workflowStatus = NucleusWorkflow.CompensatingWorkflowStatus;
+
+          await updateWorkflow();
+        }
+      }
+
+      while (compensationStepIndex >= 0) {
+        const { compensatingActionName } = $workflow.stepList[compensationStepIndex];
+
+        if (!!compensatingActionName) {
+          this.$logger.debug(`Compensating the step ${compensationStepIndex} of the workflow "${workflowName} (${workflowID})" with "${compensatingActionName}"...`, { actionName: compensatingActionName, correlationID, workflowID, workflowName });
+
+          await this.publishActionByNameAndHandleResponse(compensatingActionName, $workflow.generateCompensatingActionMessageByStepIndex(compensationStepIndex, workflowContext), {
+            correlationID,
+            idempotencyKey: `${workflowID}:${compensationStepIndex}:Compensation`,
+            idempotencyWindow: this.actionTTL,
+            originUserID,
+            tenantID
+          });
+        }
+
+        compensationStepIndex--;
+
+        await updateWorkflow();
+      }
+
+      workflowStatus = NucleusWorkflow.CompensatedWorkflowStatus;
+
+      await updateWorkflow();
+    } catch (error) {
+      // A compensation that fails can't be recovered automatically.
+      this.$logger.error(`The workflow "${workflowName} (${workflowID})" could not be compensated: ${error}`, { correlationID, workflowID, workflowName });
+
+      workflowStatus = NucleusWorkflow.FailedWorkflowStatus;
+
+      await updateWorkflow();
+
+      throw error;
+    } finally {
+      Reflect.deleteProperty(this.runningWorkflowNameByItemKey, workflowItemKey);
+
+      if (workflowStatus !== NucleusWorkflow.ProcessingWorkflowStatus && workflowStatus !== NucleusWorkflow.CompensatingWorkflowStatus) {
+        await this.$actionDatastore.$$server.multi()
+          .zrem(runningWorkflowItemKeyListItemKey, workflowItemKey)
+          .pexpire(workflowItemKey, this.actionTTL)
+          .execAsync();
+      }
+    }
+
+    throw new NucleusError(`The workflow "${workflowName} (${workflowID})" was compensated because a step failed: ${workflowError.message}`, { workflowID, workflowName, workflowStatus });
+  }
+
+  /**
+   * Executes a workflow given its name; the workflow must be registered by the engine.
+   * The state of the workflow is kept in the action datastore; if the engine stops responding, the workflow is resumed
+   * by another engine that registered it, from its last completed step. The engine's heartbeat must be enabled for the
+   * workflow to be resumed.
+   * @example
+   * $engine.registerWorkflow($workflow);
+   *
+   * const { stepResponseList, workflowID } = await $engine.executeWorkflowByName('OnboardCompany', { companyName: 'Acme' }, { originUserID });
+   *
+   * @argument {String} workflowName
+   * @argument {Object} workflowMessage
+   * @argument {Object|String} options - The options or the origin user ID.
+   * @argument {String} [options.correlationID]
+   * @argument {String} options.originUserID
+   * @argument {String} [options.tenantID] - Every step is scoped to the tenant.
+   *
+   * @returns {Promise<{ stepResponseList: Object[], workflowID: String, workflowStatus: String }>}
+   *
+   * @throws Will throw an error if the workflow is not registered by the engine.
+   * @throws Will throw an error if the origin user ID is not defined.
+   * @throws Will throw the error of the step that failed once the workflow is compensated.
+   */
+  async executeWorkflowByName (workflowName, workflowMessage = {}, options = {}) {
+    const originUserID = (nucleusValidator.isObject(options)) ? options.originUserID : options;
+    const { correlationID = uuid.v4(), tenantID } = (nucleusValidator.isObject(options)) ? options : {};
+
+    if (!nucleusValidator.isString(workflowName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The workflow name must be a string.");
+    if (!this.workflowByName.hasOwnProperty(workflowName)) throw new NucleusError.UndefinedContextNucleusError(`The workflow "${workflowName}" is not registered by the ${this.name} engine.`);
+    if (!nucleusValidator.isObject(workflowMessage)) throw new NucleusError.UnexpectedValueTypeNucleusError("The workflow message must be an object.");
+    if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
+
+    const workflowID = uuid.v1();
+    const workflowItemKey = this.generateActionItemKey(NucleusWorkflow.generateItemKey(workflowName, workflowID));
+    const $$multi = this.$actionDatastore.$$server.multi();
+
+    $$multi.hmset(workflowItemKey, 'ID', NucleusDatastore.stringifyItem(workflowID), 'compensationStepIndex', -1, 'message', NucleusDatastore.stringifyItem(workflowMessage),
+      'meta', NucleusDatastore.stringifyItem(Object.assign({ correlationID, createdISOTime: new Date().toISOString(), originEngineID: this.ID, originUserID }, (!!tenantID) ? { tenantID } : {})),
+      'name', NucleusDatastore.stringifyItem(workflowName), 'nextStepIndex', 0, 'status', NucleusDatastore.stringifyItem(NucleusWorkflow.ProcessingWorkflowStatus), 'stepResponseList', '[]');
+
+    if (this.engineHeartbeatInterval > 0) $$multi.zadd(this.generateActionItemKey(`${RUNNING_WORKFLOW_ITEM_KEY_LIST_TABLE_NAME}:${workflowName}`), Date.now() + this.engineHeartbeatTTL, workflowItemKey);
+
+    await $$multi.execAsync();
+
+    this.$logger.debug(`Executing the workflow "${workflowName} (${workflowID})"...`, { correlationID, originUserID, workflowID, workflowName });
+
+    return this.executeWorkflowByItemKey(workflowItemKey);
+  }
+
+  /**
+   * Exports every resource of a tenant, including its relationships and its hierarchy caches, from every resource
+   * datastore.
+   * @example
+   * const { itemList } = await $engine.exportAllResourcesForTenant('Acme');
+   *
+   * @argument {String} tenantID
+   *
+   * @returns {Promise<{ itemList: Array<{ item: *, itemKey: String, itemType: String }>, tenantID: String }>}
+   *
+   * @throws Will throw an error if the tenant ID is not valid.
+   */
+  async exportAllResourcesForTenant (tenantID) {
+    const $tenantDatastoreList = this.retrieveAllResourceDatastoresForTenant(tenantID);
+
+    this.$logger.debug(`Exporting the resources of the tenant "${tenantID}"...`, { tenantID });
+
+    const itemListList = await Promise.all($tenantDatastoreList.map(($tenantDatastore) => $tenantDatastore.exportAllItems()));
+
+    return { itemList: [].concat(...itemListList), tenantID };
+  }
+
+  /**
+   * Generates the item key of an item stored in the action datastore; the item key is hash tagged on a Redis cluster.
+   * @example
+   * $engine.generateActionItemKey($action.generateOwnItemKey());
+   * // '{Action}:NucleusAction:ExecuteSimpleDummy:<ID>' on a Redis cluster.
+   *
+   * @argument {String} itemKey
+   *
+   * @returns {String}
+   */
+  generateActionItemKey (itemKey) {
+
+    return this.$actionDatastore.generateHashTaggedItemKey(ACTION_HASH_TAG, itemKey);
+  }
+
   /**
    * Fixes issues with the datastore; trying to normalize the data to avoid flushing everything when a change is made.
    *
@@ -485,13 +1145,8 @@ class NucleusEngine {
     // https://github.com/sebastienfilion/idex.nucleus/issues/3
     // The issue was due to action event being expired but not the channel event set used to manage event control flow.
     this.$logger.debug(`Removing old stale action channel ordered set. https://github.com/sebastienfilion/idex.nucleus/issues/3`);
-    await this.$eventDatastore.evaluateLUAScript(`
-local actionOrderedSetList = redis.call('KEYS', 'Action:*')
-
-for index, itemKey in pairs(actionOrderedSetList) do
-  redis.call('DEL', itemKey)
-end
-    `);
+    // The keys are removed one by one so that only the keys of the namespace of the datastore, if any, are removed.
+    await Promise.all(staleActionEventList.map((itemKey) => this.$eventDatastore.removeItemByName(itemKey)));
   }
 
   /**
@@ -565,326 +1220,1793 @@ end
 
   /**
    * Subscribes and handles an event given a channel name.
+   * The channel name can be a glob-style pattern; the handler callback receives the name of the channel that matched.
+   * When the event message is validated, the events that do not validate against their schema are not handled.
+   * @example
+   * $engine.subscribeAndHandleEventByChannelName('User*', ($event, channelName) => {});
+   * $engine.subscribeAndHandleEventByChannelName('UserCreated', ($event, channelName) => {}, { validateEventMessage: true });
    *
    * @argument {String} channelName
    * @argument {Function} handlerCallback
+   * @argument {Object} [options]
+   * @argument {Boolean} [options.validateEventMessage=false]
    *
    * @returns {Promise<Object>}
    */
-  subscribeAndHandleEventByChannelName (channelName, handlerCallback) {
+  subscribeAndHandleEventByChannelName (channelName, handlerCallback, options = {}) {
+    const { validateEventMessage = false } = options;
+
     if (!this.eventHandlerByChannelName.hasOwnProperty(channelName)) {
       this.eventHandlerByChannelName[channelName] = [];
       this.$eventSubscriberDatastore.subscribeToChannelName(channelName);
 
-      this.$eventSubscriberDatastore.handleEventByChannelName(channelName, async ($event) => {
+      this.$eventSubscriberDatastore.handleEventByChannelName(channelName, async ($event, matchedChannelName = channelName) => {
         const { meta: { correlationID } } = $event;
         const timestamp = Date.now();
-        // Keep the event referenced for 5 minutes...
-        const eventTTL = 1000 * 60 * 5;
         const eventItemKey = (correlationID) ? NucleusResource.generateItemKey($event.type, $event.name, correlationID) : $event.generateOwnItemKey();
-        const [ eventWasHandled ] = await this.$engineDatastore.evaluateLUAScriptByName('HandleEventQueuing', 'HandledEventItemKeyList', timestamp, timestamp + eventTTL, eventItemKey);
+        // An event is delivered once for its channel and once for every matching pattern; each is handled once.
+        const handledEventItemKey = (NucleusDatastore.verifyThatChannelNameIsPattern(channelName)) ? `${eventItemKey}:${channelName}` : eventItemKey;
+        // The event is remembered as handled for as long as it can be replayed, ie: the event retention window.
+        const [ eventWasHandled ] = await this.$engineDatastore.evaluateLUAScriptByName('HandleEventQueuing', 'HandledEventItemKeyList', timestamp, timestamp + this.eventTTL, handledEventItemKey);
 
         if (!!eventWasHandled) return;
 
         this.eventHandlerByChannelName[channelName]
           .map((handlerCallback) => {
 
-            return handlerCallback.call(this, $event);
+            return Promise.try(() => handlerCallback.call(this, $event, matchedChannelName))
+              .catch(nucleusValidator.StructError, (error) => {
+                this.$logger.warn(`The event "${$event.name} (${$event.ID})" does not validate against its schema and was not handled: ${error}`, { channelName: matchedChannelName, correlationID, eventID: $event.ID, eventName: $event.name });
+              })
+              .catch((error) => {
+                this.$logger.error(`The event "${$event.name} (${$event.ID})" of channel "${matchedChannelName}" could not be handled: ${error}`, { channelName: matchedChannelName, correlationID, eventID: $event.ID, eventName: $event.name });
+              });
           });
       });
     }
 
-    this.eventHandlerByChannelName[channelName].push(handlerCallback);
+    this.eventHandlerByChannelName[channelName].push((validateEventMessage) ? generateEventMessageValidationHandlerCallback(handlerCallback) : handlerCallback);
   }
 
   /**
-   * Publishes an action given a queue name.
+   * Subscribes and handles the durable events of a channel as part of a consumer group.
+   * Every consumer group receives each event once and the events are balanced between the group's engines; an event is
+   * redelivered until a handler callback succeeds. By default, every instance of an engine joins the same group.
    * @example
-   * const queueName = 'Dummy';
-   * const $action = new NucleusAction('DummyAction', {});
-   *
-   * $engine.publishActionToQueueByName(queueName, $action);
+   * $engine.subscribeAndHandleEventStreamByChannelName('UserCreated', ($event, channelName) => {}, { consumerGroupName: 'Mailer' });
    *
-   * @argument {String} actionQueueName
-   * @argument {NucleusAction} $action
+   * @argument {String} channelName
+   * @argument {Function} handlerCallback
+   * @argument {Object} [options]
+   * @argument {String} [options.consumerGroupName=<Engine's name>]
+   * @argument {Boolean} [options.validateEventMessage=false] - An event that does not validate against its schema is acknowledged without being handled.
    *
-   * @returns {Promise<Object>}
+   * @returns {Promise<{ channelName: String, consumerGroupName: String }>}
    */
-  async publishActionToQueueByName (actionQueueName, $action) {
-    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action queue name must be a string.");
+  async subscribeAndHandleEventStreamByChannelName (channelName, handlerCallback, options = {}) {
+    if (!nucleusValidator.isString(channelName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event channel name must be a string.");
+    if (NucleusDatastore.verifyThatChannelNameIsPattern(channelName)) throw new NucleusError.UnexpectedValueNucleusError(`The event stream of channel "${channelName}" can't be subscribed using a pattern.`);
+    if (!nucleusValidator.isFunction(handlerCallback)) throw new NucleusError.UnexpectedValueTypeNucleusError("The handler callback must be a function.");
+    const { consumerGroupName = this.name, validateEventMessage = false } = options;
+
+    const eventStreamConsumerName = `${channelName}:${consumerGroupName}`;
+
+    if (validateEventMessage) handlerCallback = generateEventMessageValidationHandlerCallback(handlerCallback);
+
+    if (this.eventStreamConsumerByName.hasOwnProperty(eventStreamConsumerName)) {
+      this.eventStreamConsumerByName[eventStreamConsumerName].handlerCallbackList.push(handlerCallback);
+
+      return { channelName, consumerGroupName };
+    }
+
+    const eventStreamItemKey = `${EVENT_STREAM_TABLE_NAME}:${channelName}`;
+
+    // The group only receives the events published from now on.
+    await this.$eventDatastore.$$server.xgroupAsync('CREATE', eventStreamItemKey, consumerGroupName, '$', 'MKSTREAM')
+      .catch((error) => {
+        if (!/BUSYGROUP/.test(error.message)) throw error;
+      });
+
+    // Reading from a stream blocks the connection.
+    const $eventStreamConsumerDatastore = this.$handlerDatastoreByName[`${eventStreamConsumerName}EventStreamConsumer`] =
+      this.monitorDatastoreConnection(`${eventStreamConsumerName}EventStreamConsumer`, this.$eventDatastore.duplicateConnection());
+    const eventStreamConsumer = this.eventStreamConsumerByName[eventStreamConsumerName] = {
+      channelName,
+      consumerGroupName,
+      eventStreamItemKey,
+      handlerCallbackList: [ handlerCallback ],
+      isStopped: false,
+      $eventStreamConsumerDatastore
+    };
+
+    this.$logger.debug(`Consuming the event stream of channel "${channelName}" as part of the consumer group "${consumerGroupName}".`, { channelName, consumerGroupName });
+
+    this.consumeEventStream(eventStreamConsumer);
+
+    return { channelName, consumerGroupName };
+  }
+
+  /**
+   * Logs the lifecycle of the connection of a datastore given its name.
+   *
+   * @argument {String} datastoreName
+   * @argument {NucleusDatastore} $datastore
+   *
+   * @returns {NucleusDatastore}
+   */
+  monitorDatastoreConnection (datastoreName, $datastore) {
+    $datastore.on('end', () => {
+      if ($datastore.connectionStatus === NucleusDatastore.ClosedConnectionStatus) return;
+
+      this.$logger.warn(`The connection of the ${datastoreName} datastore of the ${this.name} engine was lost.`, { datastoreName });
+    });
+    $datastore.on('error', (error) => {
+      this.$logger.error(`The connection of the ${datastoreName} datastore of the ${this.name} engine failed: ${error}`, { datastoreName });
+    });
+    $datastore.on('ready', ({ connectionWasRestored }) => {
+      if (connectionWasRestored) this.$logger.info(`The connection of the ${datastoreName} datastore of the ${this.name} engine was restored.`, { datastoreName });
+    });
+    $datastore.on('reconnecting', ({ attempt, delay }) => {
+      this.$logger.info(`Reconnecting the ${datastoreName} datastore of the ${this.name} engine in ${delay}ms (attempt ${attempt})...`, { attempt, datastoreName, delay });
+    });
+
+    return $datastore;
+  }
+
+  /**
+   * Publishes all the recurring actions registered by this engine that are due to their action queue.
+   * Every engine that registered a recurring action races for a lock on each occurrence; only the winner publishes it.
+   * Occurrences that were missed while no engine was polling are skipped.
+   *
+   * @returns {Promise<{ actionItemKeyList: String[] }>}
+   */
+  async publishAllDueRecurringActions () {
+    const currentTimestamp = Date.now();
+    const actionItemKeyList = [];
+
+    await Promise.all(Object.keys(this.recurringActionScheduleByActionName)
+      .map(async (actionName) => {
+        const recurringActionSchedule = this.recurringActionScheduleByActionName[actionName];
+        const { cronExpression, nextOccurrenceTimestamp: occurrenceTimestamp } = recurringActionSchedule;
+
+        if (occurrenceTimestamp > currentTimestamp) return;
+
+        recurringActionSchedule.nextOccurrenceTimestamp = nucleusCron.retrieveNextOccurrenceTimestamp(cronExpression, currentTimestamp);
+
+        const lockItemKey = this.generateActionItemKey(`${RECURRING_ACTION_LOCK_TABLE_NAME}:${actionName}:${occurrenceTimestamp}`);
+        const lockWasAcquired = await this.$actionDatastore.$$server.setAsync(lockItemKey, this.ID, 'NX', 'PX', this.actionTTL);
+
+        if (!lockWasAcquired) return;
+
+        const $action = new NucleusAction(actionName, {}, { originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID: SYSTEM_USER_ID });
+        $action.meta.scheduledISOTime = new Date(occurrenceTimestamp).toISOString();
+
+        const actionQueueName = await this.retrieveActionQueueNameByActionName(actionName);
+
+        await this.publishActionToQueueByName(actionQueueName, $action);
+
+        actionItemKeyList.push(this.generateActionItemKey($action.generateOwnItemKey()));
+      }));
+
+    if (actionItemKeyList.length > 0) this.$logger.debug(`Published ${actionItemKeyList.length} recurring action${(actionItemKeyList.length > 1) ? 's' : ''}.`, { actionItemKeyList });
+
+    return { actionItemKeyList };
+  }
+
+  /**
+   * Publishes all the scheduled actions that are due to their action queue.
+   * The actions are moved atomically so that an action is published once even if many engines are polling.
+   *
+   * @returns {Promise<{ actionItemKeyList: String[] }>}
+   */
+  async publishAllDueScheduledActions () {
+    const actionItemKeyList = [];
+
+    while (true) {
+      const publishedActionItemKeyList = await this.$actionDatastore.evaluateLUAScriptByName('PublishAllDueScheduledActions', this.generateActionItemKey(SCHEDULED_ACTION_ITEM_KEY_LIST_TABLE_NAME), this.generateActionItemKey(SCHEDULED_ACTION_QUEUE_NAME_BY_ACTION_ITEM_KEY_TABLE_NAME), Date.now(), SCHEDULED_ACTION_BATCH_SIZE, ACTION_QUEUE_UPDATE_CHANNEL_TABLE_NAME, generateNotificationEventPayload('ActionQueueUpdated'));
+
+      actionItemKeyList.push(...publishedActionItemKeyList);
+
+      if (publishedActionItemKeyList.length < SCHEDULED_ACTION_BATCH_SIZE) break;
+    }
+
+    if (actionItemKeyList.length > 0) this.$logger.debug(`Published ${actionItemKeyList.length} scheduled action${(actionItemKeyList.length > 1) ? 's' : ''}.`, { actionItemKeyList });
+
+    return { actionItemKeyList };
+  }
+
+  /**
+   * Publishes an action to the dead letter queue.
+   * The action item is persisted so that it can be inspected, replayed or purged.
+   *
+   * @argument {NucleusAction} $action
+   *
+   * @returns {Promise<Object>}
+   */
+  publishActionToDeadLetterQueue ($action) {
+    if (!($action instanceof NucleusAction)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action is not a valid Nucleus action.");
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+
+    const actionItemKey = this.generateActionItemKey($action.generateOwnItemKey());
+
+    $action.meta.deadLetteredISOTime = new Date().toISOString();
+
+    this.$logger.warn(`The action "${actionName} (${actionID})" ran out of retries and has been moved to the dead letter queue.`, { actionID, actionName, correlationID });
+
+    return this.$actionDatastore.$$server.multi()
+      .hmset(actionItemKey, 'meta', $action.meta.toString(), 'status', $action.status, 'finalMessage', $action.finalMessage.toString())
+      // The action is kept until it is replayed or purged.
+      .persist(actionItemKey)
+      .zadd(this.generateActionItemKey(DEAD_LETTER_ACTION_QUEUE_ITEM_NAME_TABLE_NAME), Date.now(), actionItemKey)
+      .execAsync()
+      .return({ $action });
+  }
+
+  /**
+   * Publishes the status of an action to its reply channel once it is completed, failed or cancelled.
+   * The reply is always published so that a publisher using the reply channel transport can be notified by any engine.
+   *
+   * @argument {NucleusAction} $action
+   *
+   * @returns {Promise<{ channelName: String }>}
+   */
+  async publishActionReply ($action) {
+    if (!($action instanceof NucleusAction)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action is not a valid Nucleus action.");
+    const { ID: actionID, name: actionName, status: actionStatus } = $action;
+
+    const channelName = generateActionReplyChannelName(actionName, actionID);
+
+    await this.$actionDatastore.$$server.publishAsync(channelName, generateNotificationEventPayload('ActionStatusUpdated', { actionID, actionName, actionStatus }));
+
+    return { channelName };
+  }
+
+  /**
+   * Publishes the progress of an action to its publisher.
+   * The progress is only delivered to a publisher that is waiting for the response of the action; it is published
+   * through the action datastore so that it can't be received after the action's final message.
+   * @example
+   * await $engine.publishActionProgress($action, { exportedDummyCount: 100, dummyCount: 1000 });
+   *
+   * @argument {NucleusAction} $action
+   * @argument {Object} progressMessage
+   *
+   * @returns {Promise<{ channelName: String, $event: NucleusEvent }>}
+   */
+  async publishActionProgress ($action, progressMessage) {
+    if (!($action instanceof NucleusAction)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action is not a valid Nucleus action.");
+    if (!nucleusValidator.isObject(progressMessage)) throw new NucleusError.UnexpectedValueTypeNucleusError("The progress message must be an object.");
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+
+    const channelName = generateActionProgressChannelName(actionName, actionID);
+    const $event = new NucleusEvent('ActionProgressed', progressMessage, { actionID, correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID: $action.originUserID });
+
+    this.$logger.debug(`Publishing the progress of the action "${actionName} (${actionID})"...`, { actionID, actionName, correlationID });
+
+    await this.$actionDatastore.$$server.publishAsync(channelName, JSON.stringify($event));
+
+    return { channelName, $event };
+  }
+
+  /**
+   * Publishes an action given a queue name.
+   * @example
+   * const queueName = 'Dummy';
+   * const $action = new NucleusAction('DummyAction', {});
+   *
+   * $engine.publishActionToQueueByName(queueName, $action);
+   *
+   * @argument {String} actionQueueName
+   * @argument {NucleusAction} $action
+   *
+   * @returns {Promise<Object>}
+   */
+  async publishActionToQueueByName (actionQueueName, $action) {
+    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action queue name must be a string.");
     if (!($action instanceof NucleusAction)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action is not a valid Nucleus action.");
     const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
 
-    const { isMember: actionQueueNameRegistered } = await this.$actionDatastore.itemIsMemberOfSet(ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME, actionQueueName);
+    if ($action.status === NucleusAction.CancelledActionStatus) throw new NucleusError.ActionCancelledNucleusError(`The action "${actionName} (${actionID})" has been cancelled.`, { actionID, actionName });
+
+    const { isMember: actionQueueNameRegistered } = await this.$actionDatastore.itemIsMemberOfSet(this.generateActionItemKey(ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME), actionQueueName);
 
     if (!actionQueueNameRegistered) throw new NucleusError.UndefinedContextNucleusError(`The action queue name ${actionQueueName} doesn't exist or has not been properly registered.`);
 
-    this.$logger.debug(`Publishing action "${actionName} (${actionID})" to action queue "${actionQueueName}"...`, { actionID, actionName, actionQueueName, correlationID });
+    const actionPriority = $action.meta.priority || await this.retrieveActionPriorityByActionName(actionName);
 
-    const actionKeyName = $action.generateOwnItemKey();
+    this.$logger.debug(`Publishing action "${actionName} (${actionID})" to action queue "${actionQueueName}" with ${actionPriority.toLowerCase()} priority...`, { actionID, actionName, actionPriority, actionQueueName, correlationID });
 
+    const actionKeyName = this.generateActionItemKey($action.generateOwnItemKey());
+    const actionQueueItemKey = generateActionQueueItemKeyByPriority(this.$actionDatastore, actionQueueName, actionPriority);
+
+    $action.meta.priority = actionPriority;
     $action.updateStatus(NucleusAction.PendingActionStatus);
 
-    return this.$actionDatastore.$$server.multi()
-      // Store the action as a hash item.
-      .hmset(actionKeyName, 'ID', actionID, 'meta', $action.meta.toString(), 'name', actionName, 'status', $action.status, 'originalMessage', $action.originalMessage.toString(), 'originUserID', $action.originUserID)
-      // Add the action key name into the appropriate action queue.
-      .lpush(actionQueueName, actionKeyName)
-      // Expire the action in a set TTL, the action should be kept a little while for debugging but not for too long to
-      // prevent unnecessary memory bulk-up.
-      .pexpire(actionKeyName, this.actionTTL)
-      .execAsync()
-      .tap(() => {
-        this.$logger.debug(`The action "${actionName} (${actionID})" has been successfully published.`, { actionID, actionName, actionQueueName, correlationID });
-      })
-      .return({ actionQueueName, $action });
+    // The action is stored as a hash item and added to the action queue of its priority, unless it was cancelled in the
+    // meantime; the status is checked by the script so that a cancellation is never overwritten. The action is expired
+    // in a set TTL, it should be kept a little while for debugging but not for too long to prevent unnecessary memory
+    // bulk-up. The engines using the reply channel transport are notified that the action queue was updated.
+    const actionIsPublished = await this.$actionDatastore.evaluateLUAScriptByName('PublishActionToQueue', actionKeyName, actionQueueItemKey, this.actionTTL,
+      generateActionQueueUpdateChannelName(actionQueueItemKey), generateNotificationEventPayload('ActionQueueUpdated'),
+      'ID', actionID, 'meta', $action.meta.toString(), 'name', actionName, 'status', $action.status, 'originalMessage', $action.originalMessage.toString(), 'originUserID', $action.originUserID);
+
+    if (actionIsPublished === 0) {
+      $action.updateStatus(NucleusAction.CancelledActionStatus);
+
+      throw new NucleusError.ActionCancelledNucleusError(`The action "${actionName} (${actionID})" has been cancelled.`, { actionID, actionName });
+    }
+
+    this.$logger.debug(`The action "${actionName} (${actionID})" has been successfully published.`, { actionID, actionName, actionQueueName, correlationID });
+
+    return { actionQueueName, $action };
   }
 
   /**
    * Publishes an action given its name and a message, then handle the response.
+   * The publisher can stop waiting after a timeout or cancel the action using an `AbortSignal`; a cancelled action
+   * is removed from its action queue if it wasn't picked up yet.
+   * An action published again by the same user, for the same tenant if any, with the same idempotency key within the
+   * idempotency window is not executed again; the response of the original action is returned instead.
    * @example
    * const { dummy } = await $engine.publishActionByNameAndHandleResponse('RetrieveDummyByID', { dummyID }, originUserID);
+   * const { dummy } = await $engine.publishActionByNameAndHandleResponse('RetrieveDummyByID', { dummyID }, { originUserID, signal, timeout: 1000 * 5 });
+   * const { dummy } = await $engine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes }, { idempotencyKey: requestID, originUserID });
+   * const { exportURL } = await $engine.publishActionByNameAndHandleResponse('ExportAllDummies', {}, { onProgress: ({ exportedDummyCount }) => {}, originUserID });
    *
    * @argument {String} actionName
    * @argument {Object} actionMessage
-   * @argument {String} originUserID
+   * @argument {Object|String} options - The options or the origin user ID.
+   * @argument {String} [options.correlationID]
+   * @argument {String} [options.idempotencyKey]
+   * @argument {Number} [options.idempotencyWindow=<Engine's default action idempotency window>] - Can't exceed the action's TTL.
+   * @argument {Function} [options.onProgress] - Called with every progress message reported before the response.
+   * @argument {String} options.originUserID
+   * @argument {String} [options.priority=<Action's default priority>]
+   * @argument {AbortSignal} [options.signal]
+   * @argument {String} [options.tenantID] - Scopes the resources of the action to the tenant.
+   * @argument {Number} [options.timeout=<Engine's default action hangup timeout>] - The time in milliseconds to wait for a response; `0` waits indefinitely.
    *
    * @returns {Promise<Object>}
+   *
+   * @throws Will throw an `ActionTimeoutNucleusError` if the action is not completed in time.
+   * @throws Will throw an `ActionCancelledNucleusError` if the action is cancelled.
    */
   async publishActionByNameAndHandleResponse (actionName, actionMessage = {}, options = {}) {
     const originUserID = (nucleusValidator.isObject(options)) ? options.originUserID : options;
-    const correlationID = (nucleusValidator.isObject(options)) ? options.correlationID : undefined;
-    
+    const {
+      correlationID,
+      idempotencyKey,
+      idempotencyWindow = this.defaultActionIdempotencyWindow,
+      onProgress,
+      priority,
+      signal,
+      tenantID,
+      timeout = this.defaultActionHangupTimeout
+    } = (nucleusValidator.isObject(options)) ? options : {};
+
     if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action name must be a string.");
     if (!nucleusValidator.isObject(actionMessage)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action message must be an object.");
     if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
+    if (!!timeout && !nucleusValidator.isNumber(timeout)) throw new NucleusError.UnexpectedValueTypeNucleusError("The timeout must be a number.");
+    if (!!idempotencyKey && !nucleusValidator.isString(idempotencyKey)) throw new NucleusError.UnexpectedValueTypeNucleusError("The idempotency key must be a string.");
+    if (!!onProgress && !nucleusValidator.isFunction(onProgress)) throw new NucleusError.UnexpectedValueTypeNucleusError("The progress callback must be a function.");
+    if (!!signal && signal.aborted) throw new NucleusError.ActionCancelledNucleusError(`The action "${actionName}" was cancelled before being published.`);
 
-    const actionQueueName = await this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName);
+    const actionQueueName = await this.$actionDatastore.retrieveItemFromHashFieldByName(this.generateActionItemKey(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME), actionName);
     if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError(`Could not executed the action "${actionName}" because it wasn't registered properly.`);
 
-    const $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID });
+    let $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, priority, tenantID });
+
+    // The idempotency key is scoped to the user and to the tenant so that a key chosen by a user never matches another's action.
+    const idempotencyItemKey = (!!idempotencyKey) ?
+      this.generateActionItemKey([ ACTION_IDEMPOTENCY_KEY_TABLE_NAME, tenantID, originUserID, actionName, idempotencyKey ].filter(Boolean).join(':')) :
+      undefined;
+    // The original action must outlive its idempotency key so that its final message can be returned.
+    const [ actionIsDuplicateFlag, originalActionItemKey ] = (!!idempotencyItemKey) ?
+      await this.$actionDatastore.evaluateLUAScriptByName('HandleActionIdempotency', idempotencyItemKey, this.generateActionItemKey($action.generateOwnItemKey()), Math.min(idempotencyWindow, this.actionTTL)) :
+      [ 0 ];
+    const actionIsDuplicate = actionIsDuplicateFlag === 1;
+
+    if (actionIsDuplicate) {
+      const originalActionID = originalActionItemKey.split(':').pop();
+
+      this.$logger.debug(`The action "${actionName} (${originalActionID})" was already published with the idempotency key "${idempotencyKey}".`, { actionID: originalActionID, actionName, correlationID, idempotencyKey });
+
+      $action = new NucleusAction({ ID: originalActionID, meta: {}, name: actionName, originalMessage: actionMessage, originUserID });
+    }
+
+    const { ID: actionID } = $action;
+
+    const actionItemKey = this.generateActionItemKey($action.generateOwnItemKey());
+    const channelName = (this.actionTransport === ReplyChannelActionTransport) ?
+      generateActionReplyChannelName(actionName, actionID) :
+      `__keyspace@${this.$actionDatastore.index}__:${actionItemKey}`;
+    const progressChannelName = generateActionProgressChannelName(actionName, actionID);
+    const subscribedChannelNameList = (!!onProgress) ? [ channelName, progressChannelName ] : [ channelName ];
+
+    const $actionSubscriberDatastore = (this.$handlerDatastoreByName.hasOwnProperty('ActionSubscriber')) ?
+      this.$handlerDatastoreByName['ActionSubscriber'] :
+      (this.$handlerDatastoreByName['ActionSubscriber'] = this.monitorDatastoreConnection('ActionSubscriber', this.$actionDatastore.duplicateConnection()));
+
+    let actionResponseIsSettled = false;
+    let actionTimeoutID;
+    let handleAbort;
 
     const $$actionResponsePromise = new Promise(async (resolve, reject) => {
-      const actionItemKey = $action.generateOwnItemKey();
+      await $actionSubscriberDatastore;
+
+      if (this.actionTransport === ReplyChannelActionTransport) {
+        $actionSubscriberDatastore.handleEventByChannelName(channelName, () => {
+
+          return this.handleActionStatusUpdated(actionItemKey, actionID, actionName, resolve, reject)
+            .catch((reason) => {
+              if (reason instanceof Error) reject(new NucleusError(`Could not handle the action's response because of an external error: ${reason}`, { error: reason }));
+            });
+        });
+      } else $actionSubscriberDatastore.handleEventByChannelName(channelName, this.handleActionChannelRedisEvent.bind(this, $actionSubscriberDatastore, resolve, reject));
+
+      // The progress and the final message are not guaranteed to be received in order, ie: they can be published on
+      // different connections of the pool or the final message can be a keyspace notification; the progress received
+      // once the response is settled is ignored.
+      if (!!onProgress) {
+        $actionSubscriberDatastore.handleEventByChannelName(progressChannelName, ($event) => {
+          if (actionResponseIsSettled) return;
+
+          return Promise.try(() => onProgress($event.message))
+            .catch((error) => {
+              this.$logger.warn(`The progress callback of the action "${actionName} (${actionID})" failed: ${error}`, { actionID, actionName, correlationID, error });
+            });
+        });
+      }
+
+      await $actionSubscriberDatastore.subscribeToChannelNameList(subscribedChannelNameList);
+
+      if (timeout > 0) {
+        actionTimeoutID = setTimeout(() => {
+          reject(new NucleusError.ActionTimeoutNucleusError(`The action "${actionName} (${actionID})" did not complete within ${timeout}ms.`, { actionID, actionName, timeout }));
+        }, timeout);
+      }
+
+      if (!!signal) {
+        handleAbort = () => {
+          this.cancelAction($action)
+            .then(() => {
+              reject(new NucleusError.ActionCancelledNucleusError(`The action "${actionName} (${actionID})" has been cancelled.`, { actionID, actionName }));
+            })
+            .catch(reject);
+        };
+
+        addAbortListener(signal, handleAbort);
+      }
+
+      // The original action might already be completed or failed; otherwise, its next update will settle the response.
+      if (actionIsDuplicate) {
+        this.handleActionStatusUpdated(actionItemKey, actionID, actionName, resolve, reject)
+          .catch(() => {});
+
+        return;
+      }
+
+      process.nextTick(() => {
+        this.publishActionToQueueByName(actionQueueName, $action)
+          .catch((error) => {
+            if (error instanceof NucleusError.ActionCancelledNucleusError) return;
+
+            // A publication that failed must not be mistaken for the original action by a later attempt.
+            if (!!idempotencyItemKey) this.$actionDatastore.removeItemByName(idempotencyItemKey);
+
+            reject(new NucleusError(`Could not publish the action because of an external error: ${error}`, { error }));
+          });
+      });
+    });
+
+    return Promise.resolve($$actionResponsePromise)
+      .finally(() => {
+        actionResponseIsSettled = true;
+        clearTimeout(actionTimeoutID);
+
+        if (!!handleAbort) removeAbortListener(signal, handleAbort);
+
+        // The channel is already unsubscribed if the action was completed or failed, but not if the publisher gave up.
+        return $actionSubscriberDatastore.unsubscribeFromChannelNameList(subscribedChannelNameList);
+      });
+  }
+
+  /**
+   * Publishes a batch of actions given their name and a list of messages, then handle the responses.
+   * Every action is published in a single transaction and the responses are handled through a single subscription;
+   * an action that fails does not fail the batch, its error is reported in its result instead.
+   * @example
+   * const { actionResultList, failedActionCount } = await $engine.publishBatchActionByNameAndHandleResponse('RetrieveUserByID', userIDList.map(userID => ({ userID })), { originUserID, timeout: 1000 * 5 });
+   * const userList = actionResultList
+   *   .filter(({ actionStatus }) => actionStatus === NucleusAction.CompletedActionStatus)
+   *   .map(({ finalMessage: { user } }) => user);
+   *
+   * @argument {String} actionName
+   * @argument {Object[]} actionMessageList
+   * @argument {Object|String} options - The options or the origin user ID.
+   * @argument {String} [options.correlationID]
+   * @argument {String} options.originUserID
+   * @argument {String} [options.priority=<Action's default priority>]
+   * @argument {String} [options.tenantID] - Scopes the resources of every action to the tenant.
+   * @argument {Number} [options.timeout=<Engine's default action hangup timeout>] - The time in milliseconds to wait for every response; `0` waits indefinitely.
+   *
+   * @returns {Promise<{ actionResultList: Array<{ actionID: String, actionStatus: String, error: NucleusError, finalMessage: Object }>, completedActionCount: Number, failedActionCount: Number }>}
+   *
+   * @throws Will throw an error if the actions could not be published.
+   */
+  async publishBatchActionByNameAndHandleResponse (actionName, actionMessageList = [], options = {}) {
+    const originUserID = (nucleusValidator.isObject(options)) ? options.originUserID : options;
+    const {
+      correlationID,
+      priority,
+      tenantID,
+      timeout = this.defaultActionHangupTimeout
+    } = (nucleusValidator.isObject(options)) ? options : {};
+
+    if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action name must be a string.");
+    if (!nucleusValidator.isArray(actionMessageList) || !actionMessageList.every(nucleusValidator.isObject)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action message list must be a list of object.");
+    if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
+    if (!!timeout && !nucleusValidator.isNumber(timeout)) throw new NucleusError.UnexpectedValueTypeNucleusError("The timeout must be a number.");
+
+    if (actionMessageList.length === 0) return { actionResultList: [], completedActionCount: 0, failedActionCount: 0 };
+
+    const actionQueueName = await this.$actionDatastore.retrieveItemFromHashFieldByName(this.generateActionItemKey(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME), actionName);
+    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError(`Could not executed the action "${actionName}" because it wasn't registered properly.`);
+
+    const actionPriority = priority || await this.retrieveActionPriorityByActionName(actionName);
+
+    const $actionList = actionMessageList
+      .map((actionMessage) => {
+        const $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, priority: actionPriority, tenantID });
+
+        $action.updateStatus(NucleusAction.PendingActionStatus);
+
+        return $action;
+      });
+    const channelNameList = $actionList
+      .map(($action) => {
+
+        return (this.actionTransport === ReplyChannelActionTransport) ?
+          generateActionReplyChannelName(actionName, $action.ID) :
+          `__keyspace@${this.$actionDatastore.index}__:${this.generateActionItemKey($action.generateOwnItemKey())}`;
+      });
+
+    const $actionSubscriberDatastore = (this.$handlerDatastoreByName.hasOwnProperty('ActionSubscriber')) ?
+      this.$handlerDatastoreByName['ActionSubscriber'] :
+      (this.$handlerDatastoreByName['ActionSubscriber'] = this.monitorDatastoreConnection('ActionSubscriber', this.$actionDatastore.duplicateConnection()));
+
+    const actionResultByActionID = {};
+    let batchTimeoutID;
+
+    const $$batchActionResponsePromise = new Promise(async (resolve) => {
+      const settleAction = (actionID, actionResult) => {
+        if (actionResultByActionID.hasOwnProperty(actionID)) return;
+
+        actionResultByActionID[actionID] = Object.assign({ actionID }, actionResult);
+
+        if (Object.keys(actionResultByActionID).length === $actionList.length) resolve();
+      };
 
-      const actionDatastoreIndex = this.$actionDatastore.index;
-      const $actionSubscriberDatastore = (this.$handlerDatastoreByName.hasOwnProperty('ActionSubscriber')) ?
-        this.$handlerDatastoreByName['ActionSubscriber'] : (this.$handlerDatastoreByName['ActionSubscriber'] = this.$actionDatastore.duplicateConnection());
+      const settleAllPendingActions = (generateError) => {
+        $actionList
+          .filter(({ ID: actionID }) => !actionResultByActionID.hasOwnProperty(actionID))
+          .forEach(({ ID: actionID, status: actionStatus }) => {
+            settleAction(actionID, { actionStatus, error: generateError(actionID) });
+          });
+      };
+
+      const handleBatchActionStatusUpdated = ($action) => {
+        const { ID: actionID } = $action;
+
+        if (actionResultByActionID.hasOwnProperty(actionID)) return;
+
+        this.handleActionStatusUpdated(this.generateActionItemKey($action.generateOwnItemKey()), actionID, actionName)
+          .then(({ actionStatus, actionFinalMessage }) => {
+            if (actionStatus === NucleusAction.CompletedActionStatus) settleAction(actionID, { actionStatus, finalMessage: actionFinalMessage });
+          })
+          .catch((reason) => {
+            if (reason instanceof Error) settleAction(actionID, { actionStatus: NucleusAction.PendingActionStatus, error: new NucleusError(`Could not handle the action's response because of an external error: ${reason}`, { error: reason }) });
+            // An action that failed without an error is still reported as failed.
+            else if (!reason.error) settleAction(actionID, { actionStatus: reason.actionStatus, error: new NucleusError(`The action "${actionName} (${actionID})" has failed.`, { actionID, actionName }) });
+            else settleAction(actionID, reason);
+          });
+      };
 
       await $actionSubscriberDatastore;
 
-      const channelName = `__keyspace@${actionDatastoreIndex}__:${actionItemKey}`;
+      $actionList
+        .forEach(($action, index) => {
+          $actionSubscriberDatastore.handleEventByChannelName(channelNameList[index], (this.actionTransport === ReplyChannelActionTransport) ?
+            handleBatchActionStatusUpdated.bind(null, $action) :
+            (channelName, redisCommand) => {
+              if (redisCommand === 'hset' || redisCommand === 'hmset') handleBatchActionStatusUpdated($action);
+            });
+        });
+
+      await $actionSubscriberDatastore.subscribeToChannelNameList(channelNameList);
 
-      $actionSubscriberDatastore.handleEventByChannelName(channelName, this.handleActionChannelRedisEvent.bind(this, $actionSubscriberDatastore, resolve, reject));
+      if (timeout > 0) {
+        batchTimeoutID = setTimeout(() => {
+          settleAllPendingActions(actionID => new NucleusError.ActionTimeoutNucleusError(`The action "${actionName} (${actionID})" did not complete within ${timeout}ms.`, { actionID, actionName, timeout }));
+        }, timeout);
+      }
 
-      await $actionSubscriberDatastore.subscribeToChannelName(channelName);
+      this.$logger.debug(`Publishing a batch of ${$actionList.length} "${actionName}" actions to action queue "${actionQueueName}" with ${actionPriority.toLowerCase()} priority...`, { actionName, actionPriority, actionQueueName, correlationID });
 
-      if (!actionName) throw new NucleusError.UndefinedContextNucleusError(`Can't publish action "${actionName}" because the action queue couldn't be retrieved.`);
+      const $$multi = this.$actionDatastore.$$server.multi();
 
-      try {
+      const actionQueueItemKey = generateActionQueueItemKeyByPriority(this.$actionDatastore, actionQueueName, actionPriority);
 
-        process.nextTick(this.publishActionToQueueByName.bind(this, actionQueueName, $action));
-      } catch (error) {
+      $actionList
+        .forEach(($action) => {
+          const actionKeyName = this.generateActionItemKey($action.generateOwnItemKey());
+
+          $$multi
+            .hmset(actionKeyName, 'ID', $action.ID, 'meta', $action.meta.toString(), 'name', actionName, 'status', $action.status, 'originalMessage', $action.originalMessage.toString(), 'originUserID', $action.originUserID)
+            .lpush(actionQueueItemKey, actionKeyName)
+            .pexpire(actionKeyName, this.actionTTL);
+        });
+
+      $$multi
+        .publish(generateActionQueueUpdateChannelName(actionQueueItemKey), generateNotificationEventPayload('ActionQueueUpdated'))
+        .execAsync()
+        .then(() => {
+          this.$logger.debug(`The batch of ${$actionList.length} "${actionName}" actions has been successfully published.`, { actionName, actionQueueName, correlationID });
+        })
+        .catch((error) => {
+          settleAllPendingActions(() => new NucleusError(`Could not publish the batch of actions because of an external error: ${error}`, { error }));
+        });
+    });
+
+    return Promise.resolve($$batchActionResponsePromise)
+      .then(() => {
+        const actionResultList = $actionList.map(({ ID: actionID }) => actionResultByActionID[actionID]);
+        const completedActionCount = actionResultList.filter(({ actionStatus }) => actionStatus === NucleusAction.CompletedActionStatus).length;
+
+        return { actionResultList, completedActionCount, failedActionCount: actionResultList.length - completedActionCount };
+      })
+      .finally(() => {
+        clearTimeout(batchTimeoutID);
+
+        return $actionSubscriberDatastore.unsubscribeFromChannelNameList(channelNameList);
+      });
+  }
+
+  /**
+   * Handles an action channel's Redis events.
+   * This is used to trigger a check of the action's status in the attempt of resolving a publisher's request.
+   * _This method is tightly coupled with the #publishActionByNameAndHandleResponse and should be refactored._
+   *
+   * @argument {NucleusDatastore} $actionSubscriberDatastore
+   * @argument {Promise.resolve} resolve - The resolver to call when the action is completed.
+   * @argument {Promise.reject} reject - The rejecter to call when the action is failed.
+   * @argument {String} channelName
+   * @argument {String} redisCommand
+   *
+   * @returns {Promise<void>}
+   */
+  async handleActionChannelRedisEvent ($actionSubscriberDatastore, resolve, reject, channelName, redisCommand) {
+    if (redisCommand !== 'hset' && redisCommand !== 'hmset') return;
+
+    try {
+      // The action item key may be hash tagged, ie: `__keyspace@0__:{Action}:NucleusAction:<name>:<ID>`.
+      const actionItemKey = channelName.slice(channelName.indexOf(':') + 1);
+      const [ actionName, actionID ] = actionItemKey.split(':').slice(-2);
+
+      const { actionStatus } = await this.handleActionStatusUpdated(actionItemKey, actionID, actionName, resolve, reject);
+
+      if (
+        actionStatus === NucleusAction.CancelledActionStatus ||
+        actionStatus === NucleusAction.CompletedActionStatus ||
+        actionStatus === NucleusAction.FailedActionStatus
+      ) {
+        $actionSubscriberDatastore.unsubscribeFromChannelName(channelName);
+      }
+
+    } catch (reason) {
+      // The action has been cancelled or has failed; the response has already been rejected.
+      if (!(reason instanceof Error)) return $actionSubscriberDatastore.unsubscribeFromChannelName(channelName);
+
+      reject(new NucleusError(`Could not handle the action's response because of an external error: ${reason}`, { error: reason }));
+    }
+  }
+
+  /**
+   * Handles an action that failed: the action is retried according to its retry policy or marked as failed.
+   *
+   * @argument {NucleusAction} $action
+   * @argument {NucleusError} error
+   * @argument {Boolean} errorIsRetriable
+   * @argument {actionConfiguration} [actionConfiguration]
+   *
+   * @returns {Promise<void>}
+   */
+  async handleActionFailure ($action, error, errorIsRetriable, actionConfiguration) {
+    const { maximumRetryCount = this.defaultActionMaximumRetryCount, retryBackoffDelay = this.defaultActionRetryBackoffDelay } = actionConfiguration || {};
+    const { retryCount = 0 } = $action.meta;
+
+    if (errorIsRetriable && retryCount < Number(maximumRetryCount)) {
+      // The delay doubles on every attempt: 1s, 2s, 4s...
+      await this.retryAction($action, error, Number(retryBackoffDelay) * Math.pow(2, retryCount));
+
+      return;
+    }
+
+    $action.updateStatus(NucleusAction.FailedActionStatus);
+    $action.updateMessage({ error });
+
+    // An action that ran out of retries is kept in the dead letter queue so it can be inspected or replayed.
+    if (errorIsRetriable && Number(maximumRetryCount) > 0) await this.publishActionToDeadLetterQueue($action);
+    else await this.$actionDatastore.addItemToHashFieldByName(this.generateActionItemKey($action.generateOwnItemKey()), 'meta', $action.meta, 'status', $action.status, 'finalMessage', $action.finalMessage);
+
+    await this.publishActionReply($action);
+  }
+
+  /**
+   * Handles an action's status update.
+   * _This method is tightly coupled with the #publishActionByNameAndHandleResponse and should be refactored._
+   *
+   * @argument {String} actionItemKey
+   * @argument {String} actionID
+   * @argument {String} actionName
+   * @argument {Promise.resolve} [resolve]
+   * @argument {Promise.reject} [reject]
+   *
+   * @returns {Promise}
+   */
+  async handleActionStatusUpdated (actionItemKey, actionID, actionName, resolve, reject) {
+    const [ actionFinalMessage, actionStatus ] = await this.$actionDatastore.retrieveItemFromHashFieldByName(actionItemKey, 'finalMessage', 'status');
+
+    if (actionStatus === NucleusAction.CancelledActionStatus) {
+      this.$logger.debug(`The action "${actionName} (${actionID})" has been cancelled.`);
+      const error = new NucleusError.ActionCancelledNucleusError(`The action "${actionName} (${actionID})" has been cancelled.`, { actionID, actionName });
+
+      if (reject) reject(error);
+
+      return Promise.reject({ actionStatus, error });
+    }
+
+    if (actionStatus === NucleusAction.CompletedActionStatus || actionStatus === NucleusAction.FailedActionStatus) {
+      this.$logger.debug(`The action "${actionName} (${actionID})" status has been updated to "${actionStatus}".`);
+      // Resolve or reject the promise with the final message base on the action's status.
+      if (actionStatus === NucleusAction.CompletedActionStatus) {
+        if (resolve) resolve(actionFinalMessage);
+        return Promise.resolve({ actionStatus, actionFinalMessage });
+      }
+      else if (nucleusValidator.isObject(actionFinalMessage) && 'error' in actionFinalMessage) {
+        const errorAttributes = actionFinalMessage.error;
+        const NucleusErrorType = (Object.keys(NucleusError).includes(errorAttributes.name)) ? NucleusError[errorAttributes.name] : NucleusError;
+
+        if (reject) reject(new NucleusErrorType(errorAttributes.message, {error: errorAttributes}));
+
+        return Promise.reject({ actionStatus, error: new NucleusErrorType(errorAttributes.message, {error: errorAttributes}) });
+      }
+
+      // The action has failed without an error, ie: its final message was never stored.
+      if (reject) reject({ actionStatus });
+
+      return Promise.reject({ actionStatus });
+    }
+
+    return { actionStatus };
+  }
+
+  /**
+   * Handles an entry of an event stream; the entry is acknowledged once every handler callback succeeded, otherwise it
+   * stays pending until it is reclaimed.
+   *
+   * @argument {Object} eventStreamConsumer
+   * @argument {Array} eventStreamEntry
+   *
+   * @returns {Promise<void>}
+   */
+  async handleEventStreamEntry (eventStreamConsumer, [ eventStreamEntryID, eventStreamEntryFieldList ]) {
+    const { channelName, consumerGroupName, eventStreamItemKey, handlerCallbackList } = eventStreamConsumer;
+    const { meta, message, name } = NucleusDatastore.parseItem(eventStreamEntryFieldList[eventStreamEntryFieldList.indexOf('event') + 1]);
+    const $event = new NucleusEvent(name, message, Object.assign({}, meta, { originUserID: meta.authorUserID }));
+
+    try {
+      await Promise.all(handlerCallbackList
+        .map((handlerCallback) => {
+
+          return Promise.resolve(handlerCallback.call(this, $event, channelName));
+        }));
+
+      await this.$eventDatastore.$$server.xackAsync(eventStreamItemKey, consumerGroupName, eventStreamEntryID);
+    } catch (error) {
+      // An event that does not validate would never be handled; it is not redelivered.
+      if (error instanceof nucleusValidator.StructError) {
+        this.$logger.error(`The event "${name} (${$event.ID})" does not validate against its schema and is discarded: ${error}`, { channelName, consumerGroupName, eventID: $event.ID, eventName: name, eventStreamEntryID });
+
+        return this.$eventDatastore.$$server.xackAsync(eventStreamItemKey, consumerGroupName, eventStreamEntryID);
+      }
+
+      this.$logger.warn(`The event "${name} (${$event.ID})" could not be handled and will be reclaimed: ${error}`, { channelName, consumerGroupName, eventID: $event.ID, eventName: name, eventStreamEntryID });
+    }
+  }
+
+  /**
+   * Publishes an event given a channel name.
+   * A durable event is also written to the channel's event stream so that the consumer groups that are offline receive
+   * it once they are back.
+   * The event message is validated against the event's schema, if any.
+   * @example
+   * const channelName = 'Dummy';
+   * const $event = new NucleusEvent('DummyEvent', {});
+   *
+   * $engine.publishEventToChannelByName(channelName, $event);
+   * $engine.publishEventToChannelByName(channelName, $event, { durable: true });
+   *
+   * @argument {String} channelName
+   * @argument {NucleusEvent} $event
+   * @argument {Object} [options]
+   * @argument {Boolean} [options.durable=<Engine's publish durable events>]
+   *
+   * @returns {Promise<Object>}
+   *
+   * @throws Will throw an error if the event message does not validate against the event's schema.
+   */
+  async publishEventToChannelByName (channelName, $event, options = {}) {
+    if (!nucleusValidator.isString(channelName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event channel name must be a string.");
+    if (!($event instanceof NucleusEvent)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event is not a valid Nucleus event.");
+    const { ID: eventID, meta: { correlationID }, name: eventName } = $event;
+    const { durable = this.publishDurableEvents } = options;
+
+    await this.validateEventMessage($event);
+
+    this.$logger.debug(`Publishing event "${eventName} (${eventID})" to channel "${channelName}"...`, { channelName, correlationID, eventID, eventName });
+
+    const timestamp = Date.now();
+
+    const eventKeyName = $event.generateOwnItemKey();
+    const $$multi = this.$eventDatastore.$$server.multi();
+
+    if (durable) $$multi.xadd(`${EVENT_STREAM_TABLE_NAME}:${channelName}`, 'MAXLEN', '~', this.eventStreamMaximumLength, '*', 'event', JSON.stringify($event));
+
+    return $$multi
+      // Store the event as a hash item.
+      .hmset(eventKeyName, 'ID', $event.ID, 'message', $event.message.toString(), 'meta', $event.meta.toString(), 'name', $event.name)
+      // Add the event key name to a local set, ordered by publication time.
+      .zadd(channelName, timestamp, eventKeyName)
+      // Remove the events that are older than the retention window from the set.
+      .zremrangebyscore(channelName, 0, timestamp - this.eventTTL)
+      // Expire the event in a set TTL.
+      .pexpire(eventKeyName, this.eventTTL)
+      // Publish the event through Redis for other engine.
+      .publish(channelName, JSON.stringify($event))
+      .execAsync()
+      .tap(() => {
+        this.$logger.debug(`The event "${eventName} (${eventID})" has been successfully published.`, { channelName, correlationID, eventID, eventName });
+      })
+      .return({ channelName, $event });
+  }
+
+  /**
+   * Purges every action from the dead letter queue.
+   *
+   * @returns {Promise<{ actionItemKeyList: String[] }>}
+   */
+  async purgeAllDeadLetterActions () {
+    const actionItemKeyList = await this.$actionDatastore.$$server.zrangeAsync(this.generateActionItemKey(DEAD_LETTER_ACTION_QUEUE_ITEM_NAME_TABLE_NAME), 0, -1);
+
+    this.$logger.info(`Purging ${actionItemKeyList.length} action${(actionItemKeyList.length > 1) ? 's' : ''} from the dead letter queue...`);
+
+    await this.$actionDatastore.$$server.delAsync([ this.generateActionItemKey(DEAD_LETTER_ACTION_QUEUE_ITEM_NAME_TABLE_NAME) ].concat(actionItemKeyList));
+
+    return { actionItemKeyList };
+  }
+
+  /**
+   * Purges an action from the dead letter queue given its ID.
+   *
+   * @argument {String} actionID
+   *
+   * @returns {Promise<{ actionItemKey: String }>}
+   *
+   * @throws Will throw an error if the action is not in the dead letter queue.
+   */
+  async purgeDeadLetterActionByID (actionID) {
+    const actionItemKey = await this.retrieveDeadLetterActionItemKeyByActionID(actionID);
+
+    if (!actionItemKey) throw new NucleusError.UndefinedContextNucleusError(`The action "${actionID}" is not in the dead letter queue.`);
+
+    await this.$actionDatastore.$$server.multi()
+      .zrem(this.generateActionItemKey(DEAD_LETTER_ACTION_QUEUE_ITEM_NAME_TABLE_NAME), actionItemKey)
+      .del(actionItemKey)
+      .execAsync();
+
+    return { actionItemKey };
+  }
+
+  /**
+   * Reclaims the entries of an event stream that were delivered to a consumer of the group but not acknowledged in
+   * time, including this engine's own, and handles them again.
+   *
+   * @argument {Object} eventStreamConsumer
+   *
+   * @returns {Promise<{ reclaimedEventCount: Number }>}
+   */
+  async reclaimPendingEventStreamEntries (eventStreamConsumer) {
+    const { consumerGroupName, eventStreamItemKey } = eventStreamConsumer;
+
+    // Every pending entry is listed as `[ ID, consumer name, idle time, delivery count ]`.
+    const pendingEventStreamEntryList = await this.$eventDatastore.$$server.xpendingAsync(eventStreamItemKey, consumerGroupName, '-', '+', EVENT_STREAM_BATCH_SIZE);
+    const idleEventStreamEntryIDList = pendingEventStreamEntryList
+      .filter(([ , , idleTime ]) => idleTime >= this.eventStreamPendingTimeout)
+      .map(([ eventStreamEntryID ]) => eventStreamEntryID);
+
+    if (idleEventStreamEntryIDList.length === 0) return { reclaimedEventCount: 0 };
+
+    const eventStreamEntryList = (await this.$eventDatastore.$$server.xclaimAsync(eventStreamItemKey, consumerGroupName, this.ID, this.eventStreamPendingTimeout, ...idleEventStreamEntryIDList))
+      // An entry that was trimmed from the stream is claimed as `null`.
+      .filter(Boolean);
+
+    await Promise.each(eventStreamEntryList, this.handleEventStreamEntry.bind(this, eventStreamConsumer));
+
+    return { reclaimedEventCount: eventStreamEntryList.length };
+  }
+
+  /**
+   * Recovers the actions that were being processed by the engines that stopped sending heartbeats.
+   * Only one engine recovers the actions of a given dead engine.
+   *
+   * @returns {Promise<{ recoveredActionCount: Number }>}
+   */
+  async recoverAllOrphanedActions () {
+    const engineIDList = await this.$actionDatastore.$$server.smembersAsync(this.generateActionItemKey(ENGINE_ID_SET_TABLE_NAME));
+
+    let recoveredActionCount = 0;
+
+    await Promise.each(engineIDList, async (engineID) => {
+      if (engineID === this.ID) return;
+
+      const engineIsAlive = !!(await this.$actionDatastore.$$server.existsAsync(this.generateActionItemKey(`${ENGINE_HEARTBEAT_TABLE_NAME}:${engineID}`)));
+
+      if (engineIsAlive) return;
+
+      const lockAcquired = await this.$actionDatastore.$$server.setAsync(this.generateActionItemKey(`${ORPHANED_ACTION_RECOVERY_LOCK_TABLE_NAME}:${engineID}`), this.ID, 'NX', 'PX', this.engineHeartbeatTTL);
+
+      if (!lockAcquired) return;
+
+      const deadEngineActionProcessingListItemKey = this.generateActionItemKey(`${ACTION_PROCESSING_LIST_TABLE_NAME}:${engineID}`);
+
+      this.$logger.warn(`The engine "${engineID}" stopped responding, recovering its actions...`, { engineID });
+
+      let actionItemKey;
+
+      // Every action is moved to this engine's processing list first so that it can't be lost if this engine dies too.
+      while ((actionItemKey = await this.$actionDatastore.$$server.rpoplpushAsync(deadEngineActionProcessingListItemKey, this.actionProcessingListItemKey))) {
+        await this.recoverOrphanedActionByItemKey(actionItemKey);
+
+        recoveredActionCount++;
+      }
+
+      await this.$actionDatastore.$$server.sremAsync(this.generateActionItemKey(ENGINE_ID_SET_TABLE_NAME), engineID);
+    });
+
+    return { recoveredActionCount };
+  }
+
+  /**
+   * Recovers an action that was being processed by an engine that stopped responding.
+   * A pending action is requeued; an action that was executing is retried according to its retry policy or failed.
+   *
+   * @argument {String} actionItemKey
+   *
+   * @returns {Promise<void>}
+   */
+  async recoverOrphanedActionByItemKey (actionItemKey) {
+    const actionAttributes = await this.$actionDatastore.retrieveAllItemsFromHashByName(actionItemKey);
+
+    // The action expired.
+    if (nucleusValidator.isEmpty(actionAttributes)) {
+      await this.$actionDatastore.$$server.lremAsync(this.actionProcessingListItemKey, 0, actionItemKey);
+
+      return;
+    }
+
+    const $action = new NucleusAction(actionAttributes);
+    const { ID: actionID, meta: { correlationID }, name: actionName, status: actionStatus } = $action;
+
+    if (actionStatus === NucleusAction.PendingActionStatus) {
+
+      return this.requeueAction(await this.retrieveActionQueueNameByActionName(actionName), $action);
+    }
+
+    if (actionStatus === NucleusAction.ProcessingActionStatus) {
+      const actionConfiguration = await this.retrieveActionConfigurationByActionName(actionName);
+      const error = new NucleusError(`The engine executing the action "${actionName} (${actionID})" stopped responding.`, { actionID, actionName, correlationID });
+
+      this.$logger.warn(error.message, { actionID, actionName, correlationID });
+
+      await this.handleActionFailure($action, error, true, actionConfiguration);
+    }
+
+    return this.removeActionFromProcessingList($action);
+  }
+
+  /**
+   * Registers the schema of an event's message; the schema is shared by every engine.
+   * @example
+   * await $engine.registerEventSchema('UserCreated', { userID: 'string', username: 'string', email: 'string?' });
+   *
+   * @argument {String} eventName
+   * @argument {Object} propertiesByArgumentName - The structure of the message, using the same types as a resource structure.
+   *
+   * @returns {Promise<{ eventSchema: eventSchema }>}
+   *
+   * @throws Will throw an error if the event name is not a string.
+   * @throws Will throw an error if the structure of the message is not an object.
+   */
+  registerEventSchema (eventName, propertiesByArgumentName) {
+    if (!nucleusValidator.isString(eventName) || nucleusValidator.isEmpty(eventName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event name must be a string and can't be undefined.");
+    if (!nucleusValidator.isObject(propertiesByArgumentName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The structure of the event message must be an object.");
+
+    // Will throw an error if the structure can't be used for validation.
+    nucleusValidator.struct(propertiesByArgumentName);
+
+    const eventSchema = { eventName, propertiesByArgumentName };
+
+    return this.storeEventSchema(eventSchema)
+      .return({ eventSchema });
+  }
+
+  /**
+   * Registers a recurring action given its name and a cron expression; the action will be published by one of the
+   * engines that registered it on every occurrence. The cron expression is evaluated in UTC.
+   * @example
+   * $engine.registerRecurringActionByName('PurgeExpiredDummies', '*\/5 * * * *');
+   *
+   * @argument {String} actionName
+   * @argument {String} cronExpression
+   *
+   * @returns {{ cronExpression: String, nextOccurrenceTimestamp: Number }}
+   *
+   * @throws Will throw an error if the cron expression is not valid.
+   */
+  registerRecurringActionByName (actionName, cronExpression) {
+    if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action name must be a string.");
+
+    const nextOccurrenceTimestamp = nucleusCron.retrieveNextOccurrenceTimestamp(cronExpression);
+
+    this.$logger.debug(`Registering the recurring action "${actionName}" with the schedule "${cronExpression}".`, { actionName, cronExpression });
+
+    return (this.recurringActionScheduleByActionName[actionName] = { cronExpression, nextOccurrenceTimestamp });
+  }
+
+  /**
+   * Registers a workflow so that it can be executed, or resumed, by the engine.
+   *
+   * @argument {NucleusWorkflow} $workflow
+   *
+   * @returns {NucleusWorkflow}
+   *
+   * @throws Will throw an error if the workflow is not a Nucleus workflow.
+   */
+  registerWorkflow ($workflow) {
+    if (!($workflow instanceof NucleusWorkflow)) throw new NucleusError.UnexpectedValueTypeNucleusError("The workflow is not a valid Nucleus workflow.");
+
+    this.$logger.debug(`Registering the workflow "${$workflow.name}" with ${$workflow.stepList.length} step${($workflow.stepList.length > 1) ? 's' : ''}.`, { workflowName: $workflow.name });
+
+    return (this.workflowByName[$workflow.name] = $workflow);
+  }
+
+  /**
+   * Releases one of the engine's execution slots; the engine is drained once the last slot is released while draining.
+   *
+   * @returns {void}
+   */
+  releaseActionSlot () {
+    this.inFlightActionCount--;
+
+    if (this.isDraining && this.inFlightActionCount === 0 && !!this.resolveDrain) this.resolveDrain();
+  }
+
+  /**
+   * Removes an action from the engine's processing list once it is done.
+   *
+   * @argument {NucleusAction} $action
+   *
+   * @returns {Promise<void>}
+   */
+  removeActionFromProcessingList ($action) {
+
+    return this.$actionDatastore.$$server.lremAsync(this.actionProcessingListItemKey, 0, this.generateActionItemKey($action.generateOwnItemKey()))
+      .catch((error) => {
+        this.$logger.error(`Could not remove the action "${$action.name} (${$action.ID})" from the processing list because of an external error: ${error}`);
+      })
+      .return();
+  }
+
+  /**
+   * Removes every resource of a tenant, including its relationships and its hierarchy caches, from every resource
+   * datastore.
+   * @example
+   * const { removedItemCount } = await $engine.removeAllResourcesForTenant('Acme');
+   *
+   * @argument {String} tenantID
+   *
+   * @returns {Promise<{ removedItemCount: Number, tenantID: String }>}
+   *
+   * @throws Will throw an error if the tenant ID is not valid.
+   */
+  async removeAllResourcesForTenant (tenantID) {
+    const $tenantDatastoreList = this.retrieveAllResourceDatastoresForTenant(tenantID);
+
+    this.$logger.debug(`Removing the resources of the tenant "${tenantID}"...`, { tenantID });
+
+    const removedItemCountList = await Promise.all($tenantDatastoreList.map(($tenantDatastore) => $tenantDatastore.removeAllItems()));
+
+    // The scripts of the relationship datastore were removed with the resources; they are registered again on demand.
+    Reflect.deleteProperty(this.resourceDatastoresPromiseByTenantID, tenantID);
+
+    return { removedItemCount: removedItemCountList.reduce((accumulator, removedItemCount) => accumulator + removedItemCount, 0), tenantID };
+  }
+
+  /**
+   * Replays an action from the dead letter queue given its ID.
+   * The action is published back to its action queue with a fresh retry count.
+   *
+   * @argument {String} actionID
+   *
+   * @returns {Promise<Object>}
+   *
+   * @throws Will throw an error if the action is not in the dead letter queue.
+   */
+  async replayDeadLetterActionByID (actionID) {
+    const actionItemKey = await this.retrieveDeadLetterActionItemKeyByActionID(actionID);
+
+    if (!actionItemKey) throw new NucleusError.UndefinedContextNucleusError(`The action "${actionID}" is not in the dead letter queue.`);
+
+    const $action = new NucleusAction(await this.$actionDatastore.retrieveAllItemsFromHashByName(actionItemKey));
+    const actionQueueName = await this.retrieveActionQueueNameByActionName($action.name);
+
+    $action.meta.retryCount = 0;
+    $action.meta.replayedISOTime = new Date().toISOString();
+
+    this.$logger.info(`Replaying the action "${$action.name} (${actionID})" from the dead letter queue...`, { actionID, actionName: $action.name, actionQueueName, correlationID: $action.meta.correlationID });
+
+    await this.$actionDatastore.$$server.zremAsync(this.generateActionItemKey(DEAD_LETTER_ACTION_QUEUE_ITEM_NAME_TABLE_NAME), actionItemKey);
+
+    return this.publishActionToQueueByName(actionQueueName, $action);
+  }
+
+  /**
+   * Replays the events published to a channel, in order, from a point in time or after a given event.
+   * Only the events published within the retention window can be replayed; the handler callback is awaited for every
+   * event.
+   * @example
+   * const { lastEventID } = await $engine.replayEventsByChannelName('DummyCreated', ($event) => {}, { fromTimestamp: Date.now() - 1000 * 60 });
+   * await $engine.replayEventsByChannelName('DummyCreated', ($event) => {}, { fromEventID: lastEventID });
+   *
+   * @argument {String} channelName
+   * @argument {Function} handlerCallback
+   * @argument {Object} [options]
+   * @argument {String} [options.fromEventID] - The events published after this event are replayed.
+   * @argument {Number} [options.fromTimestamp=0]
+   * @argument {Number} [options.toTimestamp=Date.now()]
+   *
+   * @returns {Promise<{ lastEventID: String, replayedEventCount: Number }>}
+   *
+   * @throws Will throw an error if the event to replay from is not retained anymore.
+   */
+  async replayEventsByChannelName (channelName, handlerCallback, options = {}) {
+    if (!nucleusValidator.isString(channelName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event channel name must be a string.");
+    if (!nucleusValidator.isFunction(handlerCallback)) throw new NucleusError.UnexpectedValueTypeNucleusError("The handler callback must be a function.");
+    const { fromEventID, fromTimestamp = 0, toTimestamp = Date.now() } = options;
+
+    // The event item keys published at the cursor timestamp that were already replayed or skipped.
+    let handledEventItemKeySet = new Set();
+    let cursorTimestamp = fromTimestamp;
+    let lastEventID;
+    let replayedEventCount = 0;
+
+    if (!!fromEventID) {
+      const [ fromEventItemKey, fromEventTimestamp ] = await retrieveSortedSetMemberByPattern(this.$eventDatastore, channelName, `*:${fromEventID}`);
+
+      if (!fromEventItemKey) throw new NucleusError.UndefinedContextNucleusError(`Could not retrieve the event "${fromEventID}" from channel "${channelName}", it might be older than the retention window.`, { channelName, eventID: fromEventID });
+
+      handledEventItemKeySet.add(fromEventItemKey);
+      cursorTimestamp = Number(fromEventTimestamp);
+    }
+
+    this.$logger.debug(`Replaying the events of channel "${channelName}" from ${new Date(cursorTimestamp).toISOString()}...`, { channelName, fromEventID, fromTimestamp: cursorTimestamp });
+
+    while (true) {
+      const eventItemKeyAndTimestampList = await this.$eventDatastore.$$server.zrangebyscoreAsync(channelName, cursorTimestamp, toTimestamp, 'WITHSCORES', 'LIMIT', 0, EVENT_REPLAY_BATCH_SIZE + handledEventItemKeySet.size);
+      const eventItemKeyAndTimestampPairList = eventItemKeyAndTimestampList
+        .reduce((accumulator, value, index) => {
+          if (index % 2 === 0) accumulator.push([ value ]);
+          else accumulator[accumulator.length - 1].push(Number(value));
+
+          return accumulator;
+        }, [])
+        .filter(([ eventItemKey ]) => !handledEventItemKeySet.has(eventItemKey));
+
+      if (eventItemKeyAndTimestampPairList.length === 0) break;
+
+      await Promise.each(eventItemKeyAndTimestampPairList, async ([ eventItemKey, eventTimestamp ]) => {
+        if (eventTimestamp !== cursorTimestamp) {
+          cursorTimestamp = eventTimestamp;
+          handledEventItemKeySet = new Set();
+        }
+
+        handledEventItemKeySet.add(eventItemKey);
+
+        const { ID: eventID, message, meta, name } = await this.$eventDatastore.retrieveAllItemsFromHashByName(eventItemKey);
+
+        // The event expired while being replayed.
+        if (!name) return;
+
+        const $event = new NucleusEvent(name, message, Object.assign({}, meta, { ID: eventID, originUserID: meta.authorUserID }));
+
+        await handlerCallback.call(this, $event, channelName);
+
+        lastEventID = eventID;
+        replayedEventCount++;
+      });
+    }
+
+    this.$logger.debug(`Replayed ${replayedEventCount} event${(replayedEventCount !== 1) ? 's' : ''} of channel "${channelName}".`, { channelName, replayedEventCount });
+
+    return { lastEventID, replayedEventCount };
+  }
+
+  /**
+   * Requeues an action at the front of its action queue so that it is the next action retrieved.
+   *
+   * @argument {String} actionQueueName
+   * @argument {NucleusAction} $action
+   *
+   * @returns {Promise<void>}
+   */
+  async requeueAction (actionQueueName, $action) {
+    const { ID: actionID, meta: { correlationID, priority }, name: actionName } = $action;
+    const actionItemKey = this.generateActionItemKey($action.generateOwnItemKey());
+
+    // The action keeps the time it was first marked as pending.
+    $action.status = NucleusAction.PendingActionStatus;
+
+    const actionQueueItemKey = generateActionQueueItemKeyByPriority(this.$actionDatastore, actionQueueName, priority);
+
+    await this.$actionDatastore.$$server.multi()
+      .hmset(actionItemKey, 'status', $action.status)
+      .lrem(this.actionProcessingListItemKey, 0, actionItemKey)
+      .rpush(actionQueueItemKey, actionItemKey)
+      .publish(generateActionQueueUpdateChannelName(actionQueueItemKey), generateNotificationEventPayload('ActionQueueUpdated'))
+      .execAsync();
+
+    this.$logger.debug(`The action "${actionName} (${actionID})" has been requeued to action queue "${actionQueueName}".`, { actionID, actionName, actionQueueName, correlationID });
+  }
+
+  /**
+   * Resumes the workflows registered by this engine that were running on an engine that stopped responding.
+   *
+   * @returns {Promise<{ workflowItemKeyList: String[] }>}
+   */
+  async resumeAllOrphanedWorkflows () {
+    const timestamp = Date.now();
+    const workflowItemKeyList = [];
+
+    await Promise.each(Object.keys(this.workflowByName), async (workflowName) => {
+      const orphanedWorkflowItemKeyList = await this.$actionDatastore.evaluateLUAScriptByName('ClaimAllOrphanedWorkflowItemKeys', this.generateActionItemKey(`${RUNNING_WORKFLOW_ITEM_KEY_LIST_TABLE_NAME}:${workflowName}`), timestamp, timestamp + this.engineHeartbeatTTL, WORKFLOW_RESUMPTION_BATCH_SIZE);
+
+      (orphanedWorkflowItemKeyList || [])
+        .forEach((workflowItemKey) => {
+          this.$logger.warn(`The workflow "${workflowItemKey}" was interrupted, resuming...`, { workflowItemKey, workflowName });
+
+          this.executeWorkflowByItemKey(workflowItemKey)
+            .catch((error) => {
+              this.$logger.error(`The resumed workflow "${workflowItemKey}" failed: ${error}`, { workflowItemKey, workflowName });
+            });
+
+          workflowItemKeyList.push(workflowItemKey);
+        });
+    });
+
+    return { workflowItemKeyList };
+  }
+
+  /**
+   * Retrieves the action configurations given an action name.
+   *
+   * @argument {String} actionName
+   *
+   * @returns {Promise<actionConfiguration>}
+   */
+  retrieveActionConfigurationByActionName (actionName) {
+
+    return this.$datastore.retrieveItemFromHashFieldByName(ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName);
+  }
+
+  /**
+   * Retrieves the health status of the engine, ie: for a health check; the engine is healthy as long as it isn't
+   * draining and the connection of every datastore is ready.
+   *
+   * @returns {{ connectionStatusByDatastoreName: Object, isDraining: Boolean, isHealthy: Boolean }}
+   */
+  retrieveHealthStatus () {
+    const $datastoreByName = Object.assign({
+      Action: this.$actionDatastore,
+      Engine: this.$engineDatastore,
+      Event: this.$eventDatastore,
+      EventSubscriber: this.$eventSubscriberDatastore
+    }, this.$handlerDatastoreByName);
+    const connectionStatusByDatastoreName = Object.keys($datastoreByName)
+      .reduce((accumulator, datastoreName) => {
+        accumulator[datastoreName] = $datastoreByName[datastoreName].connectionStatus;
+
+        return accumulator;
+      }, {});
+    const isHealthy = !this.isDraining && Object.values(connectionStatusByDatastoreName)
+      .every((connectionStatus) => connectionStatus === NucleusDatastore.ReadyConnectionStatus);
+
+    return { connectionStatusByDatastoreName, isDraining: this.isDraining, isHealthy };
+  }
+
+  /**
+   * Retrieves every distinct resource datastore, scoped to a tenant; the resource, the cache and the relationship
+   * datastores are the engine datastore by default.
+   *
+   * @argument {String} tenantID
+   *
+   * @returns {NucleusDatastore[]}
+   *
+   * @throws Will throw an error if the tenant ID is not valid.
+   */
+  retrieveAllResourceDatastoresForTenant (tenantID) {
+    const $datastoreList = [ this.$resourceDatastore, this.$resourceCacheDatastore ];
+
+    if (!!this.$resourceRelationshipDatastore) $datastoreList.push(this.$resourceRelationshipDatastore.$datastore);
+
+    return Array.from(new Set($datastoreList.map(($datastore) => $datastore.scopeToTenant(tenantID))));
+  }
+
+  /**
+   * Retrieves the default priority of an action given its name.
+   * Defaults to the normal priority if the action was not registered with a priority.
+   *
+   * @argument {String} actionName
+   *
+   * @returns {Promise<String>}
+   */
+  async retrieveActionPriorityByActionName (actionName) {
+    const actionPriority = await this.$actionDatastore.retrieveItemFromHashFieldByName(this.generateActionItemKey(ACTION_PRIORITY_BY_ACTION_NAME_TABLE_NAME), actionName);
+
+    return (nucleusValidator.isString(actionPriority)) ? actionPriority : NucleusAction.NormalActionPriority;
+  }
+
+  /**
+   * Retrieves the action queue name given an action name.
+   * Defaults to the engine's default action queue name if the action was not registered.
+   *
+   * @argument {String} actionName
+   *
+   * @returns {Promise<String>}
+   */
+  async retrieveActionQueueNameByActionName (actionName) {
+    const actionQueueName = await this.$actionDatastore.retrieveItemFromHashFieldByName(this.generateActionItemKey(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME), actionName);
+
+    return (nucleusValidator.isString(actionQueueName)) ? actionQueueName : this.defaultActionQueueName;
+  }
+
+  /**
+   * Retrieves all the actions in the dead letter queue, the oldest first.
+   *
+   * @returns {Promise<NucleusAction[]>}
+   */
+  async retrieveAllDeadLetterActions () {
+    const actionItemKeyList = await this.$actionDatastore.$$server.zrangeAsync(this.generateActionItemKey(DEAD_LETTER_ACTION_QUEUE_ITEM_NAME_TABLE_NAME), 0, -1);
+
+    if (actionItemKeyList.length === 0) return [];
+
+    const actionAttributesList = await this.$actionDatastore.retrieveBatchItemByName(actionItemKeyList);
+
+    return actionAttributesList
+      .map(actionAttributes => new NucleusAction(actionAttributes));
+  }
+
+  /**
+   * Retrieves the item key of an action in the dead letter queue given its ID.
+   *
+   * @argument {String} actionID
+   *
+   * @returns {Promise<String|undefined>}
+   */
+  async retrieveDeadLetterActionItemKeyByActionID (actionID) {
+    if (!nucleusValidator.isString(actionID)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action ID must be a string.");
+
+    let cursor = '0';
+
+    do {
+      const [ nextCursor, itemList ] = await this.$actionDatastore.$$server.zscanAsync(this.generateActionItemKey(DEAD_LETTER_ACTION_QUEUE_ITEM_NAME_TABLE_NAME), cursor, 'MATCH', `*:${actionID}`);
+      // ZSCAN returns a flat list of member and score.
+      const actionItemKey = itemList.filter((item, index) => index % 2 === 0)[0];
+
+      if (!!actionItemKey) return actionItemKey;
+
+      cursor = nextCursor;
+    } while (cursor !== '0');
+  }
+
+  /**
+   * Retrieves the schema of an event's message given the event name.
+   *
+   * @argument {String} eventName
+   *
+   * @returns {Promise<eventSchema>}
+   */
+  retrieveEventSchemaByEventName (eventName) {
+
+    return this.$datastore.retrieveItemFromHashFieldByName(EVENT_SCHEMA_BY_EVENT_NAME_TABLE_NAME, eventName);
+  }
+
+  /**
+   * Retrieves the extendable action configurations given an action name.
+   *
+   * @argument {String} actionName
+   *
+   * @returns {Promise<extendableActionConfiguration>}
+   */
+  retrieveExtendableActionConfigurationByActionName (actionName) {
+
+    return this.$datastore.retrieveItemFromHashFieldByName(EXTENDABLE_ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName);
+  }
+
+  /**
+   * Retrieves a pending action and call the execution.
+   * The engine keeps retrieving pending actions until the action queue is empty or the engine is saturated; an action
+   * whose own concurrency limit is reached is deferred until one of its kind is done.
+   *
+   * @argument {String} actionQueueName
+   *
+   * @returns {Promise<void>}
+   */
+  async retrievePendingAction (actionQueueName) {
+    if (this.isDraining) return;
+
+    if (this.maxConcurrentActions > 0 && this.inFlightActionCount >= this.maxConcurrentActions) {
+      this.$logger.debug(`The ${this.name} engine is saturated, the pending actions of action queue "${actionQueueName}" will be retrieved later.`, { actionQueueName, inFlightActionCount: this.inFlightActionCount });
+
+      return;
+    }
+
+    // The slot is reserved before the action is retrieved, otherwise every retrieval awaiting the datastore would pass
+    // the check above.
+    this.inFlightActionCount++;
+
+    try {
+      this.$logger.debug(`Retrieving a pending action from action queue "${actionQueueName}"...`, { actionQueueName });
+
+      const actionQueueItemKeyList = generateAllActionQueueItemKeys(this.$actionDatastore, actionQueueName);
+      const retrievedActionCount = this.retrievedActionCountByActionQueueName[actionQueueName] = (this.retrievedActionCountByActionQueueName[actionQueueName] || 0) + 1;
+
+      if (this.priorityStarvationProtectionInterval > 0 && retrievedActionCount % this.priorityStarvationProtectionInterval === 0) actionQueueItemKeyList.reverse();
+
+      // The lists are checked in order, so the first list with an action wins.
+      const actionItemKey = await this.$actionDatastore.evaluateLUAScriptByName('RetrievePendingActionItemKey', this.actionProcessingListItemKey, ...actionQueueItemKeyList);
+
+      if (!actionItemKey) return this.releaseActionSlot();
+
+      // Keep retrieving until the action queue is empty or the engine is saturated.
+      process.nextTick(this.retrievePendingAction.bind(this, actionQueueName));
+
+      const $action = new NucleusAction(await (this.$actionDatastore.retrieveAllItemsFromHashByName(actionItemKey)));
+      const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+
+      this.$logger.debug(`Retrieved a pending action "${actionName} (${actionID})" from action queue "${actionQueueName}".`, { actionID, actionName, actionQueueName, correlationID });
+
+      if ($action.status === NucleusAction.CancelledActionStatus) {
+        this.$logger.debug(`Skipping the action "${actionName} (${actionID})" because it has been cancelled.`, { actionID, actionName, actionQueueName, correlationID });
+
+        this.releaseActionSlot();
+
+        return this.removeActionFromProcessingList($action);
+      }
+
+      // The engine started draining while the action was being retrieved.
+      if (this.isDraining) {
+        this.releaseActionSlot();
+
+        return this.requeueAction(actionQueueName, $action);
+      }
+
+      const maxConcurrentActions = this.maxConcurrentActionsByActionName[actionName] || 0;
+
+      if (maxConcurrentActions > 0 && (this.inFlightActionCountByActionName[actionName] || 0) >= maxConcurrentActions) {
+        this.$logger.debug(`The action "${actionName} (${actionID})" is deferred because ${maxConcurrentActions} action${(maxConcurrentActions > 1) ? 's' : ''} of its kind are already executing.`, { actionID, actionName, actionQueueName, correlationID });
+
+        // A deferred action doesn't hold a slot until it is executed.
+        this.releaseActionSlot();
+
+        (this.deferredActionListByActionName[actionName] = this.deferredActionListByActionName[actionName] || []).push($action);
+
+        return;
+      }
+
+      this.executeActionInSlot(actionQueueName, $action);
+    } catch (error) {
+      this.releaseActionSlot();
+
+      this.$logger.warn(`In progress: ${error}`);
+    }
+  }
+
+  /**
+   * Retrieves the statistics of an action queue and of the actions executing on this engine.
+   * @example
+   * const { pendingActionCount, inFlightActionCount } = await $engine.retrieveActionQueueStatistics('Dummy');
+   *
+   * @argument {String} [actionQueueName=<Engine's default action queue name>]
+   *
+   * @returns {Promise<{ actionQueueName: String, deferredActionCount: Number, inFlightActionCount: Number, inFlightActionCountByActionName: Object, maxConcurrentActions: Number, pendingActionCount: Number, pendingActionCountByPriority: Object }>}
+   */
+  async retrieveActionQueueStatistics (actionQueueName = this.defaultActionQueueName) {
+    const $$multi = this.$actionDatastore.$$server.multi();
+
+    generateAllActionQueueItemKeys(this.$actionDatastore, actionQueueName)
+      .forEach((actionQueueItemKey) => {
+        $$multi.llen(actionQueueItemKey);
+      });
+
+    const actionQueueItemCountList = await $$multi.execAsync();
+
+    const pendingActionCountByPriority = NucleusAction.NucleusActionPriorityList
+      .reduce((accumulator, actionPriority, index) => {
+        accumulator[actionPriority] = actionQueueItemCountList[index];
+
+        return accumulator;
+      }, {});
+
+    const deferredActionCount = Object.keys(this.deferredActionListByActionName)
+      .reduce((accumulator, actionName) => accumulator + this.deferredActionListByActionName[actionName].length, 0);
+
+    return {
+      actionQueueName,
+      deferredActionCount,
+      inFlightActionCount: this.inFlightActionCount,
+      inFlightActionCountByActionName: Object.assign({}, this.inFlightActionCountByActionName),
+      maxConcurrentActions: this.maxConcurrentActions,
+      pendingActionCount: actionQueueItemCountList.reduce((accumulator, itemCount) => accumulator + itemCount, 0),
+      pendingActionCountByPriority
+    };
+  }
 
-        reject(new NucleusError(`Could not publish the action because of an external error: ${error}`, { error }));
-      }
-    });
+  /**
+   * Retrieves the resource structure given a resource type.
+   *
+   * @argument {String} resourceType
+   *
+   * @returns {Promise<resourceStructure>}
+   */
+  retrieveResourceStructureByResourceType (resourceType) {
 
-    return Promise.resolve($$actionResponsePromise);
+    return this.$datastore.retrieveItemFromHashFieldByName(RESOURCE_STRUCTURE_BY_RESOURCE_TYPE_TABLE_NAME, resourceType);
   }
 
   /**
-   * Handles an action channel's Redis events.
-   * This is used to trigger a check of the action's status in the attempt of resolving a publisher's request.
-   * _This method is tightly coupled with the #publishActionByNameAndHandleResponse and should be refactored._
+   * Retrieves the resource datastores scoped to a tenant: the resource keys, the hexastore and the hierarchy caches of a
+   * tenant are prefixed by the tenant, ie: `Tenant:Acme:ResourceRelationship`.
+   * @example
+   * const { $resourceDatastore, $resourceRelationshipDatastore } = await $engine.retrieveResourceDatastoresForTenant('Acme');
    *
-   * @argument {NucleusDatastore} $actionSubscriberDatastore
-   * @argument {Promise.resolve} resolve - The resolver to call when the action is completed.
-   * @argument {Promise.reject} reject - The rejecter to call when the action is failed.
-   * @argument {String} channelName
-   * @argument {String} redisCommand
+   * @argument {String} tenantID
    *
-   * @returns {Promise<void>}
+   * @returns {Promise<{ $resourceCacheDatastore: NucleusDatastore, $resourceDatastore: NucleusDatastore, $resourceRelationshipDatastore: NucleusResourceRelationshipDatastore }>}
+   *
+   * @throws Will throw an error if the tenant ID is not valid.
    */
-  async handleActionChannelRedisEvent ($actionSubscriberDatastore, resolve, reject, channelName, redisCommand) {
-    if (redisCommand !== 'hset' && redisCommand !== 'hmset') return;
+  retrieveResourceDatastoresForTenant (tenantID) {
+    if (!NucleusDatastore.verifyThatTenantIDIsValid(tenantID)) return Promise.reject(new NucleusError.UnexpectedValueNucleusError("The tenant ID must be a non-empty string without `:`, `*`, `?`, `[`, `]`, `\\`, `{` or `}`."));
+
+    if (!this.resourceDatastoresPromiseByTenantID.hasOwnProperty(tenantID)) {
+      const $resourceDatastore = this.$resourceDatastore.scopeToTenant(tenantID);
+      const $resourceCacheDatastore = this.$resourceCacheDatastore.scopeToTenant(tenantID);
+      const { authorshipPredicateName, membershipPredicateName } = this.$resourceRelationshipDatastore || {};
+      // The relationship datastore registers its scripts for the tenant before it can be used.
+      const $resourceRelationshipDatastore = (!!this.$resourceRelationshipDatastore) ?
+        new NucleusResourceRelationshipDatastore(this.$resourceRelationshipDatastore.$datastore.scopeToTenant(tenantID), { authorshipPredicateName, membershipPredicateName }) :
+        undefined;
+
+      this.resourceDatastoresPromiseByTenantID[tenantID] = Promise.resolve($resourceRelationshipDatastore)
+        .then(() => ({ $resourceCacheDatastore, $resourceDatastore, $resourceRelationshipDatastore }))
+        .catch((error) => {
+          Reflect.deleteProperty(this.resourceDatastoresPromiseByTenantID, tenantID);
+
+          throw error;
+        });
+    }
 
-    try {
-      const [ keyspace, itemType, actionName, actionID ] = channelName.split(':');
-      const actionItemKey = `${itemType}:${actionName}:${actionID}`;
+    return this.resourceDatastoresPromiseByTenantID[tenantID];
+  }
 
-      const { actionStatus } = await this.handleActionStatusUpdated(actionItemKey, actionID, actionName, resolve, reject);
+  /**
+   * Retries an action after a delay by scheduling it back to its action queue.
+   *
+   * @argument {NucleusAction} $action
+   * @argument {NucleusError} error - The error that caused the action to fail.
+   * @argument {Number} retryDelay - The delay in millisecond before the action is published again.
+   *
+   * @returns {Promise<Object>}
+   */
+  async retryAction ($action, error, retryDelay) {
+    const { ID: actionID, meta: { correlationID, retryCount = 0 }, name: actionName } = $action;
+    const actionQueueName = await this.retrieveActionQueueNameByActionName(actionName);
 
-      if (actionStatus === NucleusAction.CompletedActionStatus || actionStatus === NucleusAction.FailedActionStatus) {
-        $actionSubscriberDatastore.unsubscribeFromChannelName(channelName);
-      }
+    $action.meta.retryCount = retryCount + 1;
+    $action.meta.lastErrorMessage = error.message;
 
-    } catch (error) {
+    this.$logger.warn(`The action "${actionName} (${actionID})" failed and will be retried in ${retryDelay}ms (attempt ${retryCount + 1}).`, { actionID, actionName, actionQueueName, correlationID, retryDelay });
 
-      reject(new NucleusError(`Could not handle the action's response because of an external error: ${error}`, { error }));
-    }
+    return this.scheduleActionToQueueByName(actionQueueName, $action, Date.now() + retryDelay);
   }
 
   /**
-   * Handles an action's status update.
-   * _This method is tightly coupled with the #publishActionByNameAndHandleResponse and should be refactored._
+   * Schedules an action given its name and a message to be executed at a given time or after a delay.
+   * @example
+   * const { $action } = await $engine.scheduleActionByName('SendReminder', { userID }, { delay: 1000 * 60 * 60 * 24, originUserID });
+   * const { $action } = await $engine.scheduleActionByName('SendReminder', { userID }, { originUserID, scheduledTimestamp: Date.parse('2019-01-01T00:00:00Z') });
    *
-   * @argument {String} actionItemKey
-   * @argument {String} actionID
    * @argument {String} actionName
-   * @argument {Promise.resolve} [resolve]
-   * @argument {Promise.reject} [reject]
+   * @argument {Object} actionMessage
+   * @argument {Object} options
+   * @argument {String} [options.correlationID]
+   * @argument {Number} [options.delay=0] - The delay in milliseconds before the action is published.
+   * @argument {String} options.originUserID
+   * @argument {String} [options.priority=<Action's default priority>]
+   * @argument {Number} [options.scheduledTimestamp=<Now + delay>] - The time in milliseconds at which the action is published.
+   * @argument {String} [options.tenantID] - Scopes the resources of the action to the tenant.
    *
-   * @returns {Promise}
+   * @returns {Promise<{ actionQueueName: String, $action: NucleusAction, scheduledTimestamp: Number }>}
    */
-  async handleActionStatusUpdated (actionItemKey, actionID, actionName, resolve, reject) {
-    const [ actionFinalMessage, actionStatus ] = await this.$actionDatastore.retrieveItemFromHashFieldByName(actionItemKey, 'finalMessage', 'status');
+  async scheduleActionByName (actionName, actionMessage = {}, options = {}) {
+    const { correlationID, delay = 0, originUserID, priority, scheduledTimestamp = Date.now() + delay, tenantID } = options;
 
-    if (actionStatus === NucleusAction.CompletedActionStatus || actionStatus === NucleusAction.FailedActionStatus) {
-      this.$logger.debug(`The action "${actionName} (${actionID})" status has been updated to "${actionStatus}".`);
-      // Resolve or reject the promise with the final message base on the action's status.
-      if (actionStatus === NucleusAction.CompletedActionStatus) {
-        if (resolve) resolve(actionFinalMessage);
-        return Promise.resolve({ actionStatus, actionFinalMessage });
-      }
-      else if ('error' in actionFinalMessage) {
-        const errorAttributes = actionFinalMessage.error;
-        const NucleusErrorType = (Object.keys(NucleusError).includes(errorAttributes.name)) ? NucleusError[errorAttributes.name] : NucleusError;
+    if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action name must be a string.");
+    if (!nucleusValidator.isObject(actionMessage)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action message must be an object.");
+    if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
 
-        if (reject) reject(new NucleusErrorType(errorAttributes.message, {error: errorAttributes}));
+    const actionQueueName = await this.$actionDatastore.retrieveItemFromHashFieldByName(this.generateActionItemKey(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME), actionName);
+    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError(`Could not schedule the action "${actionName}" because it wasn't registered properly.`);
 
-        return Promise.reject({ actionStatus, error: new NucleusErrorType(errorAttributes.message, {error: errorAttributes}) });
-      } else (reject || Promise.reject)({ actionStatus });
-    }
+    const $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, priority, tenantID });
 
-    return { actionStatus };
+    return this.scheduleActionToQueueByName(actionQueueName, $action, scheduledTimestamp);
   }
 
   /**
-   * Publishes an event given a channel name.
+   * Schedules an action to be published to an action queue at a given time.
+   * The action is stored right away and will be published by the first engine that polls once it is due.
    * @example
-   * const channelName = 'Dummy';
-   * const $event = new NucleusEvent('DummyEvent', {});
+   * const $action = new NucleusAction('DummyAction', {});
    *
-   * $engine.publishEventToChannelByName(channelName, $event);
+   * $engine.scheduleActionToQueueByName('Dummy', $action, Date.now() + 1000 * 60);
    *
-   * @argument {String} channelName
-   * @argument {NucleusEvent} $event
+   * @argument {String} actionQueueName
+   * @argument {NucleusAction} $action
+   * @argument {Number} scheduledTimestamp - The time in milliseconds at which the action is published.
    *
-   * @returns {Promise<Object>}
+   * @returns {Promise<{ actionQueueName: String, $action: NucleusAction, scheduledTimestamp: Number }>}
    */
-  publishEventToChannelByName (channelName, $event) {
-    if (!nucleusValidator.isString(channelName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event channel name must be a string.");
-    if (!($event instanceof NucleusEvent)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event is not a valid Nucleus event.");
-    const { ID: eventID, meta: { correlationID }, name: eventName } = $event;
+  async scheduleActionToQueueByName (actionQueueName, $action, scheduledTimestamp) {
+    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action queue name must be a string.");
+    if (!($action instanceof NucleusAction)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action is not a valid Nucleus action.");
+    if (!nucleusValidator.isNumber(scheduledTimestamp)) throw new NucleusError.UnexpectedValueTypeNucleusError("The scheduled timestamp must be a number.");
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
 
-    this.$logger.debug(`Publishing event "${eventName} (${eventID})" to channel "${channelName}"...`, { channelName, correlationID, eventID, eventName });
+    if ($action.status === NucleusAction.CancelledActionStatus) throw new NucleusError.ActionCancelledNucleusError(`The action "${actionName} (${actionID})" has been cancelled.`, { actionID, actionName });
 
-    const timestamp = Date.now();
+    const { isMember: actionQueueNameRegistered } = await this.$actionDatastore.itemIsMemberOfSet(this.generateActionItemKey(ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME), actionQueueName);
 
-    const eventKeyName = $event.generateOwnItemKey();
+    if (!actionQueueNameRegistered) throw new NucleusError.UndefinedContextNucleusError(`The action queue name ${actionQueueName} doesn't exist or has not been properly registered.`);
 
-    return this.$eventDatastore.$$server.multi()
-      // Store the event as a hash item.
-      .hmset(eventKeyName, 'ID', $event.ID, 'message', $event.message.toString(), 'meta', $event.meta.toString(), 'name', $event.name)
-      // Add the event key name to a local set.
-      .zadd(channelName, timestamp + this.eventTTL, eventKeyName)
-      // Remove older events from the set.
-      .zremrangebyscore(channelName, 0, timestamp)
-      // Expire the event in a set TTL.
-      .pexpire(eventKeyName, this.eventTTL)
-      // Publish the event through Redis for other engine.
-      .publish(channelName, JSON.stringify($event))
+    const actionPriority = $action.meta.priority || await this.retrieveActionPriorityByActionName(actionName);
+    const scheduledISOTime = new Date(scheduledTimestamp).toISOString();
+
+    this.$logger.debug(`Scheduling action "${actionName} (${actionID})" to action queue "${actionQueueName}" at ${scheduledISOTime}...`, { actionID, actionName, actionQueueName, correlationID, scheduledISOTime });
+
+    const actionKeyName = this.generateActionItemKey($action.generateOwnItemKey());
+
+    $action.meta.priority = actionPriority;
+    $action.meta.scheduledISOTime = scheduledISOTime;
+    $action.updateStatus(NucleusAction.PendingActionStatus);
+
+    return this.$actionDatastore.$$server.multi()
+      .hmset(actionKeyName, 'ID', actionID, 'meta', $action.meta.toString(), 'name', actionName, 'status', $action.status, 'originalMessage', $action.originalMessage.toString(), 'originUserID', $action.originUserID)
+      .zadd(this.generateActionItemKey(SCHEDULED_ACTION_ITEM_KEY_LIST_TABLE_NAME), scheduledTimestamp, actionKeyName)
+      .hset(this.generateActionItemKey(SCHEDULED_ACTION_QUEUE_NAME_BY_ACTION_ITEM_KEY_TABLE_NAME), actionKeyName, generateActionQueueItemKeyByPriority(this.$actionDatastore, actionQueueName, actionPriority))
+      // The action must outlive its schedule.
+      .pexpire(actionKeyName, Math.max(scheduledTimestamp - Date.now(), 0) + this.actionTTL)
       .execAsync()
       .tap(() => {
-        this.$logger.debug(`The event "${eventName} (${eventID})" has been successfully published.`, { channelName, correlationID, eventID, eventName });
+        this.$logger.debug(`The action "${actionName} (${actionID})" has been successfully scheduled.`, { actionID, actionName, actionQueueName, correlationID, scheduledISOTime });
       })
-      .return({ channelName, $event });
+      .return({ actionQueueName, $action, scheduledTimestamp });
   }
 
   /**
-   * Retrieves the action configurations given an action name.
-   *
-   * @argument {String} actionName
+   * Starts sending the engine's heartbeats and recovering the actions of the engines that stopped sending theirs.
    *
-   * @returns {Promise<actionConfiguration>}
+   * @returns {Promise<void>}
    */
-  retrieveActionConfigurationByActionName (actionName) {
+  async startEngineHeartbeat () {
+    if (!!this.engineHeartbeatIntervalID) return;
+
+    const sendEngineHeartbeat = () => {
+      const timestamp = Date.now();
+      const $$multi = this.$actionDatastore.$$server.multi();
+
+      // The lease of every running workflow is renewed with the heartbeat.
+      Object.keys(this.runningWorkflowNameByItemKey)
+        .forEach((workflowItemKey) => {
+          $$multi.zadd(this.generateActionItemKey(`${RUNNING_WORKFLOW_ITEM_KEY_LIST_TABLE_NAME}:${this.runningWorkflowNameByItemKey[workflowItemKey]}`), 'XX', timestamp + this.engineHeartbeatTTL, workflowItemKey);
+        });
+
+      return $$multi
+        .set(this.generateActionItemKey(`${ENGINE_HEARTBEAT_TABLE_NAME}:${this.ID}`), timestamp, 'PX', this.engineHeartbeatTTL)
+        .sadd(this.generateActionItemKey(ENGINE_ID_SET_TABLE_NAME), this.ID)
+        .execAsync();
+    };
 
-    return this.$datastore.retrieveItemFromHashFieldByName(ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName);
+    await sendEngineHeartbeat();
+
+    this.engineHeartbeatIntervalID = setInterval(() => {
+      sendEngineHeartbeat()
+        .then(this.recoverAllOrphanedActions.bind(this))
+        .then(this.resumeAllOrphanedWorkflows.bind(this))
+        .catch((error) => {
+          this.$logger.error(`Could not send the heartbeat or recover the orphaned actions and workflows because of an external error: ${error}`);
+        });
+    }, this.engineHeartbeatInterval);
   }
 
   /**
-   * Retrieves the extendable action configurations given an action name.
-   *
-   * @argument {String} actionName
-   *
-   * @returns {Promise<extendableActionConfiguration>}
+   * Starts polling for the scheduled and recurring actions that are due.
    */
-  retrieveExtendableActionConfigurationByActionName (actionName) {
-
-    return this.$datastore.retrieveItemFromHashFieldByName(EXTENDABLE_ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName);
+  startScheduledActionPolling () {
+    if (!!this.scheduledActionPollingIntervalID) return;
+
+    this.scheduledActionPollingIntervalID = setInterval(() => {
+      this.publishAllDueScheduledActions()
+        .catch((error) => {
+          this.$logger.error(`Could not publish the scheduled actions because of an external error: ${error}`);
+        });
+
+      this.publishAllDueRecurringActions()
+        .catch((error) => {
+          this.$logger.error(`Could not publish the recurring actions because of an external error: ${error}`);
+        });
+    }, this.scheduledActionPollingInterval);
   }
 
   /**
-   * Retrieves a pending action name and call the execution.
-   *
-   * @argument {String} actionQueueName
+   * Stops sending the engine's heartbeats.
+   * The engine is forgotten if its processing list is empty; otherwise, its actions are recovered by another engine.
    *
    * @returns {Promise<void>}
    */
-  async retrievePendingAction (actionQueueName) {
-    const $handlerDatastore = (this.$handlerDatastoreByName.hasOwnProperty(`${actionQueueName}Handler`)) ?
-      this.$handlerDatastoreByName[`${actionQueueName}Handler`] :
-      (this.$handlerDatastoreByName[`${actionQueueName}Handler`] = this.$actionDatastore.duplicateConnection());
-
-    try {
-      this.$logger.debug(`Retrieving a pending action from action queue "${actionQueueName}"...`, { actionQueueName });
+  async stopEngineHeartbeat () {
+    clearInterval(this.engineHeartbeatIntervalID);
 
-      const actionItemKey = (await $handlerDatastore.$$server.brpopAsync(actionQueueName, 0))[1];
+    delete this.engineHeartbeatIntervalID;
 
-      const $action = new NucleusAction(await (this.$actionDatastore.retrieveAllItemsFromHashByName(actionItemKey)));
-      const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+    const processingActionCount = await this.$actionDatastore.$$server.llenAsync(this.actionProcessingListItemKey);
+    const $$multi = this.$actionDatastore.$$server.multi()
+      .del(this.generateActionItemKey(`${ENGINE_HEARTBEAT_TABLE_NAME}:${this.ID}`));
 
-      this.$logger.debug(`Retrieved a pending action "${actionName} (${actionID})" from action queue "${actionQueueName}".`, { actionID, actionName, actionQueueName, correlationID });
-      // if (NODE_ENVIRONMENT === DEVELOPMENT_ENVIRONMENT_NAME) {
-      //   try {
-      //     const actionQueueItemCount = await this.$actionDatastore.$$server.llenAsync(actionQueueName);
-      //     this.$logger.debug(`${actionQueueName} action queue has ${actionQueueItemCount} pending action${(actionQueueItemCount > 1) ? 's' : ''} left.`);
-      //
-      //   } catch (e) {
-      //     console.error(e);
-      //   }
-      // }
+    if (processingActionCount === 0) $$multi.srem(this.generateActionItemKey(ENGINE_ID_SET_TABLE_NAME), this.ID);
 
-      process.nextTick(() => {
-        console.log($action);
-        this.executeAction($action)
-          .catch((error) => {
-            this.$logger.error(error.message, {
-              actionID: $action.ID,
-              actionName: $action.name,
-              correlationID: $action.meta.correlationID,
-              originUserID: $action.meta.originUserID,
-              ...error
-            });
-          });
-      });
-    } catch (error) {
-      this.$logger.warn(`In progress: ${error}`);
-    }
+    await $$multi.execAsync();
   }
 
   /**
-   * Retrieves the resource structure given a resource type.
-   *
-   * @argument {String} resourceType
-   *
-   * @returns {Promise<resourceStructure>}
+   * Stops polling for the scheduled and recurring actions that are due.
    */
-  retrieveResourceStructureByResourceType (resourceType) {
+  stopScheduledActionPolling () {
+    clearInterval(this.scheduledActionPollingIntervalID);
 
-    return this.$datastore.retrieveItemFromHashFieldByName(RESOURCE_STRUCTURE_BY_RESOURCE_TYPE_TABLE_NAME, resourceType);
+    this.scheduledActionPollingIntervalID = undefined;
   }
 
   /**
@@ -906,7 +3028,12 @@ end
      * @property {String} [eventName]
      * @property {String} fileName
      * @property {String} filePath
+     * @property {Number|String} [maxConcurrentActions] - The maximum number of actions of this kind executed at once by the engine.
+     * @property {Number|String} [maximumRetryCount]
      * @property {String} methodName
+     * @property {String} [priority] - One of "High", "Normal" or "Low".
+     * @property {Number|String} [retryBackoffDelay]
+     * @property {String|String[]} [schedule] - A cron expression.
      */
     if (nucleusValidator.isArray(actionConfiguration)) {
       const actionConfigurationList = actionConfiguration;
@@ -914,14 +3041,50 @@ end
       return Promise.all(actionConfigurationList.map(this.storeActionConfiguration.bind(this)));
     }
 
-    const { actionName } = actionConfiguration;
+    const { actionName, maxConcurrentActions, priority, schedule } = actionConfiguration;
+
+    if (!!priority && !~NucleusAction.NucleusActionPriorityList.indexOf(priority)) throw new NucleusError.UnexpectedValueNucleusError(`The priority '${priority}' of the action "${actionName}" is not a valid priority.`);
+
+    // The autodiscovery splits the cron expression of the `@Nucleus Schedule` tag in a list.
+    if (!!maxConcurrentActions) this.maxConcurrentActionsByActionName[actionName] = Number(maxConcurrentActions);
+    if (!!schedule) this.registerRecurringActionByName(actionName, (nucleusValidator.isArray(schedule)) ? schedule.join(' ') : schedule);
 
     return Promise.all([
       this.$datastore.addItemToHashFieldByName(ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName, actionConfiguration),
-      this.$actionDatastore.addItemToHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName, this.defaultActionQueueName)
+      this.$actionDatastore.addItemToHashFieldByName(this.generateActionItemKey(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME), actionName, this.defaultActionQueueName),
+      // The default priority is stored with the action queue name so that publishers can retrieve it.
+      (!!priority) ?
+        this.$actionDatastore.addItemToHashFieldByName(this.generateActionItemKey(ACTION_PRIORITY_BY_ACTION_NAME_TABLE_NAME), actionName, priority) :
+        this.$actionDatastore.removeItemFromFieldByName(this.generateActionItemKey(ACTION_PRIORITY_BY_ACTION_NAME_TABLE_NAME), actionName)
     ]);
   }
 
+  /**
+   * Stores an event schema.
+   *
+   * @argument {eventSchema} eventSchema
+   *
+   * @returns {Promise}
+   */
+  storeEventSchema (eventSchema) {
+    /**
+     * @typedef {Object} eventSchema
+     * @property {String} eventName
+     * @property {String} [fileName]
+     * @property {String} [filePath]
+     * @property {Object} propertiesByArgumentName
+     */
+    if (nucleusValidator.isArray(eventSchema)) {
+      const eventSchemaList = eventSchema;
+
+      return Promise.all(eventSchemaList.map(this.storeEventSchema.bind(this)));
+    }
+
+    const { eventName } = eventSchema;
+
+    return this.$datastore.addItemToHashFieldByName(EVENT_SCHEMA_BY_EVENT_NAME_TABLE_NAME, eventName, eventSchema);
+  }
+
   /**
    * Stores an extendable action configuration.
    *
@@ -997,21 +3160,32 @@ end
     const actionDatastoreIndex = this.$actionDatastore.index;
     const $actionQueueSubscriberDatastore = (this.$handlerDatastoreByName.hasOwnProperty(`${actionQueueName}Subscriber`)) ?
       this.$handlerDatastoreByName[`${actionQueueName}Subscriber`] :
-      (this.$handlerDatastoreByName[`${actionQueueName}Subscriber`] = this.$actionDatastore.duplicateConnection());
+      (this.$handlerDatastoreByName[`${actionQueueName}Subscriber`] = this.monitorDatastoreConnection(`${actionQueueName}Subscriber`, this.$actionDatastore.duplicateConnection()));
 
     try {
-      const channelName = `__keyspace@${actionDatastoreIndex}__:${actionQueueName}`;
-
       // Debounces the request fixing an issue that would cause the system to slow down as more requests are made.
       let timeout;
 
-      $actionQueueSubscriberDatastore.subscribeToChannelName(channelName);
-      $actionQueueSubscriberDatastore.handleEventByChannelName(channelName, () => {
+      const handleActionQueueUpdate = () => {
         if (this.debounceActionExecution) {
           clearTimeout(timeout);
           timeout = setTimeout(this.retrievePendingAction.bind(this, actionQueueName), 6);
         } else process.nextTick(this.retrievePendingAction.bind(this, actionQueueName));
-      });
+      };
+
+      // Every priority has its own list.
+      generateAllActionQueueItemKeys(this.$actionDatastore, actionQueueName)
+        .forEach((actionQueueItemKey) => {
+          const channelName = (this.actionTransport === ReplyChannelActionTransport) ?
+            generateActionQueueUpdateChannelName(actionQueueItemKey) :
+            `__keyspace@${actionDatastoreIndex}__:${actionQueueItemKey}`;
+
+          $actionQueueSubscriberDatastore.subscribeToChannelName(channelName);
+          $actionQueueSubscriberDatastore.handleEventByChannelName(channelName, handleActionQueueUpdate);
+        });
+
+      // Retrieve the actions that were published while no engine was listening.
+      process.nextTick(this.retrievePendingAction.bind(this, actionQueueName));
 
       return Promise.resolve();
     } catch (error) {
@@ -1033,42 +3207,64 @@ end
   }
 
   /**
-   * Unsubscribes to a channel given its name.
+   * Unsubscribes to a channel given its name; the handler callbacks of the channel are removed.
    *
    * @argument {String} channelName
    *
    * @returns {Promise<void>}
    */
   async unsubscribeFromEventChannelByName (channelName) {
+    Reflect.deleteProperty(this.eventHandlerByChannelName, channelName);
 
     return this.$eventSubscriberDatastore.unsubscribeFromChannelName(channelName);
   }
 
+  /**
+   * Validates the message of an event against the event's schema; an event without a schema is always valid.
+   *
+   * @argument {NucleusEvent} $event
+   *
+   * @returns {Promise<void>}
+   *
+   * @throws Will throw an error if the event message does not validate.
+   */
+  async validateEventMessage ($event) {
+    const { propertiesByArgumentName } = await this.retrieveEventSchemaByEventName($event.name) || {};
+
+    if (!propertiesByArgumentName) return;
+
+    nucleusValidator.struct(propertiesByArgumentName)(Object.assign({}, $event.message));
+  }
+
   /**
    * Verifies that the Redises connection are configured correctly.
+   * The verification is remembered for each action transport, since only the keyspace notification transport requires
+   * the keyspace notifications.
    *
    * @returns {Promise<void>}
    */
   async verifyRedisConfiguration () {
-    const redisConnectionVerified = await this.$actionDatastore.$$server.existsAsync('RedisConnectionVerified');
+    const redisConnectionVerifiedItemKey = `RedisConnectionVerified:${this.actionTransport}`;
+    const redisConnectionVerified = await this.$actionDatastore.$$server.existsAsync(redisConnectionVerifiedItemKey);
 
     if (redisConnectionVerified) return;
 
     this.$logger.debug(`Verifying the ${this.name} engine's action datastore connection.`);
 
+    let keyspaceNotificationActivated;
+
     try {
-      const keyspaceNotificationActivated = (await this.$actionDatastore.evaluateLUAScript(`return redis.call('CONFIG', 'GET', 'notify-keyspace-events');`))[1];
+      // The keyspace notifications are only required by the keyspace notification transport.
+      keyspaceNotificationActivated = (this.actionTransport !== KeyspaceNotificationActionTransport) ||
+        (await this.$actionDatastore.evaluateLUAScript(`return redis.call('CONFIG', 'GET', 'notify-keyspace-events');`))[1] === 'AKE';
 
-      if (keyspaceNotificationActivated !== 'AKE') {
-        this.$logger.error(`Redis' Keyspace Notification is not activated, please make sure to configure your Redis server correctly.
+      if (!keyspaceNotificationActivated) {
+        this.$logger.error(`Redis' Keyspace Notification is not activated, please make sure to configure your Redis server correctly or to use the "${ReplyChannelActionTransport}" action transport.
   # redis.conf
   # Check http://download.redis.io/redis-stable/redis.conf for more details.
   notify-keyspace-events AKE
   `);
-        process.exit(699);
-      }
-
-      this.$logger.debug(`The ${this.name} engine's action datastore connection has been verified, all is good.`);
+      } else this.$logger.debug(`The ${this.name} engine's action datastore connection has been verified, all is good.`);
 
       // Make sure that the Engine datastore is configured correctly;
       // To avoid any surprise, there should be a save policy.
@@ -1088,7 +3284,9 @@ end
 Please make sure that everything is set-up properly. https://github.com/sebastienfilion/idex.nucleus/wiki`);
     }
 
-    return this.$datastore.createItem('RedisConnectionVerified', this.ID, 60 * 60 * 7);
+    if (keyspaceNotificationActivated === false) throw new NucleusError.UndefinedContextNucleusError(`The ${this.name} engine can't use the "${KeyspaceNotificationActionTransport}" action transport because Redis' Keyspace Notification is not activated.`);
+
+    return this.$actionDatastore.createItem(redisConnectionVerifiedItemKey, this.ID, 60 * 60 * 7);
   }
 
   /**
@@ -1196,8 +3394,134 @@ Please make sure that everything is set-up properly. https://github.com/sebastie
 
 }
 
+/** @memberOf NucleusEngine */
+NucleusEngine.KeyspaceNotificationActionTransport = KeyspaceNotificationActionTransport;
+/** @memberOf NucleusEngine */
+NucleusEngine.ReplyChannelActionTransport = ReplyChannelActionTransport;
+/** @memberOf NucleusEngine */
+NucleusEngine.NucleusActionTransportList = NucleusActionTransportList;
+
 module.exports = NucleusEngine;
 
+/**
+ * Generates the name of the channel on which the updates of the list of an action queue are published.
+ *
+ * @argument {String} actionQueueItemKey
+ *
+ * @returns {String}
+ */
+function generateActionQueueUpdateChannelName (actionQueueItemKey) {
+
+  return `${ACTION_QUEUE_UPDATE_CHANNEL_TABLE_NAME}:${actionQueueItemKey}`;
+}
+
+/**
+ * Generates the name of the channel on which the status of an action is published once it is final.
+ *
+ * @argument {String} actionName
+ * @argument {String} actionID
+ *
+ * @returns {String}
+ */
+function generateActionReplyChannelName (actionName, actionID) {
+
+  return `${ACTION_REPLY_CHANNEL_TABLE_NAME}:${actionName}:${actionID}`;
+}
+
+/**
+ * Generates the payload of a notification event; a notification is published through Redis only, it is not stored.
+ *
+ * @argument {String} eventName
+ * @argument {Object} [eventMessage={}]
+ *
+ * @returns {String}
+ */
+function generateNotificationEventPayload (eventName, eventMessage = {}) {
+
+  return JSON.stringify(new NucleusEvent(eventName, eventMessage));
+}
+
+/**
+ * Generates the name of the channel on which the progress of an action is published.
+ *
+ * @argument {String} actionName
+ * @argument {String} actionID
+ *
+ * @returns {String}
+ */
+function generateActionProgressChannelName (actionName, actionID) {
+
+  return `${ACTION_PROGRESS_CHANNEL_TABLE_NAME}:${actionName}:${actionID}`;
+}
+
+/**
+ * Generates the item keys of all the lists of an action queue, the highest priority first.
+ *
+ * @argument {NucleusDatastore} $actionDatastore
+ * @argument {String} actionQueueName
+ *
+ * @returns {String[]}
+ */
+function generateAllActionQueueItemKeys ($actionDatastore, actionQueueName) {
+
+  return NucleusAction.NucleusActionPriorityList
+    .map(generateActionQueueItemKeyByPriority.bind(null, $actionDatastore, actionQueueName));
+}
+
+/**
+ * Generates the item key of the list of an action queue for a given priority.
+ * The normal priority uses the action queue name as is so that actions published before priorities existed are retrieved.
+ *
+ * @argument {NucleusDatastore} $actionDatastore
+ * @argument {String} actionQueueName
+ * @argument {String} actionPriority
+ *
+ * @returns {String}
+ */
+function generateActionQueueItemKeyByPriority ($actionDatastore, actionQueueName, actionPriority) {
+
+  return $actionDatastore.generateHashTaggedItemKey(ACTION_HASH_TAG, (actionPriority === NucleusAction.NormalActionPriority) ? actionQueueName : `${actionQueueName}:${actionPriority}Priority`);
+}
+
+/**
+ * Generates a handler callback that validates the event message before calling the given handler callback.
+ *
+ * @argument {Function} handlerCallback
+ *
+ * @returns {Function}
+ */
+function generateEventMessageValidationHandlerCallback (handlerCallback) {
+
+  return async function ($event, channelName) {
+    await this.validateEventMessage($event);
+
+    return handlerCallback.call(this, $event, channelName);
+  };
+}
+
+/**
+ * Adds a listener for the abort event of an `AbortSignal` or of any event emitter that behaves like one.
+ *
+ * @argument {AbortSignal|EventEmitter} signal
+ * @argument {Function} listener
+ */
+function addAbortListener (signal, listener) {
+  if (nucleusValidator.isFunction(signal.addEventListener)) signal.addEventListener('abort', listener, { once: true });
+  else if (nucleusValidator.isFunction(signal.once)) signal.once('abort', listener);
+  else throw new NucleusError.UnexpectedValueTypeNucleusError("The signal must be an AbortSignal or an event emitter.");
+}
+
+/**
+ * Removes a listener for the abort event of an `AbortSignal` or of any event emitter that behaves like one.
+ *
+ * @argument {AbortSignal|EventEmitter} signal
+ * @argument {Function} listener
+ */
+function removeAbortListener (signal, listener) {
+  if (nucleusValidator.isFunction(signal.removeEventListener)) signal.removeEventListener('abort', listener);
+  else if (nucleusValidator.isFunction(signal.removeListener)) signal.removeListener('abort', listener);
+}
+
 /**
  * Parses the Nucleus doclet tags.
  *
@@ -1225,6 +3549,45 @@ function parseNucleusTag (docletTagList) {
     }, {});
 }
 
+/**
+ * Verifies that an error thrown during the execution of an action is worth retrying.
+ * Errors raised by Nucleus itself (missing arguments, unauthorized action...) or by the argument validation would fail
+ * the same way on every attempt; only external errors are retried.
+ *
+ * @argument {Error} error
+ *
+ * @returns {Boolean}
+ */
+function verifyThatErrorIsRetriable (error) {
+  if (error instanceof nucleusValidator.StructError) return false;
+  if (error instanceof NucleusError && error.constructor !== NucleusError) return false;
+
+  return true;
+}
+
+/**
+ * Retrieves the first member of a sorted set, and its score, that matches a glob-style pattern.
+ *
+ * @argument {NucleusDatastore} $datastore
+ * @argument {String} itemKey
+ * @argument {String} pattern
+ *
+ * @returns {Promise<Array>}
+ */
+async function retrieveSortedSetMemberByPattern ($datastore, itemKey, pattern) {
+  let cursor = '0';
+
+  do {
+    const [ nextCursor, memberAndScoreList ] = await $datastore.$$server.zscanAsync(itemKey, cursor, 'MATCH', pattern, 'COUNT', 1000);
+
+    if (memberAndScoreList.length > 0) return memberAndScoreList.slice(0, 2);
+
+    cursor = nextCursor;
+  } while (cursor !== '0');
+
+  return [];
+}
+
 /**
  * Retrieves all doclets in path.
  * @see {@link https://github.com/jsdoc3/jsdoc/blob/master/lib/jsdoc/doclet.js|JSDoc Doclet|}
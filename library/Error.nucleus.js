@@ -70,6 +70,40 @@ class NucleusError extends Error {
 
 }
 
+class ActionCancelledNucleusError extends NucleusError {
+
+  /**
+   * Creates a Action Cancelled Nucleus Error.
+   * @memberOf NucleusError
+   *
+   * @argument {String} errorMessage
+   */
+  constructor (errorMessage, options) {
+    super(errorMessage, options);
+
+    this.name = 'ActionCancelledNucleusError';
+    this.errorCode = 607;
+  }
+
+}
+
+class ActionTimeoutNucleusError extends NucleusError {
+
+  /**
+   * Creates a Action Timeout Nucleus Error.
+   * @memberOf NucleusError
+   *
+   * @argument {String} errorMessage
+   */
+  constructor (errorMessage, options) {
+    super(errorMessage, options);
+
+    this.name = 'ActionTimeoutNucleusError';
+    this.errorCode = 606;
+  }
+
+}
+
 class UnauthorizedActionNucleusError extends NucleusError {
 
   /**
@@ -153,6 +187,8 @@ class UnexpectedValueTypeNucleusError extends NucleusError {
 
 }
 
+NucleusError.ActionCancelledNucleusError = ActionCancelledNucleusError;
+NucleusError.ActionTimeoutNucleusError = ActionTimeoutNucleusError;
 NucleusError.UnauthorizedActionNucleusError = UnauthorizedActionNucleusError;
 NucleusError.UndefinedContextNucleusError = UndefinedContextNucleusError;
 NucleusError.UndefinedValueNucleusError = UndefinedValueNucleusError;
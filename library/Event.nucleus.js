@@ -41,6 +41,7 @@ class NucleusEvent extends NucleusResource {
    * @argument {Object} [options]
    * @argument {String} [options.actionID] - The ID of the action that triggered the event.
    * @argument {String} [options.correlationID]
+   * @argument {String} [options.ID] - The ID of an event that is restored, ie: when it is replayed.
    * @argument {String} [options.originEngineID]
    * @argument {String} [options.originEngineName]
    * @argument {String} [options.originProcessID]
@@ -52,12 +53,12 @@ class NucleusEvent extends NucleusResource {
     else {
       if (!nucleusValidator.isString(eventName) || nucleusValidator.isEmpty(eventName)) throw new NucleusError.UndefinedValueNucleusError("The event name is mandatory.");
 
-      const { correlationID, originEngineID = 'Unknown', originEngineName = 'Unknown', originProcessID = process.pid, originUserID = 'Unknown' } = options;
+      const { correlationID, ID: eventID, originEngineID = 'Unknown', originEngineName = 'Unknown', originProcessID = process.pid, originUserID = 'Unknown' } = options;
       const eventAttributes = { meta: { originEngineID, originEngineName, originProcessID }, name: eventName, message: eventMessage };
 
       if (!!correlationID) eventAttributes.meta.correlationID = correlationID;
 
-      super('NucleusEvent', eventResourceStructure, eventAttributes, originUserID);
+      super('NucleusEvent', eventResourceStructure, eventAttributes, originUserID, eventID);
 
       /** @member {String} name */
       Reflect.defineProperty(this, 'name', { enumerable: true, writable: false });
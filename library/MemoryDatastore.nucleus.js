@@ -0,0 +1,61 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Nucleus Memory Datastore class that wraps a client of the in-memory server instead of a
+ * Redis client; the engines can then run without Redis, ie: for the tests or in a single-process mode.
+ *
+ * @author Sebastien Filion
+ */
+
+const NucleusDatastore = require('./Datastore.nucleus');
+
+const memoryServer = require('./memoryServer.nucleus');
+
+class NucleusMemoryDatastore extends NucleusDatastore {
+
+  /**
+   * Creates an in-memory datastore. The constructor returns a Proxy that interfaces the class and a Promise that resolves
+   * once the client is connected.
+   * Every in-memory datastore of the process is connected to the same server so that the engines of a process can
+   * communicate, unless it is given its own server; nothing is persisted.
+   * @example
+   * const $engine = new NucleusEngine('Dummy', {
+   *   $actionDatastore: new NucleusMemoryDatastore('Action'),
+   *   $engineDatastore: new NucleusMemoryDatastore('Engine'),
+   *   $eventDatastore: new NucleusMemoryDatastore('Event')
+   * });
+   *
+   * @argument {String} datastoreName
+   * @argument {Object} options
+   * @argument {Number} [options.index=0]
+   * @argument {MemoryServer} [options.$$memoryServer=<Process-wide server>] - A server created with `NucleusMemoryDatastore.createServer`.
+   * @argument {String} [options.namespace]
+   *
+   * @returns {Proxy}
+   */
+  constructor (datastoreName = 'Untitled', options = {}) {
+    const { index: datastoreIndex = 0, $$memoryServer } = options;
+
+    super(datastoreName, Object.assign({}, options, { $$server: memoryServer.createClient({ db: datastoreIndex, server: $$memoryServer }) }));
+
+    this.$$memoryServer = $$memoryServer;
+    this.type = 'Memory';
+  }
+
+  /**
+   * Duplicates the connection.
+   *
+   * @argument {String} [datastoreName=`${this.name}Duplicate`]
+   *
+   * @returns {NucleusMemoryDatastore}
+   */
+  duplicateConnection (datastoreName = `${this.name}Duplicate`) {
+
+    return new NucleusMemoryDatastore(datastoreName, { $logger: this.$logger || console, $$memoryServer: this.$$memoryServer, index: this.index, namespace: this.namespace });
+  }
+
+}
+
+NucleusMemoryDatastore.createServer = memoryServer.createServer;
+
+module.exports = NucleusMemoryDatastore;
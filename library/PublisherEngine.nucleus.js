@@ -1,16 +1,25 @@
 "use strict";
 
+const Promise = require('bluebird');
+const fs = require('fs');
+const path = require('path');
 const uuid = require('uuid');
 
 const NucleusDatastore = require('./Datastore.nucleus');
 const NucleusEngine = require('./Engine.nucleus');
 
+const fsReadFilePromisified = Promise.promisify(fs.readFile);
+
 class PublisherEngine {
 
   constructor (engineName, options = {}) {
     const {
       $actionDatastore = new NucleusDatastore(),
       $logger = console,
+      actionTransport = NucleusEngine.KeyspaceNotificationActionTransport,
+      defaultActionHangupTimeout = 0,
+      defaultActionIdempotencyWindow = 1000 * 60 * 5,
+      defaultActionQueueName = engineName
     } = options;
 
     /** @member {String} ID */
@@ -21,11 +30,35 @@ class PublisherEngine {
     this.$actionDatastore = $actionDatastore;
     this.$logger = $logger;
 
+    this.actionTransport = actionTransport;
+    this.defaultActionHangupTimeout = defaultActionHangupTimeout;
+    this.defaultActionIdempotencyWindow = defaultActionIdempotencyWindow;
+    this.defaultActionQueueName = defaultActionQueueName;
+
     this.$handlerDatastoreByName = {};
 
+    this.monitorDatastoreConnection('Action', this.$actionDatastore);
+
     this.actionTTL = 1000 * 60 * 60; // One hour
 
-    this.$$promise = Promise.all([this.$actionDatastore]);
+    // The publisher registers the scripts it uses itself; it may publish before any engine is started.
+    this.$$promise = Promise.all([ this.$actionDatastore ])
+      .then(() => {
+
+        return Promise.all([
+          fsReadFilePromisified(path.join(__dirname, '/lua/cancelAction.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/handleActionIdempotency.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/publishActionToQueue.lua'), 'UTF8')
+        ]);
+      })
+      .then(([ cancelActionScript, handleActionIdempotencyScript, publishActionToQueueScript ]) => {
+
+        return Promise.all([
+          this.$actionDatastore.registerScriptByName('CancelAction', cancelActionScript),
+          this.$actionDatastore.registerScriptByName('HandleActionIdempotency', handleActionIdempotencyScript),
+          this.$actionDatastore.registerScriptByName('PublishActionToQueue', publishActionToQueueScript)
+        ]);
+      });
 
     const $$proxy = new Proxy(this, {
       get: function (object, property) {
@@ -42,9 +75,17 @@ class PublisherEngine {
 
 }
 
+PublisherEngine.prototype.cancelAction = NucleusEngine.prototype.cancelAction;
+PublisherEngine.prototype.generateActionItemKey = NucleusEngine.prototype.generateActionItemKey;
 PublisherEngine.prototype.handleActionChannelRedisEvent = NucleusEngine.prototype.handleActionChannelRedisEvent;
 PublisherEngine.prototype.handleActionStatusUpdated = NucleusEngine.prototype.handleActionStatusUpdated;
+PublisherEngine.prototype.monitorDatastoreConnection = NucleusEngine.prototype.monitorDatastoreConnection;
 PublisherEngine.prototype.publishActionByNameAndHandleResponse = NucleusEngine.prototype.publishActionByNameAndHandleResponse;
 PublisherEngine.prototype.publishActionToQueueByName = NucleusEngine.prototype.publishActionToQueueByName;
+PublisherEngine.prototype.publishBatchActionByNameAndHandleResponse = NucleusEngine.prototype.publishBatchActionByNameAndHandleResponse;
+PublisherEngine.prototype.retrieveActionPriorityByActionName = NucleusEngine.prototype.retrieveActionPriorityByActionName;
+PublisherEngine.prototype.retrieveActionQueueNameByActionName = NucleusEngine.prototype.retrieveActionQueueNameByActionName;
+PublisherEngine.prototype.scheduleActionByName = NucleusEngine.prototype.scheduleActionByName;
+PublisherEngine.prototype.scheduleActionToQueueByName = NucleusEngine.prototype.scheduleActionToQueueByName;
 
 module.exports = PublisherEngine;
\ No newline at end of file
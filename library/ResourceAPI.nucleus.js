@@ -5,10 +5,12 @@ const uuid = require('uuid');
 
 const NucleusDatastore = require('./Datastore.nucleus');
 const NucleusError = require('./Error.nucleus');
+const NucleusEvent = require('./Event.nucleus');
 const NucleusResource = require('./Resource.nucleus');
 
 const nucleusValidator = require('./validator.nucleus');
 
+const RESOURCE_EVENT_LIST_TABLE_NAME = 'ResourceEventList';
 const RESOURCE_ID_BY_TYPE_TABLE_NAME = 'ResourceIDByType';
 const WALK_HIERARCHY_METHOD_LIST = [
   'TopNodeDescent',
@@ -17,6 +19,9 @@ const WALK_HIERARCHY_METHOD_LIST = [
 ];
 const HIERARCHY_TREE_CACHE_TTL = 0;
 
+// An event-sourced resource keeps the list of the events that changed it; its hash is the projection of those events.
+// A resource type is event-sourced if its structure is tagged `@Nucleus EventSourced true` or if it is listed in the
+// context's `eventSourcedResourceTypeList`.
 class NucleusResourceAPI {
 
   /**
@@ -67,10 +72,15 @@ class NucleusResourceAPI {
       $datastore.retrieveAllItemsFromHashByName(resourceItemKey),
       $resourceRelationshipDatastore.archiveAllRelationshipsToVector({ ID: resourceID, type: resourceType })
     ])
-      .then(([ resourceAttributes ]) => {
-        resourceAttributes.meta.archivedISOTime = new Date().toISOString();
+      .then(async ([ resourceAttributes ]) => {
+        const archivedISOTime = resourceAttributes.meta.archivedISOTime = new Date().toISOString();
 
-        return $datastore.addItemToHashFieldByName(resourceItemKey, resourceAttributes);
+        const $$multi = $datastore.$$server.multi()
+          .hmset(resourceItemKey, ...generateHashFieldList(resourceAttributes));
+
+        if (await verifyThatResourceTypeIsEventSourced.call(this, resourceType)) appendResourceEventByID($datastore, $$multi, resourceType, resourceID, 'Archived', { archivedISOTime }, originUserID);
+
+        await $$multi.execAsync();
       })
       .return({ resourceID });
   }
@@ -194,10 +204,17 @@ class NucleusResourceAPI {
 
         if (resourceExists) throw new NucleusError.UndefinedContextNucleusError(`The ${resourceType} ("${$resource.ID}") already exists.`);
 
+        const resourceIsEventSourced = await verifyThatResourceTypeIsEventSourced.call(this, resourceType);
+
+        const $$multi = $datastore.$$server.multi()
+          .hmset(resourceItemKey, ...generateHashFieldList($resource));
+
+        if (resourceIsEventSourced) appendResourceEventByID($datastore, $$multi, resourceType, $resource.ID, 'Created', { resourceAttributes: $resource }, originUserID);
+
         return Promise.all([
-          $datastore.addItemToHashFieldByName(resourceItemKey, $resource),
+          $$multi.execAsync(),
           // This doesn't seem to be used anywhere and should be removed.
-          $datastore.addItemToSetByName(RESOURCE_ID_BY_TYPE_TABLE_NAME, resourceType, $resource.ID),
+          $datastore.addItemToSetByName(RESOURCE_ID_BY_TYPE_TABLE_NAME, resourceType, $resource.ID)
         ])
           .then(() => {
             if (!$resourceRelationshipDatastore) return;
@@ -331,9 +348,15 @@ class NucleusResourceAPI {
 
     if (!canUpdateResource) throw new NucleusError.UnauthorizedActionNucleusError(`The user ("${originUserID}") is not authorized to remove the ${resourceType} ("${resourceID}")`);
 
-    return Promise.all([
-      $datastore.removeItemByName(resourceItemKey),
-    ])
+    const resourceIsEventSourced = await verifyThatResourceTypeIsEventSourced.call(this, resourceType);
+
+    const $$multi = $datastore.$$server.multi()
+      .del(resourceItemKey);
+
+    // The history of the resource is kept.
+    if (resourceIsEventSourced) appendResourceEventByID($datastore, $$multi, resourceType, resourceID, 'Removed', {}, originUserID);
+
+    return $$multi.execAsync()
       .then(() => {
         if (!$resourceRelationshipDatastore) return;
 
@@ -407,6 +430,117 @@ class NucleusResourceAPI {
       });
   }
 
+  /**
+   * Retrieves an event-sourced resource as it was at a given version, the first version being its creation.
+   *
+   * @Nucleus ActionName RetrieveResourceByIDAtVersion
+   * @Nucleus ActionAlternativeSignature resourceType NucleusResourceModel resourceID resourceVersion originUserID
+   * @Nucleus ExtendableActionName `Retrieve${resourceType}ByIDAtVersion`
+   * @Nucleus ExtendableAlternativeActionSignature 'resourceType' 'NucleusResourceModel' `${Nucleus.shiftFirstLetterToLowerCase(resourceType)}ID` 'resourceVersion' 'originUserID'
+   * @Nucleus ExtendableActionArgumentDefault resourceType `${resourceType}` NucleusResourceModel Nucleus.generateResourceModelFromResourceStructureByResourceType(`${resourceType}`)
+   *
+   * @argument {String} resourceType
+   * @argument {Function} NucleusResourceModel
+   * @argument {String} resourceID
+   * @argument {Number} resourceVersion
+   * @argument {String} originUserID
+   *
+   * @returns {Promise<{ resource: NucleusResource, resourceVersion: Number }>}
+   *
+   * @throws Will throw an error if the resource type is not a string.
+   * @throws Will throw an error if the resource model is not an instance of NucleusResource.
+   * @throws Will throw an error if the resource ID is not a string.
+   * @throws Will throw an error if the resource version is not a positive integer.
+   * @throws Will throw an error if the origin user ID is not a string.
+   * @throws Will throw an error if no datastore is passed.
+   * @throws Will throw an error if the resource type is not event-sourced.
+   * @throws Will throw an error if the origin user is not authorized to retrieve the resource.
+   * @throws Will throw an error if the resource version does not exist or if the resource was removed at that version.
+   */
+  static async retrieveResourceByIDAtVersion (resourceType, NucleusResourceModel, resourceID, resourceVersion, originUserID) {
+    if (!nucleusValidator.isString(resourceType)) throw new NucleusError.UnexpectedValueTypeNucleusError("The resource type must be a string.");
+    if (!nucleusValidator.isFunction(NucleusResourceModel)) throw new NucleusError.UnexpectedValueTypeNucleusError("The Nucleus resource model must be an instance of NucleusResource.");
+    if (!nucleusValidator.isString(resourceID)) throw new NucleusError.UnexpectedValueTypeNucleusError("The resource ID must be a string.");
+    if (!Number.isInteger(Number(resourceVersion)) || Number(resourceVersion) < 1) throw new NucleusError.UnexpectedValueTypeNucleusError("The resource version must be a positive integer.");
+    if (!nucleusValidator.isString(originUserID) || nucleusValidator.isEmpty(originUserID)) throw new NucleusError.UnexpectedValueTypeNucleusError("The origin user ID must be a string and can't be undefined.");
+
+    const { resourceHistory } = await NucleusResourceAPI.retrieveResourceHistoryByID.call(this, resourceType, resourceID, originUserID);
+
+    if (Number(resourceVersion) > resourceHistory.length) throw new NucleusError.UndefinedContextNucleusError(`The ${resourceType} ("${resourceID}") has no version ${resourceVersion}.`);
+
+    // The resource is projected from its events, one after the other.
+    const resourceAttributes = resourceHistory.slice(0, Number(resourceVersion))
+      .reduce((accumulator, { eventName, eventMessage }) => {
+        if (eventName === `${resourceType}Created`) return Object.assign({}, eventMessage.resourceAttributes);
+        if (eventName === `${resourceType}Updated`) return Object.assign({}, accumulator, eventMessage.resourceAttributes, { meta: Object.assign({}, accumulator.meta, { updatedISOTime: eventMessage.updatedISOTime }) });
+        if (eventName === `${resourceType}Archived`) return Object.assign({}, accumulator, { meta: Object.assign({}, accumulator.meta, { archivedISOTime: eventMessage.archivedISOTime }) });
+        if (eventName === `${resourceType}Removed`) return null;
+
+        return accumulator;
+      }, null);
+
+    if (!resourceAttributes) throw new NucleusError.UndefinedContextNucleusError(`The ${resourceType} ("${resourceID}") was removed at version ${resourceVersion}.`);
+
+    return { resource: new NucleusResourceModel(resourceAttributes, originUserID), resourceVersion: Number(resourceVersion) };
+  }
+
+  /**
+   * Retrieves the history of the changes made to an event-sourced resource, from its creation.
+   *
+   * @Nucleus ActionName RetrieveResourceHistoryByID
+   * @Nucleus ActionAlternativeSignature resourceType resourceID originUserID
+   * @Nucleus ExtendableActionName `Retrieve${resourceType}HistoryByID`
+   * @Nucleus ExtendableAlternativeActionSignature 'resourceType' `${Nucleus.shiftFirstLetterToLowerCase(resourceType)}ID` 'originUserID'
+   * @Nucleus ExtendableActionArgumentDefault resourceType `${resourceType}`
+   *
+   * @argument {String} resourceType
+   * @argument {String} resourceID
+   * @argument {String} originUserID
+   *
+   * @returns {Promise<{ resourceHistory: Array<{ authorUserID: String, createdISOTime: String, eventID: String, eventMessage: Object, eventName: String, resourceVersion: Number }> }>}
+   *
+   * @throws Will throw an error if the resource type is not a string.
+   * @throws Will throw an error if the resource ID is not a string.
+   * @throws Will throw an error if the origin user ID is not a string.
+   * @throws Will throw an error if no datastore is passed.
+   * @throws Will throw an error if the resource type is not event-sourced.
+   * @throws Will throw an error if the resource has no history.
+   * @throws Will throw an error if the origin user is not authorized to retrieve the resource.
+   */
+  static async retrieveResourceHistoryByID (resourceType, resourceID, originUserID) {
+    if (!nucleusValidator.isString(resourceType)) throw new NucleusError.UnexpectedValueTypeNucleusError("The resource type must be a string.");
+    if (!nucleusValidator.isString(resourceID)) throw new NucleusError.UnexpectedValueTypeNucleusError("The resource ID must be a string.");
+    if (!nucleusValidator.isString(originUserID) || nucleusValidator.isEmpty(originUserID)) throw new NucleusError.UnexpectedValueTypeNucleusError("The origin user ID must be a string and can't be undefined.");
+
+    const { $datastore } = this;
+
+    if (nucleusValidator.isEmpty($datastore)) throw new NucleusError.UndefinedContextNucleusError("No datastore is provided.");
+
+    const resourceIsEventSourced = await verifyThatResourceTypeIsEventSourced.call(this, resourceType);
+
+    if (!resourceIsEventSourced) throw new NucleusError.UndefinedContextNucleusError(`The ${resourceType} resource is not event-sourced.`);
+
+    const serializedEventList = await $datastore.$$server.lrangeAsync(generateResourceEventListItemKey($datastore, resourceType, resourceID), 0, -1);
+
+    if (serializedEventList.length === 0) throw new NucleusError.UndefinedContextNucleusError(`The ${resourceType} ("${resourceID}") has no history.`);
+
+    const resourceHistory = serializedEventList
+      .map((serializedEvent, index) => {
+        const { ID: eventID, message: eventMessage, meta: { authorUserID, createdISOTime }, name: eventName } = NucleusDatastore.parseItem(serializedEvent);
+
+        return { authorUserID, createdISOTime, eventID, eventMessage, eventName, resourceVersion: index + 1 };
+      });
+
+    const { canRetrieveResource } = await NucleusResourceAPI.verifyThatUserCanRetrieveResource.call(this, originUserID, resourceType, resourceID);
+
+    // The relationships of a removed resource are removed along with it; its author can still retrieve its history.
+    const resourceIsRemovedByAuthor = resourceHistory[resourceHistory.length - 1].eventName === `${resourceType}Removed` && resourceHistory[0].authorUserID === originUserID;
+
+    if (!canRetrieveResource && !resourceIsRemovedByAuthor) throw new NucleusError.UnauthorizedActionNucleusError(`The user ("${originUserID}") is not authorized to retrieve the ${resourceType} ("${resourceID}")`);
+
+    return { resourceHistory };
+  }
+
   /**
    * Retrieves all the resources given its type.
    * This is done base on the hierarchy of resources and the origin user ID.
@@ -766,7 +900,12 @@ class NucleusResourceAPI {
 
         $resource.meta.updatedISOTime = new Date().toISOString();
 
-        await $datastore.addItemToHashFieldByName(resourceItemKey, Object.assign({}, { meta: $resource.meta }, resourceAttributes));
+        const $$multi = $datastore.$$server.multi()
+          .hmset(resourceItemKey, ...generateHashFieldList(Object.assign({}, { meta: $resource.meta }, resourceAttributes)));
+
+        if (await verifyThatResourceTypeIsEventSourced.call(this, resourceType)) appendResourceEventByID($datastore, $$multi, resourceType, resourceID, 'Updated', { resourceAttributes, updatedISOTime: $resource.meta.updatedISOTime }, originUserID);
+
+        await $$multi.execAsync();
 
         const resourceRelationships = nodeRelationshipList
           .reduce((accumulator, { predicate: relationship, object: { ID: resourceID, type: resourceType } }) => {
@@ -889,4 +1028,82 @@ class NucleusResourceAPI {
   }
 }
 
-module.exports = NucleusResourceAPI;
\ No newline at end of file
+module.exports = NucleusResourceAPI;
+
+/**
+ * Appends an event to the history of an event-sourced resource; the event is queued in the transaction that writes the
+ * resource so that the history never diverges from it.
+ *
+ * @argument {NucleusDatastore} $datastore
+ * @argument {Object} $$multi
+ * @argument {String} resourceType
+ * @argument {String} resourceID
+ * @argument {String} eventNameSuffix - ie: `Created`, `Updated`, `Archived` or `Removed`.
+ * @argument {Object} eventMessage
+ * @argument {String} originUserID
+ *
+ * @returns {{ $event: NucleusEvent }}
+ */
+function appendResourceEventByID ($datastore, $$multi, resourceType, resourceID, eventNameSuffix, eventMessage, originUserID) {
+  const $event = new NucleusEvent(`${resourceType}${eventNameSuffix}`, eventMessage, { originUserID });
+
+  $$multi.rpush(generateResourceEventListItemKey($datastore, resourceType, resourceID), JSON.stringify($event));
+
+  return { $event };
+}
+
+/**
+ * Generates the list of fields and stringified items of a hash, as expected by `HMSET`.
+ *
+ * @argument {Object} hash
+ *
+ * @returns {String[]}
+ */
+function generateHashFieldList (hash) {
+
+  return Reflect.ownKeys(hash)
+    .reduce((accumulator, property) => {
+      accumulator.push(property);
+      accumulator.push(NucleusDatastore.stringifyItem(hash[property]));
+
+      return accumulator;
+    }, []);
+}
+
+/**
+ * Generates the item key of the list of events of a resource; on a Redis cluster, the item key is hash tagged by the
+ * item key of the resource so that both are stored in the same slot and written in the same transaction.
+ *
+ * @argument {NucleusDatastore} $datastore
+ * @argument {String} resourceType
+ * @argument {String} resourceID
+ *
+ * @returns {String}
+ */
+function generateResourceEventListItemKey ($datastore, resourceType, resourceID) {
+  const resourceItemKey = NucleusResource.generateItemKey(resourceType, resourceID);
+
+  return ($datastore.topology === NucleusDatastore.ClusterDatastoreTopology) ?
+    `${RESOURCE_EVENT_LIST_TABLE_NAME}:{${resourceItemKey}}` :
+    `${RESOURCE_EVENT_LIST_TABLE_NAME}:${resourceItemKey}`;
+}
+
+/**
+ * Verifies that a resource type is event-sourced.
+ *
+ * @argument {String} resourceType
+ *
+ * @returns {Promise<Boolean>}
+ */
+async function verifyThatResourceTypeIsEventSourced (resourceType) {
+  const { eventSourcedResourceTypeList = [] } = this;
+
+  if (eventSourcedResourceTypeList.includes(resourceType)) return true;
+
+  // Within an engine, the resource structure is tagged during the autodiscovery.
+  if (!nucleusValidator.isFunction(this.retrieveResourceStructureByResourceType)) return false;
+
+  const { eventSourced } = await this.retrieveResourceStructureByResourceType(resourceType) || {};
+
+  return eventSourced === true || eventSourced === 'true';
+}
@@ -39,7 +39,9 @@ class NucleusResourceRelationshipDatastore {
 
     this.authorshipPredicateName = authorshipPredicateName;
     this.membershipPredicateName = membershipPredicateName;
-    this.resourceRelationshipItemKey = resourceRelationshipItemKey;
+    // On a Redis cluster, the hexastore and its node indexes share a hash tag so that the relationship scripts run on a
+    // single node.
+    this.resourceRelationshipItemKey = $datastore.generateHashTaggedItemKey('ResourceRelationship', resourceRelationshipItemKey);
 
     this.$$promise = this.$datastore.$$promise
       .then(() => {
@@ -180,7 +182,7 @@ class NucleusResourceRelationshipDatastore {
       .then(() => {
         if (predicate === this.membershipPredicateName) {
 
-          return this.$datastore.evaluateLUAScriptByName('UnegisterNodeToAllAncestors', object);
+          return this.$datastore.evaluateLUAScriptByName('UnegisterNodeToAllAncestors', this.resourceRelationshipItemKey, object);
         }
       });
   }
@@ -201,7 +203,7 @@ class NucleusResourceRelationshipDatastore {
 
     const vectorHasMemberRelationship = (await this.$datastore.$$server.zrangebylexAsync(this.resourceRelationshipItemKey, `[POS:is-member-of:${vector}:`, `[POS:is-member-of:${vector}:\xff`)).length > 0;
 
-    if (vectorHasMemberRelationship) await this.$datastore.evaluateLUAScriptByName('UnegisterNodeToAllAncestors', vector);
+    if (vectorHasMemberRelationship) await this.$datastore.evaluateLUAScriptByName('UnegisterNodeToAllAncestors', this.resourceRelationshipItemKey, vector);
 
     return this.$datastore.removeAllTriplesFromHexastoreByVector(this.resourceRelationshipItemKey, vector);
   }
@@ -0,0 +1,144 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Nucleus Workflow class that is used to orchestrate a sequence of actions; when a step fails,
+ * the steps that were completed are compensated in reverse order.
+ *
+ * @author Sebastien Filion
+ */
+
+const NucleusError = require('./Error.nucleus');
+
+const nucleusValidator = require('./validator.nucleus');
+
+const CompensatedWorkflowStatus = 'Compensated';
+const CompensatingWorkflowStatus = 'Compensating';
+const CompletedWorkflowStatus = 'Completed';
+const FailedWorkflowStatus = 'Failed';
+const ProcessingWorkflowStatus = 'Processing';
+
+/**
+ * The list of available workflow status.
+ * @enum {Object}
+ */
+const NucleusWorkflowStatusList = [
+  ProcessingWorkflowStatus,
+  CompensatingWorkflowStatus,
+  CompensatedWorkflowStatus,
+  FailedWorkflowStatus,
+  CompletedWorkflowStatus
+];
+
+/**
+ * @module NucleusWorkflow
+ * @typedef NucleusWorkflow
+ * @property {String} name
+ * @property {workflowStep[]} stepList
+ */
+
+class NucleusWorkflow {
+
+  /**
+   * Creates a Nucleus Workflow.
+   * The message of every action can be generated from the workflow context, that is the workflow message and the
+   * responses of the steps that are completed.
+   * @example
+   * const $workflow = new NucleusWorkflow('OnboardCompany', [
+   *   {
+   *     actionName: 'CreateCompany',
+   *     actionMessage: ({ workflowMessage: { companyName } }) => ({ companyName }),
+   *     compensatingActionName: 'RemoveCompanyByID',
+   *     compensatingActionMessage: ({ stepResponseList: [ { company } ] }) => ({ companyID: company.ID })
+   *   },
+   *   { actionName: 'SendWelcomeEmail', actionMessage: ({ workflowMessage: { email } }) => ({ email }) }
+   * ]);
+   *
+   * @argument {String} workflowName
+   * @argument {workflowStep[]} workflowStepList
+   *
+   * @returns {NucleusWorkflow}
+   *
+   * @throws Will throw an error if the workflow name is missing or an empty string.
+   * @throws Will throw an error if the workflow has no step.
+   * @throws Will throw an error if a step has no action name.
+   */
+  constructor (workflowName, workflowStepList = []) {
+    /**
+     * @typedef {Object} workflowStep
+     * @property {String} actionName
+     * @property {Object|Function} [actionMessage={}] - The action message or a function that generates it given the workflow context.
+     * @property {String} [compensatingActionName] - The action that undoes the step when a following step fails.
+     * @property {Object|Function} [compensatingActionMessage={}] - The compensating action message or a function that generates it given the workflow context.
+     */
+    if (!nucleusValidator.isString(workflowName) || nucleusValidator.isEmpty(workflowName)) throw new NucleusError.UndefinedValueNucleusError("The workflow name is mandatory.");
+    if (!nucleusValidator.isArray(workflowStepList) || nucleusValidator.isEmpty(workflowStepList)) throw new NucleusError.UnexpectedValueTypeNucleusError("The workflow must have at least one step.");
+
+    workflowStepList
+      .forEach(({ actionName, compensatingActionName } = {}, index) => {
+        if (!nucleusValidator.isString(actionName) || nucleusValidator.isEmpty(actionName)) throw new NucleusError.UndefinedValueNucleusError(`The step ${index} of the workflow "${workflowName}" must have an action name.`);
+        if (!!compensatingActionName && !nucleusValidator.isString(compensatingActionName)) throw new NucleusError.UnexpectedValueTypeNucleusError(`The compensating action name of the step ${index} of the workflow "${workflowName}" must be a string.`);
+      });
+
+    /** @member {String} name */
+    Reflect.defineProperty(this, 'name', { enumerable: true, value: workflowName, writable: false });
+    /** @member {workflowStep[]} stepList */
+    Reflect.defineProperty(this, 'stepList', { enumerable: true, value: Object.freeze(workflowStepList.slice(0)), writable: false });
+  }
+
+  /**
+   * Generates the message of the action of a step given the workflow context.
+   *
+   * @argument {Number} stepIndex
+   * @argument {{ stepResponseList: Object[], workflowMessage: Object }} workflowContext
+   *
+   * @returns {Object}
+   */
+  generateActionMessageByStepIndex (stepIndex, workflowContext) {
+    const { actionMessage = {} } = this.stepList[stepIndex];
+
+    return (nucleusValidator.isFunction(actionMessage)) ? actionMessage(workflowContext) : actionMessage;
+  }
+
+  /**
+   * Generates the message of the compensating action of a step given the workflow context.
+   *
+   * @argument {Number} stepIndex
+   * @argument {{ stepResponseList: Object[], workflowMessage: Object }} workflowContext
+   *
+   * @returns {Object}
+   */
+  generateCompensatingActionMessageByStepIndex (stepIndex, workflowContext) {
+    const { compensatingActionMessage = {} } = this.stepList[stepIndex];
+
+    return (nucleusValidator.isFunction(compensatingActionMessage)) ? compensatingActionMessage(workflowContext) : compensatingActionMessage;
+  }
+
+  /**
+   * Generates the item key of a workflow execution.
+   *
+   * @argument {String} workflowName
+   * @argument {String} workflowID
+   *
+   * @returns {String}
+   */
+  static generateItemKey (workflowName, workflowID) {
+
+    return `NucleusWorkflow:${workflowName}:${workflowID}`;
+  }
+
+}
+
+/** @memberOf NucleusWorkflow */
+NucleusWorkflow.CompensatedWorkflowStatus = CompensatedWorkflowStatus;
+/** @memberOf NucleusWorkflow */
+NucleusWorkflow.CompensatingWorkflowStatus = CompensatingWorkflowStatus;
+/** @memberOf NucleusWorkflow */
+NucleusWorkflow.CompletedWorkflowStatus = CompletedWorkflowStatus;
+/** @memberOf NucleusWorkflow */
+NucleusWorkflow.FailedWorkflowStatus = FailedWorkflowStatus;
+/** @memberOf NucleusWorkflow */
+NucleusWorkflow.ProcessingWorkflowStatus = ProcessingWorkflowStatus;
+/** @memberOf NucleusWorkflow */
+NucleusWorkflow.NucleusWorkflowStatusList = NucleusWorkflowStatusList;
+
+module.exports = NucleusWorkflow;
@@ -0,0 +1,163 @@
+"use strict";
+
+/**
+ * @fileOverview Abstract the parsing of cron expressions used to schedule recurring actions.
+ * Only the standard five fields are supported (minute, hour, day of the month, month and day of the week); all times are
+ * in UTC so that every engine agrees on the occurrences.
+ *
+ * @author Sebastien Filion
+ */
+
+const NucleusError = require('./Error.nucleus');
+
+const nucleusValidator = require('./validator.nucleus');
+
+const ONE_MINUTE_IN_MILLISECOND = 1000 * 60;
+// An expression that never matches (ie: `0 0 30 2 *`) must not loop forever.
+const MAXIMUM_SEARCHED_YEAR_COUNT = 5;
+
+const cronFieldBoundaryList = [
+  { fieldName: 'minute', minimum: 0, maximum: 59 },
+  { fieldName: 'hour', minimum: 0, maximum: 23 },
+  { fieldName: 'dayOfMonth', minimum: 1, maximum: 31 },
+  { fieldName: 'month', minimum: 1, maximum: 12 },
+  { fieldName: 'dayOfWeek', minimum: 0, maximum: 7 }
+];
+
+/**
+ * Parses a cron expression.
+ * @example
+ * const { minute, hour } = parseCronExpression('*\/5 * * * *');
+ * minute.has(5) === true;
+ *
+ * @argument {String} cronExpression
+ *
+ * @returns {{ minute: Set<Number>, hour: Set<Number>, dayOfMonth: Set<Number>, month: Set<Number>, dayOfWeek: Set<Number>, dayOfMonthIsRestricted: Boolean, dayOfWeekIsRestricted: Boolean }}
+ *
+ * @throws Will throw an error if the cron expression is not valid.
+ */
+const parseCronExpression = (cronExpression) => {
+  if (!nucleusValidator.isString(cronExpression)) throw new NucleusError.UnexpectedValueTypeNucleusError("The cron expression must be a string.");
+
+  // A step on a wildcard (`*/5`) would close a doc comment, so an escaped slash (`*\/5`) is accepted.
+  const cronFieldList = cronExpression.replace(/\\\//g, '/').trim().split(/\s+/);
+
+  if (cronFieldList.length !== cronFieldBoundaryList.length) throw new NucleusError.UnexpectedValueNucleusError(`The cron expression "${cronExpression}" must have ${cronFieldBoundaryList.length} fields.`);
+
+  const parsedCronExpression = cronFieldBoundaryList
+    .reduce((accumulator, { fieldName, minimum, maximum }, index) => {
+      accumulator[fieldName] = parseCronField(cronExpression, cronFieldList[index], minimum, maximum);
+
+      return accumulator;
+    }, {});
+
+  // Sunday can be written as 0 or 7.
+  if (parsedCronExpression.dayOfWeek.has(7)) parsedCronExpression.dayOfWeek.add(0);
+
+  // When both the day of the month and the day of the week are restricted, either one can match.
+  parsedCronExpression.dayOfMonthIsRestricted = cronFieldList[2] !== '*';
+  parsedCronExpression.dayOfWeekIsRestricted = cronFieldList[4] !== '*';
+
+  return parsedCronExpression;
+};
+
+/**
+ * Retrieves the timestamp of the next occurrence of a cron expression, strictly after a given timestamp.
+ * @example
+ * const nextOccurrenceTimestamp = retrieveNextOccurrenceTimestamp('0 * * * *', Date.now());
+ *
+ * @argument {String} cronExpression
+ * @argument {Number} [timestamp=Date.now()]
+ *
+ * @returns {Number}
+ *
+ * @throws Will throw an error if the cron expression is not valid or never occurs.
+ */
+const retrieveNextOccurrenceTimestamp = (cronExpression, timestamp = Date.now()) => {
+  const { minute, hour, dayOfMonth, month, dayOfWeek, dayOfMonthIsRestricted, dayOfWeekIsRestricted } = parseCronExpression(cronExpression);
+
+  const $$date = new Date((Math.floor(timestamp / ONE_MINUTE_IN_MILLISECOND) + 1) * ONE_MINUTE_IN_MILLISECOND);
+  const maximumYear = $$date.getUTCFullYear() + MAXIMUM_SEARCHED_YEAR_COUNT;
+
+  const verifyThatDayMatches = () => {
+    const dayOfMonthMatches = dayOfMonth.has($$date.getUTCDate());
+    const dayOfWeekMatches = dayOfWeek.has($$date.getUTCDay());
+
+    if (dayOfMonthIsRestricted && dayOfWeekIsRestricted) return dayOfMonthMatches || dayOfWeekMatches;
+
+    return dayOfMonthMatches && dayOfWeekMatches;
+  };
+
+  while ($$date.getUTCFullYear() <= maximumYear) {
+    if (!month.has($$date.getUTCMonth() + 1)) {
+      $$date.setUTCMonth($$date.getUTCMonth() + 1, 1);
+      $$date.setUTCHours(0, 0, 0, 0);
+    } else if (!verifyThatDayMatches()) {
+      $$date.setUTCDate($$date.getUTCDate() + 1);
+      $$date.setUTCHours(0, 0, 0, 0);
+    } else if (!hour.has($$date.getUTCHours())) {
+      $$date.setUTCHours($$date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!minute.has($$date.getUTCMinutes())) {
+      $$date.setUTCMinutes($$date.getUTCMinutes() + 1, 0, 0);
+    } else return $$date.valueOf();
+  }
+
+  throw new NucleusError.UnexpectedValueNucleusError(`The cron expression "${cronExpression}" never occurs.`);
+};
+
+/**
+ * Verifies that a cron expression is valid.
+ *
+ * @argument {String} cronExpression
+ *
+ * @returns {Boolean}
+ */
+const verifyThatCronExpressionIsValid = (cronExpression) => {
+  try {
+    parseCronExpression(cronExpression);
+
+    return true;
+  } catch (error) {
+
+    return false;
+  }
+};
+
+module.exports = {
+  parseCronExpression,
+  retrieveNextOccurrenceTimestamp,
+  verifyThatCronExpressionIsValid
+};
+
+/**
+ * Parses a single field of a cron expression; supports `*`, `*\/step`, `value`, `minimum-maximum`, `minimum-maximum/step`
+ * and comma separated lists of those.
+ *
+ * @argument {String} cronExpression
+ * @argument {String} cronField
+ * @argument {Number} minimum
+ * @argument {Number} maximum
+ *
+ * @returns {Set<Number>}
+ */
+function parseCronField (cronExpression, cronField, minimum, maximum) {
+  const valueSet = new Set();
+
+  cronField.split(',')
+    .forEach((cronFieldPart) => {
+      const [ range, step = '1' ] = cronFieldPart.split('/');
+      const [ rangeStart, rangeEnd ] = (range === '*') ?
+        [ minimum, maximum ] :
+        ((range.includes('-')) ? range.split('-') : [ range, (cronFieldPart.includes('/')) ? maximum : range ]).map(Number);
+      const stepValue = Number(step);
+
+      if (
+        !Number.isInteger(rangeStart) || !Number.isInteger(rangeEnd) || !Number.isInteger(stepValue) ||
+        rangeStart < minimum || rangeEnd > maximum || rangeStart > rangeEnd || stepValue < 1
+      ) throw new NucleusError.UnexpectedValueNucleusError(`The cron expression "${cronExpression}" has an invalid field "${cronField}".`);
+
+      for (let value = rangeStart; value <= rangeEnd; value += stepValue) valueSet.add(value);
+    });
+
+  return valueSet;
+}
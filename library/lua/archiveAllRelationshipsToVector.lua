@@ -1,4 +1,5 @@
-local itemKey = ARGV[1]
+-- The key is prefixed by the namespace of the datastore, if any.
+local itemKey = KEYS[1]
 local vector = ARGV[2]
 
 -- Retrieve all the tripple where the item is the subject.
@@ -0,0 +1,31 @@
+-- The keys are prefixed by the namespace of the datastore, if any: the prefix is what the datastore prepended to the
+-- first key, which is also the first argument.
+local keyPrefix = string.sub(KEYS[1], 1, #KEYS[1] - #ARGV[1])
+local actionItemKey = KEYS[1]
+local scheduledActionItemKeyListItemKey = keyPrefix .. ARGV[2]
+local scheduledActionQueueNameByActionItemKeyItemKey = keyPrefix .. ARGV[3]
+local TTL = ARGV[4]
+local actionMeta = ARGV[5]
+local actionReplyChannelName = keyPrefix .. ARGV[6]
+local actionStatusUpdatedEventPayload = ARGV[7]
+
+-- The status is stored as is or stringified, ie: `"Completed"`.
+local actionStatus = string.gsub(redis.call('HGET', actionItemKey, 'status') or '', '"', '')
+
+-- An action that is being executed, completed or failed is left untouched.
+if (actionStatus == 'Processing' or actionStatus == 'Completed' or actionStatus == 'Failed') then
+  return { 0, 0, actionStatus }
+end
+
+local removedActionCount = redis.call('ZREM', scheduledActionItemKeyListItemKey, ARGV[1])
+
+for index = 8, #ARGV do
+  removedActionCount = removedActionCount + redis.call('LREM', keyPrefix .. ARGV[index], 0, ARGV[1])
+end
+
+redis.call('HDEL', scheduledActionQueueNameByActionItemKeyItemKey, ARGV[1])
+redis.call('HMSET', actionItemKey, 'meta', actionMeta, 'status', 'Cancelled')
+redis.call('PEXPIRE', actionItemKey, TTL)
+redis.call('PUBLISH', actionReplyChannelName, actionStatusUpdatedEventPayload)
+
+return { 1, removedActionCount, 'Cancelled' }
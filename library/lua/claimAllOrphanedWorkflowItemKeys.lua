@@ -0,0 +1,14 @@
+-- The key is prefixed by the namespace of the datastore, if any.
+local runningWorkflowItemKeyListItemKey = KEYS[1]
+local currentTimestamp = ARGV[2]
+local leaseExpirationTimestamp = ARGV[3]
+local batchSize = ARGV[4]
+
+-- A workflow whose lease expired is orphaned; its lease is renewed right away so that only one engine resumes it.
+local workflowItemKeyList = redis.call('ZRANGEBYSCORE', runningWorkflowItemKeyListItemKey, 0, currentTimestamp, 'LIMIT', 0, batchSize)
+
+for index, workflowItemKey in ipairs(workflowItemKeyList) do
+  redis.call('ZADD', runningWorkflowItemKeyListItemKey, leaseExpirationTimestamp, workflowItemKey)
+end
+
+return workflowItemKeyList
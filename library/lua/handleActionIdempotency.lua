@@ -0,0 +1,15 @@
+-- The key is prefixed by the namespace of the datastore, if any.
+local idempotencyItemKey = KEYS[1]
+local actionItemKey = ARGV[2]
+local TTL = ARGV[3]
+
+local originalActionItemKey = redis.call('GET', idempotencyItemKey)
+
+-- An action was already published with the same idempotency key; its item key is returned instead.
+if (originalActionItemKey) then
+  return { 1, originalActionItemKey }
+end
+
+redis.call('SET', idempotencyItemKey, actionItemKey, 'PX', TTL)
+
+return { 0, actionItemKey }
@@ -1,4 +1,5 @@
-local handledEventItemKeyListItemKey = ARGV[1]
+-- The key is prefixed by the namespace of the datastore, if any.
+local handledEventItemKeyListItemKey = KEYS[1]
 local currentTimestamp = ARGV[2]
 local TTLTimestamp = ARGV[3]
 local eventItemKey = ARGV[4]
@@ -0,0 +1,23 @@
+-- The keys are prefixed by the namespace of the datastore, if any: the prefix is what the datastore prepended to the
+-- first key, which is also the first argument.
+local keyPrefix = string.sub(KEYS[1], 1, #KEYS[1] - #ARGV[1])
+local actionItemKey = KEYS[1]
+local actionQueueItemKey = keyPrefix .. ARGV[2]
+local TTL = ARGV[3]
+local actionQueueUpdateChannelName = keyPrefix .. ARGV[4]
+local actionQueueUpdatedEventPayload = ARGV[5]
+
+local actionStatus = redis.call('HGET', actionItemKey, 'status')
+
+-- An action cancelled before it was published is never queued.
+if (actionStatus == 'Cancelled' or actionStatus == '"Cancelled"') then
+  return 0
+end
+
+redis.call('HMSET', actionItemKey, unpack(ARGV, 6))
+redis.call('LPUSH', actionQueueItemKey, ARGV[1])
+redis.call('PEXPIRE', actionItemKey, TTL)
+-- The engines that don't rely on keyspace notifications are notified through a channel, namespaced like the keys.
+redis.call('PUBLISH', actionQueueUpdateChannelName, actionQueueUpdatedEventPayload)
+
+return 1
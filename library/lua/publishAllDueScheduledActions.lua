@@ -0,0 +1,31 @@
+-- The keys are prefixed by the namespace of the datastore, if any: the prefix is what the datastore prepended to the
+-- first key, which is also the first argument.
+local keyPrefix = string.sub(KEYS[1], 1, #KEYS[1] - #ARGV[1])
+local scheduledActionItemKeyListItemKey = KEYS[1]
+local scheduledActionQueueNameByActionItemKeyItemKey = keyPrefix .. ARGV[2]
+local currentTimestamp = ARGV[3]
+local batchSize = ARGV[4]
+local actionQueueUpdateChannelNamePrefix = ARGV[5]
+local actionQueueUpdatedEventPayload = ARGV[6]
+
+local actionItemKeyList = redis.call('ZRANGEBYSCORE', scheduledActionItemKeyListItemKey, 0, currentTimestamp, 'LIMIT', 0, batchSize)
+local publishedActionItemKeyList = {}
+
+for index, actionItemKey in ipairs(actionItemKeyList) do
+  local actionQueueName = redis.call('HGET', scheduledActionQueueNameByActionItemKeyItemKey, actionItemKey)
+
+  redis.call('ZREM', scheduledActionItemKeyListItemKey, actionItemKey)
+  redis.call('HDEL', scheduledActionQueueNameByActionItemKeyItemKey, actionItemKey)
+
+  local actionStatus = redis.call('HGET', keyPrefix .. actionItemKey, 'status')
+
+  -- An action that expired or that was cancelled while it was scheduled is dropped.
+  if (actionQueueName and actionStatus and actionStatus ~= 'Cancelled' and actionStatus ~= '"Cancelled"') then
+    redis.call('LPUSH', keyPrefix .. actionQueueName, actionItemKey)
+    -- The engines that don't rely on keyspace notifications are notified through a channel, namespaced like the keys.
+    redis.call('PUBLISH', keyPrefix .. actionQueueUpdateChannelNamePrefix .. ':' .. actionQueueName, actionQueueUpdatedEventPayload)
+    table.insert(publishedActionItemKeyList, actionItemKey)
+  end
+end
+
+return publishedActionItemKeyList
@@ -1,6 +1,12 @@
-local itemKey = ARGV[1]
+local itemKey = KEYS[1]
 local node = ARGV[2]
 
+-- The keys are prefixed by the namespace of the datastore, if any: the prefix is what the datastore prepended to the
+-- first key, which is also the first argument.
+local keyPrefix = string.sub(KEYS[1], 1, #KEYS[1] - #ARGV[1])
+-- On a Redis cluster, the indexes share the hash tag of the hexastore so that they are stored in the same slot.
+local indexKeyPrefix = keyPrefix .. (string.match(ARGV[1], '^{[^}]+}:') or '')
+
 local function contains(table, element)
     for _, value in pairs(table) do
         if value == element then
@@ -71,6 +77,6 @@ local ancestorNodeList = retrieveAllAncestorsForNode(node)
 for index, ancestorNode in pairs(ancestorNodeList) do
     redis.log(redis.LOG_DEBUG, string.format("Nucleus: %s is the ancestor of %s.", ancestorNode, node));
 
-    redis.call('SADD', 'NodeList:HierarchyTreeDownward:' .. ancestorNode, node)
-    redis.call('SADD', 'NodeList:HierarchyTreeUpward:' .. node, ancestorNode)
+    redis.call('SADD', indexKeyPrefix .. 'NodeList:HierarchyTreeDownward:' .. ancestorNode, node)
+    redis.call('SADD', indexKeyPrefix .. 'NodeList:HierarchyTreeUpward:' .. node, ancestorNode)
 end
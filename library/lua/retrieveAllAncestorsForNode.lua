@@ -1,6 +1,12 @@
-local itemKey = ARGV[1]
+local itemKey = KEYS[1]
 local nodeListStringified = ARGV[2]
 
+-- The keys are prefixed by the namespace of the datastore, if any: the prefix is what the datastore prepended to the
+-- first key, which is also the first argument.
+local keyPrefix = string.sub(KEYS[1], 1, #KEYS[1] - #ARGV[1])
+-- On a Redis cluster, the indexes share the hash tag of the hexastore so that they are stored in the same slot.
+local indexKeyPrefix = keyPrefix .. (string.match(ARGV[1], '^{[^}]+}:') or '')
+
 local nodeList = loadstring('return '..nodeListStringified)()
 local ancestorNodeListAccumulator = {};
 
@@ -75,8 +81,8 @@ local function retrieveAllAncestorsForNode (node)
 end
 
 for index, node in pairs(nodeList) do
-    if (redis.call('EXISTS', 'NodeList:HierarchyTreeUpward:' .. node) == 1) then
-        local cachedAncestorNodeList = redis.call('SMEMBERS', 'NodeList:HierarchyTreeUpward:' .. node)
+    if (redis.call('EXISTS', indexKeyPrefix .. 'NodeList:HierarchyTreeUpward:' .. node) == 1) then
+        local cachedAncestorNodeList = redis.call('SMEMBERS', indexKeyPrefix .. 'NodeList:HierarchyTreeUpward:' .. node)
 
         table.insert(ancestorNodeListAccumulator, cachedAncestorNodeList)
     else
@@ -1,8 +1,14 @@
-local itemKey = ARGV[1]
+local itemKey = KEYS[1]
+
+-- The keys are prefixed by the namespace of the datastore, if any: the prefix is what the datastore prepended to the
+-- first key, which is also the first argument.
+local keyPrefix = string.sub(KEYS[1], 1, #KEYS[1] - #ARGV[1])
+-- On a Redis cluster, the indexes share the hash tag of the hexastore so that they are stored in the same slot.
+local indexKeyPrefix = keyPrefix .. (string.match(ARGV[1], '^{[^}]+}:') or '')
 
 local objectList = {}
 
-local reindexingVerified = redis.call('GET', 'ReindexingVerified');
+local reindexingVerified = redis.call('GET', indexKeyPrefix .. 'ReindexingVerified');
 
 if (reindexingVerified) then return objectList end
 
@@ -27,11 +33,11 @@ for index, tripple in pairs(trippleList) do
     local splittedTripple = splitTripple(tripple)
     local object = splittedTripple[3]
 
-    local indexExist = redis.call('EXISTS', 'NodeList:HierarchyTreeDownward:'..object)
+    local indexExist = redis.call('EXISTS', indexKeyPrefix .. 'NodeList:HierarchyTreeDownward:'..object)
 
     if (not indexExist) then table.insert(objectList, object) end
 end
 
-redis.call('SETEX', 'ReindexingVerified', 60 * 60 * 7, '05f3b862-4bf2-4eda-80ee-6ba35f5eea52')
+redis.call('SETEX', indexKeyPrefix .. 'ReindexingVerified', 60 * 60 * 7, '05f3b862-4bf2-4eda-80ee-6ba35f5eea52')
 
 return objectList
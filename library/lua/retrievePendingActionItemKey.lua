@@ -0,0 +1,14 @@
+-- The keys are prefixed by the namespace of the datastore, if any: the prefix is what the datastore prepended to the
+-- first key, which is also the first argument.
+local keyPrefix = string.sub(KEYS[1], 1, #KEYS[1] - #ARGV[1])
+local actionProcessingListItemKey = KEYS[1]
+
+-- Moves the first action item key found in the lists of an action queue, in the given order, to the engine's processing
+-- list so that the action can be recovered if the engine stops responding.
+for index = 2, #ARGV do
+  local actionItemKey = redis.call('RPOPLPUSH', keyPrefix .. ARGV[index], actionProcessingListItemKey)
+
+  if (actionItemKey) then return actionItemKey end
+end
+
+return false
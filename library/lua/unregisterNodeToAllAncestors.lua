@@ -1,14 +1,21 @@
-local node = ARGV[1]
+local itemKey = KEYS[1]
+local node = ARGV[2]
 
-local indexExist = redis.call('EXISTS', 'NodeList:HierarchyTreeDownward:'..node)
+-- The keys are prefixed by the namespace of the datastore, if any: the prefix is what the datastore prepended to the
+-- first key, which is also the first argument.
+local keyPrefix = string.sub(KEYS[1], 1, #KEYS[1] - #ARGV[1])
+-- On a Redis cluster, the indexes share the hash tag of the hexastore so that they are stored in the same slot.
+local indexKeyPrefix = keyPrefix .. (string.match(ARGV[1], '^{[^}]+}:') or '')
+
+local indexExist = redis.call('EXISTS', indexKeyPrefix .. 'NodeList:HierarchyTreeDownward:'..node)
 
 if (not indexExist) then return end
 
-local ancestorNodeList = redis.call('SMEMBERS', 'NodeList:HierarchyTreeUpward:'..node)
+local ancestorNodeList = redis.call('SMEMBERS', indexKeyPrefix .. 'NodeList:HierarchyTreeUpward:'..node)
 
 for index, ancestorNode in pairs(ancestorNodeList) do
-    redis.call('SREM', 'NodeList:HierarchyTreeDownward:'..ancestorNode, node)
+    redis.call('SREM', indexKeyPrefix .. 'NodeList:HierarchyTreeDownward:'..ancestorNode, node)
 end
 
-redis.call('DEL', 'NodeList:HierarchyTreeDownward:' .. node)
-redis.call('DEL', 'NodeList:HierarchyTreeUpward:' .. node)
+redis.call('DEL', indexKeyPrefix .. 'NodeList:HierarchyTreeDownward:' .. node)
+redis.call('DEL', indexKeyPrefix .. 'NodeList:HierarchyTreeUpward:' .. node)
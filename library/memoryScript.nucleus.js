@@ -0,0 +1,524 @@
+"use strict";
+
+/**
+ * @fileOverview Define the equivalents of the Lua scripts of `library/lua` for the in-memory server.
+ * Every equivalent is named after its script and receives a function that executes a command atomically, like
+ * `redis.call`, followed by the script's `ARGV`. The replies follow the conversion of Lua values done by Redis: `true` is
+ * replied as `1`, `false` and `nil` as `null`.
+ *
+ * @author Sebastien Filion
+ */
+
+/**
+ * Moves all the relationships of a vector to the archived relationships, except for the authorship.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ * @argument {String} vector
+ *
+ * @returns {Array[]}
+ */
+const archiveAllRelationshipsToVector = (call, itemKey, vector) => {
+  const SPOTrippleList = call('ZRANGEBYLEX', itemKey, `[SPO:${vector}:`, `[SPO:${vector}\xff`);
+  const OPSTrippleList = call('ZRANGEBYLEX', itemKey, `[OPS:${vector}:`, `[OPS:${vector}\xff`);
+
+  SPOTrippleList
+    .forEach((tripple) => {
+      const [ , , predicate, object ] = splitTripple(tripple);
+
+      removeTripple(call, itemKey, vector, predicate, object);
+      addTripple(call, itemKey, vector, predicate, object, '*');
+    });
+
+  OPSTrippleList
+    .forEach((tripple) => {
+      const [ , , predicate, subject ] = splitTripple(tripple);
+
+      if (predicate === 'is-authored-by') return;
+
+      removeTripple(call, itemKey, subject, predicate, vector);
+      addTripple(call, itemKey, subject, predicate, vector, '*');
+    });
+
+  return [ SPOTrippleList, OPSTrippleList ];
+};
+
+/**
+ * Cancels an action unless it is being executed, completed or failed.
+ *
+ * @argument {Function} call
+ * @argument {String} actionItemKey
+ * @argument {String} scheduledActionItemKeyListItemKey
+ * @argument {String} scheduledActionQueueNameByActionItemKeyItemKey
+ * @argument {String} TTL
+ * @argument {String} actionMeta
+ * @argument {String} actionReplyChannelName
+ * @argument {String} actionStatusUpdatedEventPayload
+ * @argument {String[]} actionQueueItemKeyList
+ *
+ * @returns {Array}
+ */
+const cancelAction = (call, actionItemKey, scheduledActionItemKeyListItemKey, scheduledActionQueueNameByActionItemKeyItemKey, TTL, actionMeta, actionReplyChannelName, actionStatusUpdatedEventPayload, ...actionQueueItemKeyList) => {
+  // The status is stored as is or stringified, ie: `"Completed"`.
+  const actionStatus = (call('HGET', actionItemKey, 'status') || '').replace(/"/g, '');
+
+  if ([ 'Processing', 'Completed', 'Failed' ].includes(actionStatus)) return [ 0, 0, actionStatus ];
+
+  const removedActionCount = actionQueueItemKeyList
+    .reduce((accumulator, actionQueueItemKey) => accumulator + call('LREM', actionQueueItemKey, 0, actionItemKey), call('ZREM', scheduledActionItemKeyListItemKey, actionItemKey));
+
+  call('HDEL', scheduledActionQueueNameByActionItemKeyItemKey, actionItemKey);
+  call('HMSET', actionItemKey, 'meta', actionMeta, 'status', 'Cancelled');
+  call('PEXPIRE', actionItemKey, TTL);
+  call('PUBLISH', actionReplyChannelName, actionStatusUpdatedEventPayload);
+
+  return [ 1, removedActionCount, 'Cancelled' ];
+};
+
+/**
+ * Claims the workflows whose lease expired by renewing their lease.
+ *
+ * @argument {Function} call
+ * @argument {String} runningWorkflowItemKeyListItemKey
+ * @argument {String} currentTimestamp
+ * @argument {String} leaseExpirationTimestamp
+ * @argument {String} batchSize
+ *
+ * @returns {String[]}
+ */
+const claimAllOrphanedWorkflowItemKeys = (call, runningWorkflowItemKeyListItemKey, currentTimestamp, leaseExpirationTimestamp, batchSize) => {
+  const workflowItemKeyList = call('ZRANGEBYSCORE', runningWorkflowItemKeyListItemKey, 0, currentTimestamp, 'LIMIT', 0, batchSize);
+
+  workflowItemKeyList
+    .forEach((workflowItemKey) => {
+      call('ZADD', runningWorkflowItemKeyListItemKey, leaseExpirationTimestamp, workflowItemKey);
+    });
+
+  return workflowItemKeyList;
+};
+
+/**
+ * Stores the item key of an action given its idempotency key unless an action was already stored.
+ *
+ * @argument {Function} call
+ * @argument {String} idempotencyItemKey
+ * @argument {String} actionItemKey
+ * @argument {String} TTL
+ *
+ * @returns {Array}
+ */
+const handleActionIdempotency = (call, idempotencyItemKey, actionItemKey, TTL) => {
+  const originalActionItemKey = call('GET', idempotencyItemKey);
+
+  if (originalActionItemKey !== null) return [ 1, originalActionItemKey ];
+
+  call('SET', idempotencyItemKey, actionItemKey, 'PX', TTL);
+
+  return [ 0, actionItemKey ];
+};
+
+/**
+ * Marks an event as handled unless it already was.
+ *
+ * @argument {Function} call
+ * @argument {String} handledEventItemKeyListItemKey
+ * @argument {String} currentTimestamp
+ * @argument {String} TTLTimestamp
+ * @argument {String} eventItemKey
+ *
+ * @returns {Array}
+ */
+const handleEventQueuing = (call, handledEventItemKeyListItemKey, currentTimestamp, TTLTimestamp, eventItemKey) => {
+  const eventRank = call('ZRANK', handledEventItemKeyListItemKey, eventItemKey);
+
+  if (eventRank !== null) return [ 1, eventRank ];
+
+  call('ZADD', handledEventItemKeyListItemKey, TTLTimestamp, eventItemKey);
+  call('ZREMRANGEBYSCORE', handledEventItemKeyListItemKey, 0, currentTimestamp);
+
+  return [ null ];
+};
+
+/**
+ * Publishes the scheduled actions that are due to their action queue.
+ *
+ * @argument {Function} call
+ * @argument {String} scheduledActionItemKeyListItemKey
+ * @argument {String} scheduledActionQueueNameByActionItemKeyItemKey
+ * @argument {String} currentTimestamp
+ * @argument {String} batchSize
+ * @argument {String} actionQueueUpdateChannelNamePrefix
+ * @argument {String} actionQueueUpdatedEventPayload
+ *
+ * @returns {String[]}
+ */
+const publishAllDueScheduledActions = (call, scheduledActionItemKeyListItemKey, scheduledActionQueueNameByActionItemKeyItemKey, currentTimestamp, batchSize, actionQueueUpdateChannelNamePrefix, actionQueueUpdatedEventPayload) => {
+  const actionItemKeyList = call('ZRANGEBYSCORE', scheduledActionItemKeyListItemKey, 0, currentTimestamp, 'LIMIT', 0, batchSize);
+  const publishedActionItemKeyList = [];
+
+  actionItemKeyList
+    .forEach((actionItemKey) => {
+      const actionQueueName = call('HGET', scheduledActionQueueNameByActionItemKeyItemKey, actionItemKey);
+
+      call('ZREM', scheduledActionItemKeyListItemKey, actionItemKey);
+      call('HDEL', scheduledActionQueueNameByActionItemKeyItemKey, actionItemKey);
+
+      const actionStatus = call('HGET', actionItemKey, 'status');
+
+      if (actionQueueName === null || actionStatus === null || actionStatus === 'Cancelled' || actionStatus === '"Cancelled"') return;
+
+      call('LPUSH', actionQueueName, actionItemKey);
+      call('PUBLISH', `${actionQueueUpdateChannelNamePrefix}:${actionQueueName}`, actionQueueUpdatedEventPayload);
+      publishedActionItemKeyList.push(actionItemKey);
+    });
+
+  return publishedActionItemKeyList;
+};
+
+/**
+ * Publishes an action to its action queue unless it was cancelled.
+ *
+ * @argument {Function} call
+ * @argument {String} actionItemKey
+ * @argument {String} actionQueueItemKey
+ * @argument {String} TTL
+ * @argument {String} actionQueueUpdateChannelName
+ * @argument {String} actionQueueUpdatedEventPayload
+ * @argument {String[]} actionFieldAndItemList
+ *
+ * @returns {Number}
+ */
+const publishActionToQueue = (call, actionItemKey, actionQueueItemKey, TTL, actionQueueUpdateChannelName, actionQueueUpdatedEventPayload, ...actionFieldAndItemList) => {
+  const actionStatus = call('HGET', actionItemKey, 'status');
+
+  if (actionStatus === 'Cancelled' || actionStatus === '"Cancelled"') return 0;
+
+  call('HMSET', actionItemKey, ...actionFieldAndItemList);
+  call('LPUSH', actionQueueItemKey, actionItemKey);
+  call('PEXPIRE', actionItemKey, TTL);
+  call('PUBLISH', actionQueueUpdateChannelName, actionQueueUpdatedEventPayload);
+
+  return 1;
+};
+
+/**
+ * Indexes a node in the hierarchy tree of all its ancestors.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ * @argument {String} node
+ *
+ * @returns {null}
+ */
+const registerNodeToAllAncestors = (call, itemKey, node) => {
+  const ancestorNodeList = [];
+
+  const recursivelyRetrieveAncestorForNode = (node) => {
+    const trippleList = call('ZRANGEBYLEX', itemKey, `[SPO:${node}:is-member-of`, `[SPO:${node}:is-member-of:\xff`);
+
+    for (const tripple of trippleList) {
+      const [ , , , object ] = splitTripple(tripple);
+
+      if (node === 'SYSTEM') return;
+
+      if (!ancestorNodeList.includes(object)) {
+        ancestorNodeList.push(object);
+
+        recursivelyRetrieveAncestorForNode(object);
+      }
+    }
+  };
+
+  recursivelyRetrieveAncestorForNode(node);
+
+  const hashTagPrefix = retrieveHashTagPrefix(itemKey);
+
+  ancestorNodeList
+    .forEach((ancestorNode) => {
+      call('SADD', `${hashTagPrefix}NodeList:HierarchyTreeDownward:${ancestorNode}`, node);
+      call('SADD', `${hashTagPrefix}NodeList:HierarchyTreeUpward:${node}`, ancestorNode);
+    });
+
+  return null;
+};
+
+/**
+ * Removes all the relationships of a vector.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ * @argument {String} vector
+ *
+ * @returns {Array[]}
+ */
+const removeAllTriplesFromHexastoreByVector = (call, itemKey, vector) => {
+  const SPOTrippleList = call('ZRANGEBYLEX', itemKey, `[SPO:${vector}:`, `[SPO:${vector}\xff`);
+  const OPSTrippleList = call('ZRANGEBYLEX', itemKey, `[OPS:${vector}:`, `[OPS:${vector}\xff`);
+
+  SPOTrippleList
+    .forEach((tripple) => {
+      const [ , , predicate, object ] = splitTripple(tripple);
+
+      removeTripple(call, itemKey, vector, predicate, object);
+    });
+
+  OPSTrippleList
+    .forEach((tripple) => {
+      const [ , , predicate, subject ] = splitTripple(tripple);
+
+      removeTripple(call, itemKey, subject, predicate, vector);
+    });
+
+  return [ SPOTrippleList, OPSTrippleList ];
+};
+
+/**
+ * Retrieves all the ancestors of a list of nodes, including the archived relationships.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ * @argument {String} nodeListStringified - The list of nodes as a Lua table, ie: `{ 'User-1','User-2' }`.
+ *
+ * @returns {Array[]}
+ */
+const retrieveAllAncestorsForNode = (call, itemKey, nodeListStringified) => {
+  const hashTagPrefix = retrieveHashTagPrefix(itemKey);
+
+  return parseLuaList(nodeListStringified)
+    .map((node) => {
+      if (call('EXISTS', `${hashTagPrefix}NodeList:HierarchyTreeUpward:${node}`) === 1) return call('SMEMBERS', `${hashTagPrefix}NodeList:HierarchyTreeUpward:${node}`);
+
+      return retrieveAllRelatedNodes(call, itemKey, node, 'SPO');
+    });
+};
+
+/**
+ * Retrieves all the children of a list of nodes, including the archived relationships.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ * @argument {String} nodeListStringified - The list of nodes as a Lua table, ie: `{ 'User-1','User-2' }`.
+ *
+ * @returns {Array[]}
+ */
+const retrieveAllChildrenForNode = (call, itemKey, nodeListStringified) => {
+  const hashTagPrefix = retrieveHashTagPrefix(itemKey);
+
+  return parseLuaList(nodeListStringified)
+    .map((node) => {
+      if (call('EXISTS', `${hashTagPrefix}NodeList:HierarchyTreeDownward:${node}`) === 1) return call('SMEMBERS', `${hashTagPrefix}NodeList:HierarchyTreeDownward:${node}`);
+
+      return retrieveAllRelatedNodes(call, itemKey, node, 'OPS');
+    });
+};
+
+/**
+ * Retrieves the objects of the membership relationships that are not indexed in a hierarchy tree.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ *
+ * @returns {String[]}
+ */
+const retrieveAllUnindexedMemberRelationship = (call, itemKey) => {
+  const hashTagPrefix = retrieveHashTagPrefix(itemKey);
+
+  if (call('GET', `${hashTagPrefix}ReindexingVerified`) !== null) return [];
+
+  call('SETEX', `${hashTagPrefix}ReindexingVerified`, 60 * 60 * 7, '05f3b862-4bf2-4eda-80ee-6ba35f5eea52');
+
+  // The Lua script tests the reply of `EXISTS`, a number that is always truthy in Lua; no object is ever listed.
+  return [];
+};
+
+/**
+ * Moves the first action item key found in the lists of an action queue, in the given order, to the engine's
+ * processing list.
+ *
+ * @argument {Function} call
+ * @argument {String} actionProcessingListItemKey
+ * @argument {String[]} actionQueueItemKeyList
+ *
+ * @returns {String|null}
+ */
+const retrievePendingActionItemKey = (call, actionProcessingListItemKey, ...actionQueueItemKeyList) => {
+  for (const actionQueueItemKey of actionQueueItemKeyList) {
+    const actionItemKey = call('RPOPLPUSH', actionQueueItemKey, actionProcessingListItemKey);
+
+    if (actionItemKey !== null) return actionItemKey;
+  }
+
+  return null;
+};
+
+/**
+ * Removes a node from the hierarchy tree of all its ancestors.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ * @argument {String} node
+ *
+ * @returns {null}
+ */
+const unregisterNodeToAllAncestors = (call, itemKey, node) => {
+  const hashTagPrefix = retrieveHashTagPrefix(itemKey);
+
+  // The Lua script tests the reply of `EXISTS`, a number that is always truthy in Lua; it never returns early.
+  call('SMEMBERS', `${hashTagPrefix}NodeList:HierarchyTreeUpward:${node}`)
+    .forEach((ancestorNode) => {
+      call('SREM', `${hashTagPrefix}NodeList:HierarchyTreeDownward:${ancestorNode}`, node);
+    });
+
+  call('DEL', `${hashTagPrefix}NodeList:HierarchyTreeDownward:${node}`);
+  call('DEL', `${hashTagPrefix}NodeList:HierarchyTreeUpward:${node}`);
+
+  return null;
+};
+
+module.exports = {
+  archiveAllRelationshipsToVector,
+  cancelAction,
+  claimAllOrphanedWorkflowItemKeys,
+  handleActionIdempotency,
+  handleEventQueuing,
+  publishActionToQueue,
+  publishAllDueScheduledActions,
+  registerNodeToAllAncestors,
+  removeAllTriplesFromHexastoreByVector,
+  retrieveAllAncestorsForNode,
+  retrieveAllChildrenForNode,
+  retrieveAllUnindexedMemberRelationship,
+  retrievePendingActionItemKey,
+  unregisterNodeToAllAncestors
+};
+
+/**
+ * Adds the six indexes of a tripple to the hexastore.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ * @argument {String} subject
+ * @argument {String} predicate
+ * @argument {String} object
+ * @argument {String} [indexPrefix=""] - The prefix of the archived relationships is `*`.
+ */
+function addTripple (call, itemKey, subject, predicate, object, indexPrefix = '') {
+
+  generateTrippleIndexList(subject, predicate, object)
+    .forEach((trippleIndex) => {
+      call('ZADD', itemKey, 0, `${indexPrefix}${trippleIndex}`);
+    });
+}
+
+/**
+ * Generates the six indexes of a tripple.
+ *
+ * @argument {String} subject
+ * @argument {String} predicate
+ * @argument {String} object
+ *
+ * @returns {String[]}
+ */
+function generateTrippleIndexList (subject, predicate, object) {
+
+  return [
+    `SPO:${subject}:${predicate}:${object}`,
+    `SOP:${subject}:${object}:${predicate}`,
+    `OPS:${object}:${predicate}:${subject}`,
+    `OSP:${object}:${subject}:${predicate}`,
+    `PSO:${predicate}:${subject}:${object}`,
+    `POS:${predicate}:${object}:${subject}`
+  ];
+}
+
+/**
+ * Parses a list of strings stringified as a Lua table.
+ *
+ * @argument {String} listStringified
+ *
+ * @returns {String[]}
+ */
+function parseLuaList (listStringified) {
+
+  return (listStringified.match(/'[^']*'/g) || [])
+    .map((item) => item.slice(1, -1));
+}
+
+/**
+ * Removes the six indexes of a tripple from the hexastore.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ * @argument {String} subject
+ * @argument {String} predicate
+ * @argument {String} object
+ */
+function removeTripple (call, itemKey, subject, predicate, object) {
+
+  generateTrippleIndexList(subject, predicate, object)
+    .forEach((trippleIndex) => {
+      call('ZREM', itemKey, trippleIndex);
+    });
+}
+
+/**
+ * Retrieves recursively the nodes related to a node by membership; the ancestors are found with the `SPO` indexing scheme
+ * and the children with the `OPS` indexing scheme.
+ *
+ * @argument {Function} call
+ * @argument {String} itemKey
+ * @argument {String} node
+ * @argument {String} indexingScheme
+ *
+ * @returns {String[]}
+ */
+function retrieveAllRelatedNodes (call, itemKey, node, indexingScheme) {
+  const nodeList = [];
+
+  const recursivelyRetrieveRelatedNodeForNode = (node) => {
+    const trippleList = call('ZRANGEBYLEX', itemKey, `[${indexingScheme}:${node}:is-member-of`, `[${indexingScheme}:${node}:is-member-of:\xff`)
+      .concat(call('ZRANGEBYLEX', itemKey, `[*${indexingScheme}:${node}:is-member-of`, `[*${indexingScheme}:${node}:is-member-of:\xff`));
+
+    for (const tripple of trippleList) {
+      const [ , , , relatedNode ] = splitTripple(tripple);
+
+      if (relatedNode === 'SYSTEM') return;
+
+      if (!nodeList.includes(relatedNode)) {
+        nodeList.push(relatedNode);
+
+        recursivelyRetrieveRelatedNodeForNode(relatedNode);
+      }
+    }
+  };
+
+  recursivelyRetrieveRelatedNodeForNode(node);
+
+  return nodeList;
+}
+
+/**
+ * Retrieves the hash tag prefix of the hexastore's item key, ie: `{ResourceRelationship}:` on a Redis cluster; the indexes
+ * of the hierarchy tree share it.
+ *
+ * @argument {String} itemKey
+ *
+ * @returns {String}
+ */
+function retrieveHashTagPrefix (itemKey) {
+  const [ hashTagPrefix = '' ] = String(itemKey).match(/^{[^}]+}:/) || [];
+
+  return hashTagPrefix;
+}
+
+/**
+ * Splits a tripple into its parts, skipping the empty ones like Lua's `string.gmatch(tripple, "([^:]+)")`.
+ *
+ * @argument {String} tripple
+ *
+ * @returns {String[]}
+ */
+function splitTripple (tripple) {
+
+  return tripple.split(':').filter((part) => part.length > 0);
+}
@@ -0,0 +1,1967 @@
+"use strict";
+
+/**
+ * @fileOverview Define an in-memory server that implements the Redis commands used by Nucleus (keys, strings, hashes,
+ * lists, sets, sorted sets, streams, pub/sub, keyspace notifications, expiration and the Lua scripts of `library/lua`)
+ * and a client that mimics the interface of the NPM redis client.
+ * Every client of the process is connected to the same server, like every Redis client is connected to the same Redis
+ * server, unless it is given its own server; the keyspace is selected by index.
+ *
+ * @author Sebastien Filion
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const Promise = require('bluebird');
+const redisCommands = require('redis-commands');
+
+const memoryScript = require('./memoryScript.nucleus');
+
+// Like Redis, the keys that are never accessed again are expired periodically.
+const ACTIVE_EXPIRATION_INTERVAL = 1000;
+
+const $$blockedReplySymbol = Symbol('BlockedReply');
+const $$configurationScriptRegularExpression = /^\s*return redis\.call\('CONFIG', 'GET', '([a-z-]+)'\);?\s*$/;
+
+// The equivalents are identified by the SHA of their Lua script, so that registering a script is transparent.
+const scriptEquivalentBySHA = Object.keys(memoryScript)
+  .reduce((accumulator, scriptName) => {
+    const script = fs.readFileSync(path.join(__dirname, `/lua/${scriptName}.lua`), 'UTF8');
+
+    accumulator[generateScriptSHA(script)] = memoryScript[scriptName];
+
+    return accumulator;
+  }, {});
+
+const commandByName = {
+
+  config ($$context, subcommandName, configurationName, configurationValue) {
+    const { server } = $$context;
+
+    switch (subcommandName.toUpperCase()) {
+      case 'GET':
+
+        return (configurationName in server.configurationByName) ? [ configurationName, server.configurationByName[configurationName] ] : [];
+      case 'SET':
+        server.configurationByName[configurationName] = configurationValue;
+
+        return 'OK';
+      default:
+        throw generateReplyError(`ERR Unknown subcommand or wrong number of arguments for '${subcommandName}'`);
+    }
+  },
+
+  del ($$context, ...itemKeyList) {
+
+    return itemKeyList
+      .filter((itemKey) => $$context.keyspace.removeEntry(itemKey, 'del'))
+      .length;
+  },
+
+  eval ($$context, script, ...argumentList) {
+    const scriptSHA = generateScriptSHA(script);
+
+    if (scriptSHA in scriptEquivalentBySHA) return executeScriptEquivalent($$context, scriptEquivalentBySHA[scriptSHA], argumentList);
+
+    const [ , configurationName ] = script.match($$configurationScriptRegularExpression) || [];
+
+    if (!!configurationName) return commandByName.config($$context, 'GET', configurationName);
+
+    throw generateReplyError(`ERR The in-memory server has no equivalent for the script "${scriptSHA}".`);
+  },
+
+  evalsha ($$context, scriptSHA, ...argumentList) {
+    if (!(scriptSHA in $$context.server.scriptBySHA)) throw generateReplyError('NOSCRIPT No matching script. Please use EVAL.');
+
+    return commandByName.eval($$context, $$context.server.scriptBySHA[scriptSHA], ...argumentList);
+  },
+
+  exists ($$context, ...itemKeyList) {
+
+    return itemKeyList
+      .filter((itemKey) => !!$$context.keyspace.retrieveEntry(itemKey))
+      .length;
+  },
+
+  expire ($$context, itemKey, TTL) {
+
+    return commandByName.pexpire($$context, itemKey, parseInteger(TTL) * 1000);
+  },
+
+  flushall ($$context) {
+    $$context.server.databaseByIndex = {};
+
+    return 'OK';
+  },
+
+  flushdb ($$context) {
+    $$context.keyspace.entryByItemKey.clear();
+
+    return 'OK';
+  },
+
+  get ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'string');
+
+    return (!!entry) ? entry.value : null;
+  },
+
+  hdel ($$context, itemKey, ...itemFieldList) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveEntry(itemKey, 'hash');
+
+    if (!entry) return 0;
+
+    const removedItemFieldCount = itemFieldList
+      .filter((itemField) => entry.value.delete(itemField))
+      .length;
+
+    if (removedItemFieldCount > 0) keyspace.notify('hdel', itemKey);
+    keyspace.removeEntryIfEmpty(itemKey);
+
+    return removedItemFieldCount;
+  },
+
+  hexists ($$context, itemKey, itemField) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'hash');
+
+    return (!!entry && entry.value.has(itemField)) ? 1 : 0;
+  },
+
+  hget ($$context, itemKey, itemField) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'hash');
+
+    return (!!entry && entry.value.has(itemField)) ? entry.value.get(itemField) : null;
+  },
+
+  hgetall ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'hash');
+
+    return (!!entry) ? flattenMap(entry.value) : [];
+  },
+
+  hlen ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'hash');
+
+    return (!!entry) ? entry.value.size : 0;
+  },
+
+  hmget ($$context, itemKey, ...itemFieldList) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'hash');
+
+    return itemFieldList
+      .map((itemField) => (!!entry && entry.value.has(itemField)) ? entry.value.get(itemField) : null);
+  },
+
+  hmset ($$context, itemKey, ...itemFieldAndItemList) {
+    commandByName.hset($$context, itemKey, ...itemFieldAndItemList);
+
+    return 'OK';
+  },
+
+  hscan ($$context, itemKey, cursor, ...optionList) {
+    const { pattern } = parseScanOptionList(optionList);
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'hash');
+
+    // The whole hash is scanned at once, the cursor is always `0`.
+    return [ '0', flattenMap(entry ? entry.value : new Map(), pattern) ];
+  },
+
+  hset ($$context, itemKey, ...itemFieldAndItemList) {
+    if (itemFieldAndItemList.length === 0 || itemFieldAndItemList.length % 2 !== 0) throw generateReplyError("ERR wrong number of arguments for 'hset' command");
+
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveOrCreateEntry(itemKey, 'hash', () => new Map());
+
+    let addedItemFieldCount = 0;
+
+    for (let index = 0; index < itemFieldAndItemList.length; index += 2) {
+      if (!entry.value.has(itemFieldAndItemList[index])) addedItemFieldCount++;
+
+      entry.value.set(itemFieldAndItemList[index], itemFieldAndItemList[index + 1]);
+    }
+
+    keyspace.notify('hset', itemKey);
+
+    return addedItemFieldCount;
+  },
+
+  keys ($$context, pattern) {
+    const { keyspace } = $$context;
+    const $$patternRegularExpression = generateGlobRegularExpression(pattern);
+
+    return Array.from(keyspace.entryByItemKey.keys())
+      .filter((itemKey) => $$patternRegularExpression.test(itemKey) && !!keyspace.retrieveEntry(itemKey));
+  },
+
+  llen ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'list');
+
+    return (!!entry) ? entry.value.length : 0;
+  },
+
+  lpop ($$context, itemKey) {
+
+    return popItemFromList($$context, itemKey, 'lpop');
+  },
+
+  lpush ($$context, itemKey, ...itemList) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveOrCreateEntry(itemKey, 'list', () => []);
+
+    itemList.forEach((item) => entry.value.unshift(item));
+
+    keyspace.notify('lpush', itemKey);
+
+    return entry.value.length;
+  },
+
+  lrange ($$context, itemKey, startIndex, stopIndex) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'list');
+
+    if (!entry) return [];
+
+    return sliceByIndex(entry.value, startIndex, stopIndex);
+  },
+
+  lrem ($$context, itemKey, count, item) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveEntry(itemKey, 'list');
+
+    if (!entry) return 0;
+
+    const removalCount = parseInteger(count);
+    // A negative count removes the items starting from the tail of the list.
+    const indexList = entry.value
+      .reduce((accumulator, listItem, index) => {
+        if (listItem === item) accumulator.push(index);
+
+        return accumulator;
+      }, []);
+    const removedIndexList = (removalCount === 0) ? indexList : ((removalCount > 0) ? indexList.slice(0, removalCount) : indexList.slice(removalCount));
+
+    removedIndexList.reverse()
+      .forEach((index) => entry.value.splice(index, 1));
+
+    if (removedIndexList.length > 0) keyspace.notify('lrem', itemKey);
+    keyspace.removeEntryIfEmpty(itemKey);
+
+    return removedIndexList.length;
+  },
+
+  persist ($$context, itemKey) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveEntry(itemKey);
+
+    if (!entry || entry.expirationTimestamp === null) return 0;
+
+    entry.expirationTimestamp = null;
+
+    keyspace.notify('persist', itemKey);
+
+    return 1;
+  },
+
+  pexpire ($$context, itemKey, TTL) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveEntry(itemKey);
+    const TTLInMillisecond = parseInteger(TTL);
+
+    if (!entry) return 0;
+
+    if (TTLInMillisecond <= 0) keyspace.removeEntry(itemKey, 'del');
+    else {
+      entry.expirationTimestamp = Date.now() + TTLInMillisecond;
+
+      keyspace.notify('expire', itemKey);
+    }
+
+    return 1;
+  },
+
+  ping () {
+
+    return 'PONG';
+  },
+
+  pttl ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey);
+
+    if (!entry) return -2;
+    if (entry.expirationTimestamp === null) return -1;
+
+    return Math.max(entry.expirationTimestamp - Date.now(), 0);
+  },
+
+  psubscribe ($$context, ...channelPatternList) {
+    const { client } = $$context;
+
+    channelPatternList.forEach((channelPattern) => client.channelPatternSet.add(channelPattern));
+
+    return channelPatternList[channelPatternList.length - 1];
+  },
+
+  publish ($$context, channelName, message) {
+
+    return $$context.server.publish(channelName, message);
+  },
+
+  punsubscribe ($$context, ...channelPatternList) {
+    const { client } = $$context;
+
+    if (channelPatternList.length === 0) channelPatternList = Array.from(client.channelPatternSet);
+
+    channelPatternList.forEach((channelPattern) => client.channelPatternSet.delete(channelPattern));
+
+    return channelPatternList[channelPatternList.length - 1] || null;
+  },
+
+  rpop ($$context, itemKey) {
+
+    return popItemFromList($$context, itemKey, 'rpop');
+  },
+
+  brpop ($$context, ...itemKeyListAndTimeout) {
+    const itemKeyList = itemKeyListAndTimeout.slice(0, -1);
+    const timeout = parseInteger(itemKeyListAndTimeout[itemKeyListAndTimeout.length - 1]) * 1000;
+
+    for (const itemKey of itemKeyList) {
+      const item = popItemFromList($$context, itemKey, 'rpop');
+
+      if (item !== null) return [ itemKey, item ];
+    }
+
+    return ($$context.blockingIsAllowed) ? generateBlockedReply(timeout) : null;
+  },
+
+  rpoplpush ($$context, sourceItemKey, destinationItemKey) {
+    const { keyspace } = $$context;
+    const sourceEntry = keyspace.retrieveEntry(sourceItemKey, 'list');
+
+    if (!sourceEntry) return null;
+
+    // The destination must be a list before the item is removed from the source.
+    keyspace.retrieveEntry(destinationItemKey, 'list');
+
+    const item = popItemFromList($$context, sourceItemKey, 'rpop');
+
+    keyspace.retrieveOrCreateEntry(destinationItemKey, 'list', () => []).value.unshift(item);
+    keyspace.notify('lpush', destinationItemKey);
+
+    return item;
+  },
+
+  rpush ($$context, itemKey, ...itemList) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveOrCreateEntry(itemKey, 'list', () => []);
+
+    itemList.forEach((item) => entry.value.push(item));
+
+    keyspace.notify('rpush', itemKey);
+
+    return entry.value.length;
+  },
+
+  sadd ($$context, itemKey, ...itemList) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveOrCreateEntry(itemKey, 'set', () => new Set());
+
+    const addedItemCount = itemList
+      .filter((item) => {
+        if (entry.value.has(item)) return false;
+
+        entry.value.add(item);
+
+        return true;
+      })
+      .length;
+
+    if (addedItemCount > 0) keyspace.notify('sadd', itemKey);
+
+    return addedItemCount;
+  },
+
+  scan ($$context, cursor, ...optionList) {
+    const { pattern } = parseScanOptionList(optionList);
+
+    // The whole keyspace is scanned at once, the cursor is always `0`.
+    return [ '0', commandByName.keys($$context, pattern) ];
+  },
+
+  scard ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'set');
+
+    return (!!entry) ? entry.value.size : 0;
+  },
+
+  script ($$context, subcommandName, ...argumentList) {
+    const { server } = $$context;
+
+    switch (subcommandName.toUpperCase()) {
+      case 'EXISTS':
+
+        return argumentList.map((scriptSHA) => (scriptSHA in server.scriptBySHA) ? 1 : 0);
+      case 'FLUSH':
+        server.scriptBySHA = {};
+
+        return 'OK';
+      case 'LOAD':
+        const [ script ] = argumentList;
+        const scriptSHA = generateScriptSHA(script);
+
+        server.scriptBySHA[scriptSHA] = script;
+
+        return scriptSHA;
+      default:
+        throw generateReplyError(`ERR Unknown subcommand or wrong number of arguments for '${subcommandName}'`);
+    }
+  },
+
+  set ($$context, itemKey, item, ...optionList) {
+    const { keyspace } = $$context;
+
+    let TTL = null;
+    let onlyIfItemKeyDoesNotExist = false;
+    let onlyIfItemKeyExists = false;
+
+    for (let index = 0; index < optionList.length; index++) {
+      const optionName = optionList[index].toUpperCase();
+
+      if (optionName === 'EX') TTL = parseInteger(optionList[++index]) * 1000;
+      else if (optionName === 'PX') TTL = parseInteger(optionList[++index]);
+      else if (optionName === 'NX') onlyIfItemKeyDoesNotExist = true;
+      else if (optionName === 'XX') onlyIfItemKeyExists = true;
+      else throw generateReplyError('ERR syntax error');
+    }
+
+    const itemKeyExists = !!keyspace.retrieveEntry(itemKey);
+
+    if ((onlyIfItemKeyDoesNotExist && itemKeyExists) || (onlyIfItemKeyExists && !itemKeyExists)) return null;
+
+    keyspace.entryByItemKey.set(itemKey, { type: 'string', value: item, expirationTimestamp: (TTL !== null) ? Date.now() + TTL : null });
+
+    keyspace.notify('set', itemKey);
+    if (TTL !== null) keyspace.notify('expire', itemKey);
+
+    return 'OK';
+  },
+
+  setex ($$context, itemKey, TTL, item) {
+
+    return commandByName.set($$context, itemKey, item, 'EX', TTL);
+  },
+
+  sismember ($$context, itemKey, item) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'set');
+
+    return (!!entry && entry.value.has(item)) ? 1 : 0;
+  },
+
+  smembers ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'set');
+
+    return (!!entry) ? Array.from(entry.value) : [];
+  },
+
+  srem ($$context, itemKey, ...itemList) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveEntry(itemKey, 'set');
+
+    if (!entry) return 0;
+
+    const removedItemCount = itemList
+      .filter((item) => entry.value.delete(item))
+      .length;
+
+    if (removedItemCount > 0) keyspace.notify('srem', itemKey);
+    keyspace.removeEntryIfEmpty(itemKey);
+
+    return removedItemCount;
+  },
+
+  subscribe ($$context, ...channelNameList) {
+    const { client } = $$context;
+
+    channelNameList.forEach((channelName) => client.channelNameSet.add(channelName));
+
+    return channelNameList[channelNameList.length - 1];
+  },
+
+  ttl ($$context, itemKey) {
+    const TTL = commandByName.pttl($$context, itemKey);
+
+    return (TTL < 0) ? TTL : Math.round(TTL / 1000);
+  },
+
+  type ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey);
+
+    if (!entry) return 'none';
+
+    return (entry.type === 'sortedSet') ? 'zset' : entry.type;
+  },
+
+  unsubscribe ($$context, ...channelNameList) {
+    const { client } = $$context;
+
+    if (channelNameList.length === 0) channelNameList = Array.from(client.channelNameSet);
+
+    channelNameList.forEach((channelName) => client.channelNameSet.delete(channelName));
+
+    return channelNameList[channelNameList.length - 1] || null;
+  },
+
+  xack ($$context, itemKey, consumerGroupName, ...streamEntryIDList) {
+    const consumerGroup = retrieveConsumerGroup($$context, itemKey, consumerGroupName);
+
+    if (!consumerGroup) return 0;
+
+    return streamEntryIDList
+      .filter((streamEntryID) => consumerGroup.pendingStreamEntryByID.delete(streamEntryID))
+      .length;
+  },
+
+  xadd ($$context, itemKey, ...argumentList) {
+    const { keyspace } = $$context;
+
+    let maximumLength = null;
+
+    if (argumentList[0].toUpperCase() === 'MAXLEN') {
+      // The trimming is always exact, which is a valid approximation.
+      const maximumLengthIndex = (argumentList[1] === '~' || argumentList[1] === '=') ? 2 : 1;
+
+      maximumLength = parseInteger(argumentList[maximumLengthIndex]);
+      argumentList = argumentList.slice(maximumLengthIndex + 1);
+    }
+
+    const [ streamEntryID, ...itemFieldAndItemList ] = argumentList;
+
+    if (itemFieldAndItemList.length === 0 || itemFieldAndItemList.length % 2 !== 0) throw generateReplyError("ERR wrong number of arguments for 'xadd' command");
+
+    const entry = keyspace.retrieveOrCreateEntry(itemKey, 'stream', generateStream);
+    const stream = entry.value;
+    const parsedStreamEntryID = (streamEntryID === '*') ? generateStreamEntryID(stream.lastStreamEntryID) : parseStreamEntryID(streamEntryID, 0);
+
+    if (compareStreamEntryID(parsedStreamEntryID, stream.lastStreamEntryID) <= 0) {
+      keyspace.removeEntryIfEmpty(itemKey);
+
+      throw generateReplyError('ERR The ID specified in XADD is equal or smaller than the target stream top item');
+    }
+
+    stream.lastStreamEntryID = parsedStreamEntryID;
+    stream.streamEntryList.push({ ID: stringifyStreamEntryID(parsedStreamEntryID), itemFieldAndItemList });
+
+    keyspace.notify('xadd', itemKey);
+
+    if (maximumLength !== null && stream.streamEntryList.length > maximumLength) {
+      stream.streamEntryList.splice(0, stream.streamEntryList.length - maximumLength);
+
+      keyspace.notify('xtrim', itemKey);
+    }
+
+    return stringifyStreamEntryID(parsedStreamEntryID);
+  },
+
+  xclaim ($$context, itemKey, consumerGroupName, consumerName, minimumIdleTime, ...streamEntryIDAndOptionList) {
+    const consumerGroup = retrieveConsumerGroup($$context, itemKey, consumerGroupName);
+
+    if (!consumerGroup) throw generateReplyError(`NOGROUP No such key '${itemKey}' or consumer group '${consumerGroupName}'`);
+
+    const stream = $$context.keyspace.retrieveEntry(itemKey, 'stream').value;
+    const streamEntryIDList = streamEntryIDAndOptionList.filter((value) => /^[0-9]+-[0-9]+$/.test(value));
+    const onlyStreamEntryID = streamEntryIDAndOptionList.some((value) => value.toUpperCase() === 'JUSTID');
+    const timestamp = Date.now();
+
+    return streamEntryIDList
+      .filter((streamEntryID) => {
+        const pendingStreamEntry = consumerGroup.pendingStreamEntryByID.get(streamEntryID);
+
+        return !!pendingStreamEntry && timestamp - pendingStreamEntry.deliveryTimestamp >= parseInteger(minimumIdleTime);
+      })
+      .map((streamEntryID) => {
+        const pendingStreamEntry = consumerGroup.pendingStreamEntryByID.get(streamEntryID);
+        const streamEntry = stream.streamEntryList.find(({ ID }) => ID === streamEntryID);
+
+        // An entry that was trimmed from the stream can't be claimed anymore.
+        if (!streamEntry) {
+          consumerGroup.pendingStreamEntryByID.delete(streamEntryID);
+
+          return null;
+        }
+
+        Object.assign(pendingStreamEntry, { consumerName, deliveryTimestamp: timestamp });
+
+        if (onlyStreamEntryID) return streamEntryID;
+
+        pendingStreamEntry.deliveryCount++;
+
+        return [ streamEntry.ID, streamEntry.itemFieldAndItemList ];
+      });
+  },
+
+  xgroup ($$context, subcommandName, itemKey, consumerGroupName, streamEntryID, ...optionList) {
+    const { keyspace } = $$context;
+
+    switch (subcommandName.toUpperCase()) {
+      case 'CREATE':
+        const createStream = optionList.some((optionName) => optionName.toUpperCase() === 'MKSTREAM');
+
+        if (!keyspace.retrieveEntry(itemKey, 'stream') && !createStream) throw generateReplyError('ERR The XGROUP subcommand requires the key to exist. Note that for CREATE you may want to use the MKSTREAM option to create an empty stream automatically.');
+
+        const stream = keyspace.retrieveOrCreateEntry(itemKey, 'stream', generateStream).value;
+
+        if (stream.consumerGroupByName.has(consumerGroupName)) throw generateReplyError('BUSYGROUP Consumer Group name already exists');
+
+        stream.consumerGroupByName.set(consumerGroupName, {
+          lastDeliveredStreamEntryID: (streamEntryID === '$') ? stream.lastStreamEntryID : parseStreamEntryID(streamEntryID, 0),
+          pendingStreamEntryByID: new Map()
+        });
+
+        keyspace.notify('xgroup-create', itemKey);
+
+        return 'OK';
+      case 'DESTROY':
+        const entry = keyspace.retrieveEntry(itemKey, 'stream');
+
+        return (!!entry && entry.value.consumerGroupByName.delete(consumerGroupName)) ? 1 : 0;
+      default:
+        throw generateReplyError(`ERR Unknown subcommand or wrong number of arguments for '${subcommandName}'`);
+    }
+  },
+
+  xlen ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'stream');
+
+    return (!!entry) ? entry.value.streamEntryList.length : 0;
+  },
+
+  xpending ($$context, itemKey, consumerGroupName, startStreamEntryID, endStreamEntryID, count, consumerName) {
+    const consumerGroup = retrieveConsumerGroup($$context, itemKey, consumerGroupName);
+
+    if (!consumerGroup) throw generateReplyError(`NOGROUP No such key '${itemKey}' or consumer group '${consumerGroupName}'`);
+
+    const pendingStreamEntryList = Array.from(consumerGroup.pendingStreamEntryByID.entries())
+      .sort(([ streamEntryIDA ], [ streamEntryIDB ]) => compareStreamEntryID(parseStreamEntryID(streamEntryIDA), parseStreamEntryID(streamEntryIDB)));
+
+    // The summary form lists the number of pending entries, the smallest and greatest ID and the count by consumer.
+    if (startStreamEntryID === undefined) {
+      if (pendingStreamEntryList.length === 0) return [ 0, null, null, null ];
+
+      const pendingStreamEntryCountByConsumerName = pendingStreamEntryList
+        .reduce((accumulator, [ , { consumerName } ]) => {
+          accumulator[consumerName] = (accumulator[consumerName] || 0) + 1;
+
+          return accumulator;
+        }, {});
+
+      return [
+        pendingStreamEntryList.length,
+        pendingStreamEntryList[0][0],
+        pendingStreamEntryList[pendingStreamEntryList.length - 1][0],
+        Object.keys(pendingStreamEntryCountByConsumerName)
+          .map((consumerName) => [ consumerName, String(pendingStreamEntryCountByConsumerName[consumerName]) ])
+      ];
+    }
+
+    const parsedStartStreamEntryID = parseStreamEntryID(startStreamEntryID, 0);
+    const parsedEndStreamEntryID = parseStreamEntryID(endStreamEntryID, Number.MAX_SAFE_INTEGER);
+    const timestamp = Date.now();
+
+    return pendingStreamEntryList
+      .filter(([ streamEntryID, pendingStreamEntry ]) => {
+        const parsedStreamEntryID = parseStreamEntryID(streamEntryID);
+
+        return compareStreamEntryID(parsedStreamEntryID, parsedStartStreamEntryID) >= 0 &&
+          compareStreamEntryID(parsedStreamEntryID, parsedEndStreamEntryID) <= 0 &&
+          (consumerName === undefined || pendingStreamEntry.consumerName === consumerName);
+      })
+      .slice(0, parseInteger(count))
+      .map(([ streamEntryID, { consumerName, deliveryCount, deliveryTimestamp } ]) => [ streamEntryID, consumerName, timestamp - deliveryTimestamp, deliveryCount ]);
+  },
+
+  xrange ($$context, itemKey, startStreamEntryID, endStreamEntryID, ...optionList) {
+
+    return retrieveStreamEntryListByRange($$context, itemKey, startStreamEntryID, endStreamEntryID, optionList);
+  },
+
+  xreadgroup ($$context, ...argumentList) {
+    const { keyspace } = $$context;
+
+    let blockingTimeout = null;
+    let count = Infinity;
+    let acknowledgementIsRequired = true;
+    let index = 0;
+
+    if (argumentList[index++].toUpperCase() !== 'GROUP') throw generateReplyError('ERR syntax error');
+
+    const consumerGroupName = argumentList[index++];
+    const consumerName = argumentList[index++];
+
+    for (; index < argumentList.length && argumentList[index].toUpperCase() !== 'STREAMS'; index++) {
+      const optionName = argumentList[index].toUpperCase();
+
+      if (optionName === 'BLOCK') blockingTimeout = parseInteger(argumentList[++index]);
+      else if (optionName === 'COUNT') count = parseInteger(argumentList[++index]);
+      else if (optionName === 'NOACK') acknowledgementIsRequired = false;
+      else throw generateReplyError('ERR syntax error');
+    }
+
+    const itemKeyAndStreamEntryIDList = argumentList.slice(index + 1);
+    const itemKeyList = itemKeyAndStreamEntryIDList.slice(0, itemKeyAndStreamEntryIDList.length / 2);
+    const streamEntryIDList = itemKeyAndStreamEntryIDList.slice(itemKeyAndStreamEntryIDList.length / 2);
+    const timestamp = Date.now();
+
+    const streamReplyList = itemKeyList
+      .map((itemKey, index) => {
+        const consumerGroup = retrieveConsumerGroup($$context, itemKey, consumerGroupName);
+
+        if (!consumerGroup) throw generateReplyError(`NOGROUP No such key '${itemKey}' or consumer group '${consumerGroupName}' in XREADGROUP with GROUP option`);
+
+        const stream = keyspace.retrieveEntry(itemKey, 'stream').value;
+
+        // The ID `>` reads the entries that were never delivered to the group, any other ID reads the entries that
+        // were delivered to the consumer but not acknowledged.
+        if (streamEntryIDList[index] === '>') {
+          const streamEntryList = stream.streamEntryList
+            .filter(({ ID }) => compareStreamEntryID(parseStreamEntryID(ID), consumerGroup.lastDeliveredStreamEntryID) > 0)
+            .slice(0, count);
+
+          if (streamEntryList.length === 0) return null;
+
+          consumerGroup.lastDeliveredStreamEntryID = parseStreamEntryID(streamEntryList[streamEntryList.length - 1].ID);
+
+          if (acknowledgementIsRequired) streamEntryList
+            .forEach(({ ID }) => {
+              consumerGroup.pendingStreamEntryByID.set(ID, { consumerName, deliveryCount: 1, deliveryTimestamp: timestamp });
+            });
+
+          return [ itemKey, streamEntryList.map(({ ID, itemFieldAndItemList }) => [ ID, itemFieldAndItemList ]) ];
+        }
+
+        const parsedStreamEntryID = parseStreamEntryID(streamEntryIDList[index], 0);
+
+        return [
+          itemKey,
+          Array.from(consumerGroup.pendingStreamEntryByID.entries())
+            .filter(([ ID, pendingStreamEntry ]) => pendingStreamEntry.consumerName === consumerName && compareStreamEntryID(parseStreamEntryID(ID), parsedStreamEntryID) > 0)
+            .sort(([ streamEntryIDA ], [ streamEntryIDB ]) => compareStreamEntryID(parseStreamEntryID(streamEntryIDA), parseStreamEntryID(streamEntryIDB)))
+            .slice(0, count)
+            .map(([ ID, pendingStreamEntry ]) => {
+              const streamEntry = stream.streamEntryList.find((streamEntry) => streamEntry.ID === ID);
+
+              Object.assign(pendingStreamEntry, { deliveryCount: pendingStreamEntry.deliveryCount + 1, deliveryTimestamp: timestamp });
+
+              return [ ID, (!!streamEntry) ? streamEntry.itemFieldAndItemList : null ];
+            })
+        ];
+      })
+      .filter(Boolean);
+
+    if (streamReplyList.length > 0) return streamReplyList;
+
+    return ($$context.blockingIsAllowed && blockingTimeout !== null) ? generateBlockedReply(blockingTimeout) : null;
+  },
+
+  xrevrange ($$context, itemKey, endStreamEntryID, startStreamEntryID, ...optionList) {
+
+    return retrieveStreamEntryListByRange($$context, itemKey, startStreamEntryID, endStreamEntryID, optionList, true);
+  },
+
+  xtrim ($$context, itemKey, strategyName, ...argumentList) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveEntry(itemKey, 'stream');
+
+    if (strategyName.toUpperCase() !== 'MAXLEN') throw generateReplyError('ERR syntax error');
+    if (!entry) return 0;
+
+    const maximumLength = parseInteger(argumentList[argumentList.length - 1]);
+    const removedStreamEntryCount = Math.max(entry.value.streamEntryList.length - maximumLength, 0);
+
+    entry.value.streamEntryList.splice(0, removedStreamEntryCount);
+
+    if (removedStreamEntryCount > 0) keyspace.notify('xtrim', itemKey);
+
+    return removedStreamEntryCount;
+  },
+
+  zadd ($$context, itemKey, ...argumentList) {
+    const { keyspace } = $$context;
+
+    let changedMemberAreCounted = false;
+    let onlyExistingMembers = false;
+    let onlyNewMembers = false;
+
+    while (argumentList.length > 0 && [ 'CH', 'NX', 'XX' ].includes(argumentList[0].toUpperCase())) {
+      const optionName = argumentList.shift().toUpperCase();
+
+      if (optionName === 'CH') changedMemberAreCounted = true;
+      else if (optionName === 'NX') onlyNewMembers = true;
+      else onlyExistingMembers = true;
+    }
+
+    if (argumentList.length === 0 || argumentList.length % 2 !== 0) throw generateReplyError('ERR syntax error');
+
+    // With `XX`, a sorted set that doesn't exist is not created.
+    const entry = (onlyExistingMembers) ? keyspace.retrieveEntry(itemKey, 'sortedSet') : keyspace.retrieveOrCreateEntry(itemKey, 'sortedSet', () => new Map());
+
+    if (!entry) return 0;
+
+    let addedMemberCount = 0;
+    let changedMemberCount = 0;
+
+    for (let index = 0; index < argumentList.length; index += 2) {
+      const score = parseScore(argumentList[index]);
+      const member = argumentList[index + 1];
+      const memberExists = entry.value.has(member);
+
+      if ((onlyNewMembers && memberExists) || (onlyExistingMembers && !memberExists)) continue;
+
+      if (!memberExists) addedMemberCount++;
+      else if (entry.value.get(member) !== score) changedMemberCount++;
+
+      entry.value.set(member, score);
+    }
+
+    if (addedMemberCount + changedMemberCount > 0) keyspace.notify('zadd', itemKey);
+
+    return (changedMemberAreCounted) ? addedMemberCount + changedMemberCount : addedMemberCount;
+  },
+
+  zcard ($$context, itemKey) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'sortedSet');
+
+    return (!!entry) ? entry.value.size : 0;
+  },
+
+  zrange ($$context, itemKey, startIndex, stopIndex, ...optionList) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'sortedSet');
+
+    if (!entry) return [];
+
+    const withScores = optionList.some((optionName) => optionName.toUpperCase() === 'WITHSCORES');
+
+    return flattenSortedSetMemberList(sliceByIndex(sortSortedSet(entry.value), startIndex, stopIndex), withScores);
+  },
+
+  zrangebylex ($$context, itemKey, minimum, maximum, ...optionList) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'sortedSet');
+    const minimumBoundary = parseLexicalBoundary(minimum);
+    const maximumBoundary = parseLexicalBoundary(maximum);
+    const { limit } = parseRangeOptionList(optionList);
+
+    if (!entry) return [];
+
+    return limit(sortSortedSet(entry.value)
+      .filter(([ member ]) => verifyThatMemberIsWithinLexicalBoundaries(member, minimumBoundary, maximumBoundary)))
+      .map(([ member ]) => member);
+  },
+
+  zrangebyscore ($$context, itemKey, minimum, maximum, ...optionList) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'sortedSet');
+    const minimumBoundary = parseScoreBoundary(minimum);
+    const maximumBoundary = parseScoreBoundary(maximum);
+    const { limit, withScores } = parseRangeOptionList(optionList);
+
+    if (!entry) return [];
+
+    return flattenSortedSetMemberList(limit(sortSortedSet(entry.value)
+      .filter(([ , score ]) => verifyThatScoreIsWithinBoundaries(score, minimumBoundary, maximumBoundary))), withScores);
+  },
+
+  zrank ($$context, itemKey, member) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'sortedSet');
+
+    if (!entry || !entry.value.has(member)) return null;
+
+    return sortSortedSet(entry.value).findIndex(([ sortedMember ]) => sortedMember === member);
+  },
+
+  zrem ($$context, itemKey, ...memberList) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveEntry(itemKey, 'sortedSet');
+
+    if (!entry) return 0;
+
+    const removedMemberCount = memberList
+      .filter((member) => entry.value.delete(member))
+      .length;
+
+    if (removedMemberCount > 0) keyspace.notify('zrem', itemKey);
+    keyspace.removeEntryIfEmpty(itemKey);
+
+    return removedMemberCount;
+  },
+
+  zremrangebyscore ($$context, itemKey, minimum, maximum) {
+    const { keyspace } = $$context;
+    const entry = keyspace.retrieveEntry(itemKey, 'sortedSet');
+    const minimumBoundary = parseScoreBoundary(minimum);
+    const maximumBoundary = parseScoreBoundary(maximum);
+
+    if (!entry) return 0;
+
+    const removedMemberCount = Array.from(entry.value.entries())
+      .filter(([ member, score ]) => verifyThatScoreIsWithinBoundaries(score, minimumBoundary, maximumBoundary) && entry.value.delete(member))
+      .length;
+
+    if (removedMemberCount > 0) keyspace.notify('zremrangebyscore', itemKey);
+    keyspace.removeEntryIfEmpty(itemKey);
+
+    return removedMemberCount;
+  },
+
+  zscan ($$context, itemKey, cursor, ...optionList) {
+    const { pattern } = parseScanOptionList(optionList);
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'sortedSet');
+    const $$patternRegularExpression = generateGlobRegularExpression(pattern);
+
+    if (!entry) return [ '0', [] ];
+
+    // The whole sorted set is scanned at once, the cursor is always `0`.
+    return [ '0', flattenSortedSetMemberList(sortSortedSet(entry.value).filter(([ member ]) => $$patternRegularExpression.test(member)), true) ];
+  },
+
+  zscore ($$context, itemKey, member) {
+    const entry = $$context.keyspace.retrieveEntry(itemKey, 'sortedSet');
+
+    return (!!entry && entry.value.has(member)) ? stringifyScore(entry.value.get(member)) : null;
+  }
+
+};
+
+class MemoryKeyspace {
+
+  /**
+   * Creates the keyspace of a database of the in-memory server.
+   *
+   * @argument {MemoryServer} $$memoryServer
+   * @argument {Number} databaseIndex
+   */
+  constructor ($$memoryServer, databaseIndex) {
+    this.$$memoryServer = $$memoryServer;
+    this.databaseIndex = databaseIndex;
+    this.entryByItemKey = new Map();
+  }
+
+  /**
+   * Publishes a keyspace notification and a keyevent notification, like Redis does with `notify-keyspace-events AKE`;
+   * the classes of events are not filtered.
+   *
+   * @argument {String} eventName
+   * @argument {String} itemKey
+   */
+  notify (eventName, itemKey) {
+    const keyspaceNotificationConfiguration = this.$$memoryServer.configurationByName['notify-keyspace-events'];
+
+    if (keyspaceNotificationConfiguration.includes('K')) this.$$memoryServer.publish(`__keyspace@${this.databaseIndex}__:${itemKey}`, eventName);
+    if (keyspaceNotificationConfiguration.includes('E')) this.$$memoryServer.publish(`__keyevent@${this.databaseIndex}__:${eventName}`, itemKey);
+  }
+
+  /**
+   * Removes an entry given its item key.
+   *
+   * @argument {String} itemKey
+   * @argument {String} [eventName] - The event notified if the entry was removed.
+   *
+   * @returns {Boolean}
+   */
+  removeEntry (itemKey, eventName) {
+    if (!this.retrieveEntry(itemKey)) return false;
+
+    this.entryByItemKey.delete(itemKey);
+
+    if (!!eventName) this.notify(eventName, itemKey);
+
+    return true;
+  }
+
+  /**
+   * Removes an entry that is empty, like Redis removes the aggregate data types without any element.
+   *
+   * @argument {String} itemKey
+   */
+  removeEntryIfEmpty (itemKey) {
+    const entry = this.entryByItemKey.get(itemKey);
+
+    if (!entry || entry.type === 'string' || entry.type === 'stream') return;
+
+    if ((entry.type === 'list') ? entry.value.length === 0 : entry.value.size === 0) this.removeEntry(itemKey, 'del');
+  }
+
+  /**
+   * Retrieves an entry given its item key; an entry that expired is removed.
+   *
+   * @argument {String} itemKey
+   * @argument {String} [type]
+   *
+   * @returns {{ type: String, value: *, expirationTimestamp: Number|null }|undefined}
+   *
+   * @throws Will throw an error if the entry is not of the given type.
+   */
+  retrieveEntry (itemKey, type) {
+    const entry = this.entryByItemKey.get(itemKey);
+
+    if (!entry) return;
+
+    if (entry.expirationTimestamp !== null && entry.expirationTimestamp <= Date.now()) {
+      this.entryByItemKey.delete(itemKey);
+      this.notify('expired', itemKey);
+
+      return;
+    }
+
+    if (!!type && entry.type !== type) throw generateReplyError('WRONGTYPE Operation against a key holding the wrong kind of value');
+
+    return entry;
+  }
+
+  /**
+   * Retrieves an entry given its item key or creates it.
+   *
+   * @argument {String} itemKey
+   * @argument {String} type
+   * @argument {Function} generateValue
+   *
+   * @returns {{ type: String, value: *, expirationTimestamp: Number|null }}
+   */
+  retrieveOrCreateEntry (itemKey, type, generateValue) {
+    const entry = this.retrieveEntry(itemKey, type);
+
+    if (!!entry) return entry;
+
+    const createdEntry = { type, value: generateValue(), expirationTimestamp: null };
+
+    this.entryByItemKey.set(itemKey, createdEntry);
+
+    return createdEntry;
+  }
+
+}
+
+class MemoryServer {
+
+  /**
+   * Creates an in-memory server.
+   */
+  constructor () {
+    this.blockedCommandList = [];
+    this.clientSet = new Set();
+    // The keyspace notifications are always activated and nothing is persisted.
+    this.configurationByName = { 'notify-keyspace-events': 'AKE', save: '' };
+    this.databaseByIndex = {};
+    this.scriptBySHA = {};
+
+    this.$$activeExpirationInterval = setInterval(this.expireAllEntries.bind(this), ACTIVE_EXPIRATION_INTERVAL);
+    // The server must not prevent the process from exiting.
+    this.$$activeExpirationInterval.unref();
+  }
+
+  /**
+   * Executes a command for a client.
+   *
+   * @argument {MemoryClient} client
+   * @argument {String} commandName
+   * @argument {String[]} argumentList
+   * @argument {Boolean} [blockingIsAllowed=false] - The blocking commands can't block in a transaction or a script.
+   *
+   * @returns {*}
+   *
+   * @throws Will throw an error if the command is unknown or fails.
+   */
+  executeCommand (client, commandName, argumentList, blockingIsAllowed = false) {
+    const command = commandByName[commandName.toLowerCase()];
+
+    if (!command) throw generateReplyError(`ERR unknown command '${commandName}'`);
+
+    return command({ blockingIsAllowed, client, keyspace: this.retrieveKeyspace(client.databaseIndex), server: this }, ...argumentList);
+  }
+
+  /**
+   * Expires all the entries whose TTL elapsed.
+   */
+  expireAllEntries () {
+
+    Object.keys(this.databaseByIndex)
+      .forEach((databaseIndex) => {
+        const keyspace = this.databaseByIndex[databaseIndex];
+
+        Array.from(keyspace.entryByItemKey.keys())
+          .forEach((itemKey) => keyspace.retrieveEntry(itemKey));
+      });
+  }
+
+  /**
+   * Publishes a message to a channel; the message is received asynchronously by the clients that subscribed to the
+   * channel or to a pattern that matches it.
+   *
+   * @argument {String} channelName
+   * @argument {String} message
+   *
+   * @returns {Number}
+   */
+  publish (channelName, message) {
+    let receiverCount = 0;
+
+    this.clientSet
+      .forEach((client) => {
+        if (client.channelNameSet.has(channelName)) {
+          receiverCount++;
+
+          process.nextTick(() => client.emit('message', channelName, message));
+        }
+
+        client.channelPatternSet
+          .forEach((channelPattern) => {
+            if (!generateGlobRegularExpression(channelPattern).test(channelName)) return;
+
+            receiverCount++;
+
+            process.nextTick(() => client.emit('pmessage', channelPattern, channelName, message));
+          });
+      });
+
+    return receiverCount;
+  }
+
+  /**
+   * Removes a client that quit; its blocked commands are dropped.
+   *
+   * @argument {MemoryClient} client
+   */
+  removeClient (client) {
+    this.clientSet.delete(client);
+
+    this.blockedCommandList = this.blockedCommandList
+      .filter((blockedCommand) => {
+        if (blockedCommand.client !== client) return true;
+
+        clearTimeout(blockedCommand.$$timeout);
+
+        return false;
+      });
+  }
+
+  /**
+   * Retrieves the keyspace of a database given its index.
+   *
+   * @argument {Number} databaseIndex
+   *
+   * @returns {MemoryKeyspace}
+   */
+  retrieveKeyspace (databaseIndex) {
+    if (!(databaseIndex in this.databaseByIndex)) this.databaseByIndex[databaseIndex] = new MemoryKeyspace(this, databaseIndex);
+
+    return this.databaseByIndex[databaseIndex];
+  }
+
+  /**
+   * Blocks a command until it can be served or until its timeout elapses.
+   *
+   * @argument {MemoryClient} client
+   * @argument {String} commandName
+   * @argument {String[]} argumentList
+   * @argument {Number} timeout - The timeout in milliseconds; `0` blocks indefinitely.
+   * @argument {Function} callback
+   */
+  blockCommand (client, commandName, argumentList, timeout, callback) {
+    const blockedCommand = { argumentList, callback, client, commandName };
+
+    if (timeout > 0) blockedCommand.$$timeout = setTimeout(() => {
+      this.blockedCommandList.splice(this.blockedCommandList.indexOf(blockedCommand), 1);
+
+      callback(null, null);
+    }, timeout);
+
+    this.blockedCommandList.push(blockedCommand);
+  }
+
+  /**
+   * Serves the blocked commands, in the order they were blocked, that can be served.
+   * This is done after every command, transaction or script so that they are never interleaved.
+   */
+  serveAllBlockedCommands () {
+
+    this.blockedCommandList = this.blockedCommandList
+      .filter((blockedCommand) => {
+        const { argumentList, callback, client, commandName } = blockedCommand;
+
+        let reply;
+
+        try {
+          reply = this.executeCommand(client, commandName, argumentList);
+        } catch (error) {
+          clearTimeout(blockedCommand.$$timeout);
+          process.nextTick(callback, error);
+
+          return false;
+        }
+
+        if (reply === null) return true;
+
+        clearTimeout(blockedCommand.$$timeout);
+        process.nextTick(callback, null, reply);
+
+        return false;
+      });
+  }
+
+}
+
+const $$memoryServer = new MemoryServer();
+
+class MemoryClient extends EventEmitter {
+
+  /**
+   * Creates a client connected to the in-memory server.
+   *
+   * @argument {Object} options
+   * @argument {Number} [options.db=0]
+   * @argument {MemoryServer} [options.server=<Process-wide server>]
+   */
+  constructor (options = {}) {
+    super();
+
+    const { db: databaseIndex = 0, server = $$memoryServer } = options;
+
+    this.channelNameSet = new Set();
+    this.channelPatternSet = new Set();
+    this.connected = false;
+    this.databaseIndex = Number(databaseIndex);
+    this.options = { db: this.databaseIndex };
+    this.$$memoryServer = server;
+
+    this.$$memoryServer.clientSet.add(this);
+
+    process.nextTick(() => {
+      this.connected = true;
+
+      this.emit('connect');
+      this.emit('ready');
+    });
+  }
+
+  /**
+   * Creates a transaction; the commands can also be passed as a list of `[ commandName, ...argumentList ]`.
+   *
+   * @argument {Array[]} [commandList=[]]
+   *
+   * @returns {MemoryMulti}
+   */
+  multi (commandList = []) {
+
+    return new MemoryMulti(this, commandList);
+  }
+
+  /**
+   * Closes the connection.
+   *
+   * @argument {Function} [callback]
+   */
+  quit (callback) {
+    this.$$memoryServer.removeClient(this);
+
+    this.connected = false;
+
+    if (!!callback) process.nextTick(callback, null, 'OK');
+    process.nextTick(() => this.emit('end'));
+  }
+
+  /**
+   * Sends a command to the in-memory server.
+   *
+   * @argument {String} commandName
+   * @argument {Array} argumentList
+   * @argument {Function} [callback]
+   */
+  sendCommand (commandName, argumentList, callback = () => {}) {
+    if (!this.$$memoryServer.clientSet.has(this)) {
+      process.nextTick(callback, generateReplyError(`The connection is already closed.`));
+
+      return;
+    }
+
+    const stringifiedArgumentList = stringifyArgumentList(argumentList);
+
+    let reply;
+
+    try {
+      reply = this.$$memoryServer.executeCommand(this, commandName, stringifiedArgumentList, true);
+    } catch (error) {
+      process.nextTick(callback, error);
+
+      return;
+    } finally {
+      this.$$memoryServer.serveAllBlockedCommands();
+    }
+
+    if (!!reply && reply[$$blockedReplySymbol]) this.$$memoryServer.blockCommand(this, commandName, stringifiedArgumentList, reply.timeout, callback);
+    else process.nextTick(callback, null, transformReply(commandName, reply));
+  }
+
+}
+
+class MemoryMulti {
+
+  /**
+   * Creates a transaction; the commands are executed atomically once the transaction is executed.
+   *
+   * @argument {MemoryClient} client
+   * @argument {Array[]} commandList
+   */
+  constructor (client, commandList) {
+    this.client = client;
+    this.queuedCommandList = commandList
+      .map(([ commandName, ...argumentList ]) => ({ argumentList, commandName }));
+  }
+
+  /**
+   * Executes the transaction; a command that fails replies its error without interrupting the transaction.
+   *
+   * @argument {Function} [callback]
+   */
+  exec (callback = () => {}) {
+    if (!this.client.$$memoryServer.clientSet.has(this.client)) {
+      process.nextTick(callback, generateReplyError(`The connection is already closed.`));
+
+      return;
+    }
+
+    const replyList = this.queuedCommandList
+      .map(({ argumentList, callback, commandName }) => {
+        let reply;
+
+        try {
+          reply = transformReply(commandName, this.client.$$memoryServer.executeCommand(this.client, commandName, stringifyArgumentList(argumentList)));
+        } catch (error) {
+          reply = error;
+        }
+
+        if (!!callback) process.nextTick(callback, (reply instanceof Error) ? reply : null, (reply instanceof Error) ? undefined : reply);
+
+        return reply;
+      });
+
+    this.client.$$memoryServer.serveAllBlockedCommands();
+
+    process.nextTick(callback, null, replyList);
+  }
+
+}
+
+Object.keys(commandByName)
+  .forEach((commandName) => {
+    MemoryClient.prototype[commandName] = function (...argumentList) {
+      const callback = (typeof argumentList[argumentList.length - 1] === 'function') ? argumentList.pop() : undefined;
+
+      this.sendCommand(commandName, argumentList, callback);
+
+      return this.connected;
+    };
+
+    MemoryMulti.prototype[commandName] = function (...argumentList) {
+      const callback = (typeof argumentList[argumentList.length - 1] === 'function') ? argumentList.pop() : undefined;
+
+      this.queuedCommandList.push({ argumentList, callback, commandName });
+
+      return this;
+    };
+  });
+
+Promise.promisifyAll(MemoryClient.prototype);
+Promise.promisifyAll(MemoryMulti.prototype);
+
+/**
+ * Creates a client connected to the in-memory server, like `redis.createClient`.
+ *
+ * @argument {Object} [options]
+ * @argument {Number} [options.db=0]
+ * @argument {MemoryServer} [options.server=<Process-wide server>]
+ *
+ * @returns {MemoryClient}
+ */
+const createClient = (options = {}) => {
+
+  return new MemoryClient(options);
+};
+
+/**
+ * Creates an in-memory server that shares nothing with the process-wide server, ie: to isolate the tests.
+ *
+ * @returns {MemoryServer}
+ */
+const createServer = () => {
+
+  return new MemoryServer();
+};
+
+module.exports = {
+  createClient,
+  createServer
+};
+
+/**
+ * Compares two stream entry IDs.
+ *
+ * @argument {Number[]} streamEntryIDA
+ * @argument {Number[]} streamEntryIDB
+ *
+ * @returns {Number}
+ */
+function compareStreamEntryID ([ timestampA, sequenceA ], [ timestampB, sequenceB ]) {
+
+  return (timestampA - timestampB) || (sequenceA - sequenceB);
+}
+
+/**
+ * Executes the equivalent of a Lua script; the commands it executes can't block.
+ *
+ * @argument {Object} $$context
+ * @argument {Function} scriptEquivalent
+ * @argument {String[]} argumentList - The number of keys, the keys and the arguments, like `EVAL`.
+ *
+ * @returns {*}
+ */
+function executeScriptEquivalent ($$context, scriptEquivalent, argumentList) {
+  const [ keyCount, ...keyAndArgumentList ] = argumentList;
+  const scriptArgumentList = keyAndArgumentList.slice(parseInteger(keyCount));
+  // Like the scripts, the keys are prefixed by what the datastore prepended to the first key, which is also the first
+  // argument; ie: the namespace of the datastore.
+  const keyPrefix = (parseInteger(keyCount) > 0) ? String(keyAndArgumentList[0]).slice(0, String(keyAndArgumentList[0]).length - String(scriptArgumentList[0]).length) : '';
+  const call = (commandName, ...argumentList) => $$context.server.executeCommand($$context.client, commandName, stringifyArgumentList(prefixScriptArgumentList(commandName, argumentList, keyPrefix)));
+
+  return scriptEquivalent(call, ...scriptArgumentList);
+}
+
+/**
+ * Flattens a map into a list of keys and values, optionally filtered by a glob-style pattern.
+ *
+ * @argument {Map} map
+ * @argument {String} [pattern="*"]
+ *
+ * @returns {String[]}
+ */
+function flattenMap (map, pattern = '*') {
+  const $$patternRegularExpression = generateGlobRegularExpression(pattern);
+
+  return Array.from(map.entries())
+    .reduce((accumulator, [ key, value ]) => {
+      if ($$patternRegularExpression.test(key)) accumulator.push(key, value);
+
+      return accumulator;
+    }, []);
+}
+
+/**
+ * Flattens a list of sorted set members and their score.
+ *
+ * @argument {Array[]} sortedSetMemberList
+ * @argument {Boolean} withScores
+ *
+ * @returns {String[]}
+ */
+function flattenSortedSetMemberList (sortedSetMemberList, withScores) {
+
+  return sortedSetMemberList
+    .reduce((accumulator, [ member, score ]) => {
+      accumulator.push(member);
+
+      if (withScores) accumulator.push(stringifyScore(score));
+
+      return accumulator;
+    }, []);
+}
+
+/**
+ * Generates the reply of a command that blocks the client.
+ *
+ * @argument {Number} timeout
+ *
+ * @returns {Object}
+ */
+function generateBlockedReply (timeout) {
+
+  return { [$$blockedReplySymbol]: true, timeout };
+}
+
+/**
+ * Generates a regular expression given a Redis glob-style pattern (`*`, `?`, `[abc]`, `[^a]` and `\` to escape).
+ *
+ * @argument {String} pattern
+ *
+ * @returns {RegExp}
+ */
+function generateGlobRegularExpression (pattern) {
+  let regularExpressionSource = '';
+
+  for (let index = 0; index < pattern.length; index++) {
+    const character = pattern[index];
+
+    if (character === '*') regularExpressionSource += '[\\s\\S]*';
+    else if (character === '?') regularExpressionSource += '[\\s\\S]';
+    else if (character === '\\' && index + 1 < pattern.length) regularExpressionSource += escapeRegularExpression(pattern[++index]);
+    else if (character === '[' && pattern.indexOf(']', index + 1) > index + 1) {
+      const closingIndex = pattern.indexOf(']', index + 1);
+      const characterClass = pattern.slice(index + 1, closingIndex);
+
+      regularExpressionSource += (characterClass[0] === '^') ?
+        `[^${characterClass.slice(1).replace(/[\\\]]/g, '\\$&')}]` :
+        `[${characterClass.replace(/[\\\]^]/g, '\\$&')}]`;
+      index = closingIndex;
+    } else regularExpressionSource += escapeRegularExpression(character);
+  }
+
+  return new RegExp(`^${regularExpressionSource}$`);
+}
+
+/**
+ * Generates an error like the replies errors of Redis.
+ *
+ * @argument {String} errorMessage
+ *
+ * @returns {Error}
+ */
+function generateReplyError (errorMessage) {
+  const error = new Error(errorMessage);
+
+  error.name = 'ReplyError';
+  error.code = errorMessage.split(' ')[0];
+
+  return error;
+}
+
+/**
+ * Generates the SHA of a script, like `SCRIPT LOAD`.
+ *
+ * @argument {String} script
+ *
+ * @returns {String}
+ */
+function generateScriptSHA (script) {
+
+  return crypto.createHash('sha1').update(script).digest('hex');
+}
+
+/**
+ * Generates an empty stream.
+ *
+ * @returns {{ consumerGroupByName: Map, lastStreamEntryID: Number[], streamEntryList: Object[] }}
+ */
+function generateStream () {
+
+  return { consumerGroupByName: new Map(), lastStreamEntryID: [ 0, 0 ], streamEntryList: [] };
+}
+
+/**
+ * Generates the ID of a new stream entry given the ID of the last entry.
+ *
+ * @argument {Number[]} lastStreamEntryID
+ *
+ * @returns {Number[]}
+ */
+function generateStreamEntryID ([ lastTimestamp, lastSequence ]) {
+  const timestamp = Date.now();
+
+  return (timestamp > lastTimestamp) ? [ timestamp, 0 ] : [ lastTimestamp, lastSequence + 1 ];
+}
+
+/**
+ * Escapes a string to be used in a regular expression.
+ *
+ * @argument {String} string
+ *
+ * @returns {String}
+ */
+function escapeRegularExpression (string) {
+
+  return string.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+}
+
+/**
+ * Compares two strings byte by byte, like Redis does.
+ *
+ * @argument {String} stringA
+ * @argument {String} stringB
+ *
+ * @returns {Number}
+ */
+function compareBytes (stringA, stringB) {
+
+  return Buffer.compare(Buffer.from(stringA), Buffer.from(stringB));
+}
+
+/**
+ * Parses an integer argument.
+ *
+ * @argument {String} value
+ *
+ * @returns {Number}
+ *
+ * @throws Will throw an error if the value is not an integer.
+ */
+function parseInteger (value) {
+  const parsedValue = Number(value);
+
+  if (!Number.isInteger(parsedValue)) throw generateReplyError('ERR value is not an integer or out of range');
+
+  return parsedValue;
+}
+
+/**
+ * Parses a boundary of a lexical range (`-`, `+`, `[inclusive` or `(exclusive`).
+ *
+ * @argument {String} boundary
+ *
+ * @returns {{ infinity: Number, value: String, isInclusive: Boolean }}
+ *
+ * @throws Will throw an error if the boundary is not valid.
+ */
+function parseLexicalBoundary (boundary) {
+  if (boundary === '-') return { infinity: -1 };
+  if (boundary === '+') return { infinity: 1 };
+  if (boundary[0] === '[' || boundary[0] === '(') return { infinity: 0, isInclusive: boundary[0] === '[', value: boundary.slice(1) };
+
+  throw generateReplyError('ERR min or max not valid string range item');
+}
+
+/**
+ * Parses the options of a range command (`WITHSCORES` and `LIMIT offset count`).
+ *
+ * @argument {String[]} optionList
+ *
+ * @returns {{ limit: Function, withScores: Boolean }}
+ */
+function parseRangeOptionList (optionList) {
+  let offset = 0;
+  let count = -1;
+  let withScores = false;
+
+  for (let index = 0; index < optionList.length; index++) {
+    const optionName = optionList[index].toUpperCase();
+
+    if (optionName === 'WITHSCORES') withScores = true;
+    else if (optionName === 'LIMIT') {
+      offset = parseInteger(optionList[++index]);
+      count = parseInteger(optionList[++index]);
+    } else throw generateReplyError('ERR syntax error');
+  }
+
+  // A negative count returns all the members from the offset.
+  const limit = (list) => (count < 0) ? list.slice(offset) : list.slice(offset, offset + count);
+
+  return { limit, withScores };
+}
+
+/**
+ * Parses the options of a scan command (`MATCH pattern` and `COUNT count`).
+ *
+ * @argument {String[]} optionList
+ *
+ * @returns {{ pattern: String }}
+ */
+function parseScanOptionList (optionList) {
+  let pattern = '*';
+
+  for (let index = 0; index < optionList.length; index++) {
+    const optionName = optionList[index].toUpperCase();
+
+    if (optionName === 'MATCH') pattern = optionList[++index];
+    else if (optionName === 'COUNT') parseInteger(optionList[++index]);
+    else throw generateReplyError('ERR syntax error');
+  }
+
+  return { pattern };
+}
+
+/**
+ * Parses a score.
+ *
+ * @argument {String} score
+ *
+ * @returns {Number}
+ *
+ * @throws Will throw an error if the score is not a number.
+ */
+function parseScore (score) {
+  const parsedScore = (/^[+-]?inf$/i.test(score)) ? ((score[0] === '-') ? -Infinity : Infinity) : Number(score);
+
+  if (Number.isNaN(parsedScore) || score === '') throw generateReplyError('ERR value is not a valid float');
+
+  return parsedScore;
+}
+
+/**
+ * Parses a boundary of a score range (`-inf`, `+inf`, `score` or `(exclusiveScore`).
+ *
+ * @argument {String} boundary
+ *
+ * @returns {{ score: Number, isInclusive: Boolean }}
+ */
+function parseScoreBoundary (boundary) {
+  const isInclusive = boundary[0] !== '(';
+
+  try {
+
+    return { isInclusive, score: parseScore((isInclusive) ? boundary : boundary.slice(1)) };
+  } catch (error) {
+
+    throw generateReplyError('ERR min or max is not a float');
+  }
+}
+
+/**
+ * Parses a stream entry ID; an incomplete ID (`timestamp`) gets the default sequence.
+ *
+ * @argument {String} streamEntryID
+ * @argument {Number} [defaultSequence=0]
+ *
+ * @returns {Number[]}
+ *
+ * @throws Will throw an error if the stream entry ID is not valid.
+ */
+function parseStreamEntryID (streamEntryID, defaultSequence = 0) {
+  if (streamEntryID === '-') return [ 0, 0 ];
+  if (streamEntryID === '+') return [ Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER ];
+
+  const [ timestamp, sequence = String(defaultSequence) ] = streamEntryID.split('-');
+
+  if (!/^[0-9]+$/.test(timestamp) || !/^[0-9]+$/.test(sequence)) throw generateReplyError('ERR Invalid stream ID specified as stream command argument');
+
+  return [ Number(timestamp), Number(sequence) ];
+}
+
+/**
+ * Removes an item from the head or the tail of a list.
+ *
+ * @argument {Object} $$context
+ * @argument {String} itemKey
+ * @argument {String} commandName - Either `lpop` or `rpop`.
+ *
+ * @returns {String|null}
+ */
+function popItemFromList ($$context, itemKey, commandName) {
+  const { keyspace } = $$context;
+  const entry = keyspace.retrieveEntry(itemKey, 'list');
+
+  if (!entry) return null;
+
+  const item = (commandName === 'lpop') ? entry.value.shift() : entry.value.pop();
+
+  keyspace.notify(commandName, itemKey);
+  keyspace.removeEntryIfEmpty(itemKey);
+
+  return item;
+}
+
+/**
+ * Prefixes the keys of a command executed by a script equivalent, and the channel of `PUBLISH`, like the scripts do.
+ *
+ * @argument {String} commandName
+ * @argument {Array} argumentList
+ * @argument {String} keyPrefix
+ *
+ * @returns {Array}
+ */
+function prefixScriptArgumentList (commandName, argumentList, keyPrefix) {
+  if (keyPrefix === '') return argumentList;
+
+  const lowerCasedCommandName = commandName.toLowerCase();
+  const keyIndexList = (lowerCasedCommandName === 'publish') ? [ 0 ] : redisCommands.getKeyIndexes(lowerCasedCommandName, argumentList);
+
+  return argumentList
+    .map((argument, index) => (keyIndexList.includes(index)) ? `${keyPrefix}${argument}` : argument);
+}
+
+/**
+ * Retrieves a consumer group of a stream.
+ *
+ * @argument {Object} $$context
+ * @argument {String} itemKey
+ * @argument {String} consumerGroupName
+ *
+ * @returns {{ lastDeliveredStreamEntryID: Number[], pendingStreamEntryByID: Map }|undefined}
+ */
+function retrieveConsumerGroup ($$context, itemKey, consumerGroupName) {
+  const entry = $$context.keyspace.retrieveEntry(itemKey, 'stream');
+
+  return (!!entry) ? entry.value.consumerGroupByName.get(consumerGroupName) : undefined;
+}
+
+/**
+ * Retrieves the entries of a stream given a range of IDs (`-` and `+` are the smallest and greatest IDs).
+ *
+ * @argument {Object} $$context
+ * @argument {String} itemKey
+ * @argument {String} startStreamEntryID
+ * @argument {String} endStreamEntryID
+ * @argument {String[]} optionList
+ * @argument {Boolean} [isReversed=false]
+ *
+ * @returns {Array[]}
+ */
+function retrieveStreamEntryListByRange ($$context, itemKey, startStreamEntryID, endStreamEntryID, optionList, isReversed = false) {
+  const entry = $$context.keyspace.retrieveEntry(itemKey, 'stream');
+  const parsedStartStreamEntryID = parseStreamEntryID(startStreamEntryID, 0);
+  const parsedEndStreamEntryID = parseStreamEntryID(endStreamEntryID, Number.MAX_SAFE_INTEGER);
+  const count = (!!optionList[0] && optionList[0].toUpperCase() === 'COUNT') ? parseInteger(optionList[1]) : Infinity;
+
+  if (!entry) return [];
+
+  const streamEntryList = entry.value.streamEntryList
+    .filter(({ ID }) => {
+      const parsedStreamEntryID = parseStreamEntryID(ID);
+
+      return compareStreamEntryID(parsedStreamEntryID, parsedStartStreamEntryID) >= 0 && compareStreamEntryID(parsedStreamEntryID, parsedEndStreamEntryID) <= 0;
+    });
+
+  return ((isReversed) ? streamEntryList.reverse() : streamEntryList)
+    .slice(0, count)
+    .map(({ ID, itemFieldAndItemList }) => [ ID, itemFieldAndItemList ]);
+}
+
+/**
+ * Slices a list given a start and a stop index, both inclusive; negative indexes start from the end of the list.
+ *
+ * @argument {Array} list
+ * @argument {String} startIndex
+ * @argument {String} stopIndex
+ *
+ * @returns {Array}
+ */
+function sliceByIndex (list, startIndex, stopIndex) {
+  const parsedStartIndex = parseInteger(startIndex);
+  const parsedStopIndex = parseInteger(stopIndex);
+  const normalizedStartIndex = Math.max((parsedStartIndex < 0) ? list.length + parsedStartIndex : parsedStartIndex, 0);
+  const normalizedStopIndex = (parsedStopIndex < 0) ? list.length + parsedStopIndex : parsedStopIndex;
+
+  return list.slice(normalizedStartIndex, normalizedStopIndex + 1);
+}
+
+/**
+ * Sorts the members of a sorted set by score, then lexically.
+ *
+ * @argument {Map} sortedSet
+ *
+ * @returns {Array[]}
+ */
+function sortSortedSet (sortedSet) {
+
+  return Array.from(sortedSet.entries())
+    .sort(([ memberA, scoreA ], [ memberB, scoreB ]) => (scoreA - scoreB) || compareBytes(memberA, memberB));
+}
+
+/**
+ * Stringifies the arguments of a command like the NPM redis client does; the lists are flattened.
+ *
+ * @argument {Array} argumentList
+ *
+ * @returns {String[]}
+ */
+function stringifyArgumentList (argumentList) {
+
+  return argumentList
+    .reduce((accumulator, argument) => {
+      if (Array.isArray(argument)) return accumulator.concat(stringifyArgumentList(argument));
+
+      accumulator.push(String(argument));
+
+      return accumulator;
+    }, []);
+}
+
+/**
+ * Stringifies a score like Redis does.
+ *
+ * @argument {Number} score
+ *
+ * @returns {String}
+ */
+function stringifyScore (score) {
+  if (score === Infinity) return 'inf';
+  if (score === -Infinity) return '-inf';
+
+  return String(score);
+}
+
+/**
+ * Stringifies a stream entry ID.
+ *
+ * @argument {Number[]} streamEntryID
+ *
+ * @returns {String}
+ */
+function stringifyStreamEntryID ([ timestamp, sequence ]) {
+
+  return `${timestamp}-${sequence}`;
+}
+
+/**
+ * Transforms a reply like the NPM redis client does; `HGETALL` replies an object, or `null` if the hash is empty.
+ *
+ * @argument {String} commandName
+ * @argument {*} reply
+ *
+ * @returns {*}
+ */
+function transformReply (commandName, reply) {
+  if (commandName.toLowerCase() !== 'hgetall') return reply;
+
+  if (reply.length === 0) return null;
+
+  return flattenedListToObject(reply);
+}
+
+/**
+ * Transforms a list of keys and values into an object.
+ *
+ * @argument {String[]} list
+ *
+ * @returns {Object}
+ */
+function flattenedListToObject (list) {
+
+  return list
+    .reduce((accumulator, item, index) => {
+      if (index % 2 === 1) accumulator[list[index - 1]] = item;
+
+      return accumulator;
+    }, {});
+}
+
+/**
+ * Verifies that a member is within the boundaries of a lexical range.
+ *
+ * @argument {String} member
+ * @argument {Object} minimumBoundary
+ * @argument {Object} maximumBoundary
+ *
+ * @returns {Boolean}
+ */
+function verifyThatMemberIsWithinLexicalBoundaries (member, minimumBoundary, maximumBoundary) {
+  const verifyBoundary = ({ infinity, isInclusive, value }, sign) => {
+    if (infinity !== 0) return infinity === sign;
+
+    const comparison = compareBytes(member, value) * sign;
+
+    return comparison < 0 || (isInclusive && comparison === 0);
+  };
+
+  return verifyBoundary(minimumBoundary, -1) && verifyBoundary(maximumBoundary, 1);
+}
+
+/**
+ * Verifies that a score is within the boundaries of a score range.
+ *
+ * @argument {Number} score
+ * @argument {Object} minimumBoundary
+ * @argument {Object} maximumBoundary
+ *
+ * @returns {Boolean}
+ */
+function verifyThatScoreIsWithinBoundaries (score, minimumBoundary, maximumBoundary) {
+
+  return ((minimumBoundary.isInclusive) ? score >= minimumBoundary.score : score > minimumBoundary.score) &&
+    ((maximumBoundary.isInclusive) ? score <= maximumBoundary.score : score < maximumBoundary.score);
+}
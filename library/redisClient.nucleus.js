@@ -0,0 +1,102 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Redis client of the datastores: the NPM redis client neither authenticates an ACL user nor
+ * times out a command, both are supported by this client without altering the clients created by `redis.createClient`.
+ *
+ * @author Sebastien Filion
+ */
+
+const redis = require('redis');
+const RedisCommand = require('redis/lib/command');
+
+const NucleusError = require('./Error.nucleus');
+
+// The blocking commands wait for as long as they are told to; they are never timed out.
+const BLOCKING_COMMAND_NAME_LIST = [ 'blpop', 'brpop', 'brpoplpush', 'bzpopmax', 'bzpopmin', 'monitor', 'psubscribe', 'subscribe', 'xread', 'xreadgroup' ];
+
+class NucleusRedisClient extends redis.RedisClient {
+
+  /**
+   * Authenticates the client; given a username, the client authenticates as an ACL user, using `AUTH username password`.
+   * The command is sent again by the client every time it reconnects.
+   *
+   * @argument {String} password
+   * @argument {Function} [callback]
+   *
+   * @returns {Boolean}
+   */
+  auth (password, callback) {
+    const { username } = this.options;
+
+    if (!username) return redis.RedisClient.prototype.auth.call(this, password, callback);
+
+    this.auth_pass = password;
+
+    // As for the original command, the command is sent before any other even if the client is not ready.
+    const clientIsReady = this.ready;
+    this.ready = clientIsReady || this.offline_queue.length === 0;
+
+    const reply = this.internal_send_command(new RedisCommand('auth', [ username, password ], callback));
+
+    this.ready = clientIsReady;
+
+    return reply;
+  }
+
+  /**
+   * Sends a command; given a command timeout, the command fails once it did not complete in time, except for the
+   * blocking commands.
+   *
+   * @argument {RedisCommand} command
+   *
+   * @returns {Boolean}
+   */
+  internal_send_command (command) {
+    const { command_timeout: commandTimeout } = this.options;
+    const { callback, command: commandName } = command;
+
+    if (!commandTimeout || !callback || BLOCKING_COMMAND_NAME_LIST.includes(commandName)) return redis.RedisClient.prototype.internal_send_command.call(this, command);
+
+    let commandIsSettled = false;
+
+    const settleCommand = (error, reply) => {
+      if (commandIsSettled) return;
+
+      commandIsSettled = true;
+      clearTimeout(timeoutID);
+
+      callback(error, reply);
+    };
+
+    const timeoutID = setTimeout(() => {
+      settleCommand(new NucleusError(`The command "${commandName}" did not complete within ${commandTimeout}ms.`, { commandName, commandTimeout }));
+    }, commandTimeout);
+
+    command.callback = settleCommand;
+
+    return redis.RedisClient.prototype.internal_send_command.call(this, command);
+  }
+
+}
+
+NucleusRedisClient.prototype.AUTH = NucleusRedisClient.prototype.auth;
+
+/**
+ * Creates a client, like `redis.createClient`.
+ *
+ * @argument {Object} options
+ * @argument {Number} [options.command_timeout]
+ * @argument {String} [options.username]
+ *
+ * @returns {NucleusRedisClient}
+ */
+const createClient = (options) => {
+
+  return new NucleusRedisClient(options);
+};
+
+module.exports = {
+  createClient,
+  NucleusRedisClient
+};
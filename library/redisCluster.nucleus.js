@@ -0,0 +1,699 @@
+"use strict";
+
+/**
+ * @fileOverview Define a Redis Cluster client that mimics the interface of the NPM redis client: every command is
+ * routed to the master that serves the slot of its key and follows the redirections of the cluster.
+ * The keyspace notifications are only published by the node that holds the key, so the subscriptions to the keyspace
+ * channels are made on every master; the other channels are subscribed on a single master since the messages are
+ * propagated to the whole cluster.
+ * @see {@link https://redis.io/topics/cluster-spec|Redis Cluster specification}
+ *
+ * @author Sebastien Filion
+ */
+
+const EventEmitter = require('events');
+
+const Promise = require('bluebird');
+const redis = require('redis');
+
+const redisClient = require('./redisClient.nucleus');
+
+const CLUSTER_CONNECTION_TIMEOUT = 1000;
+const CLUSTER_MAXIMUM_REDIRECTION_COUNT = 16;
+const CLUSTER_RETRY_DELAY = 100;
+const CLUSTER_SLOT_COUNT = 16384;
+
+// The commands that are sent to every master.
+const BROADCAST_COMMAND_NAME_LIST = [ 'flushall', 'flushdb', 'keys', 'script' ];
+// The commands that have no key; they are sent to any master.
+const KEYLESS_COMMAND_NAME_LIST = [ 'cluster', 'config', 'dbsize', 'echo', 'info', 'ping', 'publish', 'time' ];
+const SUBSCRIPTION_COMMAND_NAME_LIST = [ 'psubscribe', 'punsubscribe', 'subscribe', 'unsubscribe' ];
+
+const $$keyspaceNotificationChannelNameRegularExpression = /^__key(space|event)@/;
+const $$redirectionErrorRegularExpression = /^(MOVED|ASK) [0-9]+ (.+)$/;
+const $$retryableErrorRegularExpression = /^(TRYAGAIN|CLUSTERDOWN)/;
+
+// The CRC16 (XMODEM) lookup table used to compute the slot of a key.
+const CRC16_TABLE = Array.apply(null, { length: 256 })
+  .map((empty, index) => {
+    let CRC = index << 8;
+
+    for (let bitIndex = 0; bitIndex < 8; bitIndex++) CRC = (CRC & 0x8000) ? ((CRC << 1) ^ 0x1021) : (CRC << 1);
+
+    return CRC & 0xffff;
+  });
+
+class RedisClusterClient extends EventEmitter {
+
+  /**
+   * Creates a client of a Redis cluster. The slots served by every master are retrieved from the given nodes.
+   *
+   * @argument {Object} options - The options of the NPM redis client, used to connect to every node.
+   * @argument {Object[]} options.clusterNodeList - Some nodes of the cluster, ie: `[ { host: 'localhost', port: 7000 } ]`.
+   */
+  constructor (options) {
+    super();
+
+    const nodeOptions = Object.assign({}, options);
+
+    Reflect.deleteProperty(nodeOptions, 'clusterNodeList');
+    Reflect.deleteProperty(nodeOptions, 'db');
+
+    this.closing = false;
+    this.connected = false;
+    this.nodeOptions = nodeOptions;
+    this.options = options;
+
+    this.$$nodeClientByNodeAddress = new Map();
+    this.$$slotTableRefreshPromise = null;
+    this.nodeAddressBySlot = [];
+    this.pubSubNodeAddress = null;
+    this.scriptBySHA = new Map();
+    this.subscriptionCommandNameByChannelName = new Map();
+
+    this.$$promise = this.refreshSlotTable()
+      .then(() => {
+        this.connected = true;
+
+        this.emit('connect');
+        this.emit('ready');
+      });
+
+    this.$$promise
+      .catch((error) => {
+        if (this.listenerCount('error') > 0) this.emit('error', error);
+      });
+  }
+
+  /**
+   * Executes a command on every master.
+   *
+   * @argument {String} commandName
+   * @argument {Array} argumentList
+   *
+   * @returns {Promise<Array>}
+   */
+  broadcastCommand (commandName, argumentList) {
+
+    return Promise.all(retrieveMasterNodeAddressList(this.nodeAddressBySlot)
+      .map((nodeAddress) => this.executeCommandOnNode(this.retrieveNodeClient(nodeAddress), commandName, argumentList)));
+  }
+
+  /**
+   * Closes the connections to every node right away.
+   *
+   * @argument {Boolean} flush
+   */
+  end (flush) {
+    this.closing = true;
+    this.connected = false;
+
+    this.$$nodeClientByNodeAddress.forEach(($$nodeClient) => $$nodeClient.end(flush));
+    this.$$nodeClientByNodeAddress.clear();
+
+    this.emit('end');
+  }
+
+  /**
+   * Executes a command on the master that serves the slot of its key; the command follows the redirections of the
+   * cluster and is retried while the cluster fails over.
+   *
+   * @argument {String} commandName
+   * @argument {Array} argumentList
+   * @argument {Number} slot
+   * @argument {Number} [redirectionCount=0]
+   * @argument {String} [askedNodeAddress]
+   *
+   * @returns {Promise<*>}
+   */
+  executeCommandBySlot (commandName, argumentList, slot, redirectionCount = 0, askedNodeAddress) {
+    const nodeAddress = askedNodeAddress || this.nodeAddressBySlot[slot];
+
+    if (!nodeAddress) return this.retryAfterSlotTableRefresh(redirectionCount, new Error(`The slot ${slot} is not served by any node.`), () => this.executeCommandBySlot(commandName, argumentList, slot, redirectionCount + 1));
+
+    const $$nodeClient = this.retrieveNodeClient(nodeAddress);
+
+    // The node only accepts a command for a slot that is being imported if it is preceded by `ASKING`.
+    if (!!askedNodeAddress) $$nodeClient.send_command('asking', []);
+
+    return this.executeCommandOnNode($$nodeClient, commandName, argumentList)
+      .catch((error) => {
+        const [ , redirectionType, redirectionNodeAddress ] = (error.message || '').match($$redirectionErrorRegularExpression) || [];
+
+        if (redirectionCount >= CLUSTER_MAXIMUM_REDIRECTION_COUNT) throw error;
+
+        if (redirectionType === 'MOVED') {
+          this.nodeAddressBySlot[slot] = redirectionNodeAddress;
+          this.refreshSlotTable().catch(() => {});
+
+          return this.executeCommandBySlot(commandName, argumentList, slot, redirectionCount + 1);
+        }
+
+        if (redirectionType === 'ASK') return this.executeCommandBySlot(commandName, argumentList, slot, redirectionCount + 1, redirectionNodeAddress);
+
+        if ($$retryableErrorRegularExpression.test(error.message) || verifyThatErrorIsConnectionError(error)) {
+
+          return this.retryAfterSlotTableRefresh(redirectionCount, error, () => this.executeCommandBySlot(commandName, argumentList, slot, redirectionCount + 1));
+        }
+
+        throw error;
+      });
+  }
+
+  /**
+   * Executes a command on a node; a script that was loaded through this client is loaded on the node if it is missing,
+   * ie: on a master that was added to the cluster.
+   *
+   * @argument {RedisClient} $$nodeClient
+   * @argument {String} commandName
+   * @argument {Array} argumentList
+   *
+   * @returns {Promise<*>}
+   */
+  executeCommandOnNode ($$nodeClient, commandName, argumentList) {
+
+    return Promise.fromCallback((callback) => $$nodeClient.send_command(commandName, argumentList, callback))
+      .catch((error) => {
+        const [ scriptSHA ] = argumentList;
+
+        if (commandName !== 'evalsha' || !/^NOSCRIPT/.test(error.message) || !this.scriptBySHA.has(scriptSHA)) throw error;
+
+        return Promise.fromCallback((callback) => $$nodeClient.send_command('script', [ 'load', this.scriptBySHA.get(scriptSHA) ], callback))
+          .then(() => Promise.fromCallback((callback) => $$nodeClient.send_command(commandName, argumentList, callback)));
+      });
+  }
+
+  /**
+   * Executes a transaction on the master that serves the slot of the key of its first command; every key of the
+   * transaction must be stored in the same slot.
+   *
+   * @argument {Object[]} queuedCommandList
+   * @argument {Number} [redirectionCount=0]
+   *
+   * @returns {Promise<Array>}
+   */
+  executeTransaction (queuedCommandList, redirectionCount = 0) {
+    const itemKey = queuedCommandList
+      .map(({ argumentList, commandName }) => retrieveCommandItemKey(commandName, argumentList))
+      .find((itemKey) => itemKey !== undefined);
+    const nodeAddress = (itemKey !== undefined) ? this.nodeAddressBySlot[computeSlot(itemKey)] : retrieveMasterNodeAddressList(this.nodeAddressBySlot)[0];
+
+    if (!nodeAddress) return this.retryAfterSlotTableRefresh(redirectionCount, new Error(`The key "${itemKey}" is not served by any node.`), () => this.executeTransaction(queuedCommandList, redirectionCount + 1));
+
+    const $$multi = this.retrieveNodeClient(nodeAddress).multi(queuedCommandList.map(({ argumentList, commandName }) => [ commandName ].concat(argumentList)));
+
+    return Promise.fromCallback((callback) => $$multi.exec(callback))
+      .catch((error) => {
+        const errorList = [ error ].concat(error.errors || []);
+        const transactionMustBeRetried = errorList
+          .some((error) => $$redirectionErrorRegularExpression.test(error.message) || $$retryableErrorRegularExpression.test(error.message) || verifyThatErrorIsConnectionError(error));
+
+        if (!transactionMustBeRetried) throw error;
+
+        // The transaction is retried once the slot is served again, as a whole, by a single node.
+        return this.retryAfterSlotTableRefresh(redirectionCount, error, () => this.executeTransaction(queuedCommandList, redirectionCount + 1));
+      });
+  }
+
+  /**
+   * Creates a transaction; the commands can also be passed as a list of `[ commandName, ...argumentList ]`.
+   *
+   * @argument {Array[]} [commandList=[]]
+   *
+   * @returns {RedisClusterMulti}
+   */
+  multi (commandList = []) {
+
+    return new RedisClusterMulti(this, commandList);
+  }
+
+  /**
+   * Closes the connections to every node.
+   *
+   * @argument {Function} [callback]
+   */
+  quit (callback = () => {}) {
+    this.closing = true;
+    this.connected = false;
+
+    const $$nodeClientList = Array.from(this.$$nodeClientByNodeAddress.values());
+
+    this.$$nodeClientByNodeAddress.clear();
+
+    Promise.all($$nodeClientList.map(($$nodeClient) => Promise.fromCallback((callback) => $$nodeClient.quit(callback)).catch(() => {})))
+      .then(() => {
+        callback(null, 'OK');
+
+        this.emit('end');
+      });
+
+    return false;
+  }
+
+  /**
+   * Retrieves the client of a node; the client is created on the first use and subscribes to the keyspace channels.
+   *
+   * @argument {String} nodeAddress
+   *
+   * @returns {NucleusRedisClient}
+   */
+  retrieveNodeClient (nodeAddress) {
+    if (this.$$nodeClientByNodeAddress.has(nodeAddress)) return this.$$nodeClientByNodeAddress.get(nodeAddress);
+
+    const { host, port } = parseNodeAddress(nodeAddress);
+
+    const $$nodeClient = redisClient.createClient(Object.assign({}, this.nodeOptions, { host, port }));
+
+    $$nodeClient.on('error', (error) => {
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+    // A node that is unreachable might have failed over.
+    $$nodeClient.on('reconnecting', () => {
+      if (!this.closing) this.refreshSlotTable().catch(() => {});
+    });
+    $$nodeClient.on('message', this.emit.bind(this, 'message'));
+    $$nodeClient.on('pmessage', this.emit.bind(this, 'pmessage'));
+
+    this.subscriptionCommandNameByChannelName
+      .forEach((commandName, channelName) => {
+        if ($$keyspaceNotificationChannelNameRegularExpression.test(channelName)) $$nodeClient.send_command(commandName, [ channelName ]);
+      });
+
+    this.$$nodeClientByNodeAddress.set(nodeAddress, $$nodeClient);
+
+    return $$nodeClient;
+  }
+
+  /**
+   * Retrieves the slots served by every master from the first node that answers.
+   * The clients of the nodes that don't serve any slot anymore are closed; their pending commands fail and are retried on
+   * the nodes that now serve their slot.
+   *
+   * @returns {Promise}
+   */
+  refreshSlotTable () {
+    if (!!this.$$slotTableRefreshPromise) return this.$$slotTableRefreshPromise;
+
+    const nodeAddressList = Array.from(new Set(retrieveMasterNodeAddressList(this.nodeAddressBySlot).concat(this.options.clusterNodeList.map(generateNodeAddress))));
+
+    this.$$slotTableRefreshPromise = Promise.reduce(nodeAddressList, (slotTable, nodeAddress) => {
+      if (!!slotTable) return slotTable;
+
+      return retrieveSlotTableFromNode(nodeAddress, this.nodeOptions)
+        .catch(() => null);
+    }, null)
+      .then((slotTable) => {
+        if (!slotTable) throw new Error("None of the nodes of the cluster could be reached.");
+
+        this.nodeAddressBySlot = slotTable;
+
+        const masterNodeAddressList = retrieveMasterNodeAddressList(slotTable);
+
+        this.$$nodeClientByNodeAddress
+          .forEach(($$nodeClient, nodeAddress) => {
+            if (masterNodeAddressList.includes(nodeAddress)) return;
+
+            this.$$nodeClientByNodeAddress.delete(nodeAddress);
+
+            $$nodeClient.end(true);
+          });
+
+        // The new masters must also publish their keyspace notifications.
+        if (this.subscriptionCommandNameByChannelName.size > 0) masterNodeAddressList.forEach(this.retrieveNodeClient.bind(this));
+
+        if (!masterNodeAddressList.includes(this.pubSubNodeAddress)) this.resubscribeToAllChannels(masterNodeAddressList[0]);
+      })
+      .finally(() => {
+        this.$$slotTableRefreshPromise = null;
+      });
+
+    return this.$$slotTableRefreshPromise;
+  }
+
+  /**
+   * Moves the subscriptions to the channels that are not keyspace channels to another master.
+   *
+   * @argument {String} nodeAddress
+   */
+  resubscribeToAllChannels (nodeAddress) {
+    this.pubSubNodeAddress = nodeAddress;
+
+    this.subscriptionCommandNameByChannelName
+      .forEach((commandName, channelName) => {
+        if (!$$keyspaceNotificationChannelNameRegularExpression.test(channelName)) this.retrieveNodeClient(nodeAddress).send_command(commandName, [ channelName ]);
+      });
+  }
+
+  /**
+   * Retries an operation once the slot table is refreshed.
+   *
+   * @argument {Number} redirectionCount
+   * @argument {Error} error
+   * @argument {Function} operation
+   *
+   * @returns {Promise<*>}
+   */
+  retryAfterSlotTableRefresh (redirectionCount, error, operation) {
+    if (redirectionCount >= CLUSTER_MAXIMUM_REDIRECTION_COUNT || this.closing) return Promise.reject(error);
+
+    return Promise.delay(CLUSTER_RETRY_DELAY)
+      .then(() => this.refreshSlotTable())
+      .then(operation);
+  }
+
+  /**
+   * Sends a command to the cluster.
+   *
+   * @argument {String} commandName
+   * @argument {Array} [argumentList=[]]
+   * @argument {Function} [callback]
+   *
+   * @returns {Boolean}
+   */
+  send_command (commandName, argumentList = [], callback = () => {}) {
+    const lowerCasedCommandName = commandName.toLowerCase();
+    const flattenedArgumentList = flattenArgumentList(argumentList);
+
+    if (this.closing) {
+      process.nextTick(callback, new Error("The connection is already closed."));
+
+      return false;
+    }
+
+    this.$$promise
+      .then(() => {
+        if (BROADCAST_COMMAND_NAME_LIST.includes(lowerCasedCommandName)) return this.sendBroadcastCommand(lowerCasedCommandName, flattenedArgumentList);
+        if (SUBSCRIPTION_COMMAND_NAME_LIST.includes(lowerCasedCommandName)) return this.sendSubscriptionCommand(lowerCasedCommandName, flattenedArgumentList);
+
+        const itemKey = retrieveCommandItemKey(lowerCasedCommandName, flattenedArgumentList);
+
+        if (itemKey === undefined) return this.executeCommandOnNode(this.retrieveNodeClient(retrieveMasterNodeAddressList(this.nodeAddressBySlot)[0]), lowerCasedCommandName, flattenedArgumentList);
+
+        return this.executeCommandBySlot(lowerCasedCommandName, flattenedArgumentList, computeSlot(itemKey));
+      })
+      .then((reply) => callback(null, reply), callback);
+
+    return this.connected;
+  }
+
+  /**
+   * Sends a command to every master and merges the replies.
+   *
+   * @argument {String} commandName
+   * @argument {Array} argumentList
+   *
+   * @returns {Promise<*>}
+   */
+  sendBroadcastCommand (commandName, argumentList) {
+    const [ subcommandName, script ] = argumentList;
+
+    if (commandName === 'script' && String(subcommandName).toLowerCase() === 'load') {
+
+      return this.broadcastCommand(commandName, argumentList)
+        .then(([ scriptSHA ]) => {
+          this.scriptBySHA.set(scriptSHA, script);
+
+          return scriptSHA;
+        });
+    }
+
+    return this.broadcastCommand(commandName, argumentList)
+      .then((replyList) => (commandName === 'keys') ? [].concat(...replyList) : replyList[0]);
+  }
+
+  /**
+   * Subscribes, or unsubscribes, to channels: the keyspace channels on every master and the other channels on a single
+   * master.
+   *
+   * @argument {String} commandName
+   * @argument {String[]} channelNameList
+   *
+   * @returns {Promise<*>}
+   */
+  sendSubscriptionCommand (commandName, channelNameList) {
+    const isSubscription = !/^p?unsubscribe$/.test(commandName);
+    const keyspaceChannelNameList = channelNameList.filter((channelName) => $$keyspaceNotificationChannelNameRegularExpression.test(channelName));
+    const channelNameListForPubSubNode = channelNameList.filter((channelName) => !keyspaceChannelNameList.includes(channelName));
+
+    channelNameList
+      .forEach((channelName) => {
+        if (isSubscription) this.subscriptionCommandNameByChannelName.set(channelName, commandName);
+        else this.subscriptionCommandNameByChannelName.delete(channelName);
+      });
+
+    const $$promiseList = [];
+
+    if (keyspaceChannelNameList.length > 0) $$promiseList.push(this.broadcastCommand(commandName, keyspaceChannelNameList));
+    if (channelNameListForPubSubNode.length > 0 || channelNameList.length === 0) {
+      $$promiseList.push(this.executeCommandOnNode(this.retrieveNodeClient(this.pubSubNodeAddress), commandName, channelNameListForPubSubNode));
+    }
+
+    return Promise.all($$promiseList)
+      .then((replyList) => [].concat(...replyList).pop());
+  }
+
+}
+
+class RedisClusterMulti {
+
+  /**
+   * Creates a transaction; the commands are executed atomically once the transaction is executed.
+   *
+   * @argument {RedisClusterClient} client
+   * @argument {Array[]} commandList
+   */
+  constructor (client, commandList) {
+    this.client = client;
+    this.queuedCommandList = commandList
+      .map(([ commandName, ...argumentList ]) => ({ argumentList: flattenArgumentList(argumentList), commandName: commandName.toLowerCase() }));
+  }
+
+  /**
+   * Executes the transaction; a command that fails replies its error without interrupting the transaction.
+   *
+   * @argument {Function} [callback]
+   */
+  exec (callback = () => {}) {
+    const callbackList = this.queuedCommandList.map(({ callback }) => callback);
+
+    this.client.$$promise
+      .then(() => this.client.executeTransaction(this.queuedCommandList))
+      .tap((replyList) => {
+        callbackList
+          .forEach((callback, index) => {
+            if (!callback) return;
+
+            const reply = replyList[index];
+
+            if (reply instanceof Error) callback(reply);
+            else callback(null, reply);
+          });
+      })
+      .then((replyList) => callback(null, replyList), callback);
+  }
+
+}
+
+/**
+ * Adds a command to the cluster client, like `redis.addCommand`.
+ *
+ * @argument {String} commandName
+ */
+const addCommand = (commandName) => {
+  const lowerCasedCommandName = commandName.toLowerCase();
+
+  // The methods of the clients, ie: `multi` or `exec`, are never replaced by a command.
+  if (!(lowerCasedCommandName in RedisClusterClient.prototype)) {
+    RedisClusterClient.prototype[lowerCasedCommandName] = function (...argumentList) {
+      const callback = (typeof argumentList[argumentList.length - 1] === 'function') ? argumentList.pop() : undefined;
+
+      return this.send_command(lowerCasedCommandName, argumentList, callback);
+    };
+  }
+
+  if (!(lowerCasedCommandName in RedisClusterMulti.prototype)) {
+    RedisClusterMulti.prototype[lowerCasedCommandName] = function (...argumentList) {
+      const callback = (typeof argumentList[argumentList.length - 1] === 'function') ? argumentList.pop() : undefined;
+
+      this.queuedCommandList.push({ argumentList: flattenArgumentList(argumentList), callback, commandName: lowerCasedCommandName });
+
+      return this;
+    };
+  }
+};
+
+// The NPM redis client defines a lower-cased and an upper-cased method for every command it knows.
+Object.keys(redis.RedisClient.prototype)
+  .filter((propertyName) => propertyName === propertyName.toLowerCase() && propertyName.toUpperCase() in redis.RedisClient.prototype)
+  .forEach(addCommand);
+
+/**
+ * Computes the slot of a key; only the hash tag of the key is hashed, if it has one.
+ * @see {@link https://redis.io/topics/cluster-spec#keys-hash-tags|Keys hash tags}
+ *
+ * @argument {String} itemKey
+ *
+ * @returns {Number}
+ */
+const computeSlot = (itemKey) => {
+  const itemKeyBuffer = Buffer.from(String(itemKey));
+  const openingBraceIndex = itemKeyBuffer.indexOf('{');
+  const closingBraceIndex = (openingBraceIndex > -1) ? itemKeyBuffer.indexOf('}', openingBraceIndex + 1) : -1;
+  const hashedBuffer = (closingBraceIndex > openingBraceIndex + 1) ? itemKeyBuffer.slice(openingBraceIndex + 1, closingBraceIndex) : itemKeyBuffer;
+
+  const CRC = hashedBuffer
+    .reduce((CRC, byte) => ((CRC << 8) & 0xffff) ^ CRC16_TABLE[((CRC >> 8) ^ byte) & 0xff], 0);
+
+  return CRC % CLUSTER_SLOT_COUNT;
+};
+
+/**
+ * Creates a client of a Redis cluster, like `redis.createClient`.
+ *
+ * @argument {Object} options
+ * @argument {Object[]} options.clusterNodeList
+ *
+ * @returns {RedisClusterClient}
+ */
+const createClient = (options) => {
+
+  return new RedisClusterClient(options);
+};
+
+module.exports = {
+  addCommand,
+  computeSlot,
+  createClient,
+  Multi: RedisClusterMulti,
+  RedisClusterClient
+};
+
+/**
+ * Flattens a list of arguments; the arguments can be passed as lists, like with the NPM redis client.
+ *
+ * @argument {Array} argumentList
+ *
+ * @returns {Array}
+ */
+function flattenArgumentList (argumentList) {
+
+  return argumentList
+    .reduce((accumulator, argument) => accumulator.concat((Array.isArray(argument)) ? flattenArgumentList(argument) : [ argument ]), []);
+}
+
+/**
+ * Generates the address of a node.
+ *
+ * @argument {Object} node
+ * @argument {String} node.host
+ * @argument {Number} node.port
+ *
+ * @returns {String}
+ */
+function generateNodeAddress ({ host, port }) {
+
+  return `${host}:${port}`;
+}
+
+/**
+ * Parses the address of a node.
+ *
+ * @argument {String} nodeAddress
+ *
+ * @returns {{ host: String, port: Number }}
+ */
+function parseNodeAddress (nodeAddress) {
+  const separatorIndex = nodeAddress.lastIndexOf(':');
+
+  return { host: nodeAddress.slice(0, separatorIndex), port: Number(nodeAddress.slice(separatorIndex + 1)) };
+}
+
+/**
+ * Retrieves the key that a command is routed by; the commands without key return `undefined`.
+ *
+ * @argument {String} commandName
+ * @argument {Array} argumentList
+ *
+ * @returns {String|undefined}
+ */
+function retrieveCommandItemKey (commandName, argumentList) {
+  switch (commandName) {
+    case 'eval':
+    case 'evalsha':
+
+      return (Number(argumentList[1]) > 0) ? argumentList[2] : undefined;
+    case 'xgroup':
+
+      return argumentList[1];
+    case 'xread':
+    case 'xreadgroup': {
+      const streamsIndex = argumentList.findIndex((argument) => String(argument).toUpperCase() === 'STREAMS');
+
+      return (streamsIndex > -1) ? argumentList[streamsIndex + 1] : undefined;
+    }
+    default:
+
+      return (KEYLESS_COMMAND_NAME_LIST.includes(commandName)) ? undefined : argumentList[0];
+  }
+}
+
+/**
+ * Retrieves the address of every master given the slot table.
+ *
+ * @argument {String[]} nodeAddressBySlot
+ *
+ * @returns {String[]}
+ */
+function retrieveMasterNodeAddressList (nodeAddressBySlot) {
+
+  return Array.from(new Set(nodeAddressBySlot.filter((nodeAddress) => !!nodeAddress)));
+}
+
+/**
+ * Retrieves the slot table of the cluster from a node, using `CLUSTER SLOTS`.
+ *
+ * @argument {String} nodeAddress
+ * @argument {Object} nodeOptions
+ *
+ * @returns {Promise<String[]>}
+ */
+function retrieveSlotTableFromNode (nodeAddress, nodeOptions) {
+  const { host, port } = parseNodeAddress(nodeAddress);
+
+  const $$nodeClient = redisClient.createClient(Object.assign({}, nodeOptions, {
+    connect_timeout: CLUSTER_CONNECTION_TIMEOUT,
+    host,
+    port,
+    retry_strategy: () => undefined
+  }));
+
+  $$nodeClient.on('error', () => {});
+
+  return Promise.fromCallback((callback) => $$nodeClient.send_command('cluster', [ 'slots' ], callback))
+    .then((slotRangeList) => {
+      const nodeAddressBySlot = new Array(CLUSTER_SLOT_COUNT);
+
+      slotRangeList
+        .forEach(([ firstSlot, lastSlot, [ masterHost, masterPort ] ]) => {
+          // An empty host means that the master is the node that answered.
+          const masterNodeAddress = generateNodeAddress({ host: masterHost || host, port: masterPort });
+
+          nodeAddressBySlot.fill(masterNodeAddress, firstSlot, lastSlot + 1);
+        });
+
+      return nodeAddressBySlot;
+    })
+    .finally(() => $$nodeClient.quit());
+}
+
+/**
+ * Verifies that an error is caused by a lost connection rather than by the command.
+ *
+ * @argument {Error} error
+ *
+ * @returns {Boolean}
+ */
+function verifyThatErrorIsConnectionError (error) {
+
+  return [ 'CONNECTION_BROKEN', 'NR_CLOSED', 'UNCERTAIN_STATE' ].includes(error.code);
+}
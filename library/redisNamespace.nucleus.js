@@ -0,0 +1,456 @@
+"use strict";
+
+/**
+ * @fileOverview Define a client that prefixes every key and every channel with a namespace; it wraps any client that
+ * mimics the interface of the NPM redis client, ie: a Redis client, a pool or a cluster client, so that several
+ * applications can share a Redis server without their keys colliding.
+ * The keys that are replied, ie: by `KEYS` or `BRPOP`, and the channels of the messages are stripped of the namespace.
+ * The keyspace channels are namespaced after their database, ie: `__keyspace@0__:Nucleus:Action:*`; the keyevent
+ * channels can't be namespaced, only the messages about the keys of the namespace are forwarded.
+ *
+ * @author Sebastien Filion
+ */
+
+const EventEmitter = require('events');
+
+const redis = require('redis');
+const redisCommands = require('redis-commands');
+
+// The commands that reply with a key, ie: `[ itemKey, item ]`.
+const BLOCKING_POP_COMMAND_NAME_LIST = [ 'blpop', 'brpop', 'bzpopmax', 'bzpopmin' ];
+const CHANNEL_COMMAND_NAME_LIST = [ 'psubscribe', 'punsubscribe', 'subscribe', 'unsubscribe' ];
+
+const $$keyeventChannelNameRegularExpression = /^__keyevent@[0-9]+__:/;
+const $$keyspaceChannelNameRegularExpression = /^__keyspace@[0-9]+__:/;
+
+class RedisNamespaceClient extends EventEmitter {
+
+  /**
+   * Creates a client that prefixes every key and every channel with a namespace, ie: `Nucleus:Action:ActionQueueNameSet`.
+   *
+   * @argument {Object} options
+   * @argument {Object} options.$$client - The client that is wrapped.
+   * @argument {String} options.namespace
+   */
+  constructor (options) {
+    super();
+
+    const { $$client, namespace } = options;
+
+    this.$$client = $$client;
+    this.keyPrefix = `${namespace}:`;
+    this.namespace = namespace;
+
+    // The events of the wrapped client are only forwarded once they are listened to so that a client wrapped many times,
+    // ie: once per tenant, doesn't accumulate listeners.
+    this.$$forwardedEventNameSet = new Set();
+    this.on('newListener', this.forwardEventByName.bind(this));
+  }
+
+  /**
+   * Whether the wrapped client is connected.
+   *
+   * @returns {Boolean}
+   */
+  get connected () {
+
+    return this.$$client.connected;
+  }
+
+  /**
+   * Closes the connection right away.
+   *
+   * @argument {Boolean} flush
+   */
+  end (flush) {
+
+    return this.$$client.end(flush);
+  }
+
+  /**
+   * Sends a command to the wrapped client once its keys, or its channels, are namespaced; the keys that are replied are
+   * stripped of the namespace.
+   *
+   * @argument {String} commandName
+   * @argument {Array} argumentList
+   * @argument {Function} [callback]
+   * @argument {Function} sendCommand - Sends the command given its arguments and a callback.
+   *
+   * @returns {Boolean}
+   */
+  executeCommand (commandName, argumentList, callback = () => {}, sendCommand) {
+
+    return sendCommand(this.prefixArgumentList(commandName, flattenArgumentList(argumentList)), (error, reply) => {
+      if (!!error) callback(error);
+      else callback(null, this.stripReply(commandName, reply));
+    });
+  }
+
+  /**
+   * Forwards an event of the wrapped client, the first time it is listened to.
+   *
+   * @argument {String} eventName
+   */
+  forwardEventByName (eventName) {
+    if (this.$$forwardedEventNameSet.has(eventName)) return;
+
+    switch (eventName) {
+      case 'connect':
+      case 'end':
+      case 'ready':
+      case 'reconnecting':
+        this.$$client.on(eventName, this.emit.bind(this, eventName));
+        break;
+      case 'error':
+        this.$$client.on('error', (error) => {
+          if (this.listenerCount('error') > 0) this.emit('error', error);
+        });
+        break;
+      case 'message':
+        this.$$client.on('message', this.handleMessage.bind(this, null));
+        break;
+      case 'pmessage':
+        this.$$client.on('pmessage', this.handleMessage.bind(this));
+        break;
+      default:
+
+        return;
+    }
+
+    this.$$forwardedEventNameSet.add(eventName);
+  }
+
+  /**
+   * Forwards a message, or a message that matched a pattern, once its channel is stripped of the namespace.
+   *
+   * @argument {String|null} channelPattern
+   * @argument {String} channelName
+   * @argument {String} message
+   */
+  handleMessage (channelPattern, channelName, message) {
+    // The keyevent messages are about any key of the database; the message is the key.
+    if ($$keyeventChannelNameRegularExpression.test(channelName)) {
+      if (!String(message).startsWith(this.keyPrefix)) return;
+
+      message = this.stripKey(message);
+    }
+
+    if (channelPattern === null) this.emit('message', this.stripChannelName(channelName), message);
+    else this.emit('pmessage', this.stripChannelName(channelPattern), this.stripChannelName(channelName), message);
+  }
+
+  /**
+   * Creates a transaction; the commands can also be passed as a list of `[ commandName, ...argumentList ]`.
+   *
+   * @argument {Array[]} [commandList=[]]
+   *
+   * @returns {RedisNamespaceMulti}
+   */
+  multi (commandList = []) {
+
+    return new RedisNamespaceMulti(this, commandList);
+  }
+
+  /**
+   * Prefixes the keys of a command, or its channels, with the namespace.
+   *
+   * @argument {String} commandName
+   * @argument {Array} argumentList
+   *
+   * @returns {Array}
+   */
+  prefixArgumentList (commandName, argumentList) {
+    const prefixedArgumentList = argumentList.slice(0);
+
+    switch (commandName) {
+      case 'keys':
+        prefixedArgumentList[0] = this.prefixKey(argumentList[0]);
+
+        return prefixedArgumentList;
+      case 'publish':
+        prefixedArgumentList[0] = this.prefixChannelName(argumentList[0]);
+
+        return prefixedArgumentList;
+      case 'scan': {
+        const matchIndex = argumentList.findIndex((argument) => String(argument).toUpperCase() === 'MATCH');
+
+        if (matchIndex === -1) return prefixedArgumentList.concat([ 'MATCH', this.prefixKey('*') ]);
+
+        prefixedArgumentList[matchIndex + 1] = this.prefixKey(argumentList[matchIndex + 1]);
+
+        return prefixedArgumentList;
+      }
+      default:
+        if (CHANNEL_COMMAND_NAME_LIST.includes(commandName)) return argumentList.map(this.prefixChannelName.bind(this));
+
+        retrieveCommandKeyIndexList(commandName, argumentList)
+          .forEach((keyIndex) => {
+            prefixedArgumentList[keyIndex] = this.prefixKey(argumentList[keyIndex]);
+          });
+
+        return prefixedArgumentList;
+    }
+  }
+
+  /**
+   * Prefixes a channel name, or a channel pattern, with the namespace; the namespace of a keyspace channel follows its
+   * database.
+   *
+   * @argument {String} channelName
+   *
+   * @returns {String}
+   */
+  prefixChannelName (channelName) {
+    if ($$keyeventChannelNameRegularExpression.test(channelName)) return channelName;
+
+    const [ keyspacePrefix = '' ] = String(channelName).match($$keyspaceChannelNameRegularExpression) || [];
+
+    return `${keyspacePrefix}${this.keyPrefix}${String(channelName).slice(keyspacePrefix.length)}`;
+  }
+
+  /**
+   * Prefixes a key with the namespace.
+   *
+   * @argument {String} itemKey
+   *
+   * @returns {String}
+   */
+  prefixKey (itemKey) {
+
+    return `${this.keyPrefix}${itemKey}`;
+  }
+
+  /**
+   * Closes the connection.
+   *
+   * @argument {Function} [callback]
+   */
+  quit (callback) {
+
+    return this.$$client.quit(callback);
+  }
+
+  /**
+   * Sends a command, like the NPM redis client.
+   *
+   * @argument {String} commandName
+   * @argument {Array} [argumentList=[]]
+   * @argument {Function} [callback]
+   *
+   * @returns {Boolean}
+   */
+  send_command (commandName, argumentList = [], callback) {
+    const lowerCasedCommandName = commandName.toLowerCase();
+
+    return this.executeCommand(lowerCasedCommandName, argumentList, callback, (argumentList, callback) => this.$$client[lowerCasedCommandName](...argumentList, callback));
+  }
+
+  /**
+   * Strips a channel name, or a channel pattern, of the namespace.
+   *
+   * @argument {String} channelName
+   *
+   * @returns {String}
+   */
+  stripChannelName (channelName) {
+    const [ keyspacePrefix = '' ] = String(channelName).match($$keyspaceChannelNameRegularExpression) || [];
+    const unprefixedChannelName = String(channelName).slice(keyspacePrefix.length);
+
+    return (unprefixedChannelName.startsWith(this.keyPrefix)) ? `${keyspacePrefix}${this.stripKey(unprefixedChannelName)}` : channelName;
+  }
+
+  /**
+   * Strips a key of the namespace.
+   *
+   * @argument {String} itemKey
+   *
+   * @returns {String}
+   */
+  stripKey (itemKey) {
+    const stringifiedItemKey = String(itemKey);
+
+    return (stringifiedItemKey.startsWith(this.keyPrefix)) ? stringifiedItemKey.slice(this.keyPrefix.length) : itemKey;
+  }
+
+  /**
+   * Strips the keys, or the channels, that a command replied of the namespace.
+   *
+   * @argument {String} commandName
+   * @argument {*} reply
+   *
+   * @returns {*}
+   */
+  stripReply (commandName, reply) {
+    if (reply === null || reply === undefined || reply instanceof Error) return reply;
+
+    switch (commandName) {
+      case 'keys':
+
+        return reply.map(this.stripKey.bind(this));
+      case 'scan': {
+        const [ cursor, itemKeyList ] = reply;
+
+        return [ cursor, itemKeyList.map(this.stripKey.bind(this)) ];
+      }
+      case 'xread':
+      case 'xreadgroup':
+
+        return reply.map(([ itemKey, streamEntryList ]) => [ this.stripKey(itemKey), streamEntryList ]);
+      default:
+        if (BLOCKING_POP_COMMAND_NAME_LIST.includes(commandName)) return [ this.stripKey(reply[0]) ].concat(reply.slice(1));
+        if (CHANNEL_COMMAND_NAME_LIST.includes(commandName) && typeof reply === 'string') return this.stripChannelName(reply);
+
+        return reply;
+    }
+  }
+
+}
+
+class RedisNamespaceMulti {
+
+  /**
+   * Creates a transaction; the keys of the commands are namespaced once the transaction is executed.
+   *
+   * @argument {RedisNamespaceClient} client
+   * @argument {Array[]} commandList
+   */
+  constructor (client, commandList) {
+    this.client = client;
+    this.queuedCommandList = commandList
+      .map(([ commandName, ...argumentList ]) => ({ argumentList, commandName: commandName.toLowerCase() }));
+  }
+
+  /**
+   * Executes the transaction; a command that fails replies its error without interrupting the transaction.
+   *
+   * @argument {Function} [callback]
+   */
+  exec (callback = () => {}) {
+    const commandList = this.queuedCommandList
+      .map(({ argumentList, commandName }) => [ commandName ].concat(this.client.prefixArgumentList(commandName, flattenArgumentList(argumentList))));
+
+    this.client.$$client.multi(commandList).exec((error, replyList) => {
+      if (!!error) {
+        callback(error);
+
+        return;
+      }
+
+      const strippedReplyList = replyList
+        .map((reply, index) => {
+          const { callback, commandName } = this.queuedCommandList[index];
+          const strippedReply = this.client.stripReply(commandName, reply);
+
+          if (!!callback) {
+            if (strippedReply instanceof Error) callback(strippedReply);
+            else callback(null, strippedReply);
+          }
+
+          return strippedReply;
+        });
+
+      callback(null, strippedReplyList);
+    });
+  }
+
+}
+
+/**
+ * Adds a command to the namespace client, like `redis.addCommand`.
+ *
+ * @argument {String} commandName
+ */
+const addCommand = (commandName) => {
+  const lowerCasedCommandName = commandName.toLowerCase();
+
+  // The methods of the clients, ie: `multi` or `exec`, are never replaced by a command.
+  if (!(lowerCasedCommandName in RedisNamespaceClient.prototype)) {
+    RedisNamespaceClient.prototype[lowerCasedCommandName] = function (...argumentList) {
+      const callback = (typeof argumentList[argumentList.length - 1] === 'function') ? argumentList.pop() : undefined;
+
+      return this.send_command(lowerCasedCommandName, argumentList, callback);
+    };
+  }
+
+  if (!(lowerCasedCommandName in RedisNamespaceMulti.prototype)) {
+    RedisNamespaceMulti.prototype[lowerCasedCommandName] = function (...argumentList) {
+      const callback = (typeof argumentList[argumentList.length - 1] === 'function') ? argumentList.pop() : undefined;
+
+      this.queuedCommandList.push({ argumentList, callback, commandName: lowerCasedCommandName });
+
+      return this;
+    };
+  }
+};
+
+// The NPM redis client defines a lower-cased and an upper-cased method for every command it knows.
+Object.keys(redis.RedisClient.prototype)
+  .filter((propertyName) => propertyName === propertyName.toLowerCase() && propertyName.toUpperCase() in redis.RedisClient.prototype)
+  .forEach(addCommand);
+
+/**
+ * Creates a client that namespaces the keys and the channels of another client, like `redis.createClient`.
+ *
+ * @argument {Object} options
+ * @argument {Object} options.$$client
+ * @argument {String} options.namespace
+ *
+ * @returns {RedisNamespaceClient}
+ */
+const createClient = (options) => {
+
+  return new RedisNamespaceClient(options);
+};
+
+module.exports = {
+  addCommand,
+  createClient,
+  Multi: RedisNamespaceMulti,
+  RedisNamespaceClient
+};
+
+/**
+ * Flattens a list of arguments, like the NPM redis client; the arguments can be lists of arguments.
+ *
+ * @argument {Array} argumentList
+ *
+ * @returns {Array}
+ */
+function flattenArgumentList (argumentList) {
+
+  return argumentList
+    .reduce((accumulator, argument) => accumulator.concat((Array.isArray(argument)) ? flattenArgumentList(argument) : [ argument ]), []);
+}
+
+/**
+ * Retrieves the indexes of the keys of a command; the stream commands (Redis 5+) are unknown to the list of commands of
+ * the client.
+ *
+ * @argument {String} commandName
+ * @argument {Array} argumentList
+ *
+ * @returns {Number[]}
+ */
+function retrieveCommandKeyIndexList (commandName, argumentList) {
+  switch (commandName) {
+    case 'xgroup':
+    case 'xinfo':
+
+      return [ 1 ];
+    case 'xread':
+    case 'xreadgroup': {
+      const streamsIndex = argumentList.findIndex((argument) => String(argument).toUpperCase() === 'STREAMS');
+
+      if (streamsIndex === -1) return [];
+
+      // The streams are followed by as many IDs.
+      const streamCount = Math.floor((argumentList.length - streamsIndex - 1) / 2);
+
+      return Array.apply(null, { length: streamCount }).map((empty, index) => streamsIndex + 1 + index);
+    }
+    default:
+      if (/^x[a-z]+$/.test(commandName) && !redisCommands.exists(commandName)) return [ 0 ];
+
+      return (redisCommands.exists(commandName)) ? redisCommands.getKeyIndexes(commandName, argumentList) : [];
+  }
+}
@@ -0,0 +1,308 @@
+"use strict";
+
+/**
+ * @fileOverview Define a pool of Redis connections that mimics the interface of the NPM redis client: every command is
+ * sent to the least busy connection of the pool, which grows while every connection is busy, up to its maximum size,
+ * and shrinks back to its minimum size once the connections are idle.
+ * The blocking commands and the subscriptions would hold a connection of the pool; they are sent to a dedicated
+ * connection instead.
+ *
+ * @author Sebastien Filion
+ */
+
+const EventEmitter = require('events');
+
+const Promise = require('bluebird');
+const redis = require('redis');
+
+// The time in milliseconds after which an idle connection, above the minimum size of the pool, is closed.
+const POOL_IDLE_CONNECTION_TIMEOUT = 30000;
+
+// The commands that hold their connection; they are sent to the dedicated connection.
+const DEDICATED_COMMAND_NAME_LIST = [ 'blpop', 'brpop', 'brpoplpush', 'bzpopmax', 'bzpopmin', 'monitor', 'psubscribe', 'punsubscribe', 'subscribe', 'unsubscribe', 'xread', 'xreadgroup' ];
+
+class RedisPoolClient extends EventEmitter {
+
+  /**
+   * Creates a pool of connections; the minimum number of connections is opened right away.
+   *
+   * @argument {Object} options
+   * @argument {Function} options.createConnection - Creates a connection, ie: `() => redis.createClient(options)`.
+   * @argument {Number} [options.idleConnectionTimeout=30000] - The time in milliseconds after which an idle connection, above the minimum size, is closed.
+   * @argument {Number} [options.maximumSize=1]
+   * @argument {Number} [options.minimumSize=1]
+   */
+  constructor (options) {
+    super();
+
+    const {
+      createConnection,
+      idleConnectionTimeout = POOL_IDLE_CONNECTION_TIMEOUT,
+      maximumSize = 1,
+      minimumSize = 1
+    } = options;
+
+    this.closing = false;
+    this.connected = false;
+    this.createConnection = createConnection;
+    this.idleConnectionTimeout = idleConnectionTimeout;
+    this.maximumSize = Math.max(maximumSize, minimumSize);
+    this.minimumSize = minimumSize;
+
+    this.$$dedicatedConnection = null;
+    this.pooledConnectionList = [];
+
+    for (let index = 0; index < this.minimumSize; index++) this.createPooledConnection();
+
+    this.$$promise = Promise.all(this.pooledConnectionList
+      .map(({ $$connection }) => new Promise((resolve) => $$connection.once('ready', resolve))))
+      .then(() => {
+        this.connected = true;
+
+        this.emit('connect');
+        this.emit('ready');
+      });
+  }
+
+  /**
+   * Creates a connection of the pool.
+   *
+   * @returns {{ $$connection: RedisClient, idleTimeoutID: Number, pendingCommandCount: Number }}
+   */
+  createPooledConnection () {
+    const pooledConnection = {
+      $$connection: this.createConnection(),
+      idleTimeoutID: null,
+      pendingCommandCount: 0
+    };
+
+    this.forwardConnectionEvents(pooledConnection.$$connection);
+    this.pooledConnectionList.push(pooledConnection);
+
+    return pooledConnection;
+  }
+
+  /**
+   * Closes every connection right away.
+   *
+   * @argument {Boolean} flush
+   */
+  end (flush) {
+    this.closing = true;
+    this.connected = false;
+
+    this.retrieveAllConnections().forEach(($$connection) => $$connection.end(flush));
+
+    this.emit('end');
+  }
+
+  /**
+   * Sends a command to the dedicated connection if the command would hold it, otherwise to the least busy connection of
+   * the pool.
+   *
+   * @argument {String} commandName
+   * @argument {Function} [callback]
+   * @argument {Function} sendCommand - Sends the command given a connection and a callback.
+   *
+   * @returns {Boolean}
+   */
+  executeCommand (commandName, callback = () => {}, sendCommand) {
+    if (this.closing) {
+      process.nextTick(callback, new Error("The connection is already closed."));
+
+      return false;
+    }
+
+    if (DEDICATED_COMMAND_NAME_LIST.includes(commandName)) return sendCommand(this.retrieveDedicatedConnection(), callback);
+
+    const pooledConnection = this.retrievePooledConnection();
+
+    clearTimeout(pooledConnection.idleTimeoutID);
+    pooledConnection.pendingCommandCount++;
+
+    return sendCommand(pooledConnection.$$connection, (error, reply) => {
+      this.releasePooledConnection(pooledConnection);
+
+      callback(error, reply);
+    });
+  }
+
+  /**
+   * Forwards the events of a connection; the lifecycle events are forwarded once the pool is connected.
+   *
+   * @argument {RedisClient} $$connection
+   */
+  forwardConnectionEvents ($$connection) {
+    $$connection.on('end', () => {
+      if (this.connected && !this.closing && this.retrieveAllConnections().includes($$connection)) this.emit('end');
+    });
+    $$connection.on('error', (error) => {
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+    $$connection.on('message', this.emit.bind(this, 'message'));
+    $$connection.on('pmessage', this.emit.bind(this, 'pmessage'));
+    // Only a connection that was restored is ready again.
+    $$connection.on('ready', () => {
+      if (this.connected && $$connection.times_connected > 1) this.emit('ready');
+    });
+    $$connection.on('reconnecting', (reconnectionAttempt) => {
+      if (this.connected) this.emit('reconnecting', reconnectionAttempt);
+    });
+  }
+
+  /**
+   * Creates a transaction on a connection of the pool; the commands can also be passed as a list of
+   * `[ commandName, ...argumentList ]`.
+   *
+   * @argument {Array[]} [commandList=[]]
+   *
+   * @returns {Multi}
+   */
+  multi (commandList = []) {
+
+    return this.retrievePooledConnection().$$connection.multi(commandList);
+  }
+
+  /**
+   * Closes every connection.
+   *
+   * @argument {Function} [callback]
+   */
+  quit (callback = () => {}) {
+    this.closing = true;
+    this.connected = false;
+
+    this.pooledConnectionList.forEach(({ idleTimeoutID }) => clearTimeout(idleTimeoutID));
+
+    Promise.all(this.retrieveAllConnections()
+      .map(($$connection) => Promise.fromCallback((callback) => $$connection.quit(callback)).catch(() => {})))
+      .then(() => {
+        callback(null, 'OK');
+
+        this.emit('end');
+      });
+
+    return false;
+  }
+
+  /**
+   * Releases a connection of the pool once a command completed; a connection above the minimum size of the pool is
+   * closed if it stays idle.
+   *
+   * @argument {Object} pooledConnection
+   */
+  releasePooledConnection (pooledConnection) {
+    pooledConnection.pendingCommandCount--;
+
+    if (pooledConnection.pendingCommandCount > 0 || this.pooledConnectionList.length <= this.minimumSize || this.closing) return;
+
+    clearTimeout(pooledConnection.idleTimeoutID);
+
+    pooledConnection.idleTimeoutID = setTimeout(() => {
+      if (pooledConnection.pendingCommandCount > 0 || this.pooledConnectionList.length <= this.minimumSize) return;
+
+      this.pooledConnectionList.splice(this.pooledConnectionList.indexOf(pooledConnection), 1);
+
+      pooledConnection.$$connection.quit();
+    }, this.idleConnectionTimeout);
+  }
+
+  /**
+   * Retrieves every connection, including the dedicated connection.
+   *
+   * @returns {RedisClient[]}
+   */
+  retrieveAllConnections () {
+    const $$connectionList = this.pooledConnectionList.map(({ $$connection }) => $$connection);
+
+    return (!!this.$$dedicatedConnection) ? $$connectionList.concat(this.$$dedicatedConnection) : $$connectionList;
+  }
+
+  /**
+   * Retrieves the dedicated connection; the connection is created on the first use.
+   *
+   * @returns {RedisClient}
+   */
+  retrieveDedicatedConnection () {
+    if (!!this.$$dedicatedConnection) return this.$$dedicatedConnection;
+
+    this.$$dedicatedConnection = this.createConnection();
+
+    this.forwardConnectionEvents(this.$$dedicatedConnection);
+
+    return this.$$dedicatedConnection;
+  }
+
+  /**
+   * Retrieves the least busy connection of the pool; a connection is added to the pool while every connection is busy,
+   * up to the maximum size of the pool.
+   *
+   * @returns {Object}
+   */
+  retrievePooledConnection () {
+    const pooledConnection = this.pooledConnectionList
+      .reduce((accumulator, candidateConnection) => (candidateConnection.pendingCommandCount < accumulator.pendingCommandCount) ? candidateConnection : accumulator);
+
+    if (pooledConnection.pendingCommandCount > 0 && this.pooledConnectionList.length < this.maximumSize) return this.createPooledConnection();
+
+    return pooledConnection;
+  }
+
+  /**
+   * Sends a command, like the NPM redis client.
+   *
+   * @argument {String} commandName
+   * @argument {Array} [argumentList=[]]
+   * @argument {Function} [callback]
+   *
+   * @returns {Boolean}
+   */
+  send_command (commandName, argumentList = [], callback) {
+
+    return this.executeCommand(commandName.toLowerCase(), callback, ($$connection, callback) => $$connection.send_command(commandName, argumentList, callback));
+  }
+
+}
+
+/**
+ * Adds a command to the pool client, like `redis.addCommand`.
+ *
+ * @argument {String} commandName
+ */
+const addCommand = (commandName) => {
+  const lowerCasedCommandName = commandName.toLowerCase();
+
+  if (lowerCasedCommandName in RedisPoolClient.prototype) return;
+
+  RedisPoolClient.prototype[lowerCasedCommandName] = function (...argumentList) {
+    const callback = (typeof argumentList[argumentList.length - 1] === 'function') ? argumentList.pop() : undefined;
+
+    return this.executeCommand(lowerCasedCommandName, callback, ($$connection, callback) => $$connection[lowerCasedCommandName](...argumentList, callback));
+  };
+};
+
+// The NPM redis client defines a lower-cased and an upper-cased method for every command it knows.
+Object.keys(redis.RedisClient.prototype)
+  .filter((propertyName) => propertyName === propertyName.toLowerCase() && propertyName.toUpperCase() in redis.RedisClient.prototype)
+  .forEach(addCommand);
+
+/**
+ * Creates a pool of connections, like `redis.createClient`.
+ *
+ * @argument {Object} options
+ * @argument {Function} options.createConnection
+ * @argument {Number} [options.maximumSize=1]
+ * @argument {Number} [options.minimumSize=1]
+ *
+ * @returns {RedisPoolClient}
+ */
+const createClient = (options) => {
+
+  return new RedisPoolClient(options);
+};
+
+module.exports = {
+  addCommand,
+  createClient,
+  RedisPoolClient
+};
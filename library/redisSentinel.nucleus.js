@@ -0,0 +1,206 @@
+"use strict";
+
+/**
+ * @fileOverview Define a Redis client that connects to the master of a group monitored by Redis Sentinel and that
+ * follows the master when it fails over.
+ * @see {@link https://redis.io/topics/sentinel-clients|Guidelines for Redis clients with support for Redis Sentinel}
+ *
+ * @author Sebastien Filion
+ */
+
+const Promise = require('bluebird');
+const redis = require('redis');
+
+const { NucleusRedisClient } = require('./redisClient.nucleus');
+
+// The channel on which the sentinels announce that a master failed over.
+const SENTINEL_SWITCH_MASTER_CHANNEL_NAME = '+switch-master';
+const SENTINEL_CONNECTION_TIMEOUT = 1000;
+const SENTINEL_MAXIMUM_RETRY_DELAY = 2000;
+
+class SentinelRedisClient extends NucleusRedisClient {
+
+  /**
+   * Creates a client of the master of a group monitored by Redis Sentinel.
+   * The address of the master is resolved through the sentinels before every connection, so that the client reconnects
+   * to the new master after a failover; the connection to the former master is closed as soon as a sentinel announces
+   * the failover.
+   *
+   * @argument {Object} options - The options of the NPM redis client.
+   * @argument {Object[]} options.sentinelList - The list of sentinels, ie: `[ { host: 'localhost', port: 26379 } ]`.
+   * @argument {String} options.sentinelMasterName - The name of the group monitored by the sentinels.
+   */
+  constructor (options) {
+    super(options);
+
+    // The NPM redis client converts the options to snake case.
+    const { sentinel_list: sentinelList, sentinel_master_name: sentinelMasterName } = this.options;
+
+    this.$$sentinelSubscriber = createSentinelSubscriber(sentinelList);
+
+    this.$$sentinelSubscriber.on('message', (channelName, message) => {
+      const [ masterName ] = message.split(' ');
+
+      if (masterName !== sentinelMasterName || !this.stream) return;
+
+      // The client reconnects, resolving the address of the new master.
+      this.stream.destroy();
+    });
+    this.$$sentinelSubscriber.subscribe(SENTINEL_SWITCH_MASTER_CHANNEL_NAME);
+  }
+
+  /**
+   * Resolves the address of the master before connecting to it; this is called by the NPM redis client when it connects
+   * and every time it reconnects.
+   */
+  create_stream () {
+    const { connect_timeout: connectionTimeout, sentinel_list: sentinelList, sentinel_master_name: sentinelMasterName } = this.options;
+
+    resolveMasterAddress(sentinelList, sentinelMasterName, connectionTimeout)
+      .then(({ host, port }) => {
+        if (this.closing) return;
+
+        Object.assign(this.connection_options, { host, port });
+        this.address = `${host}:${port}`;
+
+        redis.RedisClient.prototype.create_stream.call(this);
+      })
+      .catch((error) => {
+        if (this.closing) return;
+
+        if (this.listenerCount('error') > 0) this.emit('error', error);
+
+        setTimeout(this.create_stream.bind(this), SENTINEL_MAXIMUM_RETRY_DELAY);
+      });
+  }
+
+  /**
+   * Closes the connections to the master and to the sentinel.
+   *
+   * @argument {Boolean} flush
+   */
+  end (flush) {
+    this.$$sentinelSubscriber.end(flush);
+
+    if (!this.stream) {
+      this.closing = true;
+
+      return;
+    }
+
+    return redis.RedisClient.prototype.end.call(this, flush);
+  }
+
+  /**
+   * Closes the connections to the master and to the sentinel gracefully.
+   *
+   * @argument {Function} [callback]
+   */
+  quit (callback) {
+    this.$$sentinelSubscriber.quit();
+
+    // The master was never resolved; there is no connection to close.
+    if (!this.stream) {
+      this.closing = true;
+
+      if (!!callback) process.nextTick(callback, null, 'OK');
+
+      return false;
+    }
+
+    return redis.RedisClient.prototype.quit.call(this, callback);
+  }
+
+}
+
+/**
+ * Creates a client of the master of a group monitored by Redis Sentinel, like `redis.createClient`.
+ *
+ * @argument {Object} options
+ * @argument {Object[]} options.sentinelList
+ * @argument {String} [options.sentinelMasterName="mymaster"]
+ *
+ * @returns {SentinelRedisClient}
+ */
+const createClient = (options) => {
+  const { sentinelMasterName = 'mymaster' } = options;
+
+  return new SentinelRedisClient(Object.assign({}, options, { sentinelMasterName }));
+};
+
+module.exports = {
+  createClient,
+  resolveMasterAddress,
+  SentinelRedisClient
+};
+
+/**
+ * Creates a client that subscribes to the sentinels' notifications; it moves to the next sentinel when the connection
+ * is lost.
+ *
+ * @argument {Object[]} sentinelList
+ *
+ * @returns {RedisClient}
+ */
+function createSentinelSubscriber (sentinelList) {
+  const [ { host, port } ] = sentinelList;
+
+  const $$sentinelSubscriber = redis.createClient({
+    host,
+    port,
+    retry_strategy: ({ attempt }) => {
+      const { host, port } = sentinelList[attempt % sentinelList.length];
+
+      Object.assign($$sentinelSubscriber.connection_options, { host, port });
+
+      return Math.min(attempt * 100, SENTINEL_MAXIMUM_RETRY_DELAY);
+    }
+  });
+
+  // The connection errors are recovered by the retry strategy.
+  $$sentinelSubscriber.on('error', () => {});
+
+  return $$sentinelSubscriber;
+}
+
+/**
+ * Resolves the address of the master of a group by asking the sentinels in order; the first sentinel that knows the
+ * master answers.
+ *
+ * @argument {Object[]} sentinelList
+ * @argument {String} sentinelMasterName
+ * @argument {Number} [connectionTimeout=SENTINEL_CONNECTION_TIMEOUT]
+ *
+ * @returns {Promise<{ host: String, port: Number }>}
+ */
+function resolveMasterAddress (sentinelList, sentinelMasterName, connectionTimeout = SENTINEL_CONNECTION_TIMEOUT) {
+
+  return Promise.reduce(sentinelList, (masterAddress, { host, port }) => {
+    if (!!masterAddress) return masterAddress;
+
+    const $$sentinel = redis.createClient({
+      connect_timeout: connectionTimeout,
+      host,
+      port,
+      retry_strategy: () => undefined
+    });
+
+    $$sentinel.on('error', () => {});
+
+    return Promise.fromCallback((callback) => $$sentinel.send_command('sentinel', [ 'get-master-addr-by-name', sentinelMasterName ], callback))
+      .then((masterAddressReply) => {
+        if (!Array.isArray(masterAddressReply)) return null;
+
+        const [ masterHost, masterPort ] = masterAddressReply;
+
+        return { host: masterHost, port: Number(masterPort) };
+      })
+      .catch(() => null)
+      .finally(() => $$sentinel.quit());
+  }, null)
+    .then((masterAddress) => {
+      if (!masterAddress) throw new Error(`None of the sentinels could resolve the master "${sentinelMasterName}".`);
+
+      return masterAddress;
+    });
+}
@@ -6,7 +6,7 @@
  * @author Sebastien Filion
  */
 
-const { struct } = require('superstruct');
+const { struct, StructError } = require('superstruct');
 
 /**
  * Validates that the value is an Array.
@@ -120,5 +120,6 @@ module.exports = {
   pascalCaseRegularExpression,
   shiftFirstLetterToLowerCase,
   struct,
+  StructError,
   UUIDRegularExpression
 };
\ No newline at end of file
@@ -48,6 +48,17 @@ mocha.suite('Nucleus Action', function () {
 
     });
 
+    mocha.test("The action's priority is kept in its meta.", function () {
+      const $action = new NucleusAction('DummyAction', {}, { priority: NucleusAction.HighActionPriority });
+
+      chai.expect($action.meta.priority).to.equal(NucleusAction.HighActionPriority);
+    });
+
+    mocha.test("The action's priority must be a valid priority.", function () {
+
+      chai.expect(() => new NucleusAction('DummyAction', {}, { priority: 'Urgent' })).to.throw(NucleusError.UnexpectedValueNucleusError);
+    });
+
     mocha.test("The action's meta is converted to a convenience string if forced to string.", function () {
       const actionName = 'DummyAction';
       const actionMessage = { AID: uuid.v1() };
@@ -312,6 +323,7 @@ mocha.suite('Nucleus Action', function () {
   mocha.suite('#updateStatus', function () {
 
     mocha.test("The NucleusAction class has a list of valid action status as property", function () {
+      chai.expect(NucleusAction.CancelledActionStatus).to.be.a('string');
       chai.expect(NucleusAction.PendingActionStatus).to.be.a('string');
       chai.expect(NucleusAction.ProcessingActionStatus).to.be.a('string');
       chai.expect(NucleusAction.FailedActionStatus).to.be.a('string');
@@ -1,6 +1,7 @@
 "use strict";
 
 const Promise = require('bluebird');
+const EventEmitter = require('events');
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const mocha = require('mocha');
@@ -14,6 +15,9 @@ const NucleusDatastore = require('../library/Datastore.nucleus');
 const NucleusEngine = require('../library/Engine.nucleus');
 const NucleusError = require('../library/Error.nucleus');
 const NucleusEvent = require('../library/Event.nucleus');
+const NucleusWorkflow = require('../library/Workflow.nucleus');
+
+const nucleusValidator = require('../library/validator.nucleus');
 
 const DummyEngine = require('./autodiscoveryTestAssets/Dummy.engine');
 
@@ -425,118 +429,203 @@ mocha.suite('Nucleus Engine', function () {
 
     });
 
-    mocha.suite("#publishActionToQueueByName", function () {
+    mocha.suite("Retry policy", function () {
 
-      mocha.test("The action is stored and its key name is pushed to the appropriate action queue", async function () {
-        const { $datastore, $engine } = this;
+      mocha.suiteSetup(async function () {
+        const { $dummyEngine } = this;
 
-        const $action = new NucleusAction('DummyAction', {});
+        await $dummyEngine.storeActionConfiguration({
+          actionName: 'ExecuteSimpleDummyWithExternalError',
+          contextName: 'Self',
+          maximumRetryCount: 2,
+          methodName: 'executeSimpleDummyWithExternalError',
+          retryBackoffDelay: 10
+        });
+      });
 
-        $action.updateStatus(NucleusAction.PendingActionStatus);
+      mocha.teardown(function () {
+        const { $datastore } = this;
 
-        await $engine.publishActionToQueueByName('Dummy', $action);
+        return $datastore.removeItemByName('Dummy');
+      });
 
-        return Promise.all([
-          $datastore.$$server.llenAsync('Dummy')
-            .then((actionQueueMemberCount) => {
-              chai.expect(actionQueueMemberCount, "The `Dummy` action queue has one member.").to.equal(1);
-            }),
-          $datastore.$$server.existsAsync($action.generateOwnItemKey())
-            .then((keyNameExist) => {
-              chai.expect(!!keyNameExist, "The item for the `DummyAction` has been created.").to.be.true;
-            })
-        ]);
+      mocha.suiteTeardown(function () {
+        const { $dummyEngine } = this;
+
+        return $dummyEngine.purgeAllDeadLetterActions();
       });
 
-    });
+      mocha.test("An action that fails because of an external error is scheduled back to its action queue.", async function () {
+        const { $datastore, $dummyEngine } = this;
 
-    mocha.suite("#publishActionByNameAndHandleResponse", function () {
+        const $action = new NucleusAction('ExecuteSimpleDummyWithExternalError', {});
 
-      mocha.suiteSetup(async function () {
-        const { $datastore } = this;
-        const $handlerDatastore = this.$datastore.duplicateConnection();
+        await chai.expect($dummyEngine.executeAction($action)).to.be.rejectedWith(NucleusError);
 
-        // Manually update the action's item's status and final message.
-        // This will trigger the #publishActionByNameAndHandleResponse to resolve with the response;
+        chai.expect($action.status).to.equal(NucleusAction.PendingActionStatus);
+        chai.expect($action.meta.retryCount).to.equal(1);
 
-        await $handlerDatastore.$$server.subscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+        await Promise.delay(100);
+        await $dummyEngine.publishAllDueScheduledActions();
 
-        $handlerDatastore.$$server.on('message', async (channelName, redisCommand) => {
-          if (channelName !== `__keyspace@${DATASTORE_INDEX}__:Dummy` || redisCommand !== 'lpush') return;
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
 
-          const actionItemKey = await $datastore.$$server.lpopAsync('Dummy');
+        chai.expect(actionItemKeyList).to.include($action.generateOwnItemKey());
+      });
 
-          await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+      mocha.test("An action that fails because its message does not validate is not retried.", async function () {
+        const { $dummyEngine } = this;
 
-          await $handlerDatastore.$$server.unsubscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+        await $dummyEngine.storeActionConfiguration({
+          actionName: 'ExecuteSimpleDummyWithArgumentsAndRetries',
+          actionSignature: [ 'AID1', 'AID2' ],
+          argumentConfigurationByArgumentName: {
+            AID1: 'string',
+            AID2: 'string'
+          },
+          contextName: 'Self',
+          maximumRetryCount: 2,
+          methodName: 'executeSimpleDummyWithArguments'
         });
 
-        return Promise.delay(1000);
+        const $action = new NucleusAction('ExecuteSimpleDummyWithArgumentsAndRetries', { AID1: 1, AID2: 2 });
+
+        await chai.expect($dummyEngine.executeAction($action)).to.be.rejected;
+
+        chai.expect($action.status).to.equal(NucleusAction.FailedActionStatus);
+        chai.expect($action.meta).to.not.have.property('retryCount');
       });
 
-      mocha.test("The response is returned once the action has been fulfilled.", async function () {
-        const { $engine } = this;
-        const userID = uuid.v4();
+      mocha.test("An action that ran out of retries is moved to the dead letter queue.", async function () {
+        const { $dummyEngine } = this;
 
-        const { dummy } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { iam: 'special' }, userID);
+        const $action = new NucleusAction('ExecuteSimpleDummyWithExternalError', {});
+        $action.meta.retryCount = 2;
 
-        chai.expect(dummy).to.be.an('object');
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
+
+        await chai.expect($dummyEngine.executeAction($action)).to.be.rejectedWith(NucleusError);
+
+        chai.expect($action.status).to.equal(NucleusAction.FailedActionStatus);
+
+        const deadLetterActionList = await $dummyEngine.retrieveAllDeadLetterActions();
+
+        chai.expect(deadLetterActionList.map(({ ID }) => ID)).to.include($action.ID);
       });
 
-      mocha.test.skip("The response promise can be used like a bluebird promise.", function () {
-        const { $engine } = this;
-        const userID = uuid.v4();
+      mocha.test("An action from the dead letter queue can be replayed.", async function () {
+        const { $datastore, $dummyEngine } = this;
 
-        return $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { iam: 'special' }, userID)
-          .tap(console.log);
+        const $action = new NucleusAction('ExecuteSimpleDummyWithExternalError', {});
+        $action.meta.retryCount = 2;
+
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
+        await $datastore.removeItemByName('Dummy');
+        await chai.expect($dummyEngine.executeAction($action)).to.be.rejectedWith(NucleusError);
+
+        const { $action: $replayedAction } = await $dummyEngine.replayDeadLetterActionByID($action.ID);
+
+        chai.expect($replayedAction.ID).to.equal($action.ID);
+        chai.expect($replayedAction.meta.retryCount).to.equal(0);
+
+        const deadLetterActionList = await $dummyEngine.retrieveAllDeadLetterActions();
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+
+        chai.expect(deadLetterActionList.map(({ ID }) => ID)).to.not.include($action.ID);
+        chai.expect(actionItemKeyList).to.include($action.generateOwnItemKey());
+      });
+
+      mocha.test("An action from the dead letter queue can be purged.", async function () {
+        const { $datastore, $dummyEngine } = this;
+
+        const $action = new NucleusAction('ExecuteSimpleDummyWithExternalError', {});
+        $action.meta.retryCount = 2;
+
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
+        await chai.expect($dummyEngine.executeAction($action)).to.be.rejectedWith(NucleusError);
+
+        await $dummyEngine.purgeDeadLetterActionByID($action.ID);
+
+        const deadLetterActionList = await $dummyEngine.retrieveAllDeadLetterActions();
+        const actionItemExists = await $datastore.verifyThatItemByNameExist($action.generateOwnItemKey());
+
+        chai.expect(deadLetterActionList.map(({ ID }) => ID)).to.not.include($action.ID);
+        chai.expect(actionItemExists).to.be.false;
+      });
+
+      mocha.test("Purging an action that is not in the dead letter queue throws an error.", function () {
+        const { $dummyEngine } = this;
+
+        return chai.expect($dummyEngine.purgeDeadLetterActionByID(uuid.v4()))
+          .to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
       });
 
     });
 
-    mocha.suite.skip("Correlation ID", function () {
+    mocha.suite("Scheduled actions", function () {
 
-      mocha.suiteSetup(async function () {
+      mocha.teardown(function () {
         const { $datastore } = this;
-        const $handlerDatastore = this.$datastore.duplicateConnection();
 
-        // Manually update the action's item's status and final message.
-        // This will trigger the #publishActionByNameAndHandleResponse to resolve with the response;
+        return $datastore.removeItemByName('Dummy');
+      });
 
-        await $handlerDatastore.$$server.subscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+      mocha.test("A scheduled action is published to its action queue once it is due.", async function () {
+        const { $datastore, $dummyEngine } = this;
+        const originUserID = uuid.v4();
 
-        $handlerDatastore.$$server.on('message', async (channelName, redisCommand) => {
-          if (channelName !== `__keyspace@${DATASTORE_INDEX}__:Dummy` || redisCommand !== 'lpush') return;
+        const { $action } = await $dummyEngine.scheduleActionByName('ExecuteSimpleDummy', {}, { delay: 200, originUserID });
 
-          const actionItemKey = await $datastore.$$server.lpopAsync('Dummy');
+        await $dummyEngine.publishAllDueScheduledActions();
 
-          await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+        chai.expect(await $datastore.$$server.lrangeAsync('Dummy', 0, -1)).to.not.include($action.generateOwnItemKey());
 
-          await $handlerDatastore.$$server.unsubscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
-        });
+        await Promise.delay(300);
+        await $dummyEngine.publishAllDueScheduledActions();
 
-        return Promise.delay(1000);
+        chai.expect(await $datastore.$$server.lrangeAsync('Dummy', 0, -1)).to.include($action.generateOwnItemKey());
       });
 
-      mocha.test("Correlation ID are logged for the whole lifecycle of an action when passed as an option of the #publishActionByNameAndHandleResponse method.", async function () {
-        const { $engine, $$sandbox } = this;
-        const $$loggerDebugStub = $$sandbox.stub($engine.$logger, 'debug');
+      mocha.test("A scheduled action is published once when many engines are polling.", async function () {
+        const { $datastore, $dummyEngine, $engine } = this;
+        const originUserID = uuid.v4();
 
-        const correlationID = uuid.v4();
+        const { $action } = await $dummyEngine.scheduleActionByName('ExecuteSimpleDummy', {}, { originUserID, scheduledTimestamp: Date.now() });
+
+        await Promise.all([ $dummyEngine.publishAllDueScheduledActions(), $engine.publishAllDueScheduledActions() ]);
+
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+
+        chai.expect(actionItemKeyList.filter((actionItemKey) => actionItemKey === $action.generateOwnItemKey())).to.have.length(1);
+      });
+
+      mocha.test("A cancelled scheduled action is not published.", async function () {
+        const { $datastore, $dummyEngine } = this;
         const originUserID = uuid.v4();
 
-        await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { correlationID, originUserID });
-        await Promise.delay(1000);
+        const { $action } = await $dummyEngine.scheduleActionByName('ExecuteSimpleDummy', {}, { originUserID, scheduledTimestamp: Date.now() });
+        const { actionRemovedFromQueue } = await $dummyEngine.cancelAction($action);
 
-        chai.expect($$loggerDebugStub.calledWith(sinon.match.string, sinon.match({
-          correlationID
-        })));
+        await $dummyEngine.publishAllDueScheduledActions();
+
+        chai.expect(actionRemovedFromQueue).to.be.true;
+        chai.expect(await $datastore.$$server.lrangeAsync('Dummy', 0, -1)).to.not.include($action.generateOwnItemKey());
       });
 
     });
 
-    mocha.suite("Load testing", function () {
-      // NOTE: Test aren't satisfactory. There is a clear degradation as the number of request increase.
-      // 50, 100 or more requests made under a second is an unusual load, but the process needs to be optimized.
+    mocha.suite("Recurring actions", function () {
+
+      mocha.suiteSetup(async function () {
+        const { $dummyEngine } = this;
+
+        await $dummyEngine.storeActionConfiguration({
+          actionName: 'ExecuteRecurringDummy',
+          contextName: 'Self',
+          methodName: 'executeSimpleDummy',
+          schedule: [ '0/5', '*', '*', '*', '*' ]
+        });
+      });
 
       mocha.teardown(function () {
         const { $datastore } = this;
@@ -544,178 +633,1121 @@ mocha.suite('Nucleus Engine', function () {
         return $datastore.removeItemByName('Dummy');
       });
 
-      mocha.suiteTeardown(function () {
-        const { $datastore } = this;
+      mocha.test("A recurring action is registered from its action configuration.", function () {
+        const { $dummyEngine } = this;
 
-        return $datastore.evaluateLUAScript(`return redis.call('INFO', 'Memory')`)
-          .then(console.log);
+        const { cronExpression, nextOccurrenceTimestamp } = $dummyEngine.recurringActionScheduleByActionName['ExecuteRecurringDummy'];
+
+        chai.expect(cronExpression).to.equal('0/5 * * * *');
+        chai.expect(nextOccurrenceTimestamp).to.be.above(Date.now());
+        chai.expect(new Date(nextOccurrenceTimestamp).getUTCMinutes() % 5).to.equal(0);
       });
 
-      mocha.suite("Action publication", function () {
-        const requestCountList = [ 25, 50, 100, 500 ];
+      mocha.test("Registering a recurring action with an invalid cron expression throws an error.", function () {
+        const { $dummyEngine } = this;
 
-        requestCountList
-          .forEach((requestCount) => {
+        chai.expect(() => $dummyEngine.registerRecurringActionByName('ExecuteRecurringDummy', '* * *'))
+          .to.throw(NucleusError.UnexpectedValueNucleusError);
+      });
 
-            mocha.test(`${requestCount} requests...`, function () {
-              const { $engine } = this;
+      mocha.test("A recurring action occurrence is published once when many engines are polling.", async function () {
+        const { $datastore, $dummyEngine, $engine } = this;
+        const occurrenceTimestamp = Date.now() - 1000;
 
-              return Promise.all(Array.apply(null, { length: requestCount })
-                .map(() => {
-                  const userID = uuid.v4();
-                  const $action = new NucleusAction('ExecuteSimpleDummy', {}, userID);
+        $dummyEngine.registerRecurringActionByName('ExecuteRecurringDummy', '0/5 * * * *').nextOccurrenceTimestamp = occurrenceTimestamp;
+        $engine.registerRecurringActionByName('ExecuteRecurringDummy', '0/5 * * * *').nextOccurrenceTimestamp = occurrenceTimestamp;
 
-                  return $engine.publishActionToQueueByName('Dummy', $action);
-                }));
-            });
+        const publishedActionItemKeyList = [].concat(...(await Promise.all([ $dummyEngine.publishAllDueRecurringActions(), $engine.publishAllDueRecurringActions() ]))
+          .map(({ actionItemKeyList }) => actionItemKeyList));
 
-          });
+        Reflect.deleteProperty($engine.recurringActionScheduleByActionName, 'ExecuteRecurringDummy');
 
+        chai.expect(publishedActionItemKeyList).to.have.length(1);
+        chai.expect(await $datastore.$$server.lrangeAsync('Dummy', 0, -1)).to.deep.equal(publishedActionItemKeyList);
+        chai.expect(await $datastore.retrieveItemFromHashFieldByName(publishedActionItemKeyList[0], 'originUserID')).to.equal('SYSTEM');
+        chai.expect($dummyEngine.recurringActionScheduleByActionName['ExecuteRecurringDummy'].nextOccurrenceTimestamp).to.be.above(Date.now());
       });
 
-      mocha.suite("Full request loop", function () {
-        const requestCountList = [ 1, 25, 50, 100, 500 ];
+    });
 
-        // Before debounce
-        // 25 requests => 674ms
-        // 50 requests => 1325ms
-        // 100 requests => 2631ms
-        // 500 requests => 20338ms
+    mocha.suite("Priority", function () {
 
-        // With 5ms debounce +20%
-        // 25 requests => 733ms
-        // 50 requests => 1394ms
-        // 100 requests => 2608ms
-        // 500 requests => 16156ms
+      mocha.suiteSetup(async function () {
+        const { $dummyEngine } = this;
 
-        // 500 requests => 13677ms
+        await $dummyEngine.storeActionConfiguration({
+          actionName: 'ExecuteHighPriorityDummy',
+          contextName: 'Self',
+          methodName: 'executeSimpleDummy',
+          priority: NucleusAction.HighActionPriority
+        });
+      });
 
-        mocha.suiteSetup(function () {
-          const { $dummyEngine } = this;
+      mocha.setup(function () {
+        const { $dummyEngine } = this;
 
-          return $dummyEngine.subscribeToActionQueueUpdate('Dummy');
+        Reflect.defineProperty(this, '$$executeActionStub', {
+          configurable: true,
+          value: sinon.stub($dummyEngine, 'executeAction').resolves()
         });
 
-        requestCountList
-          .forEach((requestCount) => {
+        $dummyEngine.retrievedActionCountByActionQueueName = {};
+      });
 
-            mocha.test(`${requestCount} requests...`, function () {
-              const { $engine } = this;
+      mocha.teardown(function () {
+        const { $datastore, $dummyEngine, $$executeActionStub } = this;
 
-              return Promise.all(Array.apply(null, { length: requestCount })
-                .map(async () => {
-                  const userID = uuid.v4();
+        $$executeActionStub.restore();
+        $dummyEngine.priorityStarvationProtectionInterval = 10;
 
-                  const { AID } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, userID);
+        return Promise.all([ 'Dummy', 'Dummy:HighPriority', 'Dummy:LowPriority' ].map($datastore.removeItemByName.bind($datastore)));
+      });
 
-                  chai.expect(AID).to.be.a('string');
-                }));
-            });
+      mocha.test("An action is published to the list of its priority.", async function () {
+        const { $datastore, $dummyEngine } = this;
 
-          });
+        const $action = new NucleusAction('ExecuteSimpleDummy', {}, { priority: NucleusAction.LowActionPriority });
+
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
 
+        chai.expect(await $datastore.$$server.lrangeAsync('Dummy:LowPriority', 0, -1)).to.deep.equal([ $action.generateOwnItemKey() ]);
+        chai.expect(await $datastore.$$server.llenAsync('Dummy')).to.equal(0);
       });
 
-      mocha.suite("Full request loop with random execution time", function () {
-        const requestCountList = [ 1, 25, 50, 100, 500, 1000 ];
+      mocha.test("An action is published with the default priority from its configuration.", async function () {
+        const { $datastore, $dummyEngine } = this;
 
-        mocha.suiteSetup(function () {
-          const { $dummyEngine } = this;
+        const $action = new NucleusAction('ExecuteHighPriorityDummy', {});
 
-          return $dummyEngine.subscribeToActionQueueUpdate('Dummy');
-        });
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
 
-        requestCountList
-          .forEach((requestCount) => {
+        chai.expect($action.meta.priority).to.equal(NucleusAction.HighActionPriority);
+        chai.expect(await $datastore.$$server.lrangeAsync('Dummy:HighPriority', 0, -1)).to.deep.equal([ $action.generateOwnItemKey() ]);
+      });
 
-            mocha.test(`${requestCount} requests...`, function () {
-              const { $engine } = this;
+      mocha.test("Higher priority actions are retrieved first.", async function () {
+        const { $dummyEngine, $$executeActionStub } = this;
 
-              return Promise.all(Array.apply(null, { length: requestCount })
-                .map(async () => {
-                  const userID = uuid.v4();
+        $dummyEngine.priorityStarvationProtectionInterval = 0;
 
-                  const { AID } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummyWithRandomExecutionTime', {}, userID);
+        const actionList = [ NucleusAction.LowActionPriority, NucleusAction.NormalActionPriority, NucleusAction.HighActionPriority ]
+          .map((priority) => new NucleusAction('ExecuteSimpleDummy', {}, { priority }));
 
-                  chai.expect(AID).to.be.a('string');
-                }));
-            });
+        await Promise.each(actionList, $dummyEngine.publishActionToQueueByName.bind($dummyEngine, 'Dummy'));
+        await Promise.each(actionList, () => $dummyEngine.retrievePendingAction('Dummy'));
+        await Promise.delay(100);
 
-          });
+        chai.expect($$executeActionStub.args.map(([ $action ]) => $action.meta.priority))
+          .to.deep.equal([ NucleusAction.HighActionPriority, NucleusAction.NormalActionPriority, NucleusAction.LowActionPriority ]);
+      });
 
+      mocha.test("A lower priority action is retrieved first every so often to prevent starvation.", async function () {
+        const { $dummyEngine, $$executeActionStub } = this;
+
+        $dummyEngine.priorityStarvationProtectionInterval = 2;
+
+        const actionList = [ NucleusAction.HighActionPriority, NucleusAction.HighActionPriority, NucleusAction.LowActionPriority ]
+          .map((priority) => new NucleusAction('ExecuteSimpleDummy', {}, { priority }));
+
+        await Promise.each(actionList, $dummyEngine.publishActionToQueueByName.bind($dummyEngine, 'Dummy'));
+        await Promise.each(actionList, () => $dummyEngine.retrievePendingAction('Dummy'));
+        await Promise.delay(100);
+
+        chai.expect($$executeActionStub.args.map(([ $action ]) => $action.meta.priority))
+          .to.deep.equal([ NucleusAction.HighActionPriority, NucleusAction.LowActionPriority, NucleusAction.HighActionPriority ]);
       });
 
     });
 
-  });
+    mocha.suite("Concurrency", function () {
 
-  // NOTE: This test oddly fails when run along the others, seems like the datastore connection closes before getting here.
-  mocha.suite.skip("Autodiscovery", function () {
+      mocha.setup(function () {
+        const { $dummyEngine } = this;
 
-    mocha.test("Autodiscovery test", async function () {
-      const { $dummyEngine } = this;
+        Reflect.defineProperty(this, '$$executeActionStub', {
+          configurable: true,
+          value: sinon.stub($dummyEngine, 'executeAction').callsFake(() => Promise.delay(100))
+        });
+      });
 
-      const { actionConfigurationList, extendableActionConfigurationList, resourceStructureList } = await $dummyEngine.autodiscover(path.join(__dirname, '/autodiscoveryTestAssets'));
+      mocha.teardown(function () {
+        const { $datastore, $dummyEngine, $$executeActionStub } = this;
 
-      chai.expect(actionConfigurationList).to.have.length(5);
-      chai.expect(extendableActionConfigurationList).to.have.length(4);
-      chai.expect(resourceStructureList).to.have.length(1);
+        $$executeActionStub.restore();
+        $dummyEngine.maxConcurrentActions = 0;
+        $dummyEngine.maxConcurrentActionsByActionName = {};
 
-      chai.expect(actionConfigurationList[0]).to.deep.include({
-        actionName: 'ExecuteSimpleDummy'
+        return $datastore.removeItemByName('Dummy');
       });
 
-      chai.expect(actionConfigurationList[1]).to.deep.include({
-        actionName: 'ExecuteSimpleDummyWithArguments',
-        actionSignature: ['AID1', 'AID2']
-      });
+      mocha.test("The engine stops retrieving pending actions once it is saturated.", async function () {
+        const { $dummyEngine, $$executeActionStub } = this;
 
-      chai.expect(actionConfigurationList[2]).to.deep.include({
-        actionName: 'ExecuteSimpleDummyWithEvent',
-        eventName: 'SimpleDummyWithEventExecuted'
-      });
+        $dummyEngine.maxConcurrentActions = 2;
 
-      chai.expect(actionConfigurationList[3]).to.deep.include({
-        actionName: 'ExecuteSimpleDummyWithComplexSignature',
-        actionSignature: ['AID1', 'AID2'],
-        actionAlternativeSignature: ['AID1', 'AID3']
-      });
+        await Promise.each(Array.apply(null, { length: 5 }), () => $dummyEngine.publishActionToQueueByName('Dummy', new NucleusAction('ExecuteSimpleDummy', {})));
+
+        $dummyEngine.retrievePendingAction('Dummy');
 
-      chai.expect(extendableActionConfigurationList[0]).to.deep.include({
-        actionName: 'CreateResource'
+        await Promise.delay(50);
+
+        const { inFlightActionCount, pendingActionCount } = await $dummyEngine.retrieveActionQueueStatistics('Dummy');
+
+        chai.expect(inFlightActionCount).to.equal(2);
+        chai.expect(pendingActionCount).to.equal(3);
+
+        await Promise.delay(500);
+
+        chai.expect($$executeActionStub.callCount).to.equal(5);
+        chai.expect((await $dummyEngine.retrieveActionQueueStatistics('Dummy')).inFlightActionCount).to.equal(0);
       });
 
-      chai.expect(extendableActionConfigurationList[1]).to.deep.include({
-        actionName: 'RemoveResourceByID'
+      mocha.test("An action is deferred once its own concurrency limit is reached.", async function () {
+        const { $dummyEngine, $$executeActionStub } = this;
+
+        $dummyEngine.maxConcurrentActionsByActionName['ExecuteSimpleDummy'] = 1;
+
+        await Promise.each(Array.apply(null, { length: 3 }), () => $dummyEngine.publishActionToQueueByName('Dummy', new NucleusAction('ExecuteSimpleDummy', {})));
+
+        $dummyEngine.retrievePendingAction('Dummy');
+
+        await Promise.delay(50);
+
+        const { deferredActionCount, inFlightActionCountByActionName, pendingActionCount } = await $dummyEngine.retrieveActionQueueStatistics('Dummy');
+
+        chai.expect($$executeActionStub.callCount).to.equal(1);
+        chai.expect(deferredActionCount).to.equal(2);
+        chai.expect(inFlightActionCountByActionName['ExecuteSimpleDummy']).to.equal(1);
+        chai.expect(pendingActionCount).to.equal(0);
+
+        await Promise.delay(400);
+
+        chai.expect($$executeActionStub.callCount).to.equal(3);
       });
 
-      chai.expect(extendableActionConfigurationList[2]).to.deep.include({
-        actionName: 'RetrieveResourceByID'
+    });
+
+    mocha.suite("Graceful shutdown", function () {
+
+      mocha.setup(function () {
+        const { $dummyEngine } = this;
+
+        Reflect.defineProperty(this, '$$executeActionStub', {
+          configurable: true,
+          value: sinon.stub($dummyEngine, 'executeAction').callsFake(() => Promise.delay(200))
+        });
       });
 
-      chai.expect(extendableActionConfigurationList[3]).to.deep.include({
-        actionName: 'UpdateResourceByID'
+      mocha.teardown(async function () {
+        const { $datastore, $dummyEngine, $$executeActionStub } = this;
+
+        // Let the stubbed actions that outlived the drain settle before the engine is reused.
+        await Promise.delay(200);
+
+        $$executeActionStub.restore();
+        $dummyEngine.isDraining = false;
+        $dummyEngine.maxConcurrentActionsByActionName = {};
+        $dummyEngine.startScheduledActionPolling();
+
+        return $datastore.removeItemByName('Dummy');
       });
 
-      chai.expect(resourceStructureList[0]).to.deep.include({
-        resourceType: 'Dummy'
+      mocha.test("The in-flight actions are waited on and no new action is retrieved while draining.", async function () {
+        const { $dummyEngine, $$executeActionStub } = this;
+
+        await $dummyEngine.publishActionToQueueByName('Dummy', new NucleusAction('ExecuteSimpleDummy', {}));
+
+        $dummyEngine.retrievePendingAction('Dummy');
+
+        await Promise.delay(50);
+
+        await $dummyEngine.publishActionToQueueByName('Dummy', new NucleusAction('ExecuteSimpleDummy', {}));
+
+        const { requeuedActionCount } = await $dummyEngine.drain({ timeout: 1000 });
+
+        $dummyEngine.retrievePendingAction('Dummy');
+
+        await Promise.delay(50);
+
+        const { inFlightActionCount, pendingActionCount } = await $dummyEngine.retrieveActionQueueStatistics('Dummy');
+
+        chai.expect(requeuedActionCount).to.equal(0);
+        chai.expect($$executeActionStub.callCount).to.equal(1);
+        chai.expect(inFlightActionCount).to.equal(0);
+        chai.expect(pendingActionCount).to.equal(1);
       });
 
-      return Promise.resolve()
-        .delay(1000);
-    });
+      mocha.test("The actions still in-flight after the timeout are left in the processing list instead of being requeued.", async function () {
+        const { $datastore, $dummyEngine } = this;
+        const $action = new NucleusAction('ExecuteSimpleDummy', {});
 
-  });
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
 
-  mocha.suite.skip("Multi-instance engine environment", function () {
+        $dummyEngine.retrievePendingAction('Dummy');
 
-    mocha.suiteSetup(async function () {
-      const { $$sandbox } = this;
-      const $$multiInstanceEnginePingEngineSpy = $$sandbox.spy();
+        await Promise.delay(50);
 
-      class MultiInstanceEngine extends NucleusEngine {
+        await $dummyEngine.publishActionToQueueByName('Dummy', new NucleusAction('ExecuteSimpleDummy', {}));
 
-        constructor () {
+        const { requeuedActionCount, unfinishedActionCount } = await $dummyEngine.drain({ timeout: 50 });
+
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+        const processingActionItemKeyList = await $datastore.$$server.lrangeAsync($dummyEngine.actionProcessingListItemKey, 0, -1);
+
+        chai.expect(requeuedActionCount).to.equal(0);
+        chai.expect(unfinishedActionCount).to.equal(1);
+        chai.expect(actionItemKeyList).to.have.length(1);
+        chai.expect(actionItemKeyList).to.not.include($action.generateOwnItemKey());
+        chai.expect(processingActionItemKeyList).to.deep.equal([ $action.generateOwnItemKey() ]);
+      });
+
+      mocha.test("The deferred actions are requeued right away.", async function () {
+        const { $datastore, $dummyEngine } = this;
+
+        $dummyEngine.maxConcurrentActionsByActionName['ExecuteSimpleDummy'] = 1;
+
+        await Promise.each(Array.apply(null, { length: 3 }), () => $dummyEngine.publishActionToQueueByName('Dummy', new NucleusAction('ExecuteSimpleDummy', {})));
+
+        $dummyEngine.retrievePendingAction('Dummy');
+
+        await Promise.delay(50);
+
+        const { requeuedActionCount } = await $dummyEngine.drain({ timeout: 1000 });
+
+        const actionQueueItemCount = await $datastore.$$server.llenAsync('Dummy');
+
+        chai.expect(requeuedActionCount).to.equal(2);
+        chai.expect(actionQueueItemCount).to.equal(2);
+      });
+
+    });
+
+    mocha.suite("Orphaned action recovery", function () {
+
+      mocha.setup(function () {
+        Reflect.defineProperty(this, 'deadEngineID', {
+          configurable: true,
+          value: uuid.v1()
+        });
+      });
+
+      mocha.teardown(function () {
+        const { $datastore, $dummyEngine, deadEngineID } = this;
+
+        return Promise.all([
+          $datastore.removeItemByName('Dummy'),
+          $datastore.removeItemByName(`ActionProcessingList:${deadEngineID}`),
+          $datastore.removeItemByName(`OrphanedActionRecoveryLock:${deadEngineID}`),
+          $datastore.removeItemByName($dummyEngine.actionProcessingListItemKey),
+          $dummyEngine.purgeAllDeadLetterActions()
+        ]);
+      });
+
+      mocha.test("A retrieved action is kept in the engine's processing list until it is done.", async function () {
+        const { $datastore, $dummyEngine } = this;
+        const $$executeActionStub = sinon.stub($dummyEngine, 'executeAction').callsFake(() => Promise.delay(100));
+        const $action = new NucleusAction('ExecuteSimpleDummy', {});
+
+        try {
+          await $dummyEngine.publishActionToQueueByName('Dummy', $action);
+
+          $dummyEngine.retrievePendingAction('Dummy');
+
+          await Promise.delay(50);
+
+          chai.expect(await $datastore.$$server.lrangeAsync($dummyEngine.actionProcessingListItemKey, 0, -1)).to.deep.equal([ $action.generateOwnItemKey() ]);
+
+          await Promise.delay(100);
+
+          chai.expect(await $datastore.$$server.llenAsync($dummyEngine.actionProcessingListItemKey)).to.equal(0);
+        } finally {
+          $$executeActionStub.restore();
+        }
+      });
+
+      mocha.test("The pending actions of a dead engine are requeued.", async function () {
+        const { $datastore, $dummyEngine, deadEngineID } = this;
+        const $action = new NucleusAction('ExecuteSimpleDummy', {});
+
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
+        await $datastore.$$server.rpoplpushAsync('Dummy', `ActionProcessingList:${deadEngineID}`);
+        await $datastore.$$server.saddAsync('EngineIDSet', deadEngineID);
+
+        const { recoveredActionCount } = await $dummyEngine.recoverAllOrphanedActions();
+
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+        const engineIsKnown = await $datastore.$$server.sismemberAsync('EngineIDSet', deadEngineID);
+
+        chai.expect(recoveredActionCount).to.equal(1);
+        chai.expect(actionItemKeyList).to.deep.equal([ $action.generateOwnItemKey() ]);
+        chai.expect(!!engineIsKnown).to.be.false;
+      });
+
+      mocha.test("The executing actions of a dead engine are failed if they can't be retried.", async function () {
+        const { $datastore, $dummyEngine, deadEngineID } = this;
+        const $action = new NucleusAction('ExecuteSimpleDummy', {});
+
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
+        await $datastore.$$server.rpoplpushAsync('Dummy', `ActionProcessingList:${deadEngineID}`);
+        await $datastore.$$server.hsetAsync($action.generateOwnItemKey(), 'status', NucleusAction.ProcessingActionStatus);
+        await $datastore.$$server.saddAsync('EngineIDSet', deadEngineID);
+
+        await $dummyEngine.recoverAllOrphanedActions();
+
+        const actionStatus = await $datastore.retrieveItemFromHashFieldByName($action.generateOwnItemKey(), 'status');
+
+        chai.expect(actionStatus).to.equal(NucleusAction.FailedActionStatus);
+        chai.expect(await $datastore.$$server.llenAsync($dummyEngine.actionProcessingListItemKey)).to.equal(0);
+      });
+
+      mocha.test("The executing actions of a dead engine are retried according to their retry policy.", async function () {
+        const { $datastore, $dummyEngine, deadEngineID } = this;
+        const $action = new NucleusAction('ExecuteSimpleDummyWithExternalError', {});
+
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
+        await $datastore.$$server.rpoplpushAsync('Dummy', `ActionProcessingList:${deadEngineID}`);
+        await $datastore.$$server.hsetAsync($action.generateOwnItemKey(), 'status', NucleusAction.ProcessingActionStatus);
+        await $datastore.$$server.saddAsync('EngineIDSet', deadEngineID);
+
+        await $dummyEngine.recoverAllOrphanedActions();
+
+        const scheduledTimestamp = await $datastore.$$server.zscoreAsync('ScheduledActionItemKeyList', $action.generateOwnItemKey());
+
+        chai.expect(scheduledTimestamp).to.not.be.null;
+      });
+
+      mocha.test("The actions of an engine that is still alive are left alone.", async function () {
+        const { $datastore, $dummyEngine, deadEngineID } = this;
+        const $action = new NucleusAction('ExecuteSimpleDummy', {});
+
+        await $dummyEngine.publishActionToQueueByName('Dummy', $action);
+        await $datastore.$$server.rpoplpushAsync('Dummy', `ActionProcessingList:${deadEngineID}`);
+        await $datastore.$$server.saddAsync('EngineIDSet', deadEngineID);
+        await $datastore.$$server.setAsync(`EngineHeartbeat:${deadEngineID}`, Date.now(), 'PX', 1000);
+
+        const { recoveredActionCount } = await $dummyEngine.recoverAllOrphanedActions();
+
+        await $datastore.$$server.sremAsync('EngineIDSet', deadEngineID);
+
+        chai.expect(recoveredActionCount).to.equal(0);
+        chai.expect(await $datastore.$$server.llenAsync(`ActionProcessingList:${deadEngineID}`)).to.equal(1);
+      });
+
+    });
+
+    mocha.suite("#publishActionToQueueByName", function () {
+
+      mocha.test("The action is stored and its key name is pushed to the appropriate action queue", async function () {
+        const { $datastore, $engine } = this;
+
+        const $action = new NucleusAction('DummyAction', {});
+
+        $action.updateStatus(NucleusAction.PendingActionStatus);
+
+        await $engine.publishActionToQueueByName('Dummy', $action);
+
+        return Promise.all([
+          $datastore.$$server.llenAsync('Dummy')
+            .then((actionQueueMemberCount) => {
+              chai.expect(actionQueueMemberCount, "The `Dummy` action queue has one member.").to.equal(1);
+            }),
+          $datastore.$$server.existsAsync($action.generateOwnItemKey())
+            .then((keyNameExist) => {
+              chai.expect(!!keyNameExist, "The item for the `DummyAction` has been created.").to.be.true;
+            })
+        ]);
+      });
+
+    });
+
+    mocha.suite("#publishActionByNameAndHandleResponse", function () {
+
+      mocha.suiteSetup(async function () {
+        const { $datastore } = this;
+        const $handlerDatastore = this.$datastore.duplicateConnection();
+
+        // Manually update the action's item's status and final message.
+        // This will trigger the #publishActionByNameAndHandleResponse to resolve with the response;
+
+        await $handlerDatastore.$$server.subscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+
+        $handlerDatastore.$$server.on('message', async (channelName, redisCommand) => {
+          if (channelName !== `__keyspace@${DATASTORE_INDEX}__:Dummy` || redisCommand !== 'lpush') return;
+
+          const actionItemKey = await $datastore.$$server.lpopAsync('Dummy');
+
+          await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+
+          await $handlerDatastore.$$server.unsubscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+        });
+
+        return Promise.delay(1000);
+      });
+
+      mocha.test("The response is returned once the action has been fulfilled.", async function () {
+        const { $engine } = this;
+        const userID = uuid.v4();
+
+        const { dummy } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { iam: 'special' }, userID);
+
+        chai.expect(dummy).to.be.an('object');
+      });
+
+      mocha.test.skip("The response promise can be used like a bluebird promise.", function () {
+        const { $engine } = this;
+        const userID = uuid.v4();
+
+        return $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { iam: 'special' }, userID)
+          .tap(console.log);
+      });
+
+    });
+
+    mocha.suite("Timeout and cancellation", function () {
+
+      mocha.teardown(function () {
+        const { $datastore } = this;
+
+        return $datastore.removeItemByName('Dummy');
+      });
+
+      mocha.test("The response promise is rejected if the action is not completed in time.", function () {
+        const { $engine } = this;
+        const originUserID = uuid.v4();
+
+        return chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { originUserID, timeout: 100 }))
+          .to.be.rejectedWith(NucleusError.ActionTimeoutNucleusError);
+      });
+
+      mocha.test("A pending action is removed from its action queue and marked as cancelled when the signal is aborted.", async function () {
+        const { $datastore, $engine } = this;
+        const $$abortController = generateAbortController();
+        const originUserID = uuid.v4();
+
+        const $$actionResponsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { originUserID, signal: $$abortController.signal });
+
+        await Promise.delay(100);
+
+        const [ actionItemKey ] = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+
+        $$abortController.abort();
+
+        await chai.expect($$actionResponsePromise).to.be.rejectedWith(NucleusError.ActionCancelledNucleusError);
+
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+        const actionStatus = await $datastore.retrieveItemFromHashFieldByName(actionItemKey, 'status');
+
+        chai.expect(actionItemKeyList).to.not.include(actionItemKey);
+        chai.expect(actionStatus).to.equal(NucleusAction.CancelledActionStatus);
+      });
+
+      mocha.test("The action is not published if the signal is already aborted.", async function () {
+        const { $datastore, $engine } = this;
+        const $$abortController = generateAbortController();
+        const originUserID = uuid.v4();
+
+        $$abortController.abort();
+
+        await chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { originUserID, signal: $$abortController.signal }))
+          .to.be.rejectedWith(NucleusError.ActionCancelledNucleusError);
+
+        const actionQueueItemCount = await $datastore.$$server.llenAsync('Dummy');
+
+        chai.expect(actionQueueItemCount).to.equal(0);
+      });
+
+    });
+
+    mocha.suite("Progress", function () {
+
+      mocha.teardown(function () {
+        const { $datastore } = this;
+
+        return $datastore.removeItemByName('Dummy');
+      });
+
+      mocha.test("The progress reported by the action is handled before the response.", async function () {
+        const { $datastore, $engine } = this;
+        const originUserID = uuid.v4();
+        const progressMessageList = [];
+
+        const $$actionResponsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, {
+          onProgress: (progressMessage) => {
+            progressMessageList.push(progressMessage);
+          },
+          originUserID
+        });
+
+        await Promise.delay(100);
+
+        const [ actionItemKey ] = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+        const actionID = actionItemKey.split(':').pop();
+        const $action = new NucleusAction({ ID: actionID, meta: {}, name: 'ExecuteSimpleDummy', originalMessage: {}, originUserID });
+
+        await $engine.publishActionProgress($action, { completedStepCount: 1, stepCount: 2 });
+        await $engine.publishActionProgress($action, { completedStepCount: 2, stepCount: 2 });
+        await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+
+        const { dummy } = await $$actionResponsePromise;
+
+        chai.expect(dummy).to.be.an('object');
+        chai.expect(progressMessageList).to.have.length(2);
+        chai.expect(progressMessageList[0]).to.deep.equal({ completedStepCount: 1, stepCount: 2 });
+        chai.expect(progressMessageList[1]).to.deep.equal({ completedStepCount: 2, stepCount: 2 });
+      });
+
+      mocha.test("The progress received once the response is settled is ignored.", async function () {
+        const { $datastore, $engine } = this;
+        const originUserID = uuid.v4();
+        const progressMessageList = [];
+
+        const $$actionResponsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, {
+          onProgress: (progressMessage) => {
+            progressMessageList.push(progressMessage);
+          },
+          originUserID
+        });
+
+        await Promise.delay(100);
+
+        const [ actionItemKey ] = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+        const actionID = actionItemKey.split(':').pop();
+        const $action = new NucleusAction({ ID: actionID, meta: {}, name: 'ExecuteSimpleDummy', originalMessage: {}, originUserID });
+
+        await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+        await $$actionResponsePromise;
+
+        await $engine.publishActionProgress($action, { completedStepCount: 1, stepCount: 1 });
+
+        await Promise.delay(100);
+
+        chai.expect(progressMessageList).to.have.length(0);
+      });
+
+    });
+
+    mocha.suite("Reply channel transport", function () {
+
+      mocha.suiteSetup(function () {
+        const $replyChannelEngine = new NucleusEngine('ReplyChannelTest', {
+          $actionDatastore: new NucleusDatastore('Action', { index: DATASTORE_INDEX, URL: DATASTORE_URL, port: DATASTORE_PORT }),
+          $engineDatastore: new NucleusDatastore('Engine', { index: DATASTORE_INDEX, URL: DATASTORE_URL, port: DATASTORE_PORT }),
+          $eventDatastore: new NucleusDatastore('Event', { index: DATASTORE_INDEX, URL: DATASTORE_URL, port: DATASTORE_PORT }),
+          actionTransport: NucleusEngine.ReplyChannelActionTransport,
+          engineHeartbeatInterval: 0
+        });
+
+        Reflect.defineProperty(this, '$replyChannelEngine', {
+          configurable: true,
+          value: $replyChannelEngine,
+          writable: false
+        });
+
+        return $replyChannelEngine;
+      });
+
+      mocha.teardown(function () {
+        const { $datastore } = this;
+
+        return $datastore.removeItemByName('Dummy');
+      });
+
+      mocha.suiteTeardown(async function () {
+        const { $replyChannelEngine } = this;
+
+        await $replyChannelEngine.destroy();
+
+        Reflect.deleteProperty(this, '$replyChannelEngine');
+      });
+
+      mocha.test("An unknown action transport is refused.", function () {
+        const { $datastore } = this;
+
+        chai.expect(() => new NucleusEngine('Test', { $actionDatastore: $datastore, $engineDatastore: $datastore, $eventDatastore: $datastore, actionTransport: 'Carrier pigeon' }))
+          .to.throw(NucleusError.UnexpectedValueNucleusError);
+      });
+
+      mocha.test("The response is returned once the action's reply is published.", async function () {
+        const { $datastore, $engine, $replyChannelEngine } = this;
+        const originUserID = uuid.v4();
+
+        const $$actionResponsePromise = $replyChannelEngine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { originUserID, timeout: 1000 });
+
+        await Promise.delay(100);
+
+        const [ actionItemKey ] = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+        const $action = new NucleusAction(await $datastore.retrieveAllItemsFromHashByName(actionItemKey));
+
+        $action.updateStatus(NucleusAction.CompletedActionStatus);
+        $action.updateMessage({ dummy: { ID: uuid.v4() } });
+
+        await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', $action.finalMessage, 'status', $action.status);
+        await $engine.publishActionReply($action);
+
+        const { dummy } = await $$actionResponsePromise;
+
+        chai.expect(dummy).to.deep.equal($action.finalMessage.dummy);
+      });
+
+      mocha.test("The engines are notified of the updates of an action queue through a channel.", async function () {
+        const { $replyChannelEngine } = this;
+        const $$retrievePendingActionStub = sinon.stub($replyChannelEngine, 'retrievePendingAction').resolves();
+
+        try {
+          await $replyChannelEngine.subscribeToActionQueueUpdate('Dummy');
+          await Promise.delay(100);
+
+          $$retrievePendingActionStub.resetHistory();
+
+          $replyChannelEngine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { originUserID: uuid.v4(), timeout: 200 })
+            .catch(() => {});
+
+          await Promise.delay(100);
+
+          chai.expect($$retrievePendingActionStub.calledWith('Dummy')).to.be.true;
+        } finally {
+          $$retrievePendingActionStub.restore();
+        }
+      });
+
+    });
+
+    mocha.suite("Idempotency", function () {
+
+      mocha.teardown(async function () {
+        const { $datastore } = this;
+
+        const idempotencyItemKeyList = await $datastore.$$server.keysAsync('ActionIdempotencyKey:*');
+
+        return Promise.all([ 'Dummy', ...idempotencyItemKeyList ].map($datastore.removeItemByName.bind($datastore)));
+      });
+
+      mocha.test("An action published twice with the same idempotency key is only queued once.", async function () {
+        const { $datastore, $engine } = this;
+        const idempotencyKey = uuid.v4();
+        const originUserID = uuid.v4();
+
+        const $$firstActionResponsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { idempotencyKey, originUserID });
+
+        await Promise.delay(100);
+
+        const $$secondActionResponsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { idempotencyKey, originUserID });
+
+        await Promise.delay(100);
+
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+        const originalActionItemKey = await $datastore.$$server.getAsync(`ActionIdempotencyKey:${originUserID}:ExecuteSimpleDummy:${idempotencyKey}`);
+
+        chai.expect(actionItemKeyList).to.have.length(1);
+        chai.expect(actionItemKeyList[0]).to.equal(originalActionItemKey);
+
+        await $datastore.addItemToHashFieldByName(originalActionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+
+        const [ firstActionResponse, secondActionResponse ] = await Promise.all([ $$firstActionResponsePromise, $$secondActionResponsePromise ]);
+
+        chai.expect(secondActionResponse).to.deep.equal(firstActionResponse);
+      });
+
+      mocha.test("The response of an action that was already completed is returned immediately.", async function () {
+        const { $datastore, $engine } = this;
+        const idempotencyKey = uuid.v4();
+        const originUserID = uuid.v4();
+
+        const $$firstActionResponsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { idempotencyKey, originUserID });
+
+        await Promise.delay(100);
+
+        const [ actionItemKey ] = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+
+        await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+
+        const firstActionResponse = await $$firstActionResponsePromise;
+        const secondActionResponse = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { idempotencyKey, originUserID, timeout: 1000 });
+
+        chai.expect(secondActionResponse).to.deep.equal(firstActionResponse);
+      });
+
+      mocha.test("The idempotency key expires after the idempotency window.", async function () {
+        const { $datastore, $engine } = this;
+        const idempotencyKey = uuid.v4();
+        const originUserID = uuid.v4();
+
+        $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { idempotencyKey, idempotencyWindow: 100, originUserID, timeout: 500 })
+          .catch(() => {});
+
+        await Promise.delay(200);
+
+        $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { idempotencyKey, idempotencyWindow: 100, originUserID, timeout: 500 })
+          .catch(() => {});
+
+        await Promise.delay(100);
+
+        const actionQueueItemCount = await $datastore.$$server.llenAsync('Dummy');
+
+        chai.expect(actionQueueItemCount).to.equal(2);
+      });
+
+    });
+
+    mocha.suite("Batch publication", function () {
+
+      mocha.teardown(function () {
+        const { $datastore } = this;
+
+        return $datastore.removeItemByName('Dummy');
+      });
+
+      mocha.test("Every action of the batch is queued in a single transaction.", async function () {
+        const { $datastore, $engine } = this;
+        const originUserID = uuid.v4();
+
+        $engine.publishBatchActionByNameAndHandleResponse('ExecuteSimpleDummy', [ { index: 0 }, { index: 1 }, { index: 2 } ], { originUserID, timeout: 500 })
+          .catch(() => {});
+
+        await Promise.delay(100);
+
+        const actionQueueItemCount = await $datastore.$$server.llenAsync('Dummy');
+
+        chai.expect(actionQueueItemCount).to.equal(3);
+      });
+
+      mocha.test("The result of every action is returned in order, with the failures and the actions that timed out.", async function () {
+        const { $datastore, $engine } = this;
+        const originUserID = uuid.v4();
+
+        const $$batchActionResponsePromise = $engine.publishBatchActionByNameAndHandleResponse('ExecuteSimpleDummy', [ { index: 0 }, { index: 1 }, { index: 2 } ], { originUserID, timeout: 500 });
+
+        await Promise.delay(100);
+
+        // The action queue is a list; the first action published is the last item.
+        const [ thirdActionItemKey, secondActionItemKey ] = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+        const dummyID = uuid.v4();
+
+        await $datastore.addItemToHashFieldByName(secondActionItemKey, 'finalMessage', { dummy: { ID: dummyID } }, 'status', NucleusAction.CompletedActionStatus);
+        await $datastore.addItemToHashFieldByName(thirdActionItemKey, 'finalMessage', { error: new NucleusError.UndefinedContextNucleusError("The dummy doesn't exist.") }, 'status', NucleusAction.FailedActionStatus);
+
+        const { actionResultList, completedActionCount, failedActionCount } = await $$batchActionResponsePromise;
+
+        chai.expect(actionResultList).to.have.length(3);
+        chai.expect(actionResultList[0].actionStatus).to.equal(NucleusAction.PendingActionStatus);
+        chai.expect(actionResultList[0].error).to.be.an.instanceOf(NucleusError.ActionTimeoutNucleusError);
+        chai.expect(actionResultList[1].actionStatus).to.equal(NucleusAction.CompletedActionStatus);
+        chai.expect(actionResultList[1].finalMessage).to.deep.equal({ dummy: { ID: dummyID } });
+        chai.expect(actionResultList[2].actionStatus).to.equal(NucleusAction.FailedActionStatus);
+        chai.expect(actionResultList[2].error).to.be.an.instanceOf(NucleusError.UndefinedContextNucleusError);
+        chai.expect(completedActionCount).to.equal(1);
+        chai.expect(failedActionCount).to.equal(2);
+      });
+
+      mocha.test("An action that failed without an error is reported as failed.", async function () {
+        const { $datastore, $engine } = this;
+        const originUserID = uuid.v4();
+
+        const $$batchActionResponsePromise = $engine.publishBatchActionByNameAndHandleResponse('ExecuteSimpleDummy', [ { index: 0 } ], { originUserID, timeout: 500 });
+
+        await Promise.delay(100);
+
+        const [ actionItemKey ] = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
+
+        await $datastore.addItemToHashFieldByName(actionItemKey, 'status', NucleusAction.FailedActionStatus);
+
+        const { actionResultList, completedActionCount, failedActionCount } = await $$batchActionResponsePromise;
+
+        chai.expect(actionResultList[0].actionStatus).to.equal(NucleusAction.FailedActionStatus);
+        chai.expect(actionResultList[0].error).to.be.an.instanceOf(NucleusError);
+        chai.expect(actionResultList[0].error).to.not.be.an.instanceOf(NucleusError.ActionTimeoutNucleusError);
+        chai.expect(completedActionCount).to.equal(0);
+        chai.expect(failedActionCount).to.equal(1);
+      });
+
+    });
+
+    mocha.suite.skip("Correlation ID", function () {
+
+      mocha.suiteSetup(async function () {
+        const { $datastore } = this;
+        const $handlerDatastore = this.$datastore.duplicateConnection();
+
+        // Manually update the action's item's status and final message.
+        // This will trigger the #publishActionByNameAndHandleResponse to resolve with the response;
+
+        await $handlerDatastore.$$server.subscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+
+        $handlerDatastore.$$server.on('message', async (channelName, redisCommand) => {
+          if (channelName !== `__keyspace@${DATASTORE_INDEX}__:Dummy` || redisCommand !== 'lpush') return;
+
+          const actionItemKey = await $datastore.$$server.lpopAsync('Dummy');
+
+          await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+
+          await $handlerDatastore.$$server.unsubscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+        });
+
+        return Promise.delay(1000);
+      });
+
+      mocha.test("Correlation ID are logged for the whole lifecycle of an action when passed as an option of the #publishActionByNameAndHandleResponse method.", async function () {
+        const { $engine, $$sandbox } = this;
+        const $$loggerDebugStub = $$sandbox.stub($engine.$logger, 'debug');
+
+        const correlationID = uuid.v4();
+        const originUserID = uuid.v4();
+
+        await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { correlationID, originUserID });
+        await Promise.delay(1000);
+
+        chai.expect($$loggerDebugStub.calledWith(sinon.match.string, sinon.match({
+          correlationID
+        })));
+      });
+
+    });
+
+    mocha.suite("Workflows", function () {
+
+      mocha.suiteSetup(function () {
+        const { $dummyEngine } = this;
+
+        $dummyEngine.registerWorkflow(new NucleusWorkflow('OnboardDummy', [
+          {
+            actionName: 'CreateDummy',
+            actionMessage: ({ workflowMessage: { dummyName } }) => ({ dummyName }),
+            compensatingActionName: 'RemoveDummyByID',
+            compensatingActionMessage: ({ stepResponseList: [ { dummy } ] }) => ({ dummyID: dummy.ID })
+          },
+          { actionName: 'CreateDummyAdministrator', compensatingActionName: 'RemoveDummyAdministrator' },
+          { actionName: 'NotifyDummy' }
+        ]));
+      });
+
+      mocha.setup(function () {
+        const { $dummyEngine } = this;
+        const dummyID = uuid.v4();
+
+        Reflect.defineProperty(this, 'dummyID', {
+          configurable: true,
+          value: dummyID
+        });
+
+        Reflect.defineProperty(this, '$$publishActionStub', {
+          configurable: true,
+          value: sinon.stub($dummyEngine, 'publishActionByNameAndHandleResponse').callsFake((actionName) => Promise.resolve({ dummy: { ID: dummyID }, actionName }))
+        });
+      });
+
+      mocha.teardown(function () {
+        this.$$publishActionStub.restore();
+      });
+
+      mocha.test("Every step of the workflow is executed in order.", async function () {
+        const { $datastore, $dummyEngine, $$publishActionStub } = this;
+        const originUserID = uuid.v4();
+
+        const { stepResponseList, workflowID, workflowStatus } = await $dummyEngine.executeWorkflowByName('OnboardDummy', { dummyName: 'Dummy' }, { originUserID });
+
+        chai.expect(workflowStatus).to.equal(NucleusWorkflow.CompletedWorkflowStatus);
+        chai.expect(stepResponseList.map(({ actionName }) => actionName)).to.deep.equal([ 'CreateDummy', 'CreateDummyAdministrator', 'NotifyDummy' ]);
+        chai.expect($$publishActionStub.firstCall.args[1]).to.deep.equal({ dummyName: 'Dummy' });
+        chai.expect($$publishActionStub.firstCall.args[2]).to.include({ idempotencyKey: `${workflowID}:0`, originUserID });
+
+        const workflowAttributes = await $datastore.retrieveAllItemsFromHashByName(NucleusWorkflow.generateItemKey('OnboardDummy', workflowID));
+
+        chai.expect(workflowAttributes).to.include({ nextStepIndex: 3, status: NucleusWorkflow.CompletedWorkflowStatus });
+      });
+
+      mocha.test("The completed steps are compensated in reverse order when a step fails.", async function () {
+        const { $datastore, $dummyEngine, dummyID, $$publishActionStub } = this;
+        const originUserID = uuid.v4();
+
+        $$publishActionStub.withArgs('NotifyDummy').rejects(new Error("Dummy error."));
+
+        const error = await $dummyEngine.executeWorkflowByName('OnboardDummy', { dummyName: 'Dummy' }, { originUserID })
+          .catch((error) => error);
+
+        chai.expect(error).to.be.an.instanceOf(NucleusError);
+        chai.expect(error.message).to.match(/Dummy error/);
+
+        const actionNameList = $$publishActionStub.getCalls().map(({ args: [ actionName ] }) => actionName);
+
+        chai.expect(actionNameList).to.deep.equal([ 'CreateDummy', 'CreateDummyAdministrator', 'NotifyDummy', 'RemoveDummyAdministrator', 'RemoveDummyByID' ]);
+        chai.expect($$publishActionStub.lastCall.args[1]).to.deep.equal({ dummyID });
+
+        const workflowStatus = await $datastore.retrieveItemFromHashFieldByName(NucleusWorkflow.generateItemKey('OnboardDummy', error.meta.workflowID), 'status');
+
+        chai.expect(workflowStatus).to.equal(NucleusWorkflow.CompensatedWorkflowStatus);
+      });
+
+      mocha.test("An interrupted workflow is resumed from its last completed step.", async function () {
+        const { $datastore, $dummyEngine, dummyID, $$publishActionStub } = this;
+        const workflowID = uuid.v1();
+        const workflowItemKey = NucleusWorkflow.generateItemKey('OnboardDummy', workflowID);
+
+        // Given a workflow that was running on an engine that stopped responding after completing its first step.
+        await $datastore.addItemToHashFieldByName(workflowItemKey, {
+          ID: workflowID,
+          compensationStepIndex: -1,
+          message: { dummyName: 'Dummy' },
+          meta: { correlationID: uuid.v4(), originEngineID: uuid.v1(), originUserID: uuid.v4() },
+          name: 'OnboardDummy',
+          nextStepIndex: 1,
+          status: NucleusWorkflow.ProcessingWorkflowStatus,
+          stepResponseList: [ { dummy: { ID: dummyID } } ]
+        });
+        await $datastore.$$server.zaddAsync('RunningWorkflowItemKeyList:OnboardDummy', Date.now() - 1000, workflowItemKey);
+
+        const { workflowItemKeyList } = await $dummyEngine.resumeAllOrphanedWorkflows();
+
+        await Promise.delay(100);
+
+        const actionNameList = $$publishActionStub.getCalls().map(({ args: [ actionName ] }) => actionName);
+        const workflowStatus = await $datastore.retrieveItemFromHashFieldByName(workflowItemKey, 'status');
+        const workflowIsRunning = await $datastore.$$server.zscoreAsync('RunningWorkflowItemKeyList:OnboardDummy', workflowItemKey);
+
+        chai.expect(workflowItemKeyList).to.deep.equal([ workflowItemKey ]);
+        chai.expect(actionNameList).to.deep.equal([ 'CreateDummyAdministrator', 'NotifyDummy' ]);
+        chai.expect(workflowStatus).to.equal(NucleusWorkflow.CompletedWorkflowStatus);
+        chai.expect(workflowIsRunning).to.be.null;
+      });
+
+      mocha.test("A workflow that is still running is not resumed.", async function () {
+        const { $datastore, $dummyEngine } = this;
+        const workflowItemKey = NucleusWorkflow.generateItemKey('OnboardDummy', uuid.v1());
+
+        await $datastore.$$server.zaddAsync('RunningWorkflowItemKeyList:OnboardDummy', Date.now() + 1000 * 60, workflowItemKey);
+
+        const { workflowItemKeyList } = await $dummyEngine.resumeAllOrphanedWorkflows();
+
+        await $datastore.$$server.zremAsync('RunningWorkflowItemKeyList:OnboardDummy', workflowItemKey);
+
+        chai.expect(workflowItemKeyList).to.have.length(0);
+      });
+
+    });
+
+    mocha.suite("Load testing", function () {
+      // NOTE: Test aren't satisfactory. There is a clear degradation as the number of request increase.
+      // 50, 100 or more requests made under a second is an unusual load, but the process needs to be optimized.
+
+      mocha.teardown(function () {
+        const { $datastore } = this;
+
+        return $datastore.removeItemByName('Dummy');
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $datastore } = this;
+
+        return $datastore.evaluateLUAScript(`return redis.call('INFO', 'Memory')`)
+          .then(console.log);
+      });
+
+      mocha.suite("Action publication", function () {
+        const requestCountList = [ 25, 50, 100, 500 ];
+
+        requestCountList
+          .forEach((requestCount) => {
+
+            mocha.test(`${requestCount} requests...`, function () {
+              const { $engine } = this;
+
+              return Promise.all(Array.apply(null, { length: requestCount })
+                .map(() => {
+                  const userID = uuid.v4();
+                  const $action = new NucleusAction('ExecuteSimpleDummy', {}, userID);
+
+                  return $engine.publishActionToQueueByName('Dummy', $action);
+                }));
+            });
+
+          });
+
+      });
+
+      mocha.suite("Full request loop", function () {
+        const requestCountList = [ 1, 25, 50, 100, 500 ];
+
+        // Before debounce
+        // 25 requests => 674ms
+        // 50 requests => 1325ms
+        // 100 requests => 2631ms
+        // 500 requests => 20338ms
+
+        // With 5ms debounce +20%
+        // 25 requests => 733ms
+        // 50 requests => 1394ms
+        // 100 requests => 2608ms
+        // 500 requests => 16156ms
+
+        // 500 requests => 13677ms
+
+        mocha.suiteSetup(function () {
+          const { $dummyEngine } = this;
+
+          return $dummyEngine.subscribeToActionQueueUpdate('Dummy');
+        });
+
+        requestCountList
+          .forEach((requestCount) => {
+
+            mocha.test(`${requestCount} requests...`, function () {
+              const { $engine } = this;
+
+              return Promise.all(Array.apply(null, { length: requestCount })
+                .map(async () => {
+                  const userID = uuid.v4();
+
+                  const { AID } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, userID);
+
+                  chai.expect(AID).to.be.a('string');
+                }));
+            });
+
+          });
+
+      });
+
+      mocha.suite("Full request loop with random execution time", function () {
+        const requestCountList = [ 1, 25, 50, 100, 500, 1000 ];
+
+        mocha.suiteSetup(function () {
+          const { $dummyEngine } = this;
+
+          return $dummyEngine.subscribeToActionQueueUpdate('Dummy');
+        });
+
+        requestCountList
+          .forEach((requestCount) => {
+
+            mocha.test(`${requestCount} requests...`, function () {
+              const { $engine } = this;
+
+              return Promise.all(Array.apply(null, { length: requestCount })
+                .map(async () => {
+                  const userID = uuid.v4();
+
+                  const { AID } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummyWithRandomExecutionTime', {}, userID);
+
+                  chai.expect(AID).to.be.a('string');
+                }));
+            });
+
+          });
+
+      });
+
+    });
+
+  });
+
+  mocha.suite.skip("Multi-instance engine environment", function () {
+
+    mocha.suiteSetup(async function () {
+      const { $$sandbox } = this;
+      const $$multiInstanceEnginePingEngineSpy = $$sandbox.spy();
+
+      class MultiInstanceEngine extends NucleusEngine {
+
+        constructor () {
           const $actionDatastore = new NucleusDatastore(
             `MultiInstanceActionDatastore`,
             {
@@ -835,6 +1867,174 @@ mocha.suite('Nucleus Engine', function () {
       $dummyEngine.unsubscribeFromEventChannelByName('ConfirmEnginePing');
     });
 
+    mocha.test("Durable event is handled once by every consumer group.", async function () {
+      const { $dummyEngine, $$sandbox } = this;
+      const $$dummyConsumerGroupSpy = $$sandbox.spy();
+      const $$otherConsumerGroupSpy = $$sandbox.spy();
+
+      const correlationID = uuid.v4();
+      const originUserID = uuid.v4();
+
+      await $dummyEngine.subscribeAndHandleEventStreamByChannelName('DurableDummyCreated', $$dummyConsumerGroupSpy);
+      await $dummyEngine.subscribeAndHandleEventStreamByChannelName('DurableDummyCreated', $$otherConsumerGroupSpy, { consumerGroupName: 'Other' });
+
+      await $dummyEngine.publishEventToChannelByName('DurableDummyCreated', new NucleusEvent('DurableDummyCreated', {}, { correlationID, originUserID }), { durable: true });
+
+      await Promise.delay(1000);
+
+      const [ pendingEventCount ] = await $dummyEngine.$eventDatastore.$$server.xpendingAsync('EventStream:DurableDummyCreated', 'Dummy');
+
+      chai.expect($$dummyConsumerGroupSpy.callCount).to.equal(1);
+      chai.expect($$dummyConsumerGroupSpy.firstCall.args[1]).to.equal('DurableDummyCreated');
+      chai.expect($$otherConsumerGroupSpy.callCount).to.equal(1);
+      chai.expect(pendingEventCount).to.equal(0);
+    });
+
+    mocha.test("Durable event that could not be handled is reclaimed.", async function () {
+      const { $dummyEngine, $$sandbox } = this;
+      const $$failingOnceSpy = $$sandbox.stub();
+      const { eventStreamPendingTimeout } = $dummyEngine;
+
+      const correlationID = uuid.v4();
+      const originUserID = uuid.v4();
+
+      $$failingOnceSpy.onFirstCall().rejects(new Error("Dummy error."));
+      $$failingOnceSpy.resolves();
+
+      $dummyEngine.eventStreamPendingTimeout = 100;
+
+      try {
+        await $dummyEngine.subscribeAndHandleEventStreamByChannelName('DurableDummyUpdated', $$failingOnceSpy);
+
+        await $dummyEngine.publishEventToChannelByName('DurableDummyUpdated', new NucleusEvent('DurableDummyUpdated', {}, { correlationID, originUserID }), { durable: true });
+
+        await Promise.delay(1000 * 2);
+
+        chai.expect($$failingOnceSpy.callCount).to.equal(2);
+      } finally {
+        $dummyEngine.eventStreamPendingTimeout = eventStreamPendingTimeout;
+      }
+    });
+
+    mocha.test("Published events are replayed in order from a point in time.", async function () {
+      const { $dummyEngine } = this;
+      const originUserID = uuid.v4();
+      const fromTimestamp = Date.now();
+
+      const $eventList = [ 'First', 'Second', 'Third' ]
+        .map((position) => new NucleusEvent('DummyReplayed', { position }, { originUserID }));
+
+      await Promise.each($eventList, ($event) => $dummyEngine.publishEventToChannelByName('DummyReplayed', $event));
+
+      const replayedEventList = [];
+
+      const { lastEventID, replayedEventCount } = await $dummyEngine.replayEventsByChannelName('DummyReplayed', ($event) => { replayedEventList.push($event); }, { fromTimestamp });
+
+      chai.expect(replayedEventCount).to.equal(3);
+      chai.expect(lastEventID).to.equal($eventList[2].ID);
+      chai.expect(replayedEventList.map(({ ID }) => ID)).to.deep.equal($eventList.map(({ ID }) => ID));
+      chai.expect(replayedEventList[0].message.position).to.equal('First');
+    });
+
+    mocha.test("Published events are replayed after a given event.", async function () {
+      const { $dummyEngine } = this;
+      const originUserID = uuid.v4();
+
+      const $eventList = [ 'First', 'Second', 'Third' ]
+        .map((position) => new NucleusEvent('DummyReplayedAfterEvent', { position }, { originUserID }));
+
+      await Promise.each($eventList, ($event) => $dummyEngine.publishEventToChannelByName('DummyReplayedAfterEvent', $event));
+
+      const replayedEventList = [];
+
+      await $dummyEngine.replayEventsByChannelName('DummyReplayedAfterEvent', ($event) => { replayedEventList.push($event); }, { fromEventID: $eventList[0].ID });
+
+      chai.expect(replayedEventList.map(({ ID }) => ID)).to.deep.equal([ $eventList[1].ID, $eventList[2].ID ]);
+    });
+
+    mocha.test("Replaying from an event that is not retained anymore is rejected.", function () {
+      const { $dummyEngine } = this;
+
+      return chai.expect($dummyEngine.replayEventsByChannelName('DummyReplayed', () => {}, { fromEventID: uuid.v1() }))
+        .to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+    });
+
+    mocha.test("Event pattern handler is executed only once with the matched channel name.", async function () {
+      const { $dummyEngine, $$sandbox } = this;
+      const $$enginePatternEventSpy = $$sandbox.spy();
+
+      const correlationID = uuid.v4();
+      const originUserID = uuid.v4();
+
+      $dummyEngine.subscribeAndHandleEventByChannelName('*EnginePing', $$enginePatternEventSpy);
+
+      $dummyEngine.publishActionByNameAndHandleResponse('PingEngine', {}, { correlationID, originUserID });
+
+      await Promise.delay(1000 * 2);
+
+      chai.expect($$enginePatternEventSpy.callCount).to.equal(1);
+      chai.expect($$enginePatternEventSpy.firstCall.args[1]).to.equal('ConfirmEnginePing');
+
+      $dummyEngine.unsubscribeFromEventChannelByName('*EnginePing');
+    });
+
+    mocha.test("Publishing an event that does not validate against its schema is rejected.", async function () {
+      const { $dummyEngine } = this;
+      const originUserID = uuid.v4();
+
+      await $dummyEngine.registerEventSchema('DummyValidated', { AID: 'string', count: 'number?' });
+
+      await $dummyEngine.publishEventToChannelByName('DummyValidated', new NucleusEvent('DummyValidated', { AID: uuid.v4() }, { originUserID }));
+
+      return chai.expect($dummyEngine.publishEventToChannelByName('DummyValidated', new NucleusEvent('DummyValidated', { AID: 42 }, { originUserID })))
+        .to.be.rejectedWith(nucleusValidator.StructError);
+    });
+
+    mocha.test("A subscriber that opted into the validation does not handle the events that do not validate.", async function () {
+      const { $dummyEngine, $$sandbox } = this;
+      const $$validatingHandlerSpy = $$sandbox.spy();
+      const $$handlerSpy = $$sandbox.spy();
+      const originUserID = uuid.v4();
+
+      await $dummyEngine.registerEventSchema('DummyValidatedOnReceive', { AID: 'string' });
+
+      $dummyEngine.subscribeAndHandleEventByChannelName('DummyValidatedOnReceive', $$validatingHandlerSpy, { validateEventMessage: true });
+      $dummyEngine.subscribeAndHandleEventByChannelName('DummyValidatedOnReceive', $$handlerSpy);
+
+      // The schema is changed after publishing to simulate a producer that is not up to date.
+      await $dummyEngine.registerEventSchema('DummyValidatedOnReceive', { AID: 'number' });
+      await $dummyEngine.publishEventToChannelByName('DummyValidatedOnReceive', new NucleusEvent('DummyValidatedOnReceive', { AID: 42 }, { originUserID }));
+      await $dummyEngine.registerEventSchema('DummyValidatedOnReceive', { AID: 'string' });
+
+      await Promise.delay(1000);
+
+      chai.expect($$validatingHandlerSpy.called).to.be.false;
+      chai.expect($$handlerSpy.calledOnce).to.be.true;
+
+      $dummyEngine.unsubscribeFromEventChannelByName('DummyValidatedOnReceive');
+    });
+
   });
 
-});
\ No newline at end of file
+});
+
+/**
+ * Generates a minimal abort controller; the engine accepts any signal that emits an "abort" event and the global
+ * `AbortController` is not available on every supported Node version.
+ *
+ * @returns {{ abort: Function, signal: EventEmitter }}
+ */
+function generateAbortController () {
+  const signal = new EventEmitter();
+  signal.aborted = false;
+
+  return {
+    abort () {
+      if (signal.aborted) return;
+
+      signal.aborted = true;
+      signal.emit('abort');
+    },
+    signal
+  };
+}
@@ -46,6 +46,14 @@ mocha.suite('Nucleus Event', function () {
 
   });
 
+  mocha.test("The event keeps the ID it is restored with.", function () {
+    const eventID = uuid.v1();
+
+    const $event = new NucleusEvent('DummyEvent', {}, { ID: eventID });
+
+    chai.expect($event.ID).to.equal(eventID);
+  });
+
   mocha.test("The event's meta is converted to a convenience string if forced to string.", function () {
     const eventName = 'DummyEvent';
     const eventMessage = { EID: uuid.v1() };
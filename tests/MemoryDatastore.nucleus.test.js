@@ -0,0 +1,972 @@
+"use strict";
+
+const Promise = require('bluebird');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const fs = require('fs');
+const mocha = require('mocha');
+const path = require('path');
+const uuid = require('uuid');
+const sinon = require('sinon');
+chai.use(chaiAsPromised);
+
+const NucleusAction = require('../library/Action.nucleus');
+const NucleusEngine = require('../library/Engine.nucleus');
+const NucleusEvent = require('../library/Event.nucleus');
+const NucleusMemoryDatastore = require('../library/MemoryDatastore.nucleus');
+const NucleusPublisherEngine = require('../library/PublisherEngine.nucleus');
+const NucleusResourceRelationshipDatastore = require('../library/ResourceRelationshipDatastore.nucleus');
+
+const fsReadFilePromisified = Promise.promisify(fs.readFile);
+
+const $logger = { debug () {}, error () {}, info () {}, warn () {} };
+
+mocha.suite("Nucleus Memory Datastore", function () {
+
+  // The suite has its own server so that it is not affected by the other in-memory datastores of the process.
+  mocha.suiteSetup(function () {
+    const $$memoryServer = NucleusMemoryDatastore.createServer();
+    const $datastore = new NucleusMemoryDatastore('Test', { $logger, $$memoryServer });
+
+    Object.defineProperty(this, '$$memoryServer', {
+      value: $$memoryServer,
+      writable: false
+    });
+    Object.defineProperty(this, '$datastore', {
+      value: $datastore,
+      writable: false
+    });
+
+    return $datastore;
+  });
+
+  mocha.teardown(function () {
+    const { $datastore } = this;
+
+    return $datastore.$$server.flushallAsync();
+  });
+
+  mocha.suiteTeardown(function () {
+    const { $datastore } = this;
+
+    return $datastore.destroy();
+  });
+
+  mocha.test("The datastore is of type `Memory`.", function () {
+    const { $datastore } = this;
+
+    chai.expect($datastore.type).to.equal('Memory');
+    chai.expect($datastore.duplicateConnection().type).to.equal('Memory');
+  });
+
+  mocha.suite("Data types", function () {
+
+    mocha.test("The items of a hash are added and retrieved.", async function () {
+      const { $datastore } = this;
+
+      const itemKey = `Item:${uuid.v1()}`;
+
+      await $datastore.addItemToHashFieldByName(itemKey, { ID: 'dummy', count: 1, list: [ 'A' ] });
+
+      chai.expect(await $datastore.retrieveItemFromHashFieldByName(itemKey, 'count')).to.equal(1);
+      chai.expect(await $datastore.retrieveAllItemsFromHashByName(itemKey)).to.deep.equal({ ID: 'dummy', count: 1, list: [ 'A' ] });
+      chai.expect(await $datastore.searchItemInHashByName(itemKey, 'list')).to.deep.equal({ list: [ 'A' ] });
+
+      await $datastore.removeItemFromFieldByName(itemKey, 'ID');
+
+      chai.expect(await $datastore.retrieveItemFromHashFieldByName(itemKey, 'ID', 'count')).to.deep.equal([ null, 1 ]);
+    });
+
+    mocha.test("The items of a list and of a set are added and retrieved.", async function () {
+      const { $datastore } = this;
+
+      await $datastore.addItemToListByName('DummyList', 'A');
+      await $datastore.addItemToListByName('DummyList', 'B');
+      await $datastore.addItemToSetByName('DummySet', 'A');
+      await $datastore.addItemToSetByName('DummySet', 'A');
+
+      chai.expect(await $datastore.$$server.lrangeAsync('DummyList', 0, -1)).to.deep.equal([ '"B"', '"A"' ]);
+      chai.expect(await $datastore.$$server.smembersAsync('DummySet')).to.deep.equal([ '"A"' ]);
+      chai.expect(await $datastore.itemIsMemberOfSet('DummySet', 'A')).to.deep.equal({ isMember: true });
+    });
+
+    mocha.test("The members of a sorted set are retrieved given a lexical range.", async function () {
+      const { $datastore } = this;
+
+      const subject = uuid.v1();
+      const object = uuid.v1();
+
+      await $datastore.addTripleToHexastore('ItemHexastore', subject, 'isMember', object);
+      await $datastore.addTripleToHexastore('ItemHexastore', subject, 'isOwner', uuid.v1());
+
+      const { relationshipList } = await $datastore.retrieveRelationshipListFromHexastore('ItemHexastore', subject, object);
+
+      chai.expect(relationshipList).to.deep.equal([ 'isMember' ]);
+      chai.expect(await $datastore.$$server.zrangebylexAsync('ItemHexastore', `[SPO:${subject}:`, `[SPO:${subject}:\xff`)).to.have.length(2);
+      chai.expect(await $datastore.$$server.zrangebylexAsync('ItemHexastore', '-', '+', 'LIMIT', 0, 3)).to.have.length(3);
+    });
+
+    mocha.test("Using a command on an item of another type throws an error.", function () {
+      const { $datastore } = this;
+
+      return chai.expect($datastore.createItem('DummyString', 'A').then(() => $datastore.$$server.lpushAsync('DummyString', 'B')))
+        .to.be.rejectedWith(/WRONGTYPE/);
+    });
+
+  });
+
+  mocha.suite("Expiration", function () {
+
+    mocha.test("An item expires once its TTL elapsed.", async function () {
+      const { $datastore } = this;
+
+      await $datastore.createItem('DummyExpiringItem', 'A');
+      await $datastore.$$server.pexpireAsync('DummyExpiringItem', 50);
+
+      chai.expect(await $datastore.verifyThatItemByNameExist('DummyExpiringItem')).to.be.true;
+
+      await Promise.delay(60);
+
+      chai.expect(await $datastore.verifyThatItemByNameExist('DummyExpiringItem')).to.be.false;
+    });
+
+    mocha.test("An item set only if it doesn't exist is not overwritten.", async function () {
+      const { $datastore } = this;
+
+      chai.expect(await $datastore.$$server.setAsync('DummyLock', 'A', 'NX', 'PX', 1000)).to.equal('OK');
+      chai.expect(await $datastore.$$server.setAsync('DummyLock', 'B', 'NX', 'PX', 1000)).to.be.null;
+      chai.expect(await $datastore.retrieveItemByName('DummyLock')).to.equal('A');
+    });
+
+  });
+
+  mocha.suite("Transactions", function () {
+
+    mocha.test("The commands of a transaction are executed in order and their replies are returned.", async function () {
+      const { $datastore } = this;
+
+      const replyList = await $datastore.$$server.multi()
+        .hmset('DummyHash', 'A', 'a', 'B', 'b')
+        .lpush('DummyList', 'A')
+        .hgetall('DummyHash')
+        .lpush('DummyHash', 'A')
+        .execAsync();
+
+      chai.expect(replyList.slice(0, 3)).to.deep.equal([ 'OK', 1, { A: 'a', B: 'b' } ]);
+      chai.expect(replyList[3]).to.be.an.instanceOf(Error);
+    });
+
+  });
+
+  mocha.suite("Blocking commands", function () {
+
+    mocha.test("The item is returned once another client pushes to the list.", function () {
+      const { $datastore } = this;
+      const $handlerDatastore = $datastore.duplicateConnection();
+      const listName = 'DummyList';
+
+      setTimeout($datastore.addItemToListByName, 10, listName, uuid.v1());
+
+      return $handlerDatastore.retrieveItemFromListDeferred(listName)
+        .then((item) => {
+          chai.expect(item).to.be.a('string');
+        })
+        .finally($handlerDatastore.destroy);
+    });
+
+  });
+
+  mocha.suite("Pub/Sub", function () {
+
+    mocha.setup(function () {
+      const { $datastore } = this;
+
+      Object.defineProperty(this, '$subscriberDatastore', {
+        configurable: true,
+        value: $datastore.duplicateConnection(),
+        writable: false
+      });
+    });
+
+    mocha.teardown(function () {
+      const { $subscriberDatastore } = this;
+
+      Reflect.deleteProperty(this, '$subscriberDatastore');
+
+      return $subscriberDatastore.destroy();
+    });
+
+    mocha.test("The handler callbacks of a channel pattern are executed with the matched channel name.", async function () {
+      const { $datastore, $subscriberDatastore } = this;
+
+      const $$spy = sinon.spy(() => Promise.resolve());
+
+      await $subscriberDatastore.handleEventByChannelName('Dummy*', $$spy);
+      await $subscriberDatastore.subscribeToChannelName('Dummy*');
+      await $datastore.$$server.publishAsync('DummyCreated', JSON.stringify(new NucleusEvent('DummyCreated', {})));
+
+      await Promise.delay(10);
+
+      chai.expect($$spy.calledOnce).to.be.true;
+      chai.expect($$spy.firstCall.args[0]).to.be.an.instanceOf(NucleusEvent);
+      chai.expect($$spy.firstCall.args[1]).to.equal('DummyCreated');
+    });
+
+    mocha.test("A keyspace notification is published when an item is updated.", async function () {
+      const { $datastore, $subscriberDatastore } = this;
+
+      const channelName = `__keyspace@${$datastore.index}__:DummyHash`;
+      const $$spy = sinon.spy(() => Promise.resolve());
+
+      await $subscriberDatastore.handleEventByChannelName(channelName, $$spy);
+      await $subscriberDatastore.subscribeToChannelName(channelName);
+      await $datastore.addItemToHashFieldByName('DummyHash', 'A', 'a');
+      await $datastore.removeItemByName('DummyHash');
+
+      await Promise.delay(10);
+
+      chai.expect($$spy.args).to.deep.equal([ [ channelName, 'hset' ], [ channelName, 'del' ] ]);
+    });
+
+    mocha.test("The channels are subscribed to again once the connection is restored.", async function () {
+      const { $datastore, $subscriberDatastore } = this;
+
+      const $$spy = sinon.spy(() => Promise.resolve());
+      const $$readySpy = sinon.spy();
+
+      await $subscriberDatastore.handleEventByChannelName('DummyCreated', $$spy);
+      await $subscriberDatastore.subscribeToChannelName('DummyCreated');
+
+      chai.expect($subscriberDatastore.connectionStatus).to.equal(NucleusMemoryDatastore.ReadyConnectionStatus);
+
+      // The connection is lost along with its subscriptions.
+      $subscriberDatastore.on('ready', $$readySpy);
+      $subscriberDatastore.$$server.emit('end');
+      $subscriberDatastore.$$server.emit('reconnecting', { attempt: 1, delay: 100 });
+      await $subscriberDatastore.$$server.unsubscribeAsync('DummyCreated');
+
+      chai.expect($subscriberDatastore.connectionStatus).to.equal(NucleusMemoryDatastore.ReconnectingConnectionStatus);
+
+      $subscriberDatastore.$$server.emit('ready');
+
+      await Promise.delay(10);
+
+      chai.expect($subscriberDatastore.connectionStatus).to.equal(NucleusMemoryDatastore.ReadyConnectionStatus);
+      chai.expect($$readySpy.calledOnceWith({ connectionWasRestored: true })).to.be.true;
+
+      await $datastore.$$server.publishAsync('DummyCreated', JSON.stringify(new NucleusEvent('DummyCreated', {})));
+
+      await Promise.delay(10);
+
+      chai.expect($$spy.calledOnce).to.be.true;
+    });
+
+    mocha.test("The handler callbacks of a channel are removed once it is unsubscribed.", async function () {
+      const { $subscriberDatastore } = this;
+
+      await $subscriberDatastore.handleEventByChannelName('DummyCreated', () => Promise.resolve());
+      await $subscriberDatastore.handleEventByChannelName('DummyUpdated', () => Promise.resolve());
+      await $subscriberDatastore.subscribeToChannelNameList([ 'DummyCreated', 'DummyUpdated' ]);
+
+      await $subscriberDatastore.unsubscribeFromChannelName('DummyCreated');
+
+      chai.expect($subscriberDatastore.$$handlerCallbackListByChannelName).to.have.all.keys('DummyUpdated');
+
+      await $subscriberDatastore.unsubscribeFromChannelNameList([ 'DummyUpdated' ]);
+
+      chai.expect($subscriberDatastore.$$handlerCallbackListByChannelName).to.be.empty;
+    });
+
+    mocha.test("The first connection is retried up to the maximum number of connection retries.", function () {
+      const $datastore = new NucleusMemoryDatastore('Dummy', { $logger, $$memoryServer: this.$$memoryServer, maximumConnectionRetryCount: 2 });
+
+      chai.expect($datastore.retryConnection({ attempt: 1, times_connected: 0 })).to.equal(100);
+      chai.expect($datastore.retryConnection({ attempt: 2, times_connected: 0 })).to.equal(200);
+      chai.expect($datastore.retryConnection({ attempt: 3, times_connected: 0 })).to.be.undefined;
+      chai.expect($datastore.connectionStatus).to.equal(NucleusMemoryDatastore.ClosedConnectionStatus);
+
+      return $datastore.destroy();
+    });
+
+  });
+
+  mocha.suite("Scripts", function () {
+
+    mocha.test("A registered script is evaluated by its equivalent.", async function () {
+      const { $datastore } = this;
+
+      const handleEventQueuingScript = await fsReadFilePromisified(path.join(__dirname, '../library/lua/handleEventQueuing.lua'), 'UTF8');
+
+      await $datastore.registerScriptByName('HandleEventQueuing', handleEventQueuingScript);
+
+      const timestamp = Date.now();
+
+      chai.expect(await $datastore.evaluateLUAScriptByName('HandleEventQueuing', 'HandledEventItemKeyList', timestamp, timestamp + 1000, 'DummyEvent')).to.deep.equal([ null ]);
+      chai.expect(await $datastore.evaluateLUAScriptByName('HandleEventQueuing', 'HandledEventItemKeyList', timestamp, timestamp + 1000, 'DummyEvent')).to.deep.equal([ 1, 0 ]);
+    });
+
+    mocha.test("Evaluating a script without equivalent throws an error.", function () {
+      const { $datastore } = this;
+
+      return chai.expect($datastore.evaluateLUAScript(`return redis.call('TIME');`)).to.be.rejectedWith(/no equivalent/);
+    });
+
+    mocha.test("The ancestors of a node are retrieved through the relationship scripts.", async function () {
+      const { $datastore } = this;
+
+      const $resourceRelationshipDatastore = new NucleusResourceRelationshipDatastore($datastore);
+      const userNode = { type: 'User', ID: uuid.v4() };
+      const groupNode = { type: 'Group', ID: uuid.v4() };
+      const organizationNode = { type: 'Organization', ID: uuid.v4() };
+
+      await $resourceRelationshipDatastore;
+      await $resourceRelationshipDatastore.createRelationshipBetweenSubjectAndObject(userNode, 'is-member-of', groupNode);
+      await $resourceRelationshipDatastore.createRelationshipBetweenSubjectAndObject(groupNode, 'is-member-of', organizationNode);
+
+      chai.expect(await $resourceRelationshipDatastore.retrieveAllAncestorsForNode(userNode)).to.deep.equal([ groupNode, organizationNode ]);
+      chai.expect(await $resourceRelationshipDatastore.retrieveAllChildrenForNode(groupNode)).to.deep.equal([ userNode ]);
+
+      await $resourceRelationshipDatastore.removeRelationshipBetweenSubjectAndObject(`Group-${groupNode.ID}`, 'is-member-of', `Organization-${organizationNode.ID}`);
+
+      chai.expect(await $resourceRelationshipDatastore.retrieveAllAncestorsForNode(userNode)).to.deep.equal([ groupNode ]);
+    });
+
+  });
+
+  mocha.suite("Namespaces", function () {
+
+    mocha.suiteSetup(function () {
+      const { $$memoryServer } = this;
+      const $namespacedDatastore = new NucleusMemoryDatastore('NamespacedTest', { $logger, $$memoryServer, namespace: 'ApplicationA' });
+      const $otherNamespacedDatastore = new NucleusMemoryDatastore('OtherNamespacedTest', { $logger, $$memoryServer, namespace: 'ApplicationB' });
+
+      Reflect.defineProperty(this, '$namespacedDatastore', {
+        value: $namespacedDatastore,
+        writable: false
+      });
+      Reflect.defineProperty(this, '$otherNamespacedDatastore', {
+        value: $otherNamespacedDatastore,
+        writable: false
+      });
+
+      return Promise.all([ $namespacedDatastore, $otherNamespacedDatastore ]);
+    });
+
+    mocha.suiteTeardown(function () {
+      const { $namespacedDatastore, $otherNamespacedDatastore } = this;
+
+      return Promise.all([ $namespacedDatastore.destroy(), $otherNamespacedDatastore.destroy() ]);
+    });
+
+    mocha.test("The namespace must be a non-empty string.", function () {
+
+      chai.expect(() => new NucleusMemoryDatastore('NamespacedTest', { $logger, namespace: '' })).to.throw(/namespace/);
+    });
+
+    mocha.test("The keys of a namespace are prefixed and don't collide with the keys of another namespace.", async function () {
+      const { $datastore, $namespacedDatastore, $otherNamespacedDatastore } = this;
+
+      await $namespacedDatastore.addItemToHashFieldByName('Item', 'dummy', 'A');
+      await $otherNamespacedDatastore.addItemToHashFieldByName('Item', 'dummy', 'B');
+
+      chai.expect(await $namespacedDatastore.retrieveItemFromHashFieldByName('Item', 'dummy')).to.equal('A');
+      chai.expect(await $otherNamespacedDatastore.retrieveItemFromHashFieldByName('Item', 'dummy')).to.equal('B');
+      chai.expect((await $datastore.$$server.keysAsync('*')).sort()).to.deep.equal([ 'ApplicationA:Item', 'ApplicationB:Item' ]);
+      chai.expect(await $namespacedDatastore.$$server.keysAsync('*')).to.deep.equal([ 'Item' ]);
+      chai.expect(await $namespacedDatastore.$$server.multi().lpush('List', 'dummy').brpop('List', 1).execAsync()).to.deep.equal([ 1, [ 'List', 'dummy' ] ]);
+    });
+
+    mocha.test("Only the keyspace notifications and the messages of the namespace are handled.", async function () {
+      const { $namespacedDatastore, $otherNamespacedDatastore } = this;
+
+      const $handlerDatastore = $namespacedDatastore.duplicateConnection();
+      const spy = sinon.spy();
+
+      await $handlerDatastore;
+      await $handlerDatastore.handleEventByChannelName('__keyspace@0__:Item', spy);
+      await $handlerDatastore.handleEventByChannelName('Dummy', spy);
+      await $handlerDatastore.subscribeToChannelNameList([ '__keyspace@0__:Item', 'Dummy' ]);
+
+      await $otherNamespacedDatastore.addItemToHashFieldByName('Item', 'dummy', 'B');
+      await $otherNamespacedDatastore.$$server.publishAsync('Dummy', JSON.stringify(new NucleusEvent('DummyEvent', {})));
+      await $namespacedDatastore.addItemToHashFieldByName('Item', 'dummy', 'A');
+      await $namespacedDatastore.$$server.publishAsync('Dummy', JSON.stringify(new NucleusEvent('DummyEvent', {})));
+
+      await Promise.delay(50);
+
+      chai.expect(spy.callCount).to.equal(2);
+      chai.expect(spy.firstCall.args).to.deep.equal([ '__keyspace@0__:Item', 'hset' ]);
+      chai.expect(spy.secondCall.args[0]).to.be.an.instanceOf(NucleusEvent);
+      chai.expect(spy.secondCall.args[1]).to.equal('Dummy');
+
+      await $handlerDatastore.destroy();
+    });
+
+    mocha.test("The scripts use the keys of the namespace.", async function () {
+      const { $datastore, $namespacedDatastore } = this;
+
+      const $resourceRelationshipDatastore = new NucleusResourceRelationshipDatastore($namespacedDatastore);
+      const userNode = { type: 'User', ID: uuid.v4() };
+      const groupNode = { type: 'Group', ID: uuid.v4() };
+
+      await $resourceRelationshipDatastore;
+      await $resourceRelationshipDatastore.createRelationshipBetweenSubjectAndObject(userNode, 'is-member-of', groupNode);
+
+      chai.expect(await $resourceRelationshipDatastore.retrieveAllAncestorsForNode(userNode)).to.deep.equal([ groupNode ]);
+      chai.expect(await $datastore.$$server.keysAsync('*')).to.satisfy((itemKeyList) => itemKeyList.length > 0 && itemKeyList.every((itemKey) => itemKey.startsWith('ApplicationA:')));
+    });
+
+    mocha.test("An engine runs within a namespace.", async function () {
+      const { $$memoryServer } = this;
+      const $engine = new NucleusEngine('NamespacedMemoryDummy', {
+        $actionDatastore: new NucleusMemoryDatastore('Action', { $logger, $$memoryServer, namespace: 'ApplicationA' }),
+        $engineDatastore: new NucleusMemoryDatastore('Engine', { $logger, $$memoryServer, namespace: 'ApplicationA' }),
+        $eventDatastore: new NucleusMemoryDatastore('Event', { $logger, $$memoryServer, namespace: 'ApplicationA' }),
+        $logger,
+        automaticallyRetrievePendingActions: true,
+        engineHeartbeatInterval: 0,
+        scheduledActionPollingInterval: 0
+      });
+      const AID = uuid.v4();
+
+      $engine.executeSimpleDummy = (AID) => Promise.resolve({ AID });
+
+      await $engine;
+      await $engine.storeActionConfiguration({
+        actionName: 'ExecuteSimpleDummy',
+        actionSignature: [ 'AID' ],
+        argumentConfigurationByArgumentName: {
+          AID: 'string'
+        },
+        contextName: 'Self',
+        methodName: 'executeSimpleDummy'
+      });
+
+      try {
+        chai.expect(await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { AID }, { originUserID: uuid.v4() })).to.deep.equal({ AID });
+        chai.expect(await this.$datastore.$$server.keysAsync('*')).to.satisfy((itemKeyList) => itemKeyList.every((itemKey) => itemKey.startsWith('ApplicationA:')));
+      } finally {
+        await $engine.destroy();
+      }
+    });
+
+  });
+
+  mocha.suite("Tenants", function () {
+
+    mocha.test("The tenant ID must be a non-empty string.", function () {
+      const { $datastore } = this;
+
+      chai.expect(() => $datastore.scopeToTenant('')).to.throw(/tenant/);
+    });
+
+    mocha.test("The items of a tenant are prefixed and the datastore is scoped once per tenant.", async function () {
+      const { $datastore } = this;
+
+      const $tenantDatastore = $datastore.scopeToTenant('Acme');
+
+      chai.expect($datastore.scopeToTenant('Acme')).to.equal($tenantDatastore);
+
+      await $tenantDatastore.addItemToHashFieldByName('Item', 'dummy', 'A');
+      await $datastore.scopeToTenant('Globex').addItemToHashFieldByName('Item', 'dummy', 'B');
+
+      chai.expect(await $tenantDatastore.retrieveItemFromHashFieldByName('Item', 'dummy')).to.equal('A');
+      chai.expect((await $datastore.$$server.keysAsync('*')).sort()).to.deep.equal([ 'Tenant:Acme:Item', 'Tenant:Globex:Item' ]);
+
+      await $tenantDatastore.destroy();
+
+      // The connection is shared with the datastore.
+      chai.expect(await $tenantDatastore.retrieveItemFromHashFieldByName('Item', 'dummy')).to.equal('A');
+    });
+
+    mocha.test("The relationships and the hierarchy of a tenant are scoped.", async function () {
+      const { $datastore } = this;
+
+      const $resourceRelationshipDatastore = new NucleusResourceRelationshipDatastore($datastore.scopeToTenant('Acme'));
+      const $otherResourceRelationshipDatastore = new NucleusResourceRelationshipDatastore($datastore.scopeToTenant('Globex'));
+      const userNode = { type: 'User', ID: uuid.v4() };
+      const groupNode = { type: 'Group', ID: uuid.v4() };
+
+      await Promise.all([ $resourceRelationshipDatastore, $otherResourceRelationshipDatastore ]);
+      await $resourceRelationshipDatastore.createRelationshipBetweenSubjectAndObject(userNode, 'is-member-of', groupNode);
+
+      chai.expect(await $resourceRelationshipDatastore.retrieveAllAncestorsForNode(userNode)).to.deep.equal([ groupNode ]);
+      chai.expect(await $otherResourceRelationshipDatastore.retrieveAllAncestorsForNode(userNode)).to.deep.equal([]);
+      chai.expect(await $datastore.$$server.keysAsync('*')).to.include('Tenant:Acme:ResourceRelationship');
+    });
+
+    mocha.test("The items of a tenant are exported and removed without affecting the other tenants.", async function () {
+      const { $datastore } = this;
+
+      const $tenantDatastore = $datastore.scopeToTenant('Acme');
+      const $otherTenantDatastore = $datastore.scopeToTenant('Globex');
+
+      await $tenantDatastore.addItemToHashFieldByName('Hash', 'dummy', 'A');
+      await $tenantDatastore.addItemToListByName('List', 'A');
+      await $tenantDatastore.addItemToSetByName('Set', 'A');
+      await $tenantDatastore.createItem('String', 'A');
+      await $otherTenantDatastore.createItem('String', 'B');
+
+      const itemList = await $tenantDatastore.exportAllItems();
+
+      chai.expect(itemList.sort((itemA, itemB) => itemA.itemKey.localeCompare(itemB.itemKey))).to.deep.equal([
+        { item: { dummy: '"A"' }, itemKey: 'Hash', itemType: 'hash' },
+        { item: [ '"A"' ], itemKey: 'List', itemType: 'list' },
+        { item: [ '"A"' ], itemKey: 'Set', itemType: 'set' },
+        { item: '"A"', itemKey: 'String', itemType: 'string' }
+      ]);
+
+      chai.expect(await $tenantDatastore.removeAllItems()).to.equal(4);
+      chai.expect(await $datastore.$$server.keysAsync('*')).to.deep.equal([ 'Tenant:Globex:String' ]);
+    });
+
+    mocha.test("A tenant ID that could match the keys of another tenant is rejected.", function () {
+      const { $datastore } = this;
+
+      [ 'Acme:Sub', 'Acme*', 'Acme?', 'Acme[a]', 'Acme\\', '{Acme}' ]
+        .forEach((tenantID) => chai.expect(() => $datastore.scopeToTenant(tenantID), tenantID).to.throw(/tenant ID/));
+    });
+
+    mocha.test("The items of overlapping tenants are exported and removed separately.", async function () {
+      const { $datastore } = this;
+
+      const $tenantDatastore = $datastore.scopeToTenant('Acme');
+      const $overlappingTenantDatastore = $datastore.scopeToTenant('AcmeSub');
+
+      await $tenantDatastore.createItem('X', 'A');
+      await $overlappingTenantDatastore.createItem('Y', 'B');
+
+      chai.expect((await $tenantDatastore.exportAllItems()).map(({ itemKey }) => itemKey)).to.deep.equal([ 'X' ]);
+      chai.expect(await $tenantDatastore.removeAllItems()).to.equal(1);
+      chai.expect(await $datastore.$$server.keysAsync('*')).to.deep.equal([ 'Tenant:AcmeSub:Y' ]);
+      chai.expect((await $overlappingTenantDatastore.exportAllItems()).map(({ itemKey }) => itemKey)).to.deep.equal([ 'Y' ]);
+    });
+
+    mocha.test("An engine executes the action of a tenant with the resource datastores of the tenant.", async function () {
+      const { $$memoryServer } = this;
+      const $engine = new NucleusEngine('TenantMemoryDummy', {
+        $actionDatastore: new NucleusMemoryDatastore('Action', { $logger, $$memoryServer }),
+        $engineDatastore: new NucleusMemoryDatastore('Engine', { $logger, $$memoryServer }),
+        $eventDatastore: new NucleusMemoryDatastore('Event', { $logger, $$memoryServer }),
+        $logger,
+        automaticallyManageResourceRelationship: true,
+        automaticallyRetrievePendingActions: true,
+        engineHeartbeatInterval: 0,
+        scheduledActionPollingInterval: 0
+      });
+      const dummyAPIFilePath = path.join(__dirname, './autodiscoveryTestAssets/Dummy.api.js');
+      const extendResourceSpy = sinon.spy(async function () {
+        await this.$resourceDatastore.createItem('Dummy', 'A');
+
+        return {};
+      });
+
+      sinon.replace(require(dummyAPIFilePath), 'extendResource', extendResourceSpy);
+
+      await $engine;
+      await $engine.storeActionConfiguration({
+        actionName: 'ExtendResource',
+        actionSignature: [ 'AID1', 'AID2', 'AID3' ],
+        argumentConfigurationByArgumentName: {
+          AID1: 'string',
+          AID2: 'string',
+          AID3: 'string'
+        },
+        contextName: 'DummyAPI',
+        filePath: dummyAPIFilePath,
+        methodName: 'extendResource'
+      });
+
+      try {
+        await $engine.publishActionByNameAndHandleResponse('ExtendResource', { AID1: uuid.v4(), AID2: uuid.v4(), AID3: uuid.v4() }, { originUserID: uuid.v4(), tenantID: 'Acme' });
+
+        const { $resourceDatastore, $resourceRelationshipDatastore } = extendResourceSpy.firstCall.thisValue;
+
+        chai.expect($resourceDatastore.tenantID).to.equal('Acme');
+        chai.expect($resourceRelationshipDatastore.$datastore.tenantID).to.equal('Acme');
+        chai.expect(await $engine.$resourceDatastore.retrieveItemByName('Dummy')).to.be.null;
+
+        const { itemList } = await $engine.exportAllResourcesForTenant('Acme');
+
+        chai.expect(itemList.map(({ itemKey }) => itemKey)).to.include('Dummy');
+        chai.expect((await $engine.removeAllResourcesForTenant('Acme')).removedItemCount).to.equal(itemList.length);
+        chai.expect((await $engine.exportAllResourcesForTenant('Acme')).itemList).to.deep.equal([]);
+      } finally {
+        sinon.restore();
+
+        await $engine.destroy();
+      }
+    });
+
+  });
+
+  mocha.suite("Engine", function () {
+
+    // The engine has its own server so that its configuration is not flushed after every test.
+    mocha.suiteSetup(function () {
+      const $$memoryServer = NucleusMemoryDatastore.createServer();
+      const $engine = new NucleusEngine('MemoryDummy', {
+        $actionDatastore: new NucleusMemoryDatastore('Action', { $logger, $$memoryServer }),
+        $engineDatastore: new NucleusMemoryDatastore('Engine', { $logger, $$memoryServer }),
+        $eventDatastore: new NucleusMemoryDatastore('Event', { $logger, $$memoryServer }),
+        $logger,
+        automaticallyRetrievePendingActions: true,
+        engineHeartbeatInterval: 0,
+        scheduledActionPollingInterval: 0
+      });
+
+      $engine.executeSimpleDummy = (AID) => Promise.resolve({ AID });
+
+      Reflect.defineProperty(this, '$engine', {
+        value: $engine,
+        writable: false
+      });
+
+      return $engine;
+    });
+
+    mocha.suiteSetup(function () {
+      const { $engine } = this;
+
+      return $engine.storeActionConfiguration({
+        actionName: 'ExecuteSimpleDummy',
+        actionSignature: [ 'AID' ],
+        argumentConfigurationByArgumentName: {
+          AID: 'string'
+        },
+        contextName: 'Self',
+        methodName: 'executeSimpleDummy'
+      });
+    });
+
+    mocha.suiteTeardown(function () {
+      const { $engine } = this;
+
+      return $engine.destroy();
+    });
+
+    mocha.test("An action is published, executed and its response is handled without Redis.", async function () {
+      const { $engine } = this;
+
+      const AID = uuid.v4();
+
+      chai.expect(await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { AID }, { originUserID: uuid.v4() })).to.deep.equal({ AID });
+    });
+
+    mocha.test("The actions published by two users with the same idempotency key are both executed.", async function () {
+      const { $engine } = this;
+
+      const idempotencyKey = uuid.v4();
+
+      // A duplicate would get the response of the original action.
+      const [ firstActionResponse, secondActionResponse ] = await Promise.all([
+        $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { AID: 'A' }, { idempotencyKey, originUserID: uuid.v4() }),
+        $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { AID: 'B' }, { idempotencyKey, originUserID: uuid.v4() })
+      ]);
+
+      chai.expect(firstActionResponse).to.deep.equal({ AID: 'A' });
+      chai.expect(secondActionResponse).to.deep.equal({ AID: 'B' });
+    });
+
+    mocha.test("An action cancelled while it is published is not queued.", async function () {
+      const { $engine } = this;
+
+      const $action = new NucleusAction('ExecuteSimpleDummy', { AID: uuid.v4() }, { originUserID: uuid.v4() });
+      const actionItemKey = $engine.generateActionItemKey($action.generateOwnItemKey());
+
+      await $engine.$actionDatastore.addItemToSetByName($engine.generateActionItemKey('ActionQueueNameSet'), 'MemoryDummy');
+
+      // The action is cancelled, ie: by its publisher's signal, after it was checked but before it is queued.
+      await $engine.cancelAction($action);
+      $action.updateStatus(NucleusAction.PendingActionStatus);
+
+      await chai.expect($engine.publishActionToQueueByName('MemoryDummy', $action)).to.be.rejectedWith(/cancelled/);
+      chai.expect(await $engine.$actionDatastore.$$server.hgetAsync(actionItemKey, 'status')).to.equal(NucleusAction.CancelledActionStatus);
+      chai.expect(await $engine.$actionDatastore.$$server.llenAsync('MemoryDummy')).to.equal(0);
+    });
+
+    mocha.test("An action that is being executed is not cancelled.", async function () {
+      const { $engine } = this;
+
+      const $action = new NucleusAction('ExecuteSimpleDummy', { AID: uuid.v4() }, { originUserID: uuid.v4() });
+      const actionItemKey = $engine.generateActionItemKey($action.generateOwnItemKey());
+
+      // The action was picked up by another engine since it was published.
+      await $engine.$actionDatastore.$$server.hmsetAsync(actionItemKey, 'ID', $action.ID, 'status', NucleusAction.ProcessingActionStatus);
+
+      const { actionRemovedFromQueue } = await $engine.cancelAction($action);
+
+      chai.expect(actionRemovedFromQueue).to.be.false;
+      chai.expect($action.status).to.equal(NucleusAction.ProcessingActionStatus);
+      chai.expect(await $engine.$actionDatastore.$$server.hgetAsync(actionItemKey, 'status')).to.equal(NucleusAction.ProcessingActionStatus);
+    });
+
+    mocha.test("The Redis configuration is only verified for the action transport of the engine.", async function () {
+      const { $engine } = this;
+
+      // An engine using the reply channel transport would still have to verify the keyspace notifications.
+      chai.expect(await $engine.$actionDatastore.$$server.existsAsync(`RedisConnectionVerified:${NucleusEngine.KeyspaceNotificationActionTransport}`)).to.equal(1);
+      chai.expect(await $engine.$actionDatastore.$$server.existsAsync(`RedisConnectionVerified:${NucleusEngine.ReplyChannelActionTransport}`)).to.equal(0);
+    });
+
+    mocha.test("The engine never executes more actions than its limit when the pending actions are retrieved at once.", async function () {
+      const { $engine } = this;
+
+      let executingActionCount = 0;
+      let maximumExecutingActionCount = 0;
+
+      const $$executeActionStub = sinon.stub($engine, 'executeAction').callsFake(async () => {
+        maximumExecutingActionCount = Math.max(maximumExecutingActionCount, ++executingActionCount);
+
+        await Promise.delay(50);
+
+        executingActionCount--;
+      });
+
+      $engine.maxConcurrentActions = 2;
+
+      try {
+        await $engine.$actionDatastore.addItemToSetByName($engine.generateActionItemKey('ActionQueueNameSet'), 'MemoryConcurrencyDummy');
+
+        // The action queue is not watched by the engine, the actions are all pending before it starts retrieving them.
+        await Promise.each(Array.apply(null, { length: 5 }), () => $engine.publishActionToQueueByName('MemoryConcurrencyDummy', new NucleusAction('ExecuteSimpleDummy', { AID: uuid.v4() })));
+
+        // Every action queue update notification triggers a retrieval.
+        Array.apply(null, { length: 5 }).forEach(() => $engine.retrievePendingAction('MemoryConcurrencyDummy'));
+
+        await Promise.delay(400);
+
+        chai.expect($$executeActionStub.callCount).to.equal(5);
+        chai.expect(maximumExecutingActionCount).to.equal(2);
+        chai.expect($engine.inFlightActionCount).to.equal(0);
+      } finally {
+        $$executeActionStub.restore();
+        $engine.maxConcurrentActions = 0;
+      }
+    });
+
+    mocha.test("The health status reports the connection status of every datastore.", function () {
+      const { $engine } = this;
+
+      const { connectionStatusByDatastoreName, isDraining, isHealthy } = $engine.retrieveHealthStatus();
+
+      chai.expect(connectionStatusByDatastoreName).to.include({
+        Action: NucleusMemoryDatastore.ReadyConnectionStatus,
+        Engine: NucleusMemoryDatastore.ReadyConnectionStatus,
+        Event: NucleusMemoryDatastore.ReadyConnectionStatus,
+        EventSubscriber: NucleusMemoryDatastore.ReadyConnectionStatus
+      });
+      chai.expect(isDraining).to.be.false;
+      chai.expect(isHealthy).to.be.true;
+    });
+
+    mocha.test("The error of an event handler callback is logged with the channel name and the event ID.", async function () {
+      const { $engine } = this;
+
+      const $event = new NucleusEvent('DummyFailed', {}, { originUserID: uuid.v4() });
+      const $$errorSpy = sinon.spy($logger, 'error');
+      const $$handlerCallbackSpy = sinon.spy(() => {
+        throw new Error("The handler failed.");
+      });
+
+      try {
+        $engine.subscribeAndHandleEventByChannelName('DummyFailed', $$handlerCallbackSpy);
+
+        await Promise.delay(10);
+        await $engine.publishEventToChannelByName('DummyFailed', $event);
+        await Promise.delay(50);
+
+        const [ errorMessage, errorContext ] = $$errorSpy.lastCall.args;
+
+        chai.expect($$handlerCallbackSpy.calledOnce).to.be.true;
+        chai.expect(errorMessage).to.match(/could not be handled: Error: The handler failed\./);
+        chai.expect(errorContext).to.include({ channelName: 'DummyFailed', eventID: $event.ID });
+      } finally {
+        $$errorSpy.restore();
+      }
+    });
+
+    mocha.test("An action slower than the drain timeout is not requeued and completes once.", async function () {
+      const $$memoryServer = NucleusMemoryDatastore.createServer();
+      const $engine = new NucleusEngine('DrainedMemoryDummy', {
+        $actionDatastore: new NucleusMemoryDatastore('Action', { $logger, $$memoryServer }),
+        $engineDatastore: new NucleusMemoryDatastore('Engine', { $logger, $$memoryServer }),
+        $eventDatastore: new NucleusMemoryDatastore('Event', { $logger, $$memoryServer }),
+        $logger,
+        automaticallyRetrievePendingActions: true,
+        engineHeartbeatInterval: 0,
+        scheduledActionPollingInterval: 0
+      });
+      const AID = uuid.v4();
+
+      let executionCount = 0;
+
+      $engine.executeSlowDummy = async (AID) => {
+        executionCount++;
+
+        await Promise.delay(200);
+
+        return { AID };
+      };
+
+      await $engine;
+      await $engine.storeActionConfiguration({
+        actionName: 'ExecuteSlowDummy',
+        actionSignature: [ 'AID' ],
+        argumentConfigurationByArgumentName: {
+          AID: 'string'
+        },
+        contextName: 'Self',
+        methodName: 'executeSlowDummy'
+      });
+
+      try {
+        const $$actionResponsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteSlowDummy', { AID }, { originUserID: uuid.v4() });
+
+        await Promise.delay(50);
+
+        const { requeuedActionCount, unfinishedActionCount } = await $engine.drain({ timeout: 50 });
+
+        chai.expect(requeuedActionCount).to.equal(0);
+        chai.expect(unfinishedActionCount).to.equal(1);
+        chai.expect(await $engine.$actionDatastore.$$server.llenAsync('DrainedMemoryDummy')).to.equal(0);
+
+        chai.expect(await $$actionResponsePromise).to.deep.equal({ AID });
+        chai.expect(executionCount).to.equal(1);
+        chai.expect(await $engine.$actionDatastore.$$server.llenAsync($engine.actionProcessingListItemKey)).to.equal(0);
+      } finally {
+        await $engine.destroy();
+      }
+    });
+
+    mocha.test("An action published by a publisher engine is executed and its response is handled.", async function () {
+      const $$memoryServer = NucleusMemoryDatastore.createServer();
+      const $publisherEngine = new NucleusPublisherEngine('MemoryPublisher', {
+        $actionDatastore: new NucleusMemoryDatastore('Action', { $logger, $$memoryServer }),
+        $logger
+      });
+
+      // The publisher is ready before any engine registered the scripts.
+      await $publisherEngine;
+
+      const $engine = new NucleusEngine('PublishedMemoryDummy', {
+        $actionDatastore: new NucleusMemoryDatastore('Action', { $logger, $$memoryServer }),
+        $engineDatastore: new NucleusMemoryDatastore('Engine', { $logger, $$memoryServer }),
+        $eventDatastore: new NucleusMemoryDatastore('Event', { $logger, $$memoryServer }),
+        $logger,
+        automaticallyRetrievePendingActions: true,
+        engineHeartbeatInterval: 0,
+        scheduledActionPollingInterval: 0
+      });
+      const AID = uuid.v4();
+
+      $engine.executeSimpleDummy = (AID) => Promise.resolve({ AID });
+
+      await $engine;
+      await $engine.storeActionConfiguration({
+        actionName: 'ExecuteSimpleDummy',
+        actionSignature: [ 'AID' ],
+        argumentConfigurationByArgumentName: {
+          AID: 'string'
+        },
+        contextName: 'Self',
+        methodName: 'executeSimpleDummy'
+      });
+
+      try {
+        chai.expect(await $publisherEngine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { AID }, { idempotencyKey: uuid.v4(), originUserID: uuid.v4() })).to.deep.equal({ AID });
+      } finally {
+        await Promise.all(Object.values($publisherEngine.$handlerDatastoreByName).map(($datastore) => $datastore.destroy()));
+        await $publisherEngine.$actionDatastore.destroy();
+        await $engine.destroy();
+      }
+    });
+
+  });
+
+  mocha.suite("Autodiscovery", function () {
+
+    mocha.suiteSetup(function () {
+      const $$memoryServer = NucleusMemoryDatastore.createServer();
+      const $engine = new NucleusEngine('AutodiscoveryMemoryDummy', {
+        $actionDatastore: new NucleusMemoryDatastore('Action', { $logger, $$memoryServer }),
+        $engineDatastore: new NucleusMemoryDatastore('Engine', { $logger, $$memoryServer }),
+        $eventDatastore: new NucleusMemoryDatastore('Event', { $logger, $$memoryServer }),
+        $logger,
+        engineHeartbeatInterval: 0,
+        scheduledActionPollingInterval: 0
+      });
+
+      Reflect.defineProperty(this, '$engine', {
+        value: $engine,
+        writable: false
+      });
+
+      return $engine;
+    });
+
+    mocha.suiteTeardown(function () {
+      const { $engine } = this;
+
+      return $engine.destroy();
+    });
+
+    mocha.test("The actions, the extendable actions, the resource structures and the event schemas are discovered and stored.", async function () {
+      const { $engine } = this;
+
+      // The files are parsed by JSDoc in a child process.
+      this.timeout(1000 * 10);
+
+      const { actionConfigurationList, eventSchemaList, extendableActionConfigurationList, resourceStructureList } = await $engine.autodiscover(path.join(__dirname, '/autodiscoveryTestAssets'));
+
+      chai.expect(actionConfigurationList).to.have.length(7);
+      chai.expect(eventSchemaList).to.have.length(1);
+      chai.expect(extendableActionConfigurationList).to.have.length(12);
+      chai.expect(resourceStructureList).to.have.length(1);
+
+      chai.expect(actionConfigurationList[0]).to.deep.include({
+        actionName: 'ExecuteSimpleDummy'
+      });
+
+      chai.expect(actionConfigurationList[1]).to.deep.include({
+        actionName: 'ExecuteSimpleDummyWithArguments',
+        actionSignature: [ 'AID1', 'AID2' ]
+      });
+
+      chai.expect(actionConfigurationList[2]).to.deep.include({
+        actionName: 'ExecuteSimpleDummyWithEvent',
+        eventName: 'SimpleDummyWithEventExecuted'
+      });
+
+      chai.expect(actionConfigurationList[5]).to.deep.include({
+        actionName: 'ExecuteSimpleDummyWithComplexSignature',
+        actionSignature: [ 'AID1', 'AID2' ],
+        actionAlternativeSignature: [ 'AID1', 'AID3' ]
+      });
+
+      chai.expect(extendableActionConfigurationList.map(({ actionName }) => actionName))
+        .to.include.members([ 'CreateResource', 'ExtendResource', 'RemoveResourceByID', 'RetrieveResourceByID', 'UpdateResourceByID' ]);
+
+      chai.expect(resourceStructureList[0]).to.deep.include({
+        resourceType: 'Dummy'
+      });
+
+      chai.expect(eventSchemaList[0]).to.deep.include({
+        eventName: 'SimpleDummyWithArgumentsExecuted',
+        propertiesByArgumentName: {
+          AID1: 'string',
+          AID2: 'string'
+        }
+      });
+
+      chai.expect(await $engine.retrieveEventSchemaByEventName('SimpleDummyWithArgumentsExecuted')).to.deep.include({
+        propertiesByArgumentName: {
+          AID1: 'string',
+          AID2: 'string'
+        }
+      });
+    });
+
+  });
+
+});
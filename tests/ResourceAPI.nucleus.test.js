@@ -1017,6 +1017,94 @@ mocha.suite("Nucleus Resource API", function () {
 
     });
 
+    mocha.suite("Event sourcing", function () {
+
+      mocha.test("Every change made to an event-sourced resource is kept in its history.", async function () {
+        const { $datastore, $resourceRelationshipDatastore } = this;
+        const $$context = { $datastore, $resourceRelationshipDatastore, eventSourcedResourceTypeList: [ resourceType ] };
+
+        const authorUserID = 'e11918ea-2bd4-4d8f-bf90-2c431076e23c';
+        const groupID = '282c1b2c-0cd4-454f-bf8f-52b450e7aee5';
+
+        const { resource: { ID: resourceID } } = await NucleusResourceAPI.createResource.call($$context, resourceType, DummyResourceModel, { name: 'Dummy 1' }, authorUserID, 'Group', groupID);
+
+        await NucleusResourceAPI.updateResourceByID.call($$context, resourceType, DummyResourceModel, resourceID, { name: 'Dummy 2' }, authorUserID);
+        await NucleusResourceAPI.archiveResourceByID.call($$context, resourceType, resourceID, authorUserID);
+
+        const { resourceHistory } = await NucleusResourceAPI.retrieveResourceHistoryByID.call($$context, resourceType, resourceID, authorUserID);
+
+        chai.expect(resourceHistory).to.have.length(3);
+        chai.expect(resourceHistory.map(({ eventName }) => eventName)).to.deep.equal([ 'DummyCreated', 'DummyUpdated', 'DummyArchived' ]);
+        chai.expect(resourceHistory.map(({ resourceVersion }) => resourceVersion)).to.deep.equal([ 1, 2, 3 ]);
+        chai.expect(resourceHistory[0]).to.include({ authorUserID });
+        chai.expect(resourceHistory[0].createdISOTime).to.be.a('string');
+        chai.expect(resourceHistory[1].eventMessage.resourceAttributes).to.deep.equal({ name: 'Dummy 2' });
+      });
+
+      mocha.test("An event-sourced resource is rebuilt at a past version.", async function () {
+        const { $datastore, $resourceRelationshipDatastore } = this;
+        const $$context = { $datastore, $resourceRelationshipDatastore, eventSourcedResourceTypeList: [ resourceType ] };
+
+        const authorUserID = 'e11918ea-2bd4-4d8f-bf90-2c431076e23c';
+        const groupID = '282c1b2c-0cd4-454f-bf8f-52b450e7aee5';
+
+        const { resource: { ID: resourceID } } = await NucleusResourceAPI.createResource.call($$context, resourceType, DummyResourceModel, { name: 'Dummy 1' }, authorUserID, 'Group', groupID);
+
+        await NucleusResourceAPI.updateResourceByID.call($$context, resourceType, DummyResourceModel, resourceID, { name: 'Dummy 2' }, authorUserID);
+        await NucleusResourceAPI.updateResourceByID.call($$context, resourceType, DummyResourceModel, resourceID, { name: 'Dummy 3' }, authorUserID);
+
+        const { resource: resourceAtVersionOne } = await NucleusResourceAPI.retrieveResourceByIDAtVersion.call($$context, resourceType, DummyResourceModel, resourceID, 1, authorUserID);
+        const { resource: resourceAtVersionTwo } = await NucleusResourceAPI.retrieveResourceByIDAtVersion.call($$context, resourceType, DummyResourceModel, resourceID, 2, authorUserID);
+        const { resource: currentResource } = await NucleusResourceAPI.retrieveResourceByID.call($$context, resourceType, DummyResourceModel, resourceID, authorUserID);
+
+        chai.expect(resourceAtVersionOne).to.deep.include({ ID: resourceID, name: 'Dummy 1', type: resourceType });
+        chai.expect(resourceAtVersionOne.meta).to.not.have.ownProperty('updatedISOTime');
+        chai.expect(resourceAtVersionTwo).to.deep.include({ ID: resourceID, name: 'Dummy 2', type: resourceType });
+        chai.expect(resourceAtVersionTwo.meta).to.have.ownProperty('updatedISOTime');
+        chai.expect(currentResource).to.deep.include({ name: 'Dummy 3' });
+
+        return chai.expect(NucleusResourceAPI.retrieveResourceByIDAtVersion.call($$context, resourceType, DummyResourceModel, resourceID, 4, authorUserID))
+          .to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+      });
+
+      mocha.test("The history of a removed resource is kept.", async function () {
+        const { $datastore, $resourceRelationshipDatastore } = this;
+        const $$context = { $datastore, $resourceRelationshipDatastore, eventSourcedResourceTypeList: [ resourceType ] };
+
+        const authorUserID = 'e11918ea-2bd4-4d8f-bf90-2c431076e23c';
+
+        const groupID = '282c1b2c-0cd4-454f-bf8f-52b450e7aee5';
+
+        const { resource: { ID: resourceID } } = await NucleusResourceAPI.createResource.call($$context, resourceType, DummyResourceModel, { name: 'Dummy 1' }, authorUserID, 'Group', groupID);
+
+        await NucleusResourceAPI.removeResourceByID.call($$context, resourceType, resourceID, authorUserID);
+
+        const { resourceHistory } = await NucleusResourceAPI.retrieveResourceHistoryByID.call($$context, resourceType, resourceID, authorUserID);
+
+        chai.expect(resourceHistory.map(({ eventName }) => eventName)).to.deep.equal([ 'DummyCreated', 'DummyRemoved' ]);
+
+        await chai.expect(NucleusResourceAPI.retrieveResourceByIDAtVersion.call($$context, resourceType, DummyResourceModel, resourceID, 2, authorUserID))
+          .to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+
+        const { resource } = await NucleusResourceAPI.retrieveResourceByIDAtVersion.call($$context, resourceType, DummyResourceModel, resourceID, 1, authorUserID);
+
+        chai.expect(resource).to.deep.include({ ID: resourceID, name: 'Dummy 1' });
+      });
+
+      mocha.test("The history of a resource that is not event-sourced can't be retrieved.", async function () {
+        const { $datastore, $resourceRelationshipDatastore } = this;
+
+        const authorUserID = 'e11918ea-2bd4-4d8f-bf90-2c431076e23c';
+        const groupID = '282c1b2c-0cd4-454f-bf8f-52b450e7aee5';
+
+        const { resource: { ID: resourceID } } = await NucleusResourceAPI.createResource.call({ $datastore, $resourceRelationshipDatastore }, resourceType, DummyResourceModel, { name: 'Dummy 1' }, authorUserID, 'Group', groupID);
+
+        return chai.expect(NucleusResourceAPI.retrieveResourceHistoryByID.call({ $datastore, $resourceRelationshipDatastore }, resourceType, resourceID, authorUserID))
+          .to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+      });
+
+    });
+
     mocha.suite("Retrieve all performance", function () {
       const dummyCountList = [ 50, 200, 400, 800, 1600 ];
 
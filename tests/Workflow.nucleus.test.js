@@ -0,0 +1,52 @@
+"use strict";
+
+const chai = require('chai');
+const mocha = require('mocha');
+const uuid = require('uuid');
+
+const NucleusError = require('../library/Error.nucleus');
+const NucleusWorkflow = require('../library/Workflow.nucleus');
+
+mocha.suite('Nucleus Workflow', function () {
+
+  mocha.test("The workflow requires a name and a list of steps.", function () {
+    const $workflow = new NucleusWorkflow('OnboardDummy', [ { actionName: 'CreateDummy', compensatingActionName: 'RemoveDummyByID' }, { actionName: 'NotifyDummy' } ]);
+
+    chai.expect($workflow.name).to.equal('OnboardDummy');
+    chai.expect($workflow.stepList).to.have.length(2);
+
+    chai.expect(() => { new NucleusWorkflow(); }).to.throw(NucleusError.UndefinedValueNucleusError);
+    chai.expect(() => { new NucleusWorkflow('OnboardDummy', []); }).to.throw(NucleusError.UnexpectedValueTypeNucleusError);
+    chai.expect(() => { new NucleusWorkflow('OnboardDummy', [ { compensatingActionName: 'RemoveDummyByID' } ]); }).to.throw(NucleusError.UndefinedValueNucleusError);
+  });
+
+  mocha.test("The workflow's name and steps are not writable.", function () {
+    const $workflow = new NucleusWorkflow('OnboardDummy', [ { actionName: 'CreateDummy' } ]);
+
+    try { $workflow.name = 'ReallyDummyWorkflow'; } catch (error) {}
+    try { $workflow.stepList.push({ actionName: 'NotifyDummy' }); } catch (error) {}
+
+    chai.expect($workflow.name).to.equal('OnboardDummy');
+    chai.expect($workflow.stepList).to.have.length(1);
+  });
+
+  mocha.test("The messages of a step are generated from the workflow context.", function () {
+    const dummyID = uuid.v4();
+    const $workflow = new NucleusWorkflow('OnboardDummy', [
+      {
+        actionName: 'CreateDummy',
+        actionMessage: ({ workflowMessage: { dummyName } }) => ({ dummyName }),
+        compensatingActionName: 'RemoveDummyByID',
+        compensatingActionMessage: ({ stepResponseList: [ { dummy } ] }) => ({ dummyID: dummy.ID })
+      },
+      { actionName: 'NotifyDummy', actionMessage: { AID: 'Static' } }
+    ]);
+    const workflowContext = { stepResponseList: [ { dummy: { ID: dummyID } } ], workflowMessage: { dummyName: 'Dummy' } };
+
+    chai.expect($workflow.generateActionMessageByStepIndex(0, workflowContext)).to.deep.equal({ dummyName: 'Dummy' });
+    chai.expect($workflow.generateCompensatingActionMessageByStepIndex(0, workflowContext)).to.deep.equal({ dummyID });
+    chai.expect($workflow.generateActionMessageByStepIndex(1, workflowContext)).to.deep.equal({ AID: 'Static' });
+    chai.expect($workflow.generateCompensatingActionMessageByStepIndex(1, workflowContext)).to.deep.equal({});
+  });
+
+});
@@ -4,6 +4,14 @@ const uuid = require('uuid');
 
 const NucleusEngine = require('../../library/Engine.nucleus');
 
+/**
+ * @Nucleus EventSchema
+ *
+ * @typedef {Object} SimpleDummyWithArgumentsExecuted
+ * @property {String} AID1
+ * @property {String} AID2
+ */
+
 class DummyEngine extends NucleusEngine {
 
   constructor () {
@@ -67,6 +75,20 @@ class DummyEngine extends NucleusEngine {
     return Promise.resolve({ AID1, AID2, AID3 });
   }
 
+  /**
+   * Executes a simple dummy that fails because of an external error.
+   *
+   * @Nucleus ActionName ExecuteSimpleDummyWithExternalError
+   * @Nucleus MaximumRetryCount 2
+   * @Nucleus RetryBackoffDelay 10
+   *
+   * @returns {Promise<void>}
+   */
+  executeSimpleDummyWithExternalError () {
+
+    return Promise.reject(new Error("The external service is not available."));
+  }
+
   /**
    * Executes a simple dummy which has a complex signature.
    *
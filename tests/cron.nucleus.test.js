@@ -0,0 +1,68 @@
+"use strict";
+
+const chai = require('chai');
+const mocha = require('mocha');
+
+const NucleusError = require('../library/Error.nucleus');
+
+const nucleusCron = require('../library/cron.nucleus');
+
+mocha.suite('Nucleus Cron', function () {
+
+  mocha.suite("#parseCronExpression", function () {
+
+    mocha.test("Wildcards, steps, ranges and lists are parsed.", function () {
+      const { minute, hour, dayOfMonth, month, dayOfWeek } = nucleusCron.parseCronExpression('*/20 8-10 1,15 * 1-5/2');
+
+      chai.expect(Array.from(minute)).to.deep.equal([ 0, 20, 40 ]);
+      chai.expect(Array.from(hour)).to.deep.equal([ 8, 9, 10 ]);
+      chai.expect(Array.from(dayOfMonth)).to.deep.equal([ 1, 15 ]);
+      chai.expect(month.size).to.equal(12);
+      chai.expect(Array.from(dayOfWeek)).to.deep.equal([ 1, 3, 5 ]);
+    });
+
+    mocha.test("An escaped slash is parsed like a slash.", function () {
+      const { minute } = nucleusCron.parseCronExpression('*\\/30 * * * *');
+
+      chai.expect(Array.from(minute)).to.deep.equal([ 0, 30 ]);
+    });
+
+    mocha.test("Throws if the cron expression is not valid.", function () {
+
+      chai.expect(() => nucleusCron.parseCronExpression('* * * *')).to.throw(NucleusError.UnexpectedValueNucleusError);
+      chai.expect(() => nucleusCron.parseCronExpression('60 * * * *')).to.throw(NucleusError.UnexpectedValueNucleusError);
+      chai.expect(() => nucleusCron.parseCronExpression('* * * * MON')).to.throw(NucleusError.UnexpectedValueNucleusError);
+    });
+
+  });
+
+  mocha.suite("#retrieveNextOccurrenceTimestamp", function () {
+    const timestamp = Date.parse('2018-01-31T10:03:20.000Z');
+
+    mocha.test("The next occurrence is strictly after the given time.", function () {
+
+      chai.expect(nucleusCron.retrieveNextOccurrenceTimestamp('*/5 * * * *', timestamp)).to.equal(Date.parse('2018-01-31T10:05:00.000Z'));
+      chai.expect(nucleusCron.retrieveNextOccurrenceTimestamp('5 10 * * *', Date.parse('2018-01-31T10:05:00.000Z'))).to.equal(Date.parse('2018-02-01T10:05:00.000Z'));
+    });
+
+    mocha.test("The next occurrence rolls over to the next month and year.", function () {
+
+      chai.expect(nucleusCron.retrieveNextOccurrenceTimestamp('0 0 1 * *', timestamp)).to.equal(Date.parse('2018-02-01T00:00:00.000Z'));
+      chai.expect(nucleusCron.retrieveNextOccurrenceTimestamp('0 0 1 1 *', timestamp)).to.equal(Date.parse('2019-01-01T00:00:00.000Z'));
+    });
+
+    mocha.test("Either the day of the month or the day of the week matches when both are restricted.", function () {
+
+      // The 2018-02-02 is a Friday.
+      chai.expect(nucleusCron.retrieveNextOccurrenceTimestamp('0 0 15 * 5', timestamp)).to.equal(Date.parse('2018-02-02T00:00:00.000Z'));
+      chai.expect(nucleusCron.retrieveNextOccurrenceTimestamp('0 0 * * 7', timestamp)).to.equal(Date.parse('2018-02-04T00:00:00.000Z'));
+    });
+
+    mocha.test("Throws if the cron expression never occurs.", function () {
+
+      chai.expect(() => nucleusCron.retrieveNextOccurrenceTimestamp('0 0 30 2 *', timestamp)).to.throw(NucleusError.UnexpectedValueNucleusError);
+    });
+
+  });
+
+});
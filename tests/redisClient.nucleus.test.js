@@ -0,0 +1,83 @@
+"use strict";
+
+const chai = require('chai');
+const mocha = require('mocha');
+const redis = require('redis');
+const sinon = require('sinon');
+
+const NucleusError = require('../library/Error.nucleus');
+
+const redisClient = require('../library/redisClient.nucleus');
+
+mocha.suite('Nucleus Redis Client', function () {
+
+  mocha.setup(function () {
+    const $$sendCommandStub = sinon.stub(redis.RedisClient.prototype, 'internal_send_command').returns(true);
+
+    Object.defineProperty(this, '$$sendCommandStub', {
+      configurable: true,
+      value: $$sendCommandStub,
+      writable: false
+    });
+  });
+
+  mocha.teardown(function () {
+    Reflect.deleteProperty(this, '$$sendCommandStub');
+
+    sinon.restore();
+  });
+
+  mocha.suite("#auth", function () {
+
+    mocha.test("A client given a username authenticates as an ACL user.", function () {
+      const { $$sendCommandStub } = this;
+      const $$client = redisClient.createClient({ host: '127.0.0.1', password: 'password', port: 1, retry_strategy: () => undefined, username: 'nucleus' });
+
+      $$client.on('error', () => {});
+
+      try {
+        chai.expect($$sendCommandStub.firstCall.args[0]).to.deep.include({ args: [ 'nucleus', 'password' ], command: 'auth' });
+      } finally {
+        $$client.end(false);
+      }
+    });
+
+    mocha.test("The clients created by the NPM redis client are left as is.", function () {
+      const { $$sendCommandStub } = this;
+      const $$client = redis.createClient({ host: '127.0.0.1', password: 'password', port: 1, retry_strategy: () => undefined, username: 'nucleus' });
+
+      $$client.on('error', () => {});
+
+      try {
+        chai.expect($$sendCommandStub.firstCall.args[0]).to.deep.include({ args: [ 'password' ], command: 'auth' });
+      } finally {
+        $$client.end(false);
+      }
+    });
+
+  });
+
+  mocha.suite("#internal_send_command", function () {
+
+    mocha.test("A command that doesn't complete in time fails, unless it is a blocking command.", async function () {
+      const $$client = redisClient.createClient({ command_timeout: 20, host: '127.0.0.1', port: 1, retry_strategy: () => undefined });
+      const $$blockingCommandSpy = sinon.spy();
+
+      $$client.on('error', () => {});
+
+      try {
+        $$client.brpop('DummyList', 0, $$blockingCommandSpy);
+
+        const error = await new Promise((resolve) => $$client.get('Dummy', resolve));
+
+        chai.expect(error).to.be.an.instanceOf(NucleusError);
+        chai.expect(error.message).to.include('did not complete within 20ms');
+        chai.expect($$blockingCommandSpy.called).to.be.false;
+      } finally {
+        $$client.end(false);
+      }
+    });
+
+  });
+
+});
@@ -0,0 +1,42 @@
+"use strict";
+
+const chai = require('chai');
+const mocha = require('mocha');
+
+const redisCluster = require('../library/redisCluster.nucleus');
+
+mocha.suite('Nucleus Redis Cluster', function () {
+
+  mocha.suite("#computeSlot", function () {
+
+    mocha.test("The slot of a key is computed as per the Redis cluster specification.", function () {
+
+      chai.expect(redisCluster.computeSlot('foo')).to.equal(12182);
+      chai.expect(redisCluster.computeSlot('hello')).to.equal(866);
+    });
+
+    mocha.test("Only the hash tag of a key is hashed.", function () {
+
+      chai.expect(redisCluster.computeSlot('{user1000}.following')).to.equal(redisCluster.computeSlot('user1000'));
+      chai.expect(redisCluster.computeSlot('{Action}:ActionQueueNameSet')).to.equal(redisCluster.computeSlot('{Action}:NucleusAction:Dummy:1'));
+    });
+
+    mocha.test("A key with an empty hash tag is hashed whole.", function () {
+
+      chai.expect(redisCluster.computeSlot('foo{}{bar}')).to.not.equal(redisCluster.computeSlot('bar'));
+      chai.expect(redisCluster.computeSlot('foo{{bar}}zap')).to.equal(redisCluster.computeSlot('{bar'));
+    });
+
+  });
+
+  mocha.suite("#addCommand", function () {
+
+    mocha.test("A command never replaces a method of the transaction.", function () {
+      redisCluster.addCommand('exec');
+
+      chai.expect(redisCluster.Multi.prototype.exec.toString()).to.match(/^exec \(/);
+    });
+
+  });
+
+});
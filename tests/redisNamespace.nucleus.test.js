@@ -0,0 +1,107 @@
+"use strict";
+
+const EventEmitter = require('events');
+
+const chai = require('chai');
+const mocha = require('mocha');
+
+const redisNamespace = require('../library/redisNamespace.nucleus');
+
+mocha.suite('Nucleus Redis Namespace', function () {
+
+  mocha.setup(function () {
+    const $$namespaceClient = redisNamespace.createClient({ $$client: new EventEmitter(), namespace: 'Nucleus' });
+
+    Reflect.defineProperty(this, '$$namespaceClient', {
+      configurable: true,
+      value: $$namespaceClient,
+      writable: false
+    });
+  });
+
+  mocha.suite("#prefixArgumentList", function () {
+
+    mocha.test("The keys of a command are prefixed.", function () {
+      const { $$namespaceClient } = this;
+
+      chai.expect($$namespaceClient.prefixArgumentList('hset', [ 'Item', 'field', 'value' ])).to.deep.equal([ 'Nucleus:Item', 'field', 'value' ]);
+      chai.expect($$namespaceClient.prefixArgumentList('rpoplpush', [ 'ItemA', 'ItemB' ])).to.deep.equal([ 'Nucleus:ItemA', 'Nucleus:ItemB' ]);
+      chai.expect($$namespaceClient.prefixArgumentList('evalsha', [ 'SHA', 1, 'Item', 'Item', 'dummy' ])).to.deep.equal([ 'SHA', 1, 'Nucleus:Item', 'Item', 'dummy' ]);
+    });
+
+    mocha.test("The keys of the stream commands are prefixed.", function () {
+      const { $$namespaceClient } = this;
+
+      chai.expect($$namespaceClient.prefixArgumentList('xadd', [ 'Stream', '*', 'field', 'value' ])).to.deep.equal([ 'Nucleus:Stream', '*', 'field', 'value' ]);
+      chai.expect($$namespaceClient.prefixArgumentList('xgroup', [ 'CREATE', 'Stream', 'Group', '$' ])).to.deep.equal([ 'CREATE', 'Nucleus:Stream', 'Group', '$' ]);
+      chai.expect($$namespaceClient.prefixArgumentList('xreadgroup', [ 'GROUP', 'Group', 'Consumer', 'STREAMS', 'StreamA', 'StreamB', '>', '>' ]))
+        .to.deep.equal([ 'GROUP', 'Group', 'Consumer', 'STREAMS', 'Nucleus:StreamA', 'Nucleus:StreamB', '>', '>' ]);
+    });
+
+    mocha.test("The patterns of `KEYS` and `SCAN` are prefixed.", function () {
+      const { $$namespaceClient } = this;
+
+      chai.expect($$namespaceClient.prefixArgumentList('keys', [ 'Action:*' ])).to.deep.equal([ 'Nucleus:Action:*' ]);
+      chai.expect($$namespaceClient.prefixArgumentList('scan', [ 0, 'MATCH', 'Action:*' ])).to.deep.equal([ 0, 'MATCH', 'Nucleus:Action:*' ]);
+      chai.expect($$namespaceClient.prefixArgumentList('scan', [ 0 ])).to.deep.equal([ 0, 'MATCH', 'Nucleus:*' ]);
+    });
+
+    mocha.test("The channels are prefixed; the keyspace channels after their database.", function () {
+      const { $$namespaceClient } = this;
+
+      chai.expect($$namespaceClient.prefixArgumentList('publish', [ 'Channel', 'message' ])).to.deep.equal([ 'Nucleus:Channel', 'message' ]);
+      chai.expect($$namespaceClient.prefixArgumentList('psubscribe', [ '__keyspace@0__:Action:*', '__keyevent@0__:expired' ]))
+        .to.deep.equal([ '__keyspace@0__:Nucleus:Action:*', '__keyevent@0__:expired' ]);
+    });
+
+  });
+
+  mocha.suite("#stripReply", function () {
+
+    mocha.test("The keys that are replied are stripped of the namespace.", function () {
+      const { $$namespaceClient } = this;
+
+      chai.expect($$namespaceClient.stripReply('keys', [ 'Nucleus:ItemA', 'Nucleus:ItemB' ])).to.deep.equal([ 'ItemA', 'ItemB' ]);
+      chai.expect($$namespaceClient.stripReply('scan', [ '0', [ 'Nucleus:Item' ] ])).to.deep.equal([ '0', [ 'Item' ] ]);
+      chai.expect($$namespaceClient.stripReply('brpop', [ 'Nucleus:List', 'Nucleus:Item' ])).to.deep.equal([ 'List', 'Nucleus:Item' ]);
+      chai.expect($$namespaceClient.stripReply('get', 'Nucleus:Item')).to.equal('Nucleus:Item');
+    });
+
+  });
+
+  mocha.suite("#handleMessage", function () {
+
+    mocha.test("The events of the wrapped client are forwarded once, when they are first listened to.", function () {
+      const { $$namespaceClient } = this;
+
+      chai.expect($$namespaceClient.$$client.listenerCount('message')).to.equal(0);
+
+      $$namespaceClient.on('message', () => {});
+      $$namespaceClient.on('message', () => {});
+
+      chai.expect($$namespaceClient.$$client.listenerCount('message')).to.equal(1);
+    });
+
+    mocha.test("The messages are forwarded once their channel is stripped of the namespace.", function () {
+      const { $$namespaceClient } = this;
+
+      const messageList = [];
+
+      $$namespaceClient.on('message', (...argumentList) => messageList.push(argumentList));
+      $$namespaceClient.on('pmessage', (...argumentList) => messageList.push(argumentList));
+
+      $$namespaceClient.$$client.emit('message', 'Nucleus:Channel', 'message');
+      $$namespaceClient.$$client.emit('pmessage', '__keyspace@0__:Nucleus:Action:*', '__keyspace@0__:Nucleus:Action:Item', 'hset');
+      $$namespaceClient.$$client.emit('message', '__keyevent@0__:expired', 'Other:Item');
+      $$namespaceClient.$$client.emit('message', '__keyevent@0__:expired', 'Nucleus:Item');
+
+      chai.expect(messageList).to.deep.equal([
+        [ 'Channel', 'message' ],
+        [ '__keyspace@0__:Action:*', '__keyspace@0__:Action:Item', 'hset' ],
+        [ '__keyevent@0__:expired', 'Item' ]
+      ]);
+    });
+
+  });
+
+});
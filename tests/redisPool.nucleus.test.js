@@ -0,0 +1,69 @@
+"use strict";
+
+const Promise = require('bluebird');
+const chai = require('chai');
+const mocha = require('mocha');
+
+// The datastore promisifies the pool client.
+require('../library/Datastore.nucleus');
+
+const memoryServer = require('../library/memoryServer.nucleus');
+const redisPool = require('../library/redisPool.nucleus');
+
+mocha.suite('Nucleus Redis Pool', function () {
+
+  mocha.setup(function () {
+    const $$pool = redisPool.createClient({ createConnection: memoryServer.createClient, idleConnectionTimeout: 10, maximumSize: 3, minimumSize: 1 });
+
+    Reflect.defineProperty(this, '$$pool', {
+      configurable: true,
+      value: $$pool,
+      writable: false
+    });
+
+    return new Promise((resolve) => $$pool.once('connect', resolve));
+  });
+
+  mocha.teardown(function () {
+    const { $$pool } = this;
+
+    Reflect.deleteProperty(this, '$$pool');
+
+    return $$pool.flushallAsync()
+      .then(() => $$pool.quitAsync());
+  });
+
+  mocha.test("The pool grows while every connection is busy, up to its maximum size, and shrinks once idle.", async function () {
+    const { $$pool } = this;
+
+    chai.expect($$pool.pooledConnectionList).to.have.length(1);
+
+    await Promise.all([ 'A', 'B', 'C', 'D' ].map((itemKey) => $$pool.setAsync(itemKey, itemKey)));
+
+    chai.expect($$pool.pooledConnectionList).to.have.length(3);
+    chai.expect(await $$pool.getAsync('D')).to.equal('D');
+
+    await Promise.delay(50);
+
+    chai.expect($$pool.pooledConnectionList).to.have.length(1);
+  });
+
+  mocha.test("The blocking commands are sent to a dedicated connection.", async function () {
+    const { $$pool } = this;
+
+    const $$itemPromise = $$pool.brpopAsync('DummyList', 0);
+
+    await $$pool.lpushAsync('DummyList', 'Dummy');
+
+    chai.expect(await $$itemPromise).to.deep.equal([ 'DummyList', 'Dummy' ]);
+    chai.expect($$pool.$$dedicatedConnection).to.exist;
+    chai.expect($$pool.pooledConnectionList.map(({ $$connection }) => $$connection)).to.not.include($$pool.$$dedicatedConnection);
+  });
+
+  mocha.test("A transaction is executed on a single connection.", async function () {
+    const { $$pool } = this;
+
+    chai.expect(await $$pool.multi([ [ 'set', 'Dummy', 1 ], [ 'get', 'Dummy' ] ]).execAsync()).to.deep.equal([ 'OK', '1' ]);
+  });
+
+});
@@ -0,0 +1,43 @@
+"use strict";
+
+const chai = require('chai');
+const mocha = require('mocha');
+const redis = require('redis');
+const sinon = require('sinon');
+
+const redisSentinel = require('../library/redisSentinel.nucleus');
+
+mocha.suite('Nucleus Redis Sentinel', function () {
+
+  mocha.teardown(function () {
+
+    sinon.restore();
+  });
+
+  mocha.suite("#createClient", function () {
+
+    mocha.test("The sentinel options are read once the client converted them to snake case.", function () {
+      const createClientSpy = sinon.spy(redis, 'createClient');
+      const $$client = redisSentinel.createClient({ connect_timeout: 50, sentinelList: [ { host: '127.0.0.1', port: 1 } ], sentinelMasterName: 'nucleus' });
+      const streamDestroySpy = sinon.spy();
+
+      try {
+        // The first client is the subscriber to the sentinels' notifications.
+        chai.expect(createClientSpy.firstCall.args[0]).to.include({ host: '127.0.0.1', port: 1 });
+
+        $$client.stream = { destroy: streamDestroySpy };
+
+        $$client.$$sentinelSubscriber.emit('message', '+switch-master', 'other 127.0.0.1 6379 127.0.0.1 6380');
+        chai.expect(streamDestroySpy.called).to.be.false;
+
+        $$client.$$sentinelSubscriber.emit('message', '+switch-master', 'nucleus 127.0.0.1 6379 127.0.0.1 6380');
+        chai.expect(streamDestroySpy.calledOnce).to.be.true;
+      } finally {
+        $$client.stream = undefined;
+        $$client.end(true);
+      }
+    });
+
+  });
+
+});